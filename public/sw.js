@@ -1,14 +1,141 @@
+// --- App shell cache ---
+// The app lives under /money/ (`base` in vite.config.js), and so does this worker and its scope. Its
+// page and the hashed build assets it references are cached so the app opens without a connection;
+// API data is cached by the app itself, per user. Bump CACHE_VERSION to drop the old cache when this
+// file changes how caching works.
+const APP_PATH = '/money/';
+const ICON = `${APP_PATH}money-tracker.svg`;
+const CACHE_VERSION = 1;
+const SHELL_CACHE = `money-shell-v${CACHE_VERSION}`;
+
+// Caches the page plus every script and stylesheet it links to
+const cacheAppShell = async () => {
+  const cache = await caches.open(SHELL_CACHE);
+  const response = await fetch(APP_PATH, { cache: 'no-cache' });
+  if (!response.ok) return;
+  const html = await response.clone().text();
+  const assets = [...html.matchAll(/(?:src|href)="([^"]+)"/g)]
+    .map(match => match[1])
+    .filter(url => url.startsWith(APP_PATH));
+  await cache.put(APP_PATH, response);
+  await cache.addAll([...new Set(assets)]);
+};
+
+self.addEventListener('install', event => {
+  event.waitUntil(cacheAppShell().catch(error => console.warn('Could not cache the app shell:', error)));
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name.startsWith('money-shell-') && name !== SHELL_CACHE).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// Network first, so a new build or icon is picked up straight away; the cached copy when offline.
+// Every page under the app is the same single page, so navigations share one cache entry.
+const networkFirst = async (request, cacheKey) => {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(cacheKey, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(cacheKey);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+// Build assets have content hashes in their names, so a cached copy never goes stale
+const cacheFirst = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) await cache.put(request, response.clone());
+  return response;
+};
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || !url.pathname.startsWith(APP_PATH)) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, APP_PATH));
+  } else if (url.pathname.startsWith(`${APP_PATH}assets/`)) {
+    event.respondWith(cacheFirst(request));
+  } else {
+    event.respondWith(networkFirst(request, request));
+  }
+});
+
 self.addEventListener('push', event => {
   const data = event.data.json();
   console.log('New push notification received:', data);
 
   const options = {
     body: data.body,
-    icon: '/money-tracker.svg',
-    badge: '/money-tracker.svg'
+    icon: ICON,
+    badge: ICON,
+    tag: data.tag,
+    // Kept on the notification for the click handler below
+    data: data.data || {},
+    actions: data.actions || []
   };
 
   event.waitUntil(
     self.registration.showNotification(data.title, options)
   );
-});
\ No newline at end of file
+});
+
+// Approve / Decline buttons call the API with the token that came in the notification,
+// then show the outcome in place of the original notification.
+const decideFromNotification = async (notification, action) => {
+  const { action_token: token } = notification.data;
+  let title;
+  let body;
+  try {
+    const response = await fetch('/api/money/notification-actions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token, action })
+    });
+    const result = await response.json().catch(() => ({}));
+    title = response.ok ? (action === 'approve' ? 'Approved' : 'Declined') : 'Could not update the request';
+    body = result.message || result.error;
+  } catch {
+    title = 'Could not update the request';
+    body = 'Check your connection and try again in the app.';
+  }
+  return self.registration.showNotification(title, { body, icon: ICON, badge: ICON, tag: notification.tag });
+};
+
+// Focuses an open copy of the app and tells it which transaction to show, or opens a new one.
+// Other pages on the same site don't count as the app.
+const openTransaction = async (transactionId) => {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const client = windows.find(candidate => new URL(candidate.url).pathname.startsWith(APP_PATH));
+  if (client) {
+    await client.focus();
+    if (transactionId) client.postMessage({ type: 'open-transaction', transactionId });
+    return;
+  }
+  const url = new URL(APP_PATH, self.location.origin);
+  if (transactionId) url.searchParams.set('transaction', transactionId);
+  await self.clients.openWindow(url.href);
+};
+
+self.addEventListener('notificationclick', event => {
+  const notification = event.notification;
+  notification.close();
+
+  if (event.action === 'approve' || event.action === 'decline') {
+    event.waitUntil(decideFromNotification(notification, event.action));
+  } else {
+    event.waitUntil(openTransaction(notification.data?.transaction_id));
+  }
+});
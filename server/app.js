@@ -0,0 +1,74 @@
+// The Express app: middleware, the feature routers under /api/money and the scheduled jobs.
+// Routes live in routes/, one router per feature; the helpers they share (money, dates, push
+// notifications, the audit trail and so on) live in lib/.
+import express from 'express';
+import cors from 'cors';
+import { pool } from './pool.js';
+import { IMPORT_BODY_LIMIT } from './lib/ledger.js';
+import { postDueAllowances } from './lib/allowances.js';
+import { postDueInterest } from './lib/interest.js';
+import { sendWeeklyDigests } from './lib/digest.js';
+import { pruneSessions } from './lib/sessions.js';
+import { pruneIdempotencyKeys } from './middleware/idempotency.js';
+import authRoutes from './routes/auth.js';
+import notificationRoutes from './routes/notifications.js';
+import eventRoutes from './routes/events.js';
+import userRoutes from './routes/users.js';
+import transactionRoutes from './routes/transactions.js';
+import ruleRoutes from './routes/rules.js';
+import choreRoutes from './routes/chores.js';
+import policyRoutes from './routes/policies.js';
+import goalRoutes from './routes/goals.js';
+import reportRoutes from './routes/reports.js';
+import bucketRoutes from './routes/buckets.js';
+import ledgerRoutes from './routes/ledger.js';
+import categoryRoutes from './routes/categories.js';
+import householdRoutes from './routes/households.js';
+import auditRoutes from './routes/audit.js';
+
+// --- Server Setup ---
+// server.js listens and starts the scheduled jobs; the tests use the app without either
+const app = express();
+const API_PATH = '/api/money';
+const ALLOWANCE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const SESSION_PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// --- Middleware ---
+app.use(cors());
+// Ledger imports may be large; parsed here so a JSON upload gets the import's limit, not the default one
+app.use(`${API_PATH}/import`, express.json({ limit: IMPORT_BODY_LIMIT }));
+app.use(express.json());
+
+// --- API Routes ---
+app.use(API_PATH, authRoutes);
+app.use(API_PATH, notificationRoutes);
+app.use(API_PATH, eventRoutes);
+app.use(API_PATH, userRoutes);
+app.use(API_PATH, transactionRoutes);
+app.use(API_PATH, ruleRoutes);
+app.use(API_PATH, choreRoutes);
+app.use(API_PATH, policyRoutes);
+app.use(API_PATH, goalRoutes);
+app.use(API_PATH, reportRoutes);
+app.use(API_PATH, bucketRoutes);
+app.use(API_PATH, ledgerRoutes);
+app.use(API_PATH, categoryRoutes);
+app.use(API_PATH, householdRoutes);
+app.use(API_PATH, auditRoutes);
+
+// --- Scheduled Jobs ---
+// Catch up on anything missed while the server was down, then check hourly
+const startScheduledJobs = () => {
+    postDueAllowances();
+    setInterval(postDueAllowances, ALLOWANCE_CHECK_INTERVAL_MS);
+    postDueInterest();
+    setInterval(postDueInterest, ALLOWANCE_CHECK_INTERVAL_MS);
+    sendWeeklyDigests();
+    setInterval(sendWeeklyDigests, ALLOWANCE_CHECK_INTERVAL_MS);
+    pruneSessions();
+    setInterval(pruneSessions, SESSION_PRUNE_INTERVAL_MS);
+    pruneIdempotencyKeys();
+    setInterval(pruneIdempotencyKeys, SESSION_PRUNE_INTERVAL_MS);
+};
+
+export { app, pool, startScheduledJobs, postDueAllowances };
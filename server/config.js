@@ -0,0 +1,10 @@
+// Settings from the environment, shared by the routes and helpers. db.js loads .env, so importing it
+// first means the settings below are already in process.env.
+import process from 'node:process';
+import './db.js';
+
+export const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY;
+export const VAPID_PRIVATE_KEY = process.env.VAPID_PRIVATE_KEY;
+export const JWT_SECRET = process.env.JWT_SECRET;
+export const ALLOW_HOUSEHOLD_SIGNUP = process.env.ALLOW_HOUSEHOLD_SIGNUP === 'true';
+export const SALT_ROUNDS = 10;
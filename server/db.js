@@ -0,0 +1,26 @@
+// Connection settings shared by the server, the migration runner and the seed script.
+// DB_CLIENT picks the backend: 'mysql' (the default) or 'sqlite', which keeps everything in one
+// file (DB_FILE, money-tracker.db next to this file by default) and needs no database server.
+import dotenv from 'dotenv';
+import process from 'node:process';
+import { fileURLToPath } from 'node:url';
+import { createStorage } from './storage/index.js';
+
+dotenv.config();
+
+export const storageConfig = {
+  client: process.env.DB_CLIENT || 'mysql',
+  mysql: {
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_DATABASE,
+    // Calendar dates (allowance schedules etc.) are returned as 'YYYY-MM-DD' rather than shifted into a timezone
+    dateStrings: ['DATE']
+  },
+  sqlite: {
+    filename: process.env.DB_FILE || fileURLToPath(new URL('./money-tracker.db', import.meta.url))
+  }
+};
+
+export const openStorage = (config = storageConfig) => createStorage(config);
@@ -0,0 +1,136 @@
+import { pool } from '../pool.js';
+import { lockRecurringRule, setRecurringRuleNextRun, getDueRecurringRuleIds, getLastPostedRunDate } from '../repositories/allowances.js';
+import { findHouseholdOfChild } from '../repositories/users.js';
+import { resolveBucket, insertSplitIncome } from './buckets.js';
+import { toDateString, today, addDays, addMonths } from './dates.js';
+import { onBalanceChanged } from './goals.js';
+import { formatMoney, getMoneyFormat } from './money.js';
+import { sendNotification } from './notifications.js';
+import { insertTransaction } from './transactions.js';
+import { isAmount, isBlank } from './validation.js';
+
+// --- Recurring Allowances ---
+export const CADENCES = ['weekly', 'biweekly', 'monthly'];
+
+export const nextRunDate = (dateString, cadence, startDate) => {
+    if (cadence === 'weekly') return addDays(dateString, 7);
+    if (cadence === 'biweekly') return addDays(dateString, 14);
+    return addMonths(dateString, 1, Number(startDate.split('-')[2]));
+};
+
+// First scheduled date for a rule that falls on or after `fromDate`.
+export const firstRunOnOrAfter = (startDate, cadence, fromDate) => {
+    let runDate = startDate;
+    while (runDate < fromDate) {
+        runDate = nextRunDate(runDate, cadence, startDate);
+    }
+    return runDate;
+};
+
+// The next run after a rule is edited or resumed: the first date on its (possibly new) schedule that
+// hasn't passed yet. It never moves before the rule's current next run or onto a day that was already
+// paid, so a period can't be posted twice.
+export const rescheduleRule = async (db, rule, startDate, cadence) => {
+    const lastPosted = await getLastPostedRunDate(db, rule.id);
+    const earliest = [today(), toDateString(rule.next_run_date), lastPosted && addDays(toDateString(lastPosted), 1)]
+        .filter(Boolean)
+        .reduce((latest, date) => (date > latest ? date : latest));
+    return firstRunOnOrAfter(startDate, cadence, earliest);
+};
+
+export const validateRecurringRule = ({ child_name, description, amount, cadence, start_date }) => {
+    if (!child_name) return 'A child is required.';
+    if (isBlank(description)) return 'A description is required.';
+    if (!isAmount(amount)) return 'Amount must be greater than zero, with at most 2 decimal places.';
+    if (!CADENCES.includes(cadence)) return `Cadence must be one of: ${CADENCES.join(', ')}.`;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(start_date || '')) return 'Start date must be in YYYY-MM-DD format.';
+    return null;
+};
+
+// Posts every period that is due for a single rule, including periods missed while the
+// server was down. The rule row is locked for the duration so that two runs can never
+// post the same period, and next_run_date only moves forward in the same commit.
+export const postDueAllowancesForRule = async (ruleId) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const rule = await lockRecurringRule(connection, ruleId);
+        if (!rule || rule.paused) {
+            await connection.commit();
+            return 0;
+        }
+
+        const startDate = toDateString(rule.start_date);
+        let runDate = toDateString(rule.next_run_date);
+        const currentDate = today();
+        let posted = 0;
+
+        const fields = {
+            description: rule.description,
+            amount: rule.amount,
+            type: 'income',
+            child_name: rule.child_name,
+            status: 'approved',
+            approved_by: rule.created_by,
+            recurring_rule_id: rule.id
+        };
+        const defaultBucket = await resolveBucket(connection, rule.child_name, null);
+
+        // Each missed period is dated on its own run date, so history, reports and interest
+        // periods see the allowance when it was due rather than when the server caught up
+        while (runDate <= currentDate) {
+            const dated = { ...fields, created_at: `${runDate} 00:00:00` };
+            if (rule.auto_split) {
+                await insertSplitIncome(connection, dated);
+            } else {
+                await insertTransaction(connection, { ...dated, bucket_id: defaultBucket.id });
+            }
+            runDate = nextRunDate(runDate, rule.cadence, startDate);
+            posted++;
+        }
+
+        await setRecurringRuleNextRun(connection, rule.id, runDate);
+        await connection.commit();
+        if (posted > 0) {
+            onBalanceChanged(rule.child_name);
+            notifyAllowancePosted(rule, posted);
+        }
+        return posted;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+const notifyAllowancePosted = async (rule, posted) => {
+    try {
+        const householdId = await findHouseholdOfChild(pool, rule.child_name);
+        const amount = formatMoney(Math.round(Number(rule.amount) * 100) * posted, await getMoneyFormat(pool, householdId));
+        const payments = posted > 1 ? ` (${posted} payments)` : '';
+        sendNotification(householdId, { name: rule.child_name }, {
+            type: 'allowance_posted',
+            title: 'Allowance Posted',
+            body: `You got ${amount} for "${rule.description}"${payments}.`
+        });
+        sendNotification(householdId, { role: 'admin' }, {
+            type: 'allowance_posted',
+            title: 'Allowance Posted',
+            body: `${rule.child_name} got ${amount} for "${rule.description}"${payments}.`
+        });
+    } catch (error) {
+        console.error('Failed to notify about allowance:', error);
+    }
+};
+
+export const postDueAllowances = async () => {
+    try {
+        for (const id of await getDueRecurringRuleIds(pool, today())) {
+            const posted = await postDueAllowancesForRule(id);
+            if (posted > 0) console.log(`Posted ${posted} allowance(s) for recurring rule ${id}.`);
+        }
+    } catch (error) {
+        console.error('Failed to post recurring allowances:', error);
+    }
+};
@@ -0,0 +1,41 @@
+import { insertAuditEntry } from '../repositories/audit.js';
+import { publishTransactionEvent } from './events.js';
+
+// --- Audit Trail ---
+// Append-only log of changes to transactions and accounts: who did what, and the values before and
+// after. Rows are only ever inserted. Entries are tied to the child's user id rather than their name
+// so a child's timeline survives renames. A null actor means the server did it (e.g. allowances).
+export const TRANSACTION_AUDIT_FIELDS = ['description', 'amount', 'type', 'child_name', 'status', 'approved_by', 'bucket_id', 'transfer_id', 'recurring_rule_id', 'interest_rule_id', 'reverses_id', 'corrects_id', 'currency', 'category_id', 'tags', 'created_at'];
+
+export const pickFields = (row, fields) => Object.fromEntries(fields.map(field => [field, row[field] ?? null]));
+
+export const recordAudit = async (db, { householdId, entityType, entityId, childName = null, action, actor = null, oldValues = null, newValues = null }) => {
+    const id = await insertAuditEntry(db, { householdId, entityType, entityId, childName, action, actor, oldValues, newValues });
+    if (entityType === 'transaction') {
+        const entry = { id, household_id: householdId, entity_id: entityId, action, actor_name: actor?.name ?? null, old_values: oldValues, created_at: new Date() };
+        db.afterCommit(() => publishTransactionEvent(entry));
+    }
+};
+
+// `changes` holds the new values of an update; the old values of the same fields come from `transaction`
+export const auditTransaction = (db, action, actor, transaction, changes = null) => recordAudit(db, {
+    householdId: transaction.household_id,
+    entityType: 'transaction',
+    entityId: transaction.id,
+    childName: transaction.child_name,
+    action,
+    actor,
+    oldValues: changes && pickFields(transaction, Object.keys(changes)),
+    newValues: changes ?? pickFields(transaction, TRANSACTION_AUDIT_FIELDS)
+});
+
+export const auditUser = (db, action, actor, user, oldValues = null, newValues = null) => recordAudit(db, {
+    householdId: user.household_id,
+    entityType: 'user',
+    entityId: user.id,
+    childName: user.role === 'child' ? user.name : null,
+    action,
+    actor,
+    oldValues,
+    newValues
+});
@@ -0,0 +1,60 @@
+import { hasBuckets, insertBucketIfMissing, assignUnbucketedTransactions, listBucketsWithBalances } from '../repositories/buckets.js';
+import { insertTransaction } from './transactions.js';
+
+// --- Buckets (named sub-accounts per child) ---
+const DEFAULT_BUCKETS = [
+    { name: 'Spend', split_percent: 100 },
+    { name: 'Save', split_percent: 0 },
+    { name: 'Give', split_percent: 0 }
+];
+
+// Creates the default buckets the first time a child needs them. Anything the child
+// already had (posted before buckets existed) is moved into the first bucket.
+export const ensureBuckets = async (db, childName) => {
+    if (await hasBuckets(db, childName)) return;
+
+    for (const [index, bucket] of DEFAULT_BUCKETS.entries()) {
+        await insertBucketIfMissing(db, { child_name: childName, ...bucket, sort_order: index });
+    }
+    await assignUnbucketedTransactions(db, childName);
+};
+
+export const getBuckets = async (db, childName) => {
+    await ensureBuckets(db, childName);
+    return listBucketsWithBalances(db, childName);
+};
+
+// Returns the bucket a transaction should post to: the requested one, or the child's first bucket when
+// none was given. Returns null if the requested bucket doesn't belong to the child.
+export const resolveBucket = async (db, childName, bucketId) => {
+    const buckets = await getBuckets(db, childName);
+    if (bucketId === undefined || bucketId === null || bucketId === '') return buckets[0];
+    return buckets.find(b => b.id === Number(bucketId)) || null;
+};
+
+// Splits an amount across buckets by their split_percent. Works in cents so the parts always add
+// back up to the original amount; any rounding remainder goes to the first bucket.
+const splitAmount = (amount, buckets) => {
+    const totalCents = Math.round(Number(amount) * 100);
+    const shares = buckets.filter(b => Number(b.split_percent) > 0);
+    if (shares.length === 0) return [{ bucket: buckets[0], amount: totalCents / 100 }];
+
+    let remaining = totalCents;
+    const parts = shares.map(bucket => {
+        const cents = Math.floor(totalCents * Number(bucket.split_percent) / 100);
+        remaining -= cents;
+        return { bucket, cents };
+    });
+    parts[0].cents += remaining;
+    return parts.filter(p => p.cents > 0).map(p => ({ bucket: p.bucket, amount: p.cents / 100 }));
+};
+
+// Posts income split across the child's buckets. Returns every row that was written.
+export const insertSplitIncome = async (db, fields, actor = null) => {
+    const buckets = await getBuckets(db, fields.child_name);
+    const rows = [];
+    for (const part of splitAmount(fields.amount, buckets)) {
+        rows.push(await insertTransaction(db, { ...fields, type: 'income', amount: part.amount, bucket_id: part.bucket.id }, actor));
+    }
+    return rows;
+};
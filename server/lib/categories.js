@@ -0,0 +1,31 @@
+import { isBlank } from './validation.js';
+
+// --- Categories and Tags ---
+// Parents manage a household's categories. Every household has one default "Uncategorized" category,
+// which entries fall back to and which can't be deleted. Tags are free-form lower-case words.
+export const DEFAULT_CATEGORY_NAME = 'Uncategorized';
+const MAX_TAGS = 10;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9_-]{0,29}$/;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Tags come back from the transaction repository comma-separated (a tag can't contain a comma)
+export const withTags = (transaction) => ({ ...transaction, tags: transaction.tags ? transaction.tags.split(',') : [] });
+
+// Accepts an array or a string of words separated by spaces or commas. Returns { tags } or { error }.
+export const normalizeTags = (input) => {
+    if (input === undefined || input === null || input === '') return { tags: [] };
+    const words = Array.isArray(input) ? input : String(input).split(/[\s,;]+/);
+    const tags = [...new Set(words.map(tag => String(tag).trim().toLowerCase().replace(/^#/, '')).filter(Boolean))];
+    const invalid = tags.find(tag => !TAG_PATTERN.test(tag));
+    if (invalid) return { error: `"${invalid}" is not a valid tag. Use letters, numbers, - and _ (up to 30 characters).` };
+    if (tags.length > MAX_TAGS) return { error: `A transaction can have at most ${MAX_TAGS} tags.` };
+    return { tags };
+};
+
+export const validateCategory = ({ name, icon, color }) => {
+    if (isBlank(name)) return 'A category name is required.';
+    if (name.trim().length > 50) return 'Category names can be at most 50 characters.';
+    if (icon && [...String(icon)].length > 4) return 'The icon should be a single emoji.';
+    if (color && !COLOR_PATTERN.test(color)) return 'Colour must be a hex code like #22c55e.';
+    return null;
+};
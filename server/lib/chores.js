@@ -0,0 +1,33 @@
+import { findChoreClaimInPeriod } from '../repositories/chores.js';
+import { today, startOfWeek } from './dates.js';
+import { isAmount, isBlank } from './validation.js';
+
+// --- Chores ---
+// A household's chore catalogue. Marking a chore done creates a pending income request for its reward,
+// which parents approve or decline like any other request. Recurrence limits how often a child can
+// claim it: once ever, once a day, once a week (weeks start on Monday) or any number of times.
+// A declined or cancelled claim doesn't count, so the chore can be done again.
+const CHORE_RECURRENCES = ['anytime', 'once', 'daily', 'weekly'];
+
+// Identifies the period a claim belongs to; null when the chore can be claimed without limit
+export const chorePeriodKey = (recurrence, date = today()) => {
+    if (recurrence === 'daily') return date;
+    if (recurrence === 'weekly') return startOfWeek(date);
+    if (recurrence === 'once') return 'once';
+    return null;
+};
+
+export const validateChore = ({ name, reward, recurrence, assigned_to }) => {
+    if (isBlank(name)) return 'A chore name is required.';
+    if (!isAmount(reward)) return 'Reward must be greater than zero, with at most 2 decimal places.';
+    if (!CHORE_RECURRENCES.includes(recurrence)) return `Recurrence must be one of: ${CHORE_RECURRENCES.join(', ')}.`;
+    if (assigned_to !== undefined && !Array.isArray(assigned_to)) return 'assigned_to must be a list of children.';
+    return null;
+};
+
+// The child's claim on a chore for the current period, if it still counts (pending or approved)
+export const findActiveChoreClaim = async (db, chore, childName) => {
+    const periodKey = chorePeriodKey(chore.recurrence);
+    if (periodKey === null) return null;
+    return findChoreClaimInPeriod(db, chore.id, childName, periodKey);
+};
@@ -0,0 +1,31 @@
+// --- Date Helpers (calendar dates as 'YYYY-MM-DD' strings) ---
+const pad = (n) => String(n).padStart(2, '0');
+
+export const toDateString = (value) => {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    const date = new Date(value);
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+export const today = () => toDateString(new Date());
+
+export const addDays = (dateString, days) => {
+    const [y, m, d] = dateString.split('-').map(Number);
+    const date = new Date(Date.UTC(y, m - 1, d + days));
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+};
+
+// Adds months while keeping the original day of month where possible (Jan 31 -> Feb 28 -> Mar 31).
+export const addMonths = (dateString, months, anchorDay) => {
+    const [y, m] = dateString.split('-').map(Number);
+    const first = new Date(Date.UTC(y, m - 1 + months, 1));
+    const lastDay = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+    return `${first.getUTCFullYear()}-${pad(first.getUTCMonth() + 1)}-${pad(Math.min(anchorDay, lastDay))}`;
+};
+
+// The Monday on or before a date; weeks (chore claims, spending caps, digests) start on Monday
+export const startOfWeek = (dateString) => {
+    const [y, m, d] = dateString.split('-').map(Number);
+    const weekday = new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+    return addDays(dateString, -((weekday + 6) % 7));
+};
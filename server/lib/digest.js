@@ -0,0 +1,47 @@
+import { pool } from '../pool.js';
+import { getWeekTotals } from '../repositories/balances.js';
+import { listDigestRecipients, claimDigest } from '../repositories/notifications.js';
+import { getHouseholdChildNames } from '../repositories/users.js';
+import { today, addDays, startOfWeek } from './dates.js';
+import { formatMoney, getMoneyFormat } from './money.js';
+import { isQuietTime, sendNotification } from './notifications.js';
+
+// --- Weekly Digest ---
+// Each user with the digest turned on gets one summary of the previous Monday–Sunday week: parents for
+// every child, children for themselves. The hourly check sends it on the first run outside the user's
+// quiet hours, and notification_digests makes sure it goes out once.
+const buildDigest = async (user, weekStart, weekEnd) => {
+    const childNames = user.role === 'admin' ? await getHouseholdChildNames(pool, user.household_id) : [user.name];
+    if (childNames.length === 0) return null;
+    const rows = await getWeekTotals(pool, childNames, weekStart, weekEnd);
+    const money = await getMoneyFormat(pool, user.household_id);
+    const byChild = Object.fromEntries(rows.map(row => [row.child_name, row]));
+    const lines = childNames.map(name => {
+        const row = byChild[name] || { income_cents: 0, expense_cents: 0, balance_cents: 0 };
+        const week = `${formatMoney(Number(row.income_cents), money)} in, ${formatMoney(Number(row.expense_cents), money)} out`;
+        const balance = formatMoney(Number(row.balance_cents), money);
+        return user.role === 'admin' ? `${name}: ${week}, balance ${balance}` : `Last week: ${week}. Balance: ${balance}.`;
+    });
+    const pending = rows.reduce((sum, row) => sum + Number(row.pending_count), 0);
+    if (user.role === 'admin' && pending > 0) {
+        lines.push(`${pending} request${pending === 1 ? '' : 's'} waiting for approval.`);
+    }
+    return lines.join('\n');
+};
+
+export const sendWeeklyDigests = async () => {
+    try {
+        const weekEnd = startOfWeek(today());
+        const weekStart = addDays(weekEnd, -7);
+        const users = await listDigestRecipients(pool, weekStart);
+        for (const user of users) {
+            if (isQuietTime(user)) continue;
+            if (!await claimDigest(pool, user.id, weekStart)) continue;
+            const body = await buildDigest(user, weekStart, weekEnd);
+            if (!body) continue;
+            sendNotification(user.household_id, { name: user.name }, { type: 'weekly_digest', title: 'Your Week in Money', body });
+        }
+    } catch (error) {
+        console.error('Failed to send weekly digests:', error);
+    }
+};
@@ -0,0 +1,86 @@
+import { setImmediate } from 'node:timers';
+import { pool } from '../pool.js';
+import { listTransactionEntriesSince } from '../repositories/audit.js';
+import { findTransactionDetails } from '../repositories/transactions.js';
+import { withTags } from './categories.js';
+
+// --- Live Updates (server-sent events) ---
+// Every change to a transaction is written to audit_log, and the write path hands the new entry to
+// the connected clients as soon as it commits (recordAudit → publishTransactionEvent), so nothing
+// polls the database and nothing at all happens while no one is listening. Each entry goes to the
+// household's parents and to the child it belongs to, together with the transaction as it is now.
+// A `transaction` event carries the row as it is now; a `removed` event says which row is gone.
+// Entry ids are the event ids: a client that reconnects with the last id it saw is replayed what it
+// missed from audit_log.
+//
+// audit_log is kept for good: it is the household's permanent history, and migration 010's triggers
+// refuse to update or delete it. If an operator archives old entries anyway, a client whose last id
+// is older than the oldest entry left is told to resync instead of being replayed a gap.
+export const EVENT_HEARTBEAT_INTERVAL_MS = 25000;
+// A client further behind than this reloads everything instead of replaying
+export const EVENT_REPLAY_LIMIT = 500;
+export const eventClients = new Set();
+let queuedEvents = [];
+
+const canSeeEvent = (user, event) =>
+    event.household_id === user.household_id && (user.role === 'admin' || event.transaction.child_name === user.name);
+
+export const writeEvent = (res, id, name, data) => res.write(`id: ${id}\nevent: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+
+// Attaches the current rows to audit entries. A cancelled request's row is gone, so its entry becomes
+// a removal, with the id and status it had taken from the entry's old values. Other entries whose
+// transaction is gone are dropped.
+const withEventTransactions = async (entries) => {
+    if (entries.length === 0) return [];
+    const rows = await findTransactionDetails(pool, [...new Set(entries.map(e => e.entity_id))]);
+    const transactions = Object.fromEntries(rows.map(row => [row.id, withTags(row)]));
+    return entries.flatMap(entry => {
+        if (transactions[entry.entity_id]) return [{ ...entry, transaction: transactions[entry.entity_id] }];
+        if (!entry.old_values) return [];
+        const { child_name, status } = entry.old_values;
+        return [{ ...entry, removed: true, transaction: { id: entry.entity_id, child_name, status } }];
+    });
+};
+
+// One household's transaction entries after `sinceId`, oldest first, for replaying to a client
+export const loadTransactionEvents = async (sinceId, householdId, limit) => {
+    return withEventTransactions(await listTransactionEntriesSince(pool, sinceId, householdId, limit));
+};
+
+// A client that is still being replayed its missed events holds live ones back until that's done,
+// and skips any the replay already covered
+export const sendEvents = (client, events) => {
+    if (client.held) {
+        client.held.push(...events);
+        return;
+    }
+    events.forEach(event => {
+        if (client.replayed.has(event.id)) return;
+        client.lastEventId = Math.max(client.lastEventId, event.id);
+        if (!canSeeEvent(client.user, event)) return;
+        writeEvent(client.res, event.id, event.removed ? 'removed' : 'transaction', {
+            action: event.action,
+            actor_name: event.actor_name,
+            created_at: event.created_at,
+            transaction: event.transaction
+        });
+    });
+};
+
+// Called once an audit entry for a transaction has committed. Entries committed together (a split,
+// a transfer, an import) are sent together, with their transactions loaded in one query.
+export const publishTransactionEvent = (entry) => {
+    if (eventClients.size === 0) return;
+    queuedEvents.push(entry);
+    if (queuedEvents.length > 1) return;
+    setImmediate(async () => {
+        const entries = queuedEvents;
+        queuedEvents = [];
+        try {
+            const events = await withEventTransactions(entries);
+            eventClients.forEach(client => sendEvents(client, events));
+        } catch (error) {
+            console.error('Failed to send transaction events:', error);
+        }
+    });
+};
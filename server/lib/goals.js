@@ -0,0 +1,113 @@
+import { pool } from '../pool.js';
+import { getApprovedBalanceCents } from '../repositories/balances.js';
+import { listActiveGoals, findHouseholdGoal, getSetAsideTotal, finishGoal } from '../repositories/goals.js';
+import { setLowBalanceAlerted } from '../repositories/policies.js';
+import { findHouseholdOfChild } from '../repositories/users.js';
+import { formatMoney, getMoneyFormat } from './money.js';
+import { sendNotification } from './notifications.js';
+import { getSpendingPolicy } from './policies.js';
+import { isBlank } from './validation.js';
+
+// --- Savings Goals ---
+const GOAL_FUNDING = ['balance', 'set_aside'];
+
+// Approved balance not yet committed to an active set-aside goal
+export const getAvailableToSetAside = async (childName) => {
+    const balance = await getApprovedBalanceCents(pool, childName) / 100;
+    return balance - await getSetAsideTotal(pool, childName);
+};
+
+// Attaches `saved` and `progress` to each goal. Set-aside goals count only what was moved into them;
+// balance goals share whatever part of the approved balance hasn't been set aside for other goals.
+export const withGoalProgress = async (goals) => {
+    const children = [...new Set(goals.map(g => g.child_name))];
+    const available = {};
+    for (const childName of children) {
+        available[childName] = Math.max(0, await getAvailableToSetAside(childName));
+    }
+    return goals.map(goal => {
+        const saved = goal.funding === 'set_aside' ? Number(goal.set_aside_amount) : available[goal.child_name];
+        const target = Number(goal.target_amount);
+        return { ...goal, saved, progress: target > 0 ? Math.min(1, saved / target) : 0 };
+    });
+};
+
+const notifyGoalStatus = async (goal, status, actorName) => {
+    const verb = status === 'reached' ? 'reached' : 'abandoned';
+    const householdId = await findHouseholdOfChild(pool, goal.child_name);
+    const target = formatMoney(Math.round(Number(goal.target_amount) * 100), await getMoneyFormat(pool, householdId));
+    sendNotification(householdId, { role: 'admin' }, {
+        title: status === 'reached' ? 'Savings Goal Reached' : 'Savings Goal Abandoned',
+        body: `${goal.child_name} ${verb} the goal "${goal.name}" (${target})${actorName ? ` (marked by ${actorName})` : ''}.`
+    });
+};
+
+export const setGoalStatus = async (goal, status, actorName) => {
+    const finished = await finishGoal(pool, goal.id, status);
+    if (finished) notifyGoalStatus(goal, status, actorName);
+    return finished;
+};
+
+// Marks any active goal whose progress has hit its target as reached. Called after money lands in a child's balance.
+const checkGoalsReached = async (childName) => {
+    try {
+        for (const goal of await withGoalProgress(await listActiveGoals(pool, childName))) {
+            if (goal.progress >= 1) await setGoalStatus(goal, 'reached', null);
+        }
+    } catch (error) {
+        console.error('Failed to check savings goals:', error);
+    }
+};
+
+// --- Low Balance Alerts ---
+// Parents set a per-child threshold on the spending policy. The alert goes out once when the approved
+// balance drops below it; the flag is cleared when the balance recovers so the next drop alerts again.
+export const checkLowBalance = async (childName) => {
+    try {
+        const policy = await getSpendingPolicy(pool, childName);
+        if (policy.low_balance_below === null) return;
+        const balanceCents = await getApprovedBalanceCents(pool, childName);
+        const thresholdCents = Math.round(policy.low_balance_below * 100);
+        const below = balanceCents < thresholdCents;
+        // Only the update that flips the flag sends the alert, so concurrent checks can't both send it
+        const flipped = await setLowBalanceAlerted(pool, childName, below);
+        if (!below || !flipped) return;
+
+        const householdId = await findHouseholdOfChild(pool, childName);
+        const money = await getMoneyFormat(pool, householdId);
+        const balance = formatMoney(balanceCents, money);
+        sendNotification(householdId, { name: childName }, {
+            type: 'low_balance',
+            title: 'Low Balance',
+            body: `Your balance is down to ${balance}.`
+        });
+        sendNotification(householdId, { role: 'admin' }, {
+            type: 'low_balance',
+            title: 'Low Balance',
+            body: `${childName}'s balance is down to ${balance} (alert below ${formatMoney(thresholdCents, money)}).`
+        });
+    } catch (error) {
+        console.error('Failed to check low balance:', error);
+    }
+};
+
+// Runs everything that depends on a child's approved balance. Called after money lands in or leaves it.
+export const onBalanceChanged = (childName) => {
+    checkGoalsReached(childName);
+    checkLowBalance(childName);
+};
+
+export const validateGoal = ({ name, target_amount, deadline, funding }) => {
+    if (isBlank(name)) return 'A goal name is required.';
+    if (!(Number(target_amount) > 0)) return 'Target amount must be greater than zero.';
+    if (deadline && !/^\d{4}-\d{2}-\d{2}$/.test(deadline)) return 'Deadline must be in YYYY-MM-DD format.';
+    if (funding && !GOAL_FUNDING.includes(funding)) return `Funding must be one of: ${GOAL_FUNDING.join(', ')}.`;
+    return null;
+};
+
+// Loads a goal and checks the user may act on it: admins can manage any goal in their household, children only their own.
+export const findGoalForUser = async (id, user) => {
+    const goal = await findHouseholdGoal(pool, id, user.household_id);
+    if (!goal || (user.role !== 'admin' && goal.child_name !== user.name)) return null;
+    return goal;
+};
@@ -0,0 +1,135 @@
+import { pool } from '../pool.js';
+import { getInterestBasisCents } from '../repositories/balances.js';
+import { lockInterestRule, getDueInterestRuleIds, setInterestRulePeriod, insertInterestPayout, setPayoutTransaction } from '../repositories/interest.js';
+import { CADENCES, nextRunDate } from './allowances.js';
+import { resolveBucket } from './buckets.js';
+import { toDateString, today, addDays } from './dates.js';
+import { onBalanceChanged } from './goals.js';
+import { formatMoney, getChildMoneyFormat } from './money.js';
+import { insertTransaction } from './transactions.js';
+
+// --- Interest and Parent Matching ---
+// Per-child rules that pay out once per period (same cadences as allowances):
+//   interest: rate_percent of the approved balance at the end of the period, so earlier payouts compound
+//   match:    rate_percent of the money deposited during the period
+// Either can be capped per period and limited to one bucket (the payout then goes to that bucket).
+const INTEREST_KINDS = ['interest', 'match'];
+
+export const validateInterestRule = ({ child_name, kind, rate_percent, cap_amount, cadence, start_date }) => {
+    if (!child_name) return 'A child is required.';
+    if (!INTEREST_KINDS.includes(kind)) return `Kind must be one of: ${INTEREST_KINDS.join(', ')}.`;
+    if (!(Number(rate_percent) > 0) || Number(rate_percent) > 100) return 'Rate must be more than 0 and at most 100 percent.';
+    if (cap_amount !== null && cap_amount !== undefined && cap_amount !== '' && !(Number(cap_amount) > 0)) return 'Cap must be greater than zero (or left empty).';
+    if (!CADENCES.includes(cadence)) return `Cadence must be one of: ${CADENCES.join(', ')}.`;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(start_date || '')) return 'Start date must be in YYYY-MM-DD format.';
+    return null;
+};
+
+// The schedule period containing `date`, as [periodStart, periodEnd)
+export const periodContaining = (startDate, cadence, date) => {
+    let periodStart = startDate;
+    let periodEnd = nextRunDate(startDate, cadence, startDate);
+    while (periodEnd <= date) {
+        periodStart = periodEnd;
+        periodEnd = nextRunDate(periodEnd, cadence, startDate);
+    }
+    return { periodStart, periodEnd };
+};
+
+// Works out one period's payout for a rule. Periods run from periodStart up to (not including) periodEnd.
+export const calculateInterest = async (db, rule, periodStart, periodEnd) => {
+    const cents = await getInterestBasisCents(db, rule, periodStart, periodEnd);
+    const money = await getChildMoneyFormat(db, rule.child_name);
+
+    // No negative interest on an overdrawn balance
+    const basisCents = Math.max(cents, 0);
+    const uncappedCents = Math.round(basisCents * Number(rule.rate_percent) / 100);
+    const capCents = rule.cap_amount === null ? null : Math.round(Number(rule.cap_amount) * 100);
+    const amountCents = capCents === null ? uncappedCents : Math.min(uncappedCents, capCents);
+
+    const rate = `${Number(rule.rate_percent)}%`;
+    const lastDay = addDays(periodEnd, -1);
+    const description = rule.kind === 'match'
+        ? `Parent match: ${rate} of ${formatMoney(basisCents, money)} deposited ${periodStart} to ${lastDay}`
+        : `Interest: ${rate} on ${formatMoney(basisCents, money)} balance at ${lastDay}`;
+    return {
+        period_start: periodStart,
+        period_end: periodEnd,
+        basis_cents: basisCents,
+        amount_cents: amountCents,
+        capped: amountCents < uncappedCents,
+        description: amountCents < uncappedCents ? `${description} (capped at ${formatMoney(capCents, money)})` : description
+    };
+};
+
+// Pays every finished period for a rule. As with allowances the rule row is locked while it runs,
+// and each period is also recorded in interest_payouts (unique per rule and period), so a period
+// can never be paid twice even if two servers run the job at once.
+export const postDueInterestForRule = async (ruleId) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const rule = await lockInterestRule(connection, ruleId);
+        if (!rule || rule.paused) {
+            await connection.commit();
+            return 0;
+        }
+
+        const startDate = toDateString(rule.start_date);
+        let periodStart = toDateString(rule.period_start);
+        let periodEnd = toDateString(rule.next_run_date);
+        const currentDate = today();
+        let posted = 0;
+
+        while (periodEnd <= currentDate) {
+            const payout = await calculateInterest(connection, rule, periodStart, periodEnd);
+            const payoutId = await insertInterestPayout(connection, {
+                rule_id: rule.id,
+                period_start: periodStart,
+                period_end: periodEnd,
+                basis_amount: payout.basis_cents / 100,
+                amount: payout.amount_cents / 100
+            });
+            if (payoutId !== null && payout.amount_cents > 0) {
+                // Dated at the end of its period so it counts towards the next period's balance
+                const bucket = await resolveBucket(connection, rule.child_name, rule.bucket_id) || await resolveBucket(connection, rule.child_name, null);
+                const transaction = await insertTransaction(connection, {
+                    description: payout.description,
+                    amount: payout.amount_cents / 100,
+                    type: 'income',
+                    child_name: rule.child_name,
+                    status: 'approved',
+                    approved_by: rule.created_by,
+                    bucket_id: bucket.id,
+                    interest_rule_id: rule.id,
+                    created_at: `${periodEnd} 00:00:00`
+                });
+                await setPayoutTransaction(connection, payoutId, transaction.id);
+                posted++;
+            }
+            periodStart = periodEnd;
+            periodEnd = nextRunDate(periodEnd, rule.cadence, startDate);
+        }
+
+        await setInterestRulePeriod(connection, rule.id, periodStart, periodEnd);
+        await connection.commit();
+        if (posted > 0) onBalanceChanged(rule.child_name);
+        return posted;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+export const postDueInterest = async () => {
+    try {
+        for (const id of await getDueInterestRuleIds(pool, today())) {
+            const posted = await postDueInterestForRule(id);
+            if (posted > 0) console.log(`Posted ${posted} interest payout(s) for interest rule ${id}.`);
+        }
+    } catch (error) {
+        console.error('Failed to post interest:', error);
+    }
+};
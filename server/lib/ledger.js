@@ -0,0 +1,148 @@
+import { normalizeTags } from './categories.js';
+import { toDateString } from './dates.js';
+import { CURRENCY_CODES } from './money.js';
+import { TRANSACTION_STATUSES, TRANSACTION_TYPES } from './transactions.js';
+
+// --- Ledger Export / Import ---
+export const LEDGER_COLUMNS = ['id', 'date', 'child_name', 'bucket', 'type', 'amount', 'currency', 'description', 'category', 'tags', 'status', 'approved_by'];
+export const MAX_IMPORT_ROWS = 5000;
+// Ledger files may be large, so the import route reads its body with a higher limit than the default
+export const IMPORT_BODY_LIMIT = '5mb';
+
+export const toLedgerRow = (t) => ({
+    id: t.id,
+    date: new Date(t.created_at).toISOString(),
+    child_name: t.child_name,
+    bucket: t.bucket_name,
+    type: t.type,
+    amount: Number(t.amount).toFixed(2),
+    currency: t.currency,
+    description: t.description,
+    category: t.category_name,
+    tags: t.tags ? t.tags.split(',').join(' ') : '',
+    status: t.status,
+    approved_by: t.approved_by
+});
+
+export const csvEscape = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    // Stop spreadsheets from treating text cells as formulas
+    if (/^[=+\-@]/.test(text) && Number.isNaN(Number(text))) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Minimal RFC 4180 parser: quoted fields, doubled quotes and CRLF/LF line endings.
+// Returns an array of objects keyed by the (lower-cased) header row.
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else field += char;
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(r => r.some(cell => cell.trim() !== ''));
+    if (nonEmpty.length === 0) return [];
+    const header = nonEmpty[0].map(h => h.trim().toLowerCase());
+    return nonEmpty.slice(1).map(cells => Object.fromEntries(header.map((key, i) => [key, (cells[i] ?? '').trim()])));
+};
+
+// A plain YYYY-MM-DD is a calendar day in the server's time zone, the same way created_at is stored
+// and toDateString reads it back. (new Date('YYYY-MM-DD') would be UTC midnight, which is the previous
+// day west of Greenwich.) Anything else, like the ISO timestamps in an export, is an exact moment.
+const parseLedgerDate = (value) => {
+    const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+    if (!day) return new Date(value);
+    const [year, month, date] = day.slice(1).map(Number);
+    const parsed = new Date(year, month - 1, date);
+    // Reject days that don't exist instead of letting 2024-02-31 roll over into March
+    return parsed.getMonth() === month - 1 && parsed.getDate() === date ? parsed : new Date(NaN);
+};
+
+// Checks one imported row. Returns { errors } or { value } with the fields ready for insertTransaction.
+export const validateImportRow = (row, childBuckets, categories) => {
+    const errors = [];
+    const childName = row.child_name;
+    const buckets = childBuckets[childName];
+    if (!childName) errors.push('child_name is required');
+    else if (!buckets) errors.push(`unknown child "${childName}"`);
+
+    if (!TRANSACTION_TYPES.includes(row.type)) errors.push(`type must be one of: ${TRANSACTION_TYPES.join(', ')}`);
+
+    const amount = Number(row.amount);
+    if (!(amount > 0)) errors.push('amount must be a positive number');
+    else if (!/^\d+(\.\d{1,2})?$/.test(String(row.amount).trim())) errors.push('amount must be a plain number with at most 2 decimal places');
+
+    if (!row.description || !String(row.description).trim()) errors.push('description is required');
+
+    // Rows without a category go to the household's default one
+    let category = null;
+    if (row.category) {
+        category = categories.find(c => c.name.toLowerCase() === String(row.category).toLowerCase());
+        if (!category) errors.push(`unknown category "${row.category}"`);
+    }
+    const { tags, error: tagError } = normalizeTags(row.tags);
+    if (tagError) errors.push(tagError);
+
+    // Rows without a currency are in the household's currency
+    const currency = row.currency ? String(row.currency).toUpperCase() : null;
+    if (currency && !CURRENCY_CODES.has(currency)) errors.push(`unknown currency "${row.currency}"`);
+
+    const status = row.status || 'approved';
+    if (!TRANSACTION_STATUSES.includes(status)) errors.push(`status must be one of: ${TRANSACTION_STATUSES.join(', ')}`);
+
+    const date = row.date ? parseLedgerDate(row.date) : null;
+    if (!row.date || Number.isNaN(date.getTime())) errors.push('date must be a valid date (YYYY-MM-DD)');
+    else if (date > new Date()) errors.push('date cannot be in the future');
+
+    let bucket = buckets?.[0];
+    if (buckets && row.bucket) {
+        bucket = buckets.find(b => b.name.toLowerCase() === String(row.bucket).toLowerCase());
+        if (!bucket) errors.push(`unknown bucket "${row.bucket}" for ${childName}`);
+    }
+
+    if (errors.length > 0) return { errors };
+    return {
+        value: {
+            child_name: childName,
+            type: row.type,
+            amount: amount.toFixed(2),
+            description: String(row.description).trim(),
+            status,
+            approved_by: row.approved_by || null,
+            bucket_id: bucket.id,
+            currency,
+            category_id: category?.id ?? null,
+            tags,
+            created_at: date
+        }
+    };
+};
+
+// Rows are treated as duplicates when child, day, type, amount and description all match
+export const duplicateKey = ({ child_name, created_at, type, amount, description }) =>
+    [child_name, toDateString(created_at), type, Number(amount).toFixed(2), description.toLowerCase()].join('|');
@@ -0,0 +1,62 @@
+import { findHousehold, findChildHousehold, listExchangeRates } from '../repositories/households.js';
+import { getForeignBalanceRows } from '../repositories/balances.js';
+
+// --- Currencies ---
+// Each household has a default currency and an optional locale (e.g. 'en-GB') used to format amounts
+// in push notifications and generated descriptions. Exchange rates are entered by hand so the app
+// works offline; a rate is how much of the household currency one unit of the other currency is worth.
+export const CURRENCY_CODES = new Set(Intl.supportedValuesOf('currency'));
+const DEFAULT_LOCALE = 'en-US';
+
+export const isValidLocale = (locale) => {
+    try {
+        return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0;
+    } catch {
+        return false;
+    }
+};
+
+export const formatMoney = (cents, { currency, locale }) =>
+    new Intl.NumberFormat(locale || DEFAULT_LOCALE, { style: 'currency', currency }).format(cents / 100);
+
+export const getMoneyFormat = async (db, householdId) => {
+    const household = await findHousehold(db, householdId);
+    return { currency: household?.currency ?? 'USD', locale: household?.locale ?? null };
+};
+
+export const getChildMoneyFormat = async (db, childName) => {
+    const household = await findChildHousehold(db, childName);
+    return { currency: household?.currency ?? 'USD', locale: household?.locale ?? null };
+};
+
+export const getExchangeRates = async (db, householdId) => {
+    const rows = await listExchangeRates(db, householdId);
+    return rows.map(row => ({ ...row, rate: Number(row.rate) }));
+};
+
+// Approved balances in currencies other than the household's, per child. Each one is also converted
+// to the household currency when a rate has been entered (converted_cents is null otherwise).
+export const getForeignBalances = async (db, childNames, householdId) => {
+    const rows = await getForeignBalanceRows(db, childNames);
+    const rates = Object.fromEntries((await getExchangeRates(db, householdId)).map(r => [r.currency, r.rate]));
+    return rows.map(row => ({
+        ...row,
+        converted_cents: rates[row.currency] === undefined ? null : Math.round(row.balance_cents * rates[row.currency])
+    }));
+};
+
+// Adds up foreign balances by currency; converted_total_cents includes only the ones with a rate
+export const summarizeCurrencies = (homeCents, foreign) => {
+    const byCurrency = {};
+    for (const row of foreign) {
+        const entry = byCurrency[row.currency] ?? { currency: row.currency, balance_cents: 0, converted_cents: 0 };
+        entry.balance_cents += row.balance_cents;
+        entry.converted_cents = row.converted_cents === null ? null : entry.converted_cents + row.converted_cents;
+        byCurrency[row.currency] = entry;
+    }
+    const otherCurrencies = Object.values(byCurrency);
+    return {
+        other_currencies: otherCurrencies,
+        converted_total_cents: otherCurrencies.reduce((sum, entry) => sum + (entry.converted_cents ?? 0), homeCents)
+    };
+};
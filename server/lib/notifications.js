@@ -0,0 +1,111 @@
+import process from 'node:process';
+import jwt from 'jsonwebtoken';
+import webpush from 'web-push';
+import { createHash } from 'node:crypto';
+import { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, JWT_SECRET } from '../config.js';
+import { pool } from '../pool.js';
+import { findPushRecipients, markSubscriptionUsed, deleteSubscription, recordSubscriptionFailure, findNotificationPreferences } from '../repositories/notifications.js';
+
+// Setup web-push
+webpush.setVapidDetails(
+  process.env.VAPID_MAILTO,
+  VAPID_PUBLIC_KEY,
+  VAPID_PRIVATE_KEY
+);
+
+// --- Helper Function to Send Notifications ---
+// Only devices of active members of the given household are notified, and `to` narrows that down:
+// { role: 'admin' } for the parents, or { name } for one person (e.g. the child a request belongs to).
+// Notifications about a transaction carry its id so the app can open it. With `approvable`, parents
+// also get Approve/Decline buttons; each device receives a token that allows only that decision.
+// A `type` (one of NOTIFICATION_TYPES) lets each recipient opt out of it. Typed notifications that
+// fall in a recipient's quiet hours are discarded, not sent later; the app still shows what happened.
+// Notifications without a type (e.g. savings goals) always go out.
+const PUSH_ACTION_TTL = '7d';
+export const NOTIFICATION_TYPES = ['new_request', 'approval_result', 'allowance_posted', 'low_balance', 'weekly_digest'];
+export const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+// Devices that keep failing for reasons other than being gone are dropped after this many attempts in a row
+const MAX_PUSH_FAILURES = 5;
+
+const signPushActionToken = (userId, transactionId) =>
+    jwt.sign({ purpose: 'push_action', user_id: userId, transaction_id: transactionId }, JWT_SECRET, { expiresIn: PUSH_ACTION_TTL });
+
+export const hashEndpoint = (endpoint) => createHash('sha256').update(endpoint).digest('hex');
+
+export const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// Whether `now` falls inside the user's quiet hours, compared as 'HH:MM' in their own time zone.
+// A window whose end is before its start wraps past midnight (e.g. 21:00–07:00).
+export const isQuietTime = (prefs, now = new Date()) => {
+    if (!prefs.quiet_start || !prefs.quiet_end) return false;
+    const timeZone = prefs.timezone && isValidTimeZone(prefs.timezone) ? prefs.timezone : undefined;
+    const time = new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(now);
+    const start = prefs.quiet_start.slice(0, 5);
+    const end = prefs.quiet_end.slice(0, 5);
+    return start <= end ? time >= start && time < end : time >= start || time < end;
+};
+
+const recordPushResult = (endpointHash, error) => {
+    let query;
+    if (!error) {
+        query = markSubscriptionUsed(pool, endpointHash);
+    } else if (error.statusCode === 404 || error.statusCode === 410) {
+        // The push service no longer knows this device (unsubscribed, uninstalled or expired)
+        console.log('Subscription has expired or is invalid. Deleting from DB.');
+        query = deleteSubscription(pool, endpointHash);
+    } else {
+        console.error('Error sending notification:', error);
+        query = recordSubscriptionFailure(pool, endpointHash, MAX_PUSH_FAILURES);
+    }
+    query.catch(dbError => console.error('Failed to update subscription:', dbError));
+};
+
+export const sendNotification = async (householdId, to, { type = null, title, body, transactionId = null, approvable = false }) => {
+    try {
+        // The type names a column, so it must come from the fixed list, never from the caller's input
+        if (type && !NOTIFICATION_TYPES.includes(type)) throw new Error(`Unknown notification type: ${type}`);
+        const subscriptions = await findPushRecipients(pool, householdId, to, type);
+
+        subscriptions.forEach(s => {
+            // Dropped for good; there is no queue to send it from when quiet hours end
+            if (type && isQuietTime(s)) return;
+            const subscriptionObject = JSON.parse(s.subscription);
+            const withActions = approvable && transactionId && s.role === 'admin';
+            const payload = JSON.stringify({
+                title,
+                body,
+                // Replaces older notifications about the same transaction on the device
+                tag: transactionId ? `transaction-${transactionId}` : type || undefined,
+                data: {
+                    transaction_id: transactionId,
+                    action_token: withActions ? signPushActionToken(s.user_id, transactionId) : undefined
+                },
+                actions: withActions ? [{ action: 'approve', title: 'Approve' }, { action: 'decline', title: 'Decline' }] : []
+            });
+            webpush.sendNotification(subscriptionObject, payload)
+                .then(() => recordPushResult(s.endpoint_hash, null))
+                .catch(error => recordPushResult(s.endpoint_hash, error));
+        });
+    } catch (error) {
+        console.error('Failed to send notifications:', error);
+    }
+};
+
+export const getNotificationPreferences = async (userId) => {
+    const row = await findNotificationPreferences(pool, userId);
+    const prefs = {};
+    NOTIFICATION_TYPES.forEach(type => {
+        prefs[type] = row ? Boolean(row[type]) : true;
+    });
+    prefs.quiet_start = row?.quiet_start ? row.quiet_start.slice(0, 5) : null;
+    prefs.quiet_end = row?.quiet_end ? row.quiet_end.slice(0, 5) : null;
+    prefs.timezone = row?.timezone ?? null;
+    return prefs;
+};
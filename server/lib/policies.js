@@ -0,0 +1,67 @@
+import { getSpendingSinceCents, getPendingExpenseCents, getAvailableInCurrencyCents } from '../repositories/balances.js';
+import { findSpendingPolicy } from '../repositories/policies.js';
+import { today, startOfWeek } from './dates.js';
+import { formatMoney } from './money.js';
+
+// --- Spending Policies ---
+// Per-child limits on the child's own expense requests; entries made by parents are never limited.
+// A child without a saved policy gets the default: no limits except that they can't overspend.
+export const AUTO_APPROVER = 'auto-approval';
+export const POLICY_LIMIT_FIELDS = ['max_single_expense', 'weekly_spending_cap', 'auto_approve_below', 'low_balance_below'];
+export const DEFAULT_POLICY = { max_single_expense: null, weekly_spending_cap: null, no_overdraft: true, auto_approve_below: null, low_balance_below: null };
+
+export const getSpendingPolicy = async (db, childName) => {
+    const row = await findSpendingPolicy(db, childName);
+    if (!row) return { child_name: childName, ...DEFAULT_POLICY };
+    const policy = { child_name: childName, no_overdraft: Boolean(row.no_overdraft) };
+    POLICY_LIMIT_FIELDS.forEach(field => {
+        policy[field] = row[field] === null ? null : Number(row[field]);
+    });
+    return policy;
+};
+
+// Spending since Monday: approved and pending expenses, not counting moves between buckets or reversals
+export const getWeeklySpendingCents = (db, childName, excludeId = 0) =>
+    getSpendingSinceCents(db, childName, startOfWeek(today()), excludeId);
+
+// Checks a child's expense request against their policy. Returns the message to show them, or null.
+// `money` is the household's currency format; `currency` is only set for spending in another currency.
+// `excludeId` leaves out the request being edited so it isn't counted twice.
+export const checkSpendingPolicy = async (db, policy, { amount, bucket, money, currency = null }, excludeId = 0) => {
+    const cents = Math.round(Number(amount) * 100);
+    const toCents = (amount) => Math.round(amount * 100);
+
+    // Limits are set in the household currency, so other currencies only get the overdraft check
+    // (and always go to a parent, see isAutoApproved)
+    if (currency) {
+        if (!policy.no_overdraft) return null;
+        const available = await getAvailableInCurrencyCents(db, bucket.id, currency, excludeId);
+        if (cents > available) {
+            return `You only have ${formatMoney(Math.max(available, 0), { ...money, currency })} to spend in ${bucket.name}.`;
+        }
+        return null;
+    }
+
+    if (policy.max_single_expense !== null && cents > toCents(policy.max_single_expense)) {
+        return `The most you can spend at once is ${formatMoney(toCents(policy.max_single_expense), money)}.`;
+    }
+    if (policy.weekly_spending_cap !== null) {
+        const capCents = toCents(policy.weekly_spending_cap);
+        const spentCents = await getWeeklySpendingCents(db, policy.child_name, excludeId);
+        if (spentCents + cents > capCents) {
+            return `That would go over your weekly limit of ${formatMoney(capCents, money)}. You have ${formatMoney(Math.max(capCents - spentCents, 0), money)} left this week.`;
+        }
+    }
+    if (policy.no_overdraft) {
+        // Money already asked for in other pending requests is held back as well
+        const pending = await getPendingExpenseCents(db, bucket.id, excludeId);
+        const availableCents = Number(bucket.balance_cents) - pending;
+        if (cents > availableCents) {
+            return `You only have ${formatMoney(Math.max(availableCents, 0), money)} to spend in ${bucket.name}.`;
+        }
+    }
+    return null;
+};
+
+export const isAutoApproved = (policy, amount, currency = null) =>
+    !currency && policy.auto_approve_below !== null && Math.round(Number(amount) * 100) < Math.round(policy.auto_approve_below * 100);
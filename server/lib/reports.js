@@ -0,0 +1,49 @@
+import { getApprovedBalanceBefore, getMonthlyTotals, getCategoryTotals } from '../repositories/balances.js';
+import { addMonths } from './dates.js';
+
+// --- Reports ---
+// Monthly figures for one child, aggregated in SQL. Months are 'YYYY-MM' keys; like the summary,
+// transfers between buckets are not income or expense, and only the household currency is counted.
+export const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+export const DEFAULT_REPORT_MONTHS = 12;
+export const MAX_REPORT_MONTHS = 60;
+
+export const shiftMonth = (monthKey, months) => addMonths(`${monthKey}-01`, months, 1).slice(0, 7);
+
+export const monthsBetween = (from, to) => {
+    const months = [];
+    for (let month = from; month <= to; month = shiftMonth(month, 1)) months.push(month);
+    return months;
+};
+
+// Share of income that wasn't spent, or null for a month without income
+const savingsRate = (incomeCents, expenseCents) =>
+    incomeCents > 0 ? Math.round((incomeCents - expenseCents) / incomeCents * 1000) / 1000 : null;
+
+export const buildReport = async (db, childName, from, to) => {
+    const start = `${from}-01`;
+    const end = `${shiftMonth(to, 1)}-01`;
+    const openingCents = await getApprovedBalanceBefore(db, childName, start);
+    const rows = await getMonthlyTotals(db, childName, start, end);
+    const categories = await getCategoryTotals(db, [childName], start, end);
+
+    let balanceCents = openingCents;
+    const months = monthsBetween(from, to).map(month => {
+        const row = rows.find(r => r.month === month);
+        const income = Number(row?.income_cents ?? 0);
+        const expense = Number(row?.expense_cents ?? 0);
+        balanceCents += Number(row?.net_cents ?? 0);
+        return { month, income_cents: income, expense_cents: expense, balance_cents: balanceCents, savings_rate: savingsRate(income, expense) };
+    });
+    const incomeCents = months.reduce((sum, m) => sum + m.income_cents, 0);
+    const expenseCents = months.reduce((sum, m) => sum + m.expense_cents, 0);
+    return {
+        child_name: childName,
+        from,
+        to,
+        opening_balance_cents: openingCents,
+        totals: { income_cents: incomeCents, expense_cents: expenseCents, savings_rate: savingsRate(incomeCents, expenseCents) },
+        months,
+        spending_by_category: categories
+    };
+};
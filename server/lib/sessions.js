@@ -0,0 +1,74 @@
+import jwt from 'jsonwebtoken';
+import { createHash, randomBytes, randomUUID } from 'node:crypto';
+import { JWT_SECRET } from '../config.js';
+import { pool } from '../pool.js';
+import { insertSession, revokeUserSessions as revokeSessionsOf, deleteSessionsEndedBefore } from '../repositories/sessions.js';
+
+// --- Login Helpers ---
+// Children may log in with a 4-6 digit PIN instead of a password. The JWT records which method
+// was used (amr claim) so sensitive admin actions can insist on a password login.
+export const PIN_PATTERN = /^\d{4,6}$/;
+export const MAX_PIN_ATTEMPTS = 5;
+export const PIN_LOCKOUT_MINUTES = 15;
+const PIN_RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000;
+const PIN_RATE_LIMIT_MAX = 20;
+const pinFailuresByIp = new Map();
+
+// --- Sessions ---
+// Each login starts a server-side session for that device. The client holds a short-lived access
+// token carrying the session id (sid) and a refresh token "<session id>.<secret>". The secret is
+// rotated on every refresh and only its hash is stored; revoking the session ends both.
+const ACCESS_TOKEN_TTL = '15m';
+const SESSION_TTL_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+export const newRefreshSecret = () => randomBytes(32).toString('hex');
+// Sessions slide: every refresh pushes the expiry out again, so only idle devices are logged out
+export const sessionExpiry = () => new Date(Date.now() + SESSION_TTL_DAYS * DAY_MS);
+
+export const signAccessToken = (user, sessionId, method) => {
+    const claims = { id: user.id, name: user.name, role: user.role, household_id: user.household_id, household_name: user.household_name, amr: method, sid: sessionId };
+    const accessToken = jwt.sign(claims, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+    return { accessToken, user: claims };
+};
+
+export const startSession = async (user, method, req) => {
+    const sessionId = randomUUID();
+    const secret = newRefreshSecret();
+    await insertSession(pool, {
+        id: sessionId,
+        user_id: user.id,
+        household_id: user.household_id,
+        amr: method,
+        refresh_token_hash: hashToken(secret),
+        user_agent: (req.get('user-agent') || '').slice(0, 255),
+        ip_address: req.ip,
+        expires_at: sessionExpiry()
+    });
+    return { ...signAccessToken(user, sessionId, method), refreshToken: `${sessionId}.${secret}` };
+};
+
+export const revokeUserSessions = (userId) => revokeSessionsOf(pool, userId);
+
+// Revoked and expired sessions are kept for a while so the devices list isn't the only record
+export const pruneSessions = async () => {
+    try {
+        await deleteSessionsEndedBefore(pool, new Date(Date.now() - SESSION_TTL_DAYS * DAY_MS));
+    } catch (error) {
+        console.error('Failed to prune sessions:', error);
+    }
+};
+
+// Per-IP limit on failed PIN attempts, on top of the per-account lockout, so one device can't
+// cycle through every child's profile guessing PINs
+export const isPinRateLimited = (ip) => {
+    const failures = (pinFailuresByIp.get(ip) || []).filter(time => Date.now() - time < PIN_RATE_LIMIT_WINDOW_MS);
+    if (failures.length > 0) pinFailuresByIp.set(ip, failures);
+    else pinFailuresByIp.delete(ip);
+    return failures.length >= PIN_RATE_LIMIT_MAX;
+};
+
+export const recordPinFailure = (ip) => {
+    pinFailuresByIp.set(ip, [...(pinFailuresByIp.get(ip) || []), Date.now()]);
+};
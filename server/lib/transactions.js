@@ -0,0 +1,187 @@
+import { randomUUID } from 'node:crypto';
+import { pool } from '../pool.js';
+import { insertTransactionRow, insertTransactionTags, findTransactionDetail, findTransferRows, isReversed, findHouseholdTransaction, decidePendingTransaction } from '../repositories/transactions.js';
+import { auditTransaction } from './audit.js';
+import { withTags, normalizeTags } from './categories.js';
+import { addDays } from './dates.js';
+import { onBalanceChanged } from './goals.js';
+import { formatMoney, getMoneyFormat } from './money.js';
+import { sendNotification } from './notifications.js';
+import { isAmount, isBlank } from './validation.js';
+
+// --- Helper Function to Insert Transactions ---
+// Shared by the POST route and the scheduled jobs so every transaction is written the same way.
+// `db` is either the pool or a connection that is inside a database transaction.
+// `created_at` is only passed for entries dated in the past (imports, interest and caught-up allowances); otherwise it is now.
+// `actor` is the logged-in user who caused the insert (null for scheduled jobs); it goes in the audit log.
+// `currency` defaults to the household's currency and `category_id` to its Uncategorized category.
+export const insertTransaction = async (db, { description, amount, type, child_name, status, approved_by, bucket_id, transfer_id = null, recurring_rule_id = null, interest_rule_id = null, reverses_id = null, corrects_id = null, currency = null, category_id = null, tags = [], created_at = null }, actor = null, action = 'create') => {
+    // Stamped here rather than by the database so it is local time on either backend, like every
+    // other timestamp (SQLite's CURRENT_TIMESTAMP is UTC)
+    const createdAt = created_at ?? new Date();
+    const id = await insertTransactionRow(db, {
+        description, amount, type, child_name, status, approved_by, bucket_id, transfer_id, recurring_rule_id, interest_rule_id,
+        reverses_id, corrects_id, currency, category_id,
+        created_by: actor?.name ?? null,
+        created_at: createdAt,
+        decided_at: status === 'pending' ? null : createdAt
+    });
+    await insertTransactionTags(db, id, tags);
+    const transaction = await findTransactionDetail(db, id);
+    await auditTransaction(db, action, actor, withTags(transaction));
+    return withTags(transaction);
+};
+
+// --- Reversals and Corrections ---
+// Approved rows are never changed in place. A reversal posts the opposite entry, pointing back at the
+// original through reverses_id, so the two cancel out. A correction is a reversal plus a new entry
+// with the fixed values (corrects_id). Pending rows can still be edited or cancelled directly.
+export const validateTransactionEdit = ({ description, amount }) => {
+    if (isBlank(description)) return 'A description is required.';
+    if (!isAmount(amount)) return 'Amount must be greater than zero, with at most 2 decimal places.';
+    return null;
+};
+
+// Returns why an approved row can't be reversed, or null if it can
+export const findReversalBlocker = async (db, transaction) => {
+    if (transaction.status !== 'approved') return 'Only approved transactions can be reversed or corrected.';
+    if (transaction.reverses_id) return 'A reversal cannot itself be reversed.';
+    if (await isReversed(db, transaction.id)) return 'This transaction has already been reversed.';
+    return null;
+};
+
+// Posts the opposite of `original`. A transfer is reversed as a pair so both buckets are restored.
+export const reverseTransaction = async (db, original, actor, reason = '') => {
+    const originals = original.transfer_id ? await findTransferRows(db, original.transfer_id) : [original];
+    const transferId = original.transfer_id ? randomUUID() : null;
+    const rows = [];
+    for (const row of originals) {
+        rows.push(await insertTransaction(db, {
+            description: `Reversal: ${row.description}${reason ? ` (${reason})` : ''}`,
+            amount: row.amount,
+            type: row.type === 'income' ? 'expense' : 'income',
+            child_name: row.child_name,
+            status: 'approved',
+            approved_by: actor.name,
+            bucket_id: row.bucket_id,
+            transfer_id: transferId,
+            reverses_id: row.id,
+            currency: row.currency,
+            category_id: row.category_id
+        }, actor, 'reverse'));
+    }
+    return rows;
+};
+
+// --- Transaction List Filters ---
+export const TRANSACTION_STATUSES = ['pending', 'approved', 'declined'];
+export const TRANSACTION_TYPES = ['income', 'expense'];
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+// Checks list query params and turns them into filters for the transaction repository. Children
+// are always limited to their own rows, whatever child_name they ask for. Returns { filters } or
+// { error } for malformed input.
+export const parseTransactionFilters = (query, user) => {
+    const filters = { household_id: user.household_id };
+    const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+    if (user.role === 'child') {
+        filters.child_name = user.name;
+    } else if (query.child_name) {
+        filters.child_name = query.child_name;
+    }
+
+    if (query.status) {
+        const statuses = String(query.status).split(',');
+        if (statuses.some(status => !TRANSACTION_STATUSES.includes(status))) {
+            return { error: `Status must be one of: ${TRANSACTION_STATUSES.join(', ')}.` };
+        }
+        filters.statuses = statuses;
+    }
+
+    if (query.type) {
+        if (!TRANSACTION_TYPES.includes(query.type)) {
+            return { error: `Type must be one of: ${TRANSACTION_TYPES.join(', ')}.` };
+        }
+        filters.type = query.type;
+    }
+
+    if (query.from) {
+        if (!isDate(query.from)) return { error: 'From date must be in YYYY-MM-DD format.' };
+        filters.from = query.from;
+    }
+    if (query.to) {
+        if (!isDate(query.to)) return { error: 'To date must be in YYYY-MM-DD format.' };
+        // Inclusive of the whole "to" day
+        filters.before = addDays(query.to, 1);
+    }
+
+    for (const param of ['min_amount', 'max_amount']) {
+        if (query[param] !== undefined && query[param] !== '') {
+            const value = Number(query[param]);
+            if (Number.isNaN(value)) return { error: `${param} must be a number.` };
+            filters[param] = value;
+        }
+    }
+
+    if (query.category_id) {
+        filters.category_id = Number(query.category_id);
+    }
+
+    if (query.tag) {
+        const { tags, error } = normalizeTags(query.tag);
+        if (error) return { error };
+        if (tags.length > 0) filters.tags = tags;
+    }
+
+    if (query.q) {
+        filters.search = String(query.q);
+    }
+
+    return { filters };
+};
+
+// --- Approving and Declining ---
+// Decides a pending request on behalf of `actor` (an admin of the same household) and tells the child.
+// Returns { status, error } when it can't be decided, otherwise { transaction } as updated.
+export const decideTransaction = async (id, actor, decision) => {
+    const transaction = await findHouseholdTransaction(pool, id, actor.household_id);
+    if (!transaction) {
+        return { status: 404, error: 'Transaction not found.' };
+    }
+    // Decided rows are only changed through reversals and corrections
+    if (transaction.status !== 'pending') {
+        return { status: 400, error: `This request has already been ${transaction.status}.` };
+    }
+    // Only updates a row that is still pending, so two parents deciding at once can't both win. The
+    // decision and its audit entry are committed together.
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        if (!await decidePendingTransaction(connection, transaction.id, { status: decision, approved_by: actor.name })) {
+            await connection.rollback();
+            return { status: 409, error: 'This request has just been decided by someone else.' };
+        }
+        await auditTransaction(connection, decision === 'approved' ? 'approve' : 'decline', actor, transaction, { status: decision, approved_by: actor.name });
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback().catch(() => {});
+        throw error;
+    } finally {
+        connection.release();
+    }
+    if (decision === 'approved') {
+        onBalanceChanged(transaction.child_name);
+    }
+
+    const money = await getMoneyFormat(pool, transaction.household_id);
+    const amount = formatMoney(Math.round(Number(transaction.amount) * 100), { ...money, currency: transaction.currency });
+    sendNotification(transaction.household_id, { name: transaction.child_name }, {
+        type: 'approval_result',
+        title: decision === 'approved' ? 'Request Approved' : 'Request Declined',
+        body: `Your request "${transaction.description}" for ${amount} was ${decision} by ${actor.name}.`,
+        transactionId: transaction.id
+    });
+    return { transaction: { ...transaction, status: decision, approved_by: actor.name } };
+};
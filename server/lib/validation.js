@@ -0,0 +1,12 @@
+// Text fields must arrive as strings: a number, list or object in the body counts as missing
+// rather than reaching a .trim() call and failing with a 500
+export const isBlank = (value) => typeof value !== 'string' || !value.trim();
+
+// Money is entered in whole cents: a positive number with at most 2 decimal places
+export const isAmount = (value) => Number(value) > 0 && /^\d+(\.\d{1,2})?$/.test(String(value).trim());
+
+export const validateCredentials = ({ name, password }) => {
+    if (isBlank(name)) return 'A name is required.';
+    if (typeof password !== 'string' || password.length < 6) return 'Password must be at least 6 characters.';
+    return null;
+};
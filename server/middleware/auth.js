@@ -0,0 +1,38 @@
+import jwt from 'jsonwebtoken';
+import { JWT_SECRET } from '../config.js';
+import { pool } from '../pool.js';
+import { findSessionAccount } from '../repositories/users.js';
+
+// Authentication Middleware to protect routes
+export const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+  if (token == null) return res.sendStatus(401); // if there isn't any token
+
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
+    if (err) return res.sendStatus(401); // expired or invalid: the client refreshes its token and retries
+    // Tokens issued before households and sessions existed carry neither, so make the user log in again
+    if (!user.household_id || !user.sid) return res.sendStatus(401);
+    try {
+      // Re-read the account and session so renames, role changes, disabling and revoked devices
+      // take effect before the token expires
+      const account = await findSessionAccount(pool, user.id, user.sid);
+      if (!account || account.status !== 'active' || account.revoked_at) return res.sendStatus(401);
+      // amr (how the user logged in: 'password' or 'pin') comes from the token; older tokens have none
+      req.user = { ...user, name: account.name, role: account.role, household_id: account.household_id, amr: user.amr ?? null };
+      next();
+    } catch (error) {
+      console.error('Failed to load user for token:', error);
+      res.status(500).json({ error: 'Database query failed' });
+    }
+  });
+};
+
+// Middleware for sensitive admin actions: PIN sessions (and tokens from before PINs existed) are refused
+export const requirePasswordLogin = (req, res, next) => {
+    if (req.user.amr !== 'password') {
+        return res.status(403).json({ error: 'Please log in with your password to do this.', code: 'password_required' });
+    }
+    next();
+};
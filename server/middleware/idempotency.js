@@ -0,0 +1,61 @@
+import { pool } from '../pool.js';
+import { claimIdempotencyKey, findIdempotencyKey, saveIdempotentResponse, releaseIdempotencyKey, deleteIdempotencyKeysBefore } from '../repositories/idempotency.js';
+
+// --- Idempotent Requests ---
+// Requests queued by an offline device carry an Idempotency-Key header and may be sent more than once
+// (e.g. when the response to the first attempt was lost). The first successful response is stored per
+// user and key and returned again for repeats, so the request only takes effect once. Failed requests
+// free their key, so they can be retried.
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9-]{16,64}$/;
+const IDEMPOTENCY_KEY_TTL_DAYS = 7;
+
+export const idempotent = async (req, res, next) => {
+    const key = req.get('idempotency-key');
+    // The full path, not the one inside the router, so a key stays tied to one endpoint
+    const requestPath = `${req.baseUrl}${req.path}`;
+    if (!key) return next();
+    if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+        return res.status(400).json({ error: 'Invalid Idempotency-Key header.' });
+    }
+    try {
+        if (!await claimIdempotencyKey(pool, req.user.id, key, requestPath)) {
+            const saved = await findIdempotencyKey(pool, req.user.id, key);
+            if (!saved || saved.request_path !== requestPath) {
+                return res.status(422).json({ error: 'This Idempotency-Key was used for a different request.' });
+            }
+            if (saved.response_status === null) {
+                return res.status(409).json({ error: 'This request is still being processed.' });
+            }
+            return res.status(saved.response_status).json(saved.response_body);
+        }
+    } catch (error) {
+        console.error('Failed to check idempotency key:', error);
+        return res.status(500).json({ error: 'Database query failed' });
+    }
+
+    let answered = false;
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+        answered = true;
+        const query = res.statusCode < 300
+            ? saveIdempotentResponse(pool, req.user.id, key, res.statusCode, body)
+            : releaseIdempotencyKey(pool, req.user.id, key);
+        query.catch(error => console.error('Failed to save idempotent response:', error));
+        return sendJson(body);
+    };
+    // A request that ends any other way (an uncaught error answered by Express) has nothing to
+    // replay, so its key is freed as well instead of answering every retry with 409
+    res.on('finish', () => {
+        if (answered) return;
+        releaseIdempotencyKey(pool, req.user.id, key).catch(error => console.error('Failed to release idempotency key:', error));
+    });
+    next();
+};
+
+export const pruneIdempotencyKeys = async () => {
+    try {
+        await deleteIdempotencyKeysBefore(pool, new Date(Date.now() - IDEMPOTENCY_KEY_TTL_DAYS * 24 * 60 * 60 * 1000));
+    } catch (error) {
+        console.error('Failed to prune idempotency keys:', error);
+    }
+};
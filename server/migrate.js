@@ -0,0 +1,42 @@
+// Database migrations (the list is in migrations/index.js).
+//   npm run migrate                     apply every migration that hasn't run yet
+//   npm run migrate -- status           list the migrations and whether each has been applied
+//   npm run migrate -- down [count]     undo the most recent migration(s), one by default
+//   npm run migrate -- baseline <ver>   record migrations up to <ver> as applied without running them,
+//                                       for a database that was set up by hand before migrations existed
+// See migrations/runner.js for how failures are handled on each database.
+import process from 'node:process';
+import { openStorage } from './db.js';
+import { LATEST_VERSION } from './migrations/index.js';
+import { migrateUp, migrateDown, showStatus, baseline } from './migrations/runner.js';
+
+const main = async () => {
+    const [command = 'up', argument] = process.argv.slice(2);
+    const number = Number(argument);
+    if (command === 'down' && argument !== undefined && !(Number.isInteger(number) && number > 0)) {
+        throw new Error('Usage: npm run migrate -- down [count]');
+    }
+    if (command === 'baseline' && !(Number.isInteger(number) && number >= 1 && number <= LATEST_VERSION)) {
+        throw new Error(`Usage: npm run migrate -- baseline <version>, with a version from 1 to ${LATEST_VERSION}`);
+    }
+    if (!['up', 'down', 'status', 'baseline'].includes(command)) {
+        throw new Error(`Unknown command "${command}". Use up, down, status or baseline.`);
+    }
+
+    const storage = await openStorage();
+    const connection = await storage.getConnection();
+    try {
+        if (command === 'up') await migrateUp(connection);
+        if (command === 'down') await migrateDown(connection, argument === undefined ? 1 : number);
+        if (command === 'status') await showStatus(connection);
+        if (command === 'baseline') await baseline(connection, number);
+    } finally {
+        connection.release();
+        await storage.end();
+    }
+};
+
+main().catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+});
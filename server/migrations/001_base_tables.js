@@ -0,0 +1,71 @@
+// The tables the app started with. User names are unique across the server because
+// transactions and other child-owned rows refer to children by name.
+import { NOW } from './sqlite.js';
+
+export default {
+    version: 1,
+    name: 'base_tables',
+    up: [
+        `CREATE TABLE users (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(255) NOT NULL UNIQUE,
+            password VARCHAR(255) NOT NULL,
+            role ENUM('admin', 'child') NOT NULL DEFAULT 'child',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE transactions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            description VARCHAR(255) NOT NULL,
+            amount DECIMAL(10, 2) NOT NULL,
+            type ENUM('income', 'expense') NOT NULL,
+            child_name VARCHAR(255) NOT NULL,
+            status ENUM('pending', 'approved', 'declined') NOT NULL DEFAULT 'pending',
+            approved_by VARCHAR(255) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`,
+        // One row per push subscription (the browser's PushSubscription as JSON)
+        `CREATE TABLE subscriptions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            subscription TEXT NOT NULL,
+            user_id INT NOT NULL,
+            INDEX idx_subscriptions_user (user_id)
+        )`
+    ],
+    down: [
+        'DROP TABLE subscriptions',
+        'DROP TABLE transactions',
+        'DROP TABLE users'
+    ],
+    sqlite: {
+        up: [
+            `CREATE TABLE users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name VARCHAR(255) NOT NULL COLLATE NOCASE UNIQUE,
+                password VARCHAR(255) NOT NULL,
+                role TEXT NOT NULL DEFAULT 'child' CHECK (role IN ('admin', 'child')),
+                created_at TIMESTAMP DEFAULT ${NOW}
+            )`,
+            `CREATE TABLE transactions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                description VARCHAR(255) NOT NULL,
+                amount DECIMAL(10, 2) NOT NULL,
+                type TEXT NOT NULL CHECK (type IN ('income', 'expense')),
+                child_name VARCHAR(255) NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'declined')),
+                approved_by VARCHAR(255) NULL,
+                created_at TIMESTAMP DEFAULT ${NOW}
+            )`,
+            `CREATE TABLE subscriptions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                subscription TEXT NOT NULL,
+                user_id INT NOT NULL
+            )`,
+            'CREATE INDEX idx_subscriptions_user ON subscriptions (user_id)'
+        ],
+        down: [
+            'DROP TABLE subscriptions',
+            'DROP TABLE transactions',
+            'DROP TABLE users'
+        ]
+    }
+};
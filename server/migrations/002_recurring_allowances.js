@@ -0,0 +1,47 @@
+// Recurring allowances: one row per rule, posted by the server as approved income.
+import { NOW } from './sqlite.js';
+
+export default {
+    version: 2,
+    name: 'recurring_allowances',
+    up: [
+        `CREATE TABLE recurring_rules (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            child_name VARCHAR(255) NOT NULL,
+            description VARCHAR(255) NOT NULL,
+            amount DECIMAL(10, 2) NOT NULL,
+            cadence ENUM('weekly', 'biweekly', 'monthly') NOT NULL,
+            start_date DATE NOT NULL,
+            next_run_date DATE NOT NULL,
+            paused TINYINT(1) NOT NULL DEFAULT 0,
+            created_by VARCHAR(255),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`,
+        'ALTER TABLE transactions ADD COLUMN recurring_rule_id INT NULL'
+    ],
+    down: [
+        'ALTER TABLE transactions DROP COLUMN recurring_rule_id',
+        'DROP TABLE recurring_rules'
+    ],
+    sqlite: {
+        up: [
+            `CREATE TABLE recurring_rules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                child_name VARCHAR(255) NOT NULL,
+                description VARCHAR(255) NOT NULL,
+                amount DECIMAL(10, 2) NOT NULL,
+                cadence TEXT NOT NULL CHECK (cadence IN ('weekly', 'biweekly', 'monthly')),
+                start_date DATE NOT NULL,
+                next_run_date DATE NOT NULL,
+                paused TINYINT(1) NOT NULL DEFAULT 0,
+                created_by VARCHAR(255),
+                created_at TIMESTAMP DEFAULT ${NOW}
+            )`,
+            'ALTER TABLE transactions ADD COLUMN recurring_rule_id INT NULL'
+        ],
+        down: [
+            'ALTER TABLE transactions DROP COLUMN recurring_rule_id',
+            'DROP TABLE recurring_rules'
+        ]
+    }
+};
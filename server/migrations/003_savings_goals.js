@@ -0,0 +1,46 @@
+// Savings goals. `funding` decides whether progress comes from the approved balance
+// or only from money explicitly moved into the goal (set_aside_amount).
+import { NOW } from './sqlite.js';
+
+export default {
+    version: 3,
+    name: 'savings_goals',
+    up: [
+        `CREATE TABLE goals (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            child_name VARCHAR(255) NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            target_amount DECIMAL(10, 2) NOT NULL,
+            deadline DATE NULL,
+            funding ENUM('balance', 'set_aside') NOT NULL DEFAULT 'balance',
+            set_aside_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+            status ENUM('active', 'reached', 'abandoned') NOT NULL DEFAULT 'active',
+            created_by VARCHAR(255),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            completed_at TIMESTAMP NULL
+        )`
+    ],
+    down: [
+        'DROP TABLE goals'
+    ],
+    sqlite: {
+        up: [
+            `CREATE TABLE goals (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                child_name VARCHAR(255) NOT NULL,
+                name VARCHAR(255) NOT NULL,
+                target_amount DECIMAL(10, 2) NOT NULL,
+                deadline DATE NULL,
+                funding TEXT NOT NULL DEFAULT 'balance' CHECK (funding IN ('balance', 'set_aside')),
+                set_aside_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+                status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'reached', 'abandoned')),
+                created_by VARCHAR(255),
+                created_at TIMESTAMP DEFAULT ${NOW},
+                completed_at TIMESTAMP NULL
+            )`
+        ],
+        down: [
+            'DROP TABLE goals'
+        ]
+    }
+};
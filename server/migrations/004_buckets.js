@@ -0,0 +1,80 @@
+// Buckets: named sub-accounts per child (Spend / Save / Give by default). Income can be
+// spread across a child's buckets using split_percent, which should total 100.
+// Every transaction posts to a bucket. Transfers are an expense/income pair sharing a transfer_id.
+import { NOW } from './sqlite.js';
+
+export default {
+    version: 4,
+    name: 'buckets',
+    up: [
+        `CREATE TABLE buckets (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            child_name VARCHAR(255) NOT NULL,
+            name VARCHAR(100) NOT NULL,
+            split_percent DECIMAL(5, 2) NOT NULL DEFAULT 0,
+            sort_order INT NOT NULL DEFAULT 0,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY unique_child_bucket (child_name, name)
+        )`,
+        `ALTER TABLE transactions
+            ADD COLUMN bucket_id INT NULL,
+            ADD COLUMN transfer_id CHAR(36) NULL,
+            ADD INDEX idx_transactions_bucket (bucket_id),
+            ADD INDEX idx_transactions_transfer (transfer_id)`,
+        'ALTER TABLE recurring_rules ADD COLUMN auto_split TINYINT(1) NOT NULL DEFAULT 0',
+        // Existing children get the default buckets, and their history is filed under Spend
+        `INSERT IGNORE INTO buckets (child_name, name, split_percent, sort_order)
+            SELECT name, 'Spend', 100, 0 FROM users WHERE role = 'child'`,
+        `INSERT IGNORE INTO buckets (child_name, name, split_percent, sort_order)
+            SELECT name, 'Save', 0, 1 FROM users WHERE role = 'child'`,
+        `INSERT IGNORE INTO buckets (child_name, name, split_percent, sort_order)
+            SELECT name, 'Give', 0, 2 FROM users WHERE role = 'child'`,
+        `UPDATE transactions t JOIN buckets b ON b.child_name = t.child_name AND b.name = 'Spend'
+            SET t.bucket_id = b.id
+            WHERE t.bucket_id IS NULL`
+    ],
+    down: [
+        'ALTER TABLE recurring_rules DROP COLUMN auto_split',
+        `ALTER TABLE transactions
+            DROP INDEX idx_transactions_transfer,
+            DROP INDEX idx_transactions_bucket,
+            DROP COLUMN transfer_id,
+            DROP COLUMN bucket_id`,
+        'DROP TABLE buckets'
+    ],
+    sqlite: {
+        up: [
+            `CREATE TABLE buckets (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                child_name VARCHAR(255) NOT NULL,
+                name VARCHAR(100) NOT NULL,
+                split_percent DECIMAL(5, 2) NOT NULL DEFAULT 0,
+                sort_order INT NOT NULL DEFAULT 0,
+                created_at TIMESTAMP DEFAULT ${NOW},
+                UNIQUE (child_name, name)
+            )`,
+            'ALTER TABLE transactions ADD COLUMN bucket_id INT NULL',
+            'ALTER TABLE transactions ADD COLUMN transfer_id CHAR(36) NULL',
+            'CREATE INDEX idx_transactions_bucket ON transactions (bucket_id)',
+            'CREATE INDEX idx_transactions_transfer ON transactions (transfer_id)',
+            'ALTER TABLE recurring_rules ADD COLUMN auto_split TINYINT(1) NOT NULL DEFAULT 0',
+            `INSERT OR IGNORE INTO buckets (child_name, name, split_percent, sort_order)
+                SELECT name, 'Spend', 100, 0 FROM users WHERE role = 'child'`,
+            `INSERT OR IGNORE INTO buckets (child_name, name, split_percent, sort_order)
+                SELECT name, 'Save', 0, 1 FROM users WHERE role = 'child'`,
+            `INSERT OR IGNORE INTO buckets (child_name, name, split_percent, sort_order)
+                SELECT name, 'Give', 0, 2 FROM users WHERE role = 'child'`,
+            `UPDATE transactions
+                SET bucket_id = (SELECT b.id FROM buckets b WHERE b.child_name = transactions.child_name AND b.name = 'Spend')
+                WHERE bucket_id IS NULL`
+        ],
+        down: [
+            'ALTER TABLE recurring_rules DROP COLUMN auto_split',
+            'DROP INDEX idx_transactions_transfer',
+            'DROP INDEX idx_transactions_bucket',
+            'ALTER TABLE transactions DROP COLUMN transfer_id',
+            'ALTER TABLE transactions DROP COLUMN bucket_id',
+            'DROP TABLE buckets'
+        ]
+    }
+};
@@ -0,0 +1,25 @@
+// Indexes for the paginated / filtered transaction list.
+export default {
+    version: 5,
+    name: 'transaction_list_indexes',
+    up: [
+        `ALTER TABLE transactions
+            ADD INDEX idx_transactions_child_created (child_name, created_at),
+            ADD INDEX idx_transactions_status_created (status, created_at)`
+    ],
+    down: [
+        `ALTER TABLE transactions
+            DROP INDEX idx_transactions_status_created,
+            DROP INDEX idx_transactions_child_created`
+    ],
+    sqlite: {
+        up: [
+            'CREATE INDEX idx_transactions_child_created ON transactions (child_name, created_at)',
+            'CREATE INDEX idx_transactions_status_created ON transactions (status, created_at)'
+        ],
+        down: [
+            'DROP INDEX idx_transactions_status_created',
+            'DROP INDEX idx_transactions_child_created'
+        ]
+    }
+};
@@ -0,0 +1,108 @@
+// Households: each family on the server is isolated from the others, and joins through
+// single-use invite codes that decide the new user's role.
+import { NOW, rebuildTable } from './sqlite.js';
+
+export default {
+    version: 6,
+    name: 'households',
+    up: [
+        `CREATE TABLE households (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE household_invites (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            household_id INT NOT NULL,
+            code VARCHAR(16) NOT NULL UNIQUE,
+            role ENUM('admin', 'child') NOT NULL DEFAULT 'child',
+            created_by VARCHAR(255),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            expires_at DATETIME NOT NULL,
+            used_at DATETIME NULL,
+            used_by INT NULL,
+            INDEX idx_invites_household (household_id)
+        )`,
+        'ALTER TABLE users ADD COLUMN household_id INT NULL, ADD INDEX idx_users_household (household_id)',
+        'ALTER TABLE transactions ADD COLUMN household_id INT NULL, ADD INDEX idx_transactions_household_created (household_id, created_at)',
+        // Everyone already on the server becomes the first household. An empty database gets no
+        // household, so the first family can still sign up.
+        "INSERT INTO households (name) SELECT 'Family' FROM DUAL WHERE EXISTS (SELECT 1 FROM users)",
+        'SET @first_household = LAST_INSERT_ID()',
+        'UPDATE users SET household_id = @first_household WHERE household_id IS NULL',
+        'UPDATE transactions SET household_id = @first_household WHERE household_id IS NULL',
+        'ALTER TABLE users MODIFY household_id INT NOT NULL',
+        'ALTER TABLE transactions MODIFY household_id INT NOT NULL'
+    ],
+    down: [
+        'ALTER TABLE transactions DROP INDEX idx_transactions_household_created, DROP COLUMN household_id',
+        'ALTER TABLE users DROP INDEX idx_users_household, DROP COLUMN household_id',
+        'DROP TABLE household_invites',
+        'DROP TABLE households'
+    ],
+    // The new columns are filled in first, then the tables are rebuilt to make them NOT NULL
+    sqlite: {
+        up: [
+            `CREATE TABLE households (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name VARCHAR(255) NOT NULL,
+                created_at TIMESTAMP DEFAULT ${NOW}
+            )`,
+            `CREATE TABLE household_invites (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                household_id INT NOT NULL,
+                code VARCHAR(16) NOT NULL UNIQUE,
+                role TEXT NOT NULL DEFAULT 'child' CHECK (role IN ('admin', 'child')),
+                created_by VARCHAR(255),
+                created_at TIMESTAMP DEFAULT ${NOW},
+                expires_at DATETIME NOT NULL,
+                used_at DATETIME NULL,
+                used_by INT NULL
+            )`,
+            'CREATE INDEX idx_invites_household ON household_invites (household_id)',
+            "INSERT INTO households (name) SELECT 'Family' WHERE EXISTS (SELECT 1 FROM users)",
+            'ALTER TABLE users ADD COLUMN household_id INT NULL',
+            'ALTER TABLE transactions ADD COLUMN household_id INT NULL',
+            'UPDATE users SET household_id = (SELECT MAX(id) FROM households) WHERE household_id IS NULL',
+            'UPDATE transactions SET household_id = (SELECT MAX(id) FROM households) WHERE household_id IS NULL',
+            ...rebuildTable('users', `
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name VARCHAR(255) NOT NULL COLLATE NOCASE UNIQUE,
+                password VARCHAR(255) NOT NULL,
+                role TEXT NOT NULL DEFAULT 'child' CHECK (role IN ('admin', 'child')),
+                created_at TIMESTAMP DEFAULT ${NOW},
+                household_id INT NOT NULL`, {
+                indexes: ['CREATE INDEX idx_users_household ON users (household_id)']
+            }),
+            ...rebuildTable('transactions', `
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                description VARCHAR(255) NOT NULL,
+                amount DECIMAL(10, 2) NOT NULL,
+                type TEXT NOT NULL CHECK (type IN ('income', 'expense')),
+                child_name VARCHAR(255) NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'declined')),
+                approved_by VARCHAR(255) NULL,
+                created_at TIMESTAMP DEFAULT ${NOW},
+                recurring_rule_id INT NULL,
+                bucket_id INT NULL,
+                transfer_id CHAR(36) NULL,
+                household_id INT NOT NULL`, {
+                indexes: [
+                    'CREATE INDEX idx_transactions_bucket ON transactions (bucket_id)',
+                    'CREATE INDEX idx_transactions_transfer ON transactions (transfer_id)',
+                    'CREATE INDEX idx_transactions_child_created ON transactions (child_name, created_at)',
+                    'CREATE INDEX idx_transactions_status_created ON transactions (status, created_at)',
+                    'CREATE INDEX idx_transactions_household_created ON transactions (household_id, created_at)'
+                ]
+            })
+        ],
+        down: [
+            'DROP INDEX idx_transactions_household_created',
+            'ALTER TABLE transactions DROP COLUMN household_id',
+            'DROP INDEX idx_users_household',
+            'ALTER TABLE users DROP COLUMN household_id',
+            'DROP TABLE household_invites',
+            'DROP TABLE households'
+        ]
+    }
+};
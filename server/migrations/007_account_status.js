@@ -0,0 +1,19 @@
+// Account status: disabled accounts can't log in; archived ones are also hidden from lists.
+export default {
+    version: 7,
+    name: 'account_status',
+    up: [
+        "ALTER TABLE users ADD COLUMN status ENUM('active', 'disabled', 'archived') NOT NULL DEFAULT 'active'"
+    ],
+    down: [
+        'ALTER TABLE users DROP COLUMN status'
+    ],
+    sqlite: {
+        up: [
+            "ALTER TABLE users ADD COLUMN status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'disabled', 'archived'))"
+        ],
+        down: [
+            'ALTER TABLE users DROP COLUMN status'
+        ]
+    }
+};
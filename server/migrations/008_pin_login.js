@@ -0,0 +1,34 @@
+// Kid-friendly login: an emoji avatar for the profile picker and an optional hashed PIN
+// (children only) with a per-account lockout after repeated wrong guesses.
+export default {
+    version: 8,
+    name: 'pin_login',
+    up: [
+        `ALTER TABLE users
+            ADD COLUMN avatar VARCHAR(16) NULL,
+            ADD COLUMN pin_hash VARCHAR(255) NULL,
+            ADD COLUMN failed_pin_attempts INT NOT NULL DEFAULT 0,
+            ADD COLUMN pin_locked_until DATETIME NULL`
+    ],
+    down: [
+        `ALTER TABLE users
+            DROP COLUMN pin_locked_until,
+            DROP COLUMN failed_pin_attempts,
+            DROP COLUMN pin_hash,
+            DROP COLUMN avatar`
+    ],
+    sqlite: {
+        up: [
+            'ALTER TABLE users ADD COLUMN avatar VARCHAR(16) NULL',
+            'ALTER TABLE users ADD COLUMN pin_hash VARCHAR(255) NULL',
+            'ALTER TABLE users ADD COLUMN failed_pin_attempts INT NOT NULL DEFAULT 0',
+            'ALTER TABLE users ADD COLUMN pin_locked_until DATETIME NULL'
+        ],
+        down: [
+            'ALTER TABLE users DROP COLUMN pin_locked_until',
+            'ALTER TABLE users DROP COLUMN failed_pin_attempts',
+            'ALTER TABLE users DROP COLUMN pin_hash',
+            'ALTER TABLE users DROP COLUMN avatar'
+        ]
+    }
+};
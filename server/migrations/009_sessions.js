@@ -0,0 +1,52 @@
+// Login sessions, one per device. Only hashes of refresh tokens are stored; the previous hash is
+// kept to spot a refresh token being replayed after rotation.
+import { NOW } from './sqlite.js';
+
+export default {
+    version: 9,
+    name: 'sessions',
+    up: [
+        `CREATE TABLE sessions (
+            id CHAR(36) PRIMARY KEY,
+            user_id INT NOT NULL,
+            household_id INT NOT NULL,
+            amr ENUM('password', 'pin') NOT NULL,
+            refresh_token_hash CHAR(64) NOT NULL,
+            previous_token_hash CHAR(64) NULL,
+            user_agent VARCHAR(255),
+            ip_address VARCHAR(64),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            expires_at DATETIME NOT NULL,
+            revoked_at DATETIME NULL,
+            INDEX idx_sessions_user (user_id),
+            INDEX idx_sessions_household (household_id)
+        )`
+    ],
+    down: [
+        'DROP TABLE sessions'
+    ],
+    sqlite: {
+        up: [
+            `CREATE TABLE sessions (
+                id CHAR(36) PRIMARY KEY,
+                user_id INT NOT NULL,
+                household_id INT NOT NULL,
+                amr TEXT NOT NULL CHECK (amr IN ('password', 'pin')),
+                refresh_token_hash CHAR(64) NOT NULL,
+                previous_token_hash CHAR(64) NULL,
+                user_agent VARCHAR(255),
+                ip_address VARCHAR(64),
+                created_at TIMESTAMP DEFAULT ${NOW},
+                last_used_at TIMESTAMP DEFAULT ${NOW},
+                expires_at DATETIME NOT NULL,
+                revoked_at DATETIME NULL
+            )`,
+            'CREATE INDEX idx_sessions_user ON sessions (user_id)',
+            'CREATE INDEX idx_sessions_household ON sessions (household_id)'
+        ],
+        down: [
+            'DROP TABLE sessions'
+        ]
+    }
+};
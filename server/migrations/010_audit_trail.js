@@ -0,0 +1,77 @@
+// Audit trail: an append-only record of every change to transactions and accounts.
+// child_id ties an entry to a child's user row so their timeline survives renames.
+import { NOW } from './sqlite.js';
+
+export default {
+    version: 10,
+    name: 'audit_trail',
+    up: [
+        `CREATE TABLE audit_log (
+            id BIGINT AUTO_INCREMENT PRIMARY KEY,
+            household_id INT NOT NULL,
+            entity_type ENUM('transaction', 'user') NOT NULL,
+            entity_id INT NOT NULL,
+            child_id INT NULL,
+            action VARCHAR(32) NOT NULL,
+            actor_id INT NULL,
+            actor_name VARCHAR(255) NULL,
+            old_values JSON NULL,
+            new_values JSON NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_audit_entity (entity_type, entity_id),
+            INDEX idx_audit_child (child_id, created_at),
+            INDEX idx_audit_household (household_id, created_at)
+        )`,
+        `CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log FOR EACH ROW
+            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only'`,
+        `CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log FOR EACH ROW
+            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only'`,
+        // Who created each transaction and when it was approved or declined
+        `ALTER TABLE transactions
+            ADD COLUMN created_by VARCHAR(255) NULL,
+            ADD COLUMN decided_at DATETIME NULL`
+    ],
+    down: [
+        'ALTER TABLE transactions DROP COLUMN decided_at, DROP COLUMN created_by',
+        'DROP TRIGGER audit_log_no_delete',
+        'DROP TRIGGER audit_log_no_update',
+        'DROP TABLE audit_log'
+    ],
+    sqlite: {
+        up: [
+            `CREATE TABLE audit_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                household_id INT NOT NULL,
+                entity_type TEXT NOT NULL CHECK (entity_type IN ('transaction', 'user')),
+                entity_id INT NOT NULL,
+                child_id INT NULL,
+                action VARCHAR(32) NOT NULL,
+                actor_id INT NULL,
+                actor_name VARCHAR(255) NULL,
+                old_values JSON NULL,
+                new_values JSON NULL,
+                created_at TIMESTAMP DEFAULT ${NOW}
+            )`,
+            'CREATE INDEX idx_audit_entity ON audit_log (entity_type, entity_id)',
+            'CREATE INDEX idx_audit_child ON audit_log (child_id, created_at)',
+            'CREATE INDEX idx_audit_household ON audit_log (household_id, created_at)',
+            `CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log FOR EACH ROW
+            BEGIN
+                SELECT RAISE(ABORT, 'audit_log is append-only');
+            END`,
+            `CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log FOR EACH ROW
+            BEGIN
+                SELECT RAISE(ABORT, 'audit_log is append-only');
+            END`,
+            'ALTER TABLE transactions ADD COLUMN created_by VARCHAR(255) NULL',
+            'ALTER TABLE transactions ADD COLUMN decided_at DATETIME NULL'
+        ],
+        down: [
+            'ALTER TABLE transactions DROP COLUMN decided_at',
+            'ALTER TABLE transactions DROP COLUMN created_by',
+            'DROP TRIGGER audit_log_no_delete',
+            'DROP TRIGGER audit_log_no_update',
+            'DROP TABLE audit_log'
+        ]
+    }
+};
@@ -0,0 +1,33 @@
+// Reversals point at the entry they cancel out; corrections at the entry they replace
+export default {
+    version: 11,
+    name: 'reversals_and_corrections',
+    up: [
+        `ALTER TABLE transactions
+            ADD COLUMN reverses_id INT NULL,
+            ADD COLUMN corrects_id INT NULL,
+            ADD INDEX idx_transactions_reverses (reverses_id),
+            ADD INDEX idx_transactions_corrects (corrects_id)`
+    ],
+    down: [
+        `ALTER TABLE transactions
+            DROP INDEX idx_transactions_corrects,
+            DROP INDEX idx_transactions_reverses,
+            DROP COLUMN corrects_id,
+            DROP COLUMN reverses_id`
+    ],
+    sqlite: {
+        up: [
+            'ALTER TABLE transactions ADD COLUMN reverses_id INT NULL',
+            'ALTER TABLE transactions ADD COLUMN corrects_id INT NULL',
+            'CREATE INDEX idx_transactions_reverses ON transactions (reverses_id)',
+            'CREATE INDEX idx_transactions_corrects ON transactions (corrects_id)'
+        ],
+        down: [
+            'DROP INDEX idx_transactions_corrects',
+            'DROP INDEX idx_transactions_reverses',
+            'ALTER TABLE transactions DROP COLUMN corrects_id',
+            'ALTER TABLE transactions DROP COLUMN reverses_id'
+        ]
+    }
+};
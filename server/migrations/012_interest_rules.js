@@ -0,0 +1,78 @@
+// Interest and parent matching. Each rule pays once per period (period_start up to next_run_date);
+// interest_payouts records every period handled, so none can be paid twice.
+import { NOW } from './sqlite.js';
+
+export default {
+    version: 12,
+    name: 'interest_rules',
+    up: [
+        `CREATE TABLE interest_rules (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            child_name VARCHAR(255) NOT NULL,
+            kind ENUM('interest', 'match') NOT NULL,
+            rate_percent DECIMAL(6, 3) NOT NULL,
+            cap_amount DECIMAL(10, 2) NULL,
+            bucket_id INT NULL,
+            cadence ENUM('weekly', 'biweekly', 'monthly') NOT NULL DEFAULT 'monthly',
+            start_date DATE NOT NULL,
+            period_start DATE NOT NULL,
+            next_run_date DATE NOT NULL,
+            paused TINYINT(1) NOT NULL DEFAULT 0,
+            created_by VARCHAR(255),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE interest_payouts (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            rule_id INT NOT NULL,
+            period_start DATE NOT NULL,
+            period_end DATE NOT NULL,
+            basis_amount DECIMAL(10, 2) NOT NULL,
+            amount DECIMAL(10, 2) NOT NULL,
+            transaction_id INT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY unique_rule_period (rule_id, period_end)
+        )`,
+        'ALTER TABLE transactions ADD COLUMN interest_rule_id INT NULL'
+    ],
+    down: [
+        'ALTER TABLE transactions DROP COLUMN interest_rule_id',
+        'DROP TABLE interest_payouts',
+        'DROP TABLE interest_rules'
+    ],
+    sqlite: {
+        up: [
+            `CREATE TABLE interest_rules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                child_name VARCHAR(255) NOT NULL,
+                kind TEXT NOT NULL CHECK (kind IN ('interest', 'match')),
+                rate_percent DECIMAL(6, 3) NOT NULL,
+                cap_amount DECIMAL(10, 2) NULL,
+                bucket_id INT NULL,
+                cadence TEXT NOT NULL DEFAULT 'monthly' CHECK (cadence IN ('weekly', 'biweekly', 'monthly')),
+                start_date DATE NOT NULL,
+                period_start DATE NOT NULL,
+                next_run_date DATE NOT NULL,
+                paused TINYINT(1) NOT NULL DEFAULT 0,
+                created_by VARCHAR(255),
+                created_at TIMESTAMP DEFAULT ${NOW}
+            )`,
+            `CREATE TABLE interest_payouts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                rule_id INT NOT NULL,
+                period_start DATE NOT NULL,
+                period_end DATE NOT NULL,
+                basis_amount DECIMAL(10, 2) NOT NULL,
+                amount DECIMAL(10, 2) NOT NULL,
+                transaction_id INT NULL,
+                created_at TIMESTAMP DEFAULT ${NOW},
+                UNIQUE (rule_id, period_end)
+            )`,
+            'ALTER TABLE transactions ADD COLUMN interest_rule_id INT NULL'
+        ],
+        down: [
+            'ALTER TABLE transactions DROP COLUMN interest_rule_id',
+            'DROP TABLE interest_payouts',
+            'DROP TABLE interest_rules'
+        ]
+    }
+};
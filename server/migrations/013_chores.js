@@ -0,0 +1,76 @@
+// Chores: a household catalogue of jobs with a reward. Assignees limit a chore to certain children
+// (none means anyone); each claim links the child to the pending request it created.
+import { NOW } from './sqlite.js';
+
+export default {
+    version: 13,
+    name: 'chores',
+    up: [
+        `CREATE TABLE chores (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            household_id INT NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            reward DECIMAL(10, 2) NOT NULL,
+            recurrence ENUM('anytime', 'once', 'daily', 'weekly') NOT NULL DEFAULT 'anytime',
+            active TINYINT(1) NOT NULL DEFAULT 1,
+            created_by VARCHAR(255),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_chores_household (household_id)
+        )`,
+        `CREATE TABLE chore_assignees (
+            chore_id INT NOT NULL,
+            child_name VARCHAR(255) NOT NULL,
+            PRIMARY KEY (chore_id, child_name)
+        )`,
+        `CREATE TABLE chore_completions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            chore_id INT NOT NULL,
+            child_name VARCHAR(255) NOT NULL,
+            period_key VARCHAR(10) NULL,
+            transaction_id INT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_chore_completions_claim (chore_id, child_name, period_key),
+            INDEX idx_chore_completions_child_created (child_name, created_at)
+        )`
+    ],
+    down: [
+        'DROP TABLE chore_completions',
+        'DROP TABLE chore_assignees',
+        'DROP TABLE chores'
+    ],
+    sqlite: {
+        up: [
+            `CREATE TABLE chores (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                household_id INT NOT NULL,
+                name VARCHAR(255) NOT NULL,
+                reward DECIMAL(10, 2) NOT NULL,
+                recurrence TEXT NOT NULL DEFAULT 'anytime' CHECK (recurrence IN ('anytime', 'once', 'daily', 'weekly')),
+                active TINYINT(1) NOT NULL DEFAULT 1,
+                created_by VARCHAR(255),
+                created_at TIMESTAMP DEFAULT ${NOW}
+            )`,
+            'CREATE INDEX idx_chores_household ON chores (household_id)',
+            `CREATE TABLE chore_assignees (
+                chore_id INT NOT NULL,
+                child_name VARCHAR(255) NOT NULL,
+                PRIMARY KEY (chore_id, child_name)
+            )`,
+            `CREATE TABLE chore_completions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                chore_id INT NOT NULL,
+                child_name VARCHAR(255) NOT NULL,
+                period_key VARCHAR(10) NULL,
+                transaction_id INT NOT NULL,
+                created_at TIMESTAMP DEFAULT ${NOW}
+            )`,
+            'CREATE INDEX idx_chore_completions_claim ON chore_completions (chore_id, child_name, period_key)',
+            'CREATE INDEX idx_chore_completions_child_created ON chore_completions (child_name, created_at)'
+        ],
+        down: [
+            'DROP TABLE chore_completions',
+            'DROP TABLE chore_assignees',
+            'DROP TABLE chores'
+        ]
+    }
+};
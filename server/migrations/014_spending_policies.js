@@ -0,0 +1,39 @@
+// Spending policies: per-child limits on their own expense requests. Empty limits are off;
+// children without a row can't overspend but have no other limits.
+import { NOW, touchUpdatedAt } from './sqlite.js';
+
+export default {
+    version: 14,
+    name: 'spending_policies',
+    up: [
+        `CREATE TABLE spending_policies (
+            child_name VARCHAR(255) PRIMARY KEY,
+            max_single_expense DECIMAL(10, 2) NULL,
+            weekly_spending_cap DECIMAL(10, 2) NULL,
+            no_overdraft TINYINT(1) NOT NULL DEFAULT 1,
+            auto_approve_below DECIMAL(10, 2) NULL,
+            updated_by VARCHAR(255),
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        )`
+    ],
+    down: [
+        'DROP TABLE spending_policies'
+    ],
+    sqlite: {
+        up: [
+            `CREATE TABLE spending_policies (
+                child_name VARCHAR(255) PRIMARY KEY,
+                max_single_expense DECIMAL(10, 2) NULL,
+                weekly_spending_cap DECIMAL(10, 2) NULL,
+                no_overdraft TINYINT(1) NOT NULL DEFAULT 1,
+                auto_approve_below DECIMAL(10, 2) NULL,
+                updated_by VARCHAR(255),
+                updated_at TIMESTAMP DEFAULT ${NOW}
+            )`,
+            touchUpdatedAt('spending_policies', ['child_name'])
+        ],
+        down: [
+            'DROP TABLE spending_policies'
+        ]
+    }
+};
@@ -0,0 +1,84 @@
+// Currencies: each household has a default currency and an optional display locale. Every
+// transaction records its currency; exchange_rates holds manually entered rates into the
+// household currency (how much one unit of `currency` is worth).
+import { NOW, touchUpdatedAt, rebuildTable } from './sqlite.js';
+
+export default {
+    version: 15,
+    name: 'currencies',
+    up: [
+        `ALTER TABLE households
+            ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'USD',
+            ADD COLUMN locale VARCHAR(35) NULL`,
+        'ALTER TABLE transactions ADD COLUMN currency CHAR(3) NULL',
+        'UPDATE transactions t JOIN households h ON h.id = t.household_id SET t.currency = h.currency WHERE t.currency IS NULL',
+        'ALTER TABLE transactions MODIFY currency CHAR(3) NOT NULL',
+        `CREATE TABLE exchange_rates (
+            household_id INT NOT NULL,
+            currency CHAR(3) NOT NULL,
+            rate DECIMAL(18, 8) NOT NULL,
+            updated_by VARCHAR(255),
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            PRIMARY KEY (household_id, currency)
+        )`
+    ],
+    down: [
+        'DROP TABLE exchange_rates',
+        'ALTER TABLE transactions DROP COLUMN currency',
+        'ALTER TABLE households DROP COLUMN locale, DROP COLUMN currency'
+    ],
+    sqlite: {
+        up: [
+            "ALTER TABLE households ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'USD'",
+            'ALTER TABLE households ADD COLUMN locale VARCHAR(35) NULL',
+            'ALTER TABLE transactions ADD COLUMN currency CHAR(3) NULL',
+            `UPDATE transactions
+                SET currency = (SELECT h.currency FROM households h WHERE h.id = transactions.household_id)
+                WHERE currency IS NULL`,
+            ...rebuildTable('transactions', `
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                description VARCHAR(255) NOT NULL,
+                amount DECIMAL(10, 2) NOT NULL,
+                type TEXT NOT NULL CHECK (type IN ('income', 'expense')),
+                child_name VARCHAR(255) NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'declined')),
+                approved_by VARCHAR(255) NULL,
+                created_at TIMESTAMP DEFAULT ${NOW},
+                recurring_rule_id INT NULL,
+                bucket_id INT NULL,
+                transfer_id CHAR(36) NULL,
+                household_id INT NOT NULL,
+                created_by VARCHAR(255) NULL,
+                decided_at DATETIME NULL,
+                reverses_id INT NULL,
+                corrects_id INT NULL,
+                interest_rule_id INT NULL,
+                currency CHAR(3) NOT NULL`, {
+                indexes: [
+                    'CREATE INDEX idx_transactions_bucket ON transactions (bucket_id)',
+                    'CREATE INDEX idx_transactions_transfer ON transactions (transfer_id)',
+                    'CREATE INDEX idx_transactions_child_created ON transactions (child_name, created_at)',
+                    'CREATE INDEX idx_transactions_status_created ON transactions (status, created_at)',
+                    'CREATE INDEX idx_transactions_household_created ON transactions (household_id, created_at)',
+                    'CREATE INDEX idx_transactions_reverses ON transactions (reverses_id)',
+                    'CREATE INDEX idx_transactions_corrects ON transactions (corrects_id)'
+                ]
+            }),
+            `CREATE TABLE exchange_rates (
+                household_id INT NOT NULL,
+                currency CHAR(3) NOT NULL,
+                rate DECIMAL(18, 8) NOT NULL,
+                updated_by VARCHAR(255),
+                updated_at TIMESTAMP DEFAULT ${NOW},
+                PRIMARY KEY (household_id, currency)
+            )`,
+            touchUpdatedAt('exchange_rates', ['household_id', 'currency'])
+        ],
+        down: [
+            'DROP TABLE exchange_rates',
+            'ALTER TABLE transactions DROP COLUMN currency',
+            'ALTER TABLE households DROP COLUMN locale',
+            'ALTER TABLE households DROP COLUMN currency'
+        ]
+    }
+};
@@ -0,0 +1,72 @@
+// Categories (managed by parents, one default "Uncategorized" per household) and free-form tags.
+import { NOW } from './sqlite.js';
+
+export default {
+    version: 16,
+    name: 'categories_and_tags',
+    up: [
+        `CREATE TABLE categories (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            household_id INT NOT NULL,
+            name VARCHAR(50) NOT NULL,
+            icon VARCHAR(16) NULL,
+            color CHAR(7) NULL,
+            is_default TINYINT(1) NOT NULL DEFAULT 0,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY unique_household_category (household_id, name)
+        )`,
+        `CREATE TABLE transaction_tags (
+            transaction_id INT NOT NULL,
+            tag VARCHAR(30) NOT NULL,
+            PRIMARY KEY (transaction_id, tag),
+            INDEX idx_transaction_tags_tag (tag)
+        )`,
+        `ALTER TABLE transactions
+            ADD COLUMN category_id INT NULL,
+            ADD INDEX idx_transactions_category (category_id)`,
+        // Every existing household gets its default category, and existing rows are filed under it
+        `INSERT IGNORE INTO categories (household_id, name, icon, is_default)
+            SELECT id, 'Uncategorized', '📦', 1 FROM households`,
+        `UPDATE transactions t JOIN categories c ON c.household_id = t.household_id AND c.is_default = 1
+            SET t.category_id = c.id
+            WHERE t.category_id IS NULL`
+    ],
+    down: [
+        'ALTER TABLE transactions DROP INDEX idx_transactions_category, DROP COLUMN category_id',
+        'DROP TABLE transaction_tags',
+        'DROP TABLE categories'
+    ],
+    sqlite: {
+        up: [
+            `CREATE TABLE categories (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                household_id INT NOT NULL,
+                name VARCHAR(50) NOT NULL COLLATE NOCASE,
+                icon VARCHAR(16) NULL,
+                color CHAR(7) NULL,
+                is_default TINYINT(1) NOT NULL DEFAULT 0,
+                created_at TIMESTAMP DEFAULT ${NOW},
+                UNIQUE (household_id, name)
+            )`,
+            `CREATE TABLE transaction_tags (
+                transaction_id INT NOT NULL,
+                tag VARCHAR(30) NOT NULL,
+                PRIMARY KEY (transaction_id, tag)
+            )`,
+            'CREATE INDEX idx_transaction_tags_tag ON transaction_tags (tag)',
+            'ALTER TABLE transactions ADD COLUMN category_id INT NULL',
+            'CREATE INDEX idx_transactions_category ON transactions (category_id)',
+            `INSERT OR IGNORE INTO categories (household_id, name, icon, is_default)
+                SELECT id, 'Uncategorized', '📦', 1 FROM households`,
+            `UPDATE transactions
+                SET category_id = (SELECT c.id FROM categories c WHERE c.household_id = transactions.household_id AND c.is_default = 1)
+                WHERE category_id IS NULL`
+        ],
+        down: [
+            'DROP INDEX idx_transactions_category',
+            'ALTER TABLE transactions DROP COLUMN category_id',
+            'DROP TABLE transaction_tags',
+            'DROP TABLE categories'
+        ]
+    }
+};
@@ -0,0 +1,120 @@
+// Notification preferences, push device management, low balance alerts and weekly digests.
+import { NOW, touchUpdatedAt, rebuildTable } from './sqlite.js';
+
+export default {
+    version: 17,
+    name: 'notification_preferences',
+    up: [
+        // One row per user who changed the defaults (every type on, no quiet hours). Quiet hours are
+        // wall-clock times in the user's own time zone; a window may wrap past midnight.
+        `CREATE TABLE notification_preferences (
+            user_id INT PRIMARY KEY,
+            new_request TINYINT(1) NOT NULL DEFAULT 1,
+            approval_result TINYINT(1) NOT NULL DEFAULT 1,
+            allowance_posted TINYINT(1) NOT NULL DEFAULT 1,
+            low_balance TINYINT(1) NOT NULL DEFAULT 1,
+            weekly_digest TINYINT(1) NOT NULL DEFAULT 1,
+            quiet_start TIME NULL,
+            quiet_end TIME NULL,
+            timezone VARCHAR(64) NULL,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        )`,
+        // Push devices: one row per browser endpoint, so re-subscribing the same device updates it
+        // instead of adding a duplicate. Existing duplicates are collapsed before the unique key is added.
+        `ALTER TABLE subscriptions
+            ADD COLUMN endpoint_hash CHAR(64) NULL,
+            ADD COLUMN user_agent VARCHAR(255) NULL,
+            ADD COLUMN created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            ADD COLUMN last_used_at DATETIME NULL,
+            ADD COLUMN failure_count INT NOT NULL DEFAULT 0`,
+        "UPDATE subscriptions SET endpoint_hash = SHA2(JSON_UNQUOTE(JSON_EXTRACT(subscription, '$.endpoint')), 256) WHERE endpoint_hash IS NULL",
+        `CREATE TEMPORARY TABLE unique_subscriptions AS
+            SELECT endpoint_hash, MIN(subscription) AS subscription, MAX(user_id) AS user_id
+            FROM subscriptions GROUP BY endpoint_hash`,
+        'DELETE FROM subscriptions',
+        `INSERT INTO subscriptions (subscription, user_id, endpoint_hash)
+            SELECT subscription, user_id, endpoint_hash FROM unique_subscriptions`,
+        'DROP TEMPORARY TABLE unique_subscriptions',
+        `ALTER TABLE subscriptions
+            MODIFY endpoint_hash CHAR(64) NOT NULL,
+            ADD UNIQUE KEY unique_subscription_endpoint (endpoint_hash)`,
+        // Low balance alerts: a per-child threshold on the spending policy; low_balance_alerted remembers
+        // that the alert went out, so it is sent once per drop below the line and re-armed on recovery.
+        `ALTER TABLE spending_policies
+            ADD COLUMN low_balance_below DECIMAL(10, 2) NULL,
+            ADD COLUMN low_balance_alerted TINYINT(1) NOT NULL DEFAULT 0`,
+        // Weekly digests already sent, so each user gets at most one per week
+        `CREATE TABLE notification_digests (
+            user_id INT NOT NULL,
+            week_start DATE NOT NULL,
+            sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (user_id, week_start)
+        )`
+    ],
+    down: [
+        'DROP TABLE notification_digests',
+        'ALTER TABLE spending_policies DROP COLUMN low_balance_alerted, DROP COLUMN low_balance_below',
+        `ALTER TABLE subscriptions
+            DROP INDEX unique_subscription_endpoint,
+            DROP COLUMN failure_count,
+            DROP COLUMN last_used_at,
+            DROP COLUMN created_at,
+            DROP COLUMN user_agent,
+            DROP COLUMN endpoint_hash`,
+        'DROP TABLE notification_preferences'
+    ],
+    // subscriptions is rebuilt, since SQLite can't add a column with a CURRENT_TIMESTAMP default or make
+    // one NOT NULL; duplicates are collapsed on the way. sha256() is registered by the SQLite backend.
+    sqlite: {
+        up: [
+            `CREATE TABLE notification_preferences (
+                user_id INT PRIMARY KEY,
+                new_request TINYINT(1) NOT NULL DEFAULT 1,
+                approval_result TINYINT(1) NOT NULL DEFAULT 1,
+                allowance_posted TINYINT(1) NOT NULL DEFAULT 1,
+                low_balance TINYINT(1) NOT NULL DEFAULT 1,
+                weekly_digest TINYINT(1) NOT NULL DEFAULT 1,
+                quiet_start TIME NULL,
+                quiet_end TIME NULL,
+                timezone VARCHAR(64) NULL,
+                updated_at TIMESTAMP DEFAULT ${NOW}
+            )`,
+            touchUpdatedAt('notification_preferences', ['user_id']),
+            ...rebuildTable('subscriptions', `
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                subscription TEXT NOT NULL,
+                user_id INT NOT NULL,
+                endpoint_hash CHAR(64) NOT NULL UNIQUE,
+                user_agent VARCHAR(255) NULL,
+                created_at TIMESTAMP DEFAULT ${NOW},
+                last_used_at DATETIME NULL,
+                failure_count INT NOT NULL DEFAULT 0`, {
+                copy: `(subscription, user_id, endpoint_hash)
+                    SELECT MIN(subscription), MAX(user_id), sha256(json_extract(subscription, '$.endpoint')) AS endpoint_hash
+                    FROM subscriptions GROUP BY endpoint_hash`,
+                indexes: ['CREATE INDEX idx_subscriptions_user ON subscriptions (user_id)']
+            }),
+            'ALTER TABLE spending_policies ADD COLUMN low_balance_below DECIMAL(10, 2) NULL',
+            'ALTER TABLE spending_policies ADD COLUMN low_balance_alerted TINYINT(1) NOT NULL DEFAULT 0',
+            `CREATE TABLE notification_digests (
+                user_id INT NOT NULL,
+                week_start DATE NOT NULL,
+                sent_at TIMESTAMP DEFAULT ${NOW},
+                PRIMARY KEY (user_id, week_start)
+            )`
+        ],
+        down: [
+            'DROP TABLE notification_digests',
+            'ALTER TABLE spending_policies DROP COLUMN low_balance_alerted',
+            'ALTER TABLE spending_policies DROP COLUMN low_balance_below',
+            ...rebuildTable('subscriptions', `
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                subscription TEXT NOT NULL,
+                user_id INT NOT NULL`, {
+                copy: 'SELECT id, subscription, user_id FROM subscriptions',
+                indexes: ['CREATE INDEX idx_subscriptions_user ON subscriptions (user_id)']
+            }),
+            'DROP TABLE notification_preferences'
+        ]
+    }
+};
@@ -0,0 +1,40 @@
+// Responses to requests sent with an Idempotency-Key (requests queued by offline devices), so a repeat
+// returns the first result instead of running again. response_status stays NULL while the first attempt runs.
+import { NOW } from './sqlite.js';
+
+export default {
+    version: 18,
+    name: 'idempotency_keys',
+    up: [
+        `CREATE TABLE idempotency_keys (
+            user_id INT NOT NULL,
+            idempotency_key VARCHAR(64) NOT NULL,
+            request_path VARCHAR(255) NOT NULL,
+            response_status SMALLINT NULL,
+            response_body JSON NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (user_id, idempotency_key),
+            INDEX idx_idempotency_created (created_at)
+        )`
+    ],
+    down: [
+        'DROP TABLE idempotency_keys'
+    ],
+    sqlite: {
+        up: [
+            `CREATE TABLE idempotency_keys (
+                user_id INT NOT NULL,
+                idempotency_key VARCHAR(64) NOT NULL,
+                request_path VARCHAR(255) NOT NULL,
+                response_status SMALLINT NULL,
+                response_body JSON NULL,
+                created_at TIMESTAMP DEFAULT ${NOW},
+                PRIMARY KEY (user_id, idempotency_key)
+            )`,
+            'CREATE INDEX idx_idempotency_created ON idempotency_keys (created_at)'
+        ],
+        down: [
+            'DROP TABLE idempotency_keys'
+        ]
+    }
+};
@@ -0,0 +1,81 @@
+// Every migration, oldest first. A new migration goes at the end with the next version number;
+// the server refuses to start until the database has been migrated to LATEST_VERSION. `up` and
+// `down` are MySQL statements and `sqlite: { up, down }` the same changes for SQLite (helpers in
+// sqlite.js); test/schema.test.js checks that both give the same tables.
+import baseTables from './001_base_tables.js';
+import recurringAllowances from './002_recurring_allowances.js';
+import savingsGoals from './003_savings_goals.js';
+import buckets from './004_buckets.js';
+import transactionListIndexes from './005_transaction_list_indexes.js';
+import households from './006_households.js';
+import accountStatus from './007_account_status.js';
+import pinLogin from './008_pin_login.js';
+import sessions from './009_sessions.js';
+import auditTrail from './010_audit_trail.js';
+import reversalsAndCorrections from './011_reversals_and_corrections.js';
+import interestRules from './012_interest_rules.js';
+import chores from './013_chores.js';
+import spendingPolicies from './014_spending_policies.js';
+import currencies from './015_currencies.js';
+import categoriesAndTags from './016_categories_and_tags.js';
+import notificationPreferences from './017_notification_preferences.js';
+import idempotencyKeys from './018_idempotency_keys.js';
+
+export const migrations = [
+    baseTables,
+    recurringAllowances,
+    savingsGoals,
+    buckets,
+    transactionListIndexes,
+    households,
+    accountStatus,
+    pinLogin,
+    sessions,
+    auditTrail,
+    reversalsAndCorrections,
+    interestRules,
+    chores,
+    spendingPolicies,
+    currencies,
+    categoriesAndTags,
+    notificationPreferences,
+    idempotencyKeys
+];
+
+migrations.forEach((migration, index) => {
+    if (migration.version !== index + 1) {
+        throw new Error(`Migration "${migration.name}" has version ${migration.version}, expected ${index + 1}.`);
+    }
+    if (!migration.sqlite) {
+        throw new Error(`Migration "${migration.name}" has no SQLite statements.`);
+    }
+});
+
+export const LATEST_VERSION = migrations.length;
+
+export const MIGRATIONS_TABLE_SQL = `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`;
+
+// The highest applied version, or 0 for a database that has never been migrated
+export const getSchemaVersion = async (db) => {
+    const [[{ found }]] = await db.query(db.client === 'sqlite'
+        ? "SELECT COUNT(*) AS found FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'"
+        : "SELECT COUNT(*) AS found FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = 'schema_migrations'"
+    );
+    if (!found) return 0;
+    const [[{ version }]] = await db.query('SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations');
+    return version;
+};
+
+// Why the server can't run against a database at `version`, or null when it matches
+export const describeSchemaMismatch = (version) => {
+    if (version === LATEST_VERSION) return null;
+    if (version > LATEST_VERSION) {
+        return `The database schema is at version ${version}, newer than this server (version ${LATEST_VERSION}). Update the server.`;
+    }
+    return `The database schema is at version ${version} but this server needs version ${LATEST_VERSION}. Run \`npm run migrate\` in server/.`;
+};
@@ -0,0 +1,81 @@
+// Applies and undoes migrations on one connection; migrate.js is the command line for it, and the
+// tests use it to set up their database.
+// MySQL can't roll back schema changes, so a migration that fails part-way leaves the statements
+// before the failing one applied. Fix the database by hand before running the migration again.
+// SQLite can, so there each migration is applied or undone as a whole, from its `sqlite` statements.
+import { migrations, LATEST_VERSION, MIGRATIONS_TABLE_SQL } from './index.js';
+
+const label = (migration) => `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+
+const getApplied = async (connection) => {
+    await connection.query(MIGRATIONS_TABLE_SQL);
+    const [rows] = await connection.query('SELECT version, applied_at FROM schema_migrations ORDER BY version');
+    return new Map(rows.map(row => [row.version, row.applied_at]));
+};
+
+const recordApplied = (connection, migration) =>
+    connection.query('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)', [migration.version, migration.name, new Date()]);
+
+// Statements run one at a time on a single connection, so session variables carry over between them
+const runStatements = async (connection, statements, after) => {
+    const isSqlite = connection.client === 'sqlite';
+    if (isSqlite) await connection.beginTransaction();
+    try {
+        for (const sql of statements) {
+            await connection.query(sql);
+        }
+        await after();
+        if (isSqlite) await connection.commit();
+    } catch (error) {
+        if (isSqlite) await connection.rollback();
+        throw error;
+    }
+};
+
+const statementsFor = (connection, migration, direction) =>
+    connection.client === 'sqlite' ? migration.sqlite[direction] : migration[direction];
+
+export const migrateUp = async (connection, log = console.log) => {
+    const applied = await getApplied(connection);
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+    if (pending.length === 0) {
+        log(`Database is up to date (version ${LATEST_VERSION}).`);
+        return;
+    }
+    for (const migration of pending) {
+        log(`Applying ${label(migration)}...`);
+        await runStatements(connection, statementsFor(connection, migration, 'up'), () => recordApplied(connection, migration));
+    }
+    log(`Database migrated to version ${LATEST_VERSION}.`);
+};
+
+export const migrateDown = async (connection, count, log = console.log) => {
+    const applied = await getApplied(connection);
+    const toUndo = migrations.filter(migration => applied.has(migration.version)).reverse().slice(0, count);
+    if (toUndo.length === 0) {
+        log('No migrations to undo.');
+        return;
+    }
+    for (const migration of toUndo) {
+        log(`Undoing ${label(migration)}...`);
+        await runStatements(connection, statementsFor(connection, migration, 'down'),
+            () => connection.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]));
+    }
+};
+
+export const showStatus = async (connection) => {
+    const applied = await getApplied(connection);
+    migrations.forEach(migration => {
+        const appliedAt = applied.get(migration.version);
+        console.log(`${appliedAt ? 'applied' : 'pending'}  ${label(migration)}${appliedAt ? `  (${new Date(appliedAt).toLocaleString()})` : ''}`);
+    });
+};
+
+export const baseline = async (connection, version) => {
+    const applied = await getApplied(connection);
+    const marked = migrations.filter(migration => migration.version <= version && !applied.has(migration.version));
+    for (const migration of marked) {
+        await recordApplied(connection, migration);
+    }
+    console.log(`Recorded ${marked.length} migration(s) as applied without running them.`);
+};
@@ -0,0 +1,23 @@
+// Shared pieces of the migrations' `sqlite` statements. SQLite differs from MySQL in a few ways the
+// migrations have to spell out: ENUMs are CHECK constraints, user names compare without regard to
+// case (as they do under MySQL's default collation), timestamps are stored as local
+// 'YYYY-MM-DD HH:MM:SS' text, and ON UPDATE CURRENT_TIMESTAMP columns are kept current by triggers.
+export const NOW = "(datetime('now', 'localtime'))";
+
+export const touchUpdatedAt = (table, key) => `
+    CREATE TRIGGER ${table}_touch_updated_at AFTER UPDATE ON ${table} FOR EACH ROW
+    WHEN NEW.updated_at IS OLD.updated_at
+    BEGIN
+        UPDATE ${table} SET updated_at = ${NOW} WHERE ${key.map(column => `${column} = NEW.${column}`).join(' AND ')};
+    END`;
+
+// SQLite can't change a column in place, so the table is copied into a new one with the new column
+// definitions and swapped in. `copy` fills the new table (by default every column, in order, from the
+// old one). The old table's indexes go with it, so they are passed again in `indexes`.
+export const rebuildTable = (table, columns, { copy = `SELECT * FROM ${table}`, indexes = [] } = {}) => [
+    `CREATE TABLE ${table}_rebuilt (${columns})`,
+    `INSERT INTO ${table}_rebuilt ${copy}`,
+    `DROP TABLE ${table}`,
+    `ALTER TABLE ${table}_rebuilt RENAME TO ${table}`,
+    ...indexes
+];
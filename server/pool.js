@@ -0,0 +1,5 @@
+// The server's one database handle, shared by app.js, the routes and the helpers in lib/.
+// A mysql2 pool, or the SQLite backend with the same interface (see storage/index.js)
+import { openStorage } from './db.js';
+
+export const pool = await openStorage();
@@ -0,0 +1,65 @@
+import { forUpdate } from './dialect.js';
+
+// --- Recurring Allowance Rules ---
+export const listHouseholdRecurringRules = async (db, householdId) => {
+    const [rows] = await db.query(
+        'SELECT r.* FROM recurring_rules r JOIN users u ON u.name = r.child_name WHERE u.household_id = ? ORDER BY r.child_name ASC, r.id ASC',
+        [householdId]
+    );
+    return rows;
+};
+
+export const findRecurringRule = async (db, id) => {
+    const [[rule]] = await db.query('SELECT * FROM recurring_rules WHERE id = ?', [id]);
+    return rule ?? null;
+};
+
+// Recurring rules are only reachable by admins of the child's household
+export const findHouseholdRecurringRule = async (db, id, householdId) => {
+    const [[rule]] = await db.query(
+        'SELECT r.* FROM recurring_rules r JOIN users u ON u.name = r.child_name WHERE r.id = ? AND u.household_id = ?',
+        [id, householdId]
+    );
+    return rule ?? null;
+};
+
+// Held until the database transaction ends, so two runs can never post the same period
+export const lockRecurringRule = async (db, id) => {
+    const [[rule]] = await db.query(`SELECT * FROM recurring_rules WHERE id = ?${forUpdate(db)}`, [id]);
+    return rule ?? null;
+};
+
+export const getDueRecurringRuleIds = async (db, date) => {
+    const [rules] = await db.query('SELECT id FROM recurring_rules WHERE paused = 0 AND next_run_date <= ?', [date]);
+    return rules.map(rule => rule.id);
+};
+
+// The day of the rule's most recent allowance, or null if it hasn't paid one yet
+export const getLastPostedRunDate = async (db, ruleId) => {
+    const [[{ lastPosted }]] = await db.query('SELECT MAX(created_at) AS lastPosted FROM transactions WHERE recurring_rule_id = ?', [ruleId]);
+    return lastPosted ?? null;
+};
+
+// Resolves to the new rule's id
+export const insertRecurringRule = async (db, { child_name, description, amount, cadence, start_date, next_run_date, auto_split = false, created_by }) => {
+    const [result] = await db.query(
+        'INSERT INTO recurring_rules (child_name, description, amount, cadence, start_date, next_run_date, auto_split, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        [child_name, description, amount, cadence, start_date, next_run_date, auto_split ? 1 : 0, created_by]
+    );
+    return result.insertId;
+};
+
+export const updateRecurringRule = (db, id, { description, amount, cadence, start_date, next_run_date, auto_split }) => db.query(
+    'UPDATE recurring_rules SET description = ?, amount = ?, cadence = ?, start_date = ?, next_run_date = ?, auto_split = ? WHERE id = ?',
+    [description, amount, cadence, start_date, next_run_date, auto_split ? 1 : 0, id]
+);
+
+export const setRecurringRuleNextRun = (db, id, nextRunDate) =>
+    db.query('UPDATE recurring_rules SET next_run_date = ? WHERE id = ?', [nextRunDate, id]);
+
+export const pauseRecurringRule = (db, id) => db.query('UPDATE recurring_rules SET paused = 1 WHERE id = ?', [id]);
+
+export const resumeRecurringRule = (db, id, nextRunDate) =>
+    db.query('UPDATE recurring_rules SET paused = 0, next_run_date = ? WHERE id = ?', [nextRunDate, id]);
+
+export const deleteRecurringRule = (db, id) => db.query('DELETE FROM recurring_rules WHERE id = ?', [id]);
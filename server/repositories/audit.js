@@ -0,0 +1,62 @@
+// --- Audit Trail ---
+// audit_log is append-only (migration 010's triggers refuse updates and deletes), so there is no
+// function here to change an entry.
+
+// Resolves to the new entry's id. The child is stored by user id, looked up from their name.
+export const insertAuditEntry = async (db, { householdId, entityType, entityId, childName, action, actor, oldValues, newValues }) => {
+    const [result] = await db.query(
+        `INSERT INTO audit_log (household_id, entity_type, entity_id, child_id, action, actor_id, actor_name, old_values, new_values)
+         VALUES (?, ?, ?, (SELECT id FROM users WHERE name = ?), ?, ?, ?, ?, ?)`,
+        [
+            householdId, entityType, entityId, childName, action, actor?.id ?? null, actor?.name ?? null,
+            oldValues && JSON.stringify(oldValues), newValues && JSON.stringify(newValues)
+        ]
+    );
+    return result.insertId;
+};
+
+// One household's entries, newest first, optionally for one transaction or one child
+const auditFilterSql = (householdId, { transactionId = null, childId = null }) => {
+    const conditions = ['a.household_id = ?'];
+    const params = [householdId];
+    if (transactionId) {
+        conditions.push("a.entity_type = 'transaction' AND a.entity_id = ?");
+        params.push(transactionId);
+    }
+    if (childId) {
+        conditions.push('a.child_id = ?');
+        params.push(childId);
+    }
+    return { where: `WHERE ${conditions.join(' AND ')}`, params };
+};
+
+export const countAuditEntries = async (db, householdId, filters) => {
+    const { where, params } = auditFilterSql(householdId, filters);
+    const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total FROM audit_log a ${where}`, params);
+    return Number(total);
+};
+
+export const listAuditEntries = async (db, householdId, filters, limit, offset) => {
+    const { where, params } = auditFilterSql(householdId, filters);
+    const [rows] = await db.query(
+        `SELECT a.* FROM audit_log a ${where} ORDER BY a.created_at DESC, a.id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+    );
+    return rows;
+};
+
+// The first and last entry ids, across every household: { minId: 1, maxId: 0 } while the log is empty
+export const getAuditIdRange = async (db) => {
+    const [[range]] = await db.query('SELECT COALESCE(MIN(id), 1) AS minId, COALESCE(MAX(id), 0) AS maxId FROM audit_log');
+    return { minId: Number(range.minId), maxId: Number(range.maxId) };
+};
+
+// One household's transaction entries after `sinceId`, oldest first
+export const listTransactionEntriesSince = async (db, sinceId, householdId, limit) => {
+    const [entries] = await db.query(
+        `SELECT a.id, a.household_id, a.entity_id, a.action, a.actor_name, a.old_values, a.created_at FROM audit_log a
+         WHERE a.entity_type = 'transaction' AND a.id > ? AND a.household_id = ? ORDER BY a.id ASC LIMIT ?`,
+        [sinceId, householdId, limit]
+    );
+    return entries;
+};
@@ -0,0 +1,172 @@
+import { forBackend, placeholders } from './dialect.js';
+
+// --- Balance SQL ---
+// Money is summed in SQL as integer cents. `amount` is DECIMAL(10, 2), so amount * 100 is exact and
+// nothing passes through floating point until the client formats it for display.
+// Each fragment expects the transactions table to be aliased as `t`.
+// Balances, buckets, interest and spending limits are all in the household's currency; money in any
+// other currency is kept apart and reported per currency by getForeignBalanceRows.
+const IN_HOME_CURRENCY = 't.currency = (SELECT h.currency FROM households h WHERE h.id = t.household_id)';
+const SIGNED_CENTS = "ROUND((CASE WHEN t.type = 'income' THEN t.amount ELSE -t.amount END) * 100)";
+export const APPROVED_CENTS = `CAST(COALESCE(SUM(CASE WHEN t.status = 'approved' AND ${IN_HOME_CURRENCY} THEN ${SIGNED_CENTS} END), 0) AS SIGNED)`;
+const centsWhere = (condition) => `CAST(COALESCE(SUM(CASE WHEN ${IN_HOME_CURRENCY} AND (${condition}) THEN ROUND(t.amount * 100) END), 0) AS SIGNED)`;
+
+export const getApprovedBalanceCents = async (db, childName) => {
+    const [[{ balance_cents }]] = await db.query(`SELECT ${APPROVED_CENTS} AS balance_cents FROM transactions t WHERE t.child_name = ?`, [childName]);
+    return Number(balance_cents);
+};
+
+// Approved balance of everything before `before`, for the opening balance of a report
+export const getApprovedBalanceBefore = async (db, childName, before) => {
+    const [[{ opening_cents }]] = await db.query(
+        `SELECT ${APPROVED_CENTS} AS opening_cents FROM transactions t WHERE t.child_name = ? AND t.created_at < ?`,
+        [childName, before]
+    );
+    return Number(opening_cents);
+};
+
+// [{ child_name, balance_cents }] for the children that have any transactions
+export const getBalancesByChild = async (db, childNames) => {
+    if (childNames.length === 0) return [];
+    const [rows] = await db.query(
+        `SELECT t.child_name, ${APPROVED_CENTS} AS balance_cents FROM transactions t WHERE t.child_name IN (${placeholders(childNames)}) GROUP BY t.child_name`,
+        childNames
+    );
+    return rows;
+};
+
+// Approved balances in currencies other than the household's, per child and currency
+export const getForeignBalanceRows = async (db, childNames) => {
+    if (childNames.length === 0) return [];
+    const [rows] = await db.query(
+        `SELECT t.child_name, t.currency, CAST(COALESCE(SUM(CASE WHEN t.status = 'approved' THEN ${SIGNED_CENTS} END), 0) AS SIGNED) AS balance_cents
+         FROM transactions t
+         WHERE t.child_name IN (${placeholders(childNames)}) AND NOT ${IN_HOME_CURRENCY}
+         GROUP BY t.child_name, t.currency
+         HAVING balance_cents <> 0
+         ORDER BY t.currency`,
+        childNames
+    );
+    return rows;
+};
+
+// Transfers between buckets are internal moves, so they don't count as income or expense
+export const getChildSummary = async (db, childName) => {
+    const [[summary]] = await db.query(
+        `SELECT
+            ${APPROVED_CENTS} AS balance_cents,
+            ${centsWhere("t.status = 'approved' AND t.type = 'income' AND t.transfer_id IS NULL")} AS income_cents,
+            ${centsWhere("t.status = 'approved' AND t.type = 'expense' AND t.transfer_id IS NULL")} AS expense_cents,
+            ${centsWhere("t.status = 'pending' AND t.type = 'income'")} AS pending_income_cents,
+            ${centsWhere("t.status = 'pending' AND t.type = 'expense'")} AS pending_expense_cents,
+            CAST(COALESCE(SUM(t.status = 'pending'), 0) AS SIGNED) AS pending_count
+         FROM transactions t
+         WHERE t.child_name = ?`,
+        [childName]
+    );
+    return summary;
+};
+
+// Approved and pending expenses since `since`, not counting moves between buckets or reversals
+export const getSpendingSinceCents = async (db, childName, since, excludeId = 0) => {
+    const spent = "t.type = 'expense' AND t.status IN ('approved', 'pending') AND t.transfer_id IS NULL AND t.reverses_id IS NULL";
+    const [[{ cents }]] = await db.query(
+        `SELECT ${centsWhere(spent)} AS cents FROM transactions t WHERE t.child_name = ? AND t.created_at >= ? AND t.id <> ?`,
+        [childName, since, excludeId]
+    );
+    return Number(cents);
+};
+
+export const getPendingExpenseCents = async (db, bucketId, excludeId = 0) => {
+    const [[{ pending }]] = await db.query(
+        `SELECT ${centsWhere("t.type = 'expense' AND t.status = 'pending'")} AS pending FROM transactions t WHERE t.bucket_id = ? AND t.id <> ?`,
+        [bucketId, excludeId]
+    );
+    return Number(pending);
+};
+
+// What is left to spend in one currency in a bucket: approved money less pending expenses
+export const getAvailableInCurrencyCents = async (db, bucketId, currency, excludeId = 0) => {
+    const [[{ available }]] = await db.query(
+        `SELECT CAST(COALESCE(SUM(CASE WHEN t.status = 'approved' THEN ${SIGNED_CENTS}
+                                      WHEN t.status = 'pending' AND t.type = 'expense' THEN -ROUND(t.amount * 100) END), 0) AS SIGNED) AS available
+         FROM transactions t WHERE t.bucket_id = ? AND t.currency = ? AND t.id <> ?`,
+        [bucketId, currency, excludeId]
+    );
+    return Number(available);
+};
+
+// The amount an interest rule pays on for one period [periodStart, periodEnd): the approved balance
+// at the end of the period, or for a match the deposits made during it. Deposits are new money:
+// income that isn't a transfer, a reversal or an earlier payout.
+export const getInterestBasisCents = async (db, rule, periodStart, periodEnd) => {
+    const conditions = ['t.child_name = ?', "t.status = 'approved'", 't.created_at < ?', IN_HOME_CURRENCY];
+    const params = [rule.child_name, periodEnd];
+    if (rule.bucket_id) {
+        conditions.push('t.bucket_id = ?');
+        params.push(rule.bucket_id);
+    }
+    if (rule.kind === 'match') {
+        conditions.push("t.type = 'income'", 't.created_at >= ?', 't.transfer_id IS NULL', 't.reverses_id IS NULL', 't.interest_rule_id IS NULL');
+        params.push(periodStart);
+    }
+    const cents = rule.kind === 'match' ? 'ROUND(t.amount * 100)' : SIGNED_CENTS;
+    const [[row]] = await db.query(
+        `SELECT CAST(COALESCE(SUM(${cents}), 0) AS SIGNED) AS cents FROM transactions t WHERE ${conditions.join(' AND ')}`,
+        params
+    );
+    return Number(row.cents);
+};
+
+// Net spending per category for some children over [start, end). Reversed purchases are taken back
+// off their category (a reversal keeps the original's category); transfers aren't spending.
+export const getCategoryTotals = async (db, childNames, start, end) => {
+    if (childNames.length === 0) return [];
+    const [rows] = await db.query(
+        `SELECT c.id AS category_id, c.name, c.icon, c.color,
+                CAST(COALESCE(SUM(t.type = 'expense' AND t.reverses_id IS NULL), 0) AS SIGNED) AS count,
+                ${centsWhere("t.type = 'expense' AND t.reverses_id IS NULL")} - ${centsWhere("t.type = 'income' AND t.reverses_id IS NOT NULL")} AS expense_cents
+         FROM transactions t LEFT JOIN categories c ON c.id = t.category_id
+         WHERE t.child_name IN (${placeholders(childNames)}) AND t.status = 'approved' AND t.transfer_id IS NULL AND t.created_at >= ? AND t.created_at < ?
+         GROUP BY c.id, c.name, c.icon, c.color
+         HAVING expense_cents > 0
+         ORDER BY expense_cents DESC`,
+        [...childNames, start, end]
+    );
+    return rows.map(row => ({ ...row, expense_cents: Number(row.expense_cents) }));
+};
+
+// Income, expense and net change per 'YYYY-MM' month over [start, end), for months with any entries
+export const getMonthlyTotals = async (db, childName, start, end) => {
+    const month = forBackend(db, {
+        mysql: "DATE_FORMAT(t.created_at, '%Y-%m')",
+        sqlite: "strftime('%Y-%m', t.created_at)"
+    });
+    const [rows] = await db.query(
+        `SELECT ${month} AS month,
+                ${centsWhere("t.status = 'approved' AND t.type = 'income' AND t.transfer_id IS NULL")} AS income_cents,
+                ${centsWhere("t.status = 'approved' AND t.type = 'expense' AND t.transfer_id IS NULL")} AS expense_cents,
+                ${APPROVED_CENTS} AS net_cents
+         FROM transactions t
+         WHERE t.child_name = ? AND t.created_at >= ? AND t.created_at < ?
+         GROUP BY month`,
+        [childName, start, end]
+    );
+    return rows;
+};
+
+// One week's income and expense per child, with their balance and open requests, for the weekly digest
+export const getWeekTotals = async (db, childNames, weekStart, weekEnd) => {
+    if (childNames.length === 0) return [];
+    const inWeek = "t.status = 'approved' AND t.transfer_id IS NULL AND t.created_at >= ? AND t.created_at < ?";
+    const [rows] = await db.query(
+        `SELECT t.child_name,
+           ${centsWhere(`t.type = 'income' AND ${inWeek}`)} AS income_cents,
+           ${centsWhere(`t.type = 'expense' AND ${inWeek}`)} AS expense_cents,
+           ${APPROVED_CENTS} AS balance_cents,
+           SUM(t.status = 'pending') AS pending_count
+         FROM transactions t WHERE t.child_name IN (${placeholders(childNames)}) GROUP BY t.child_name`,
+        [weekStart, weekEnd, weekStart, weekEnd, ...childNames]
+    );
+    return rows;
+};
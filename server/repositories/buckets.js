@@ -0,0 +1,80 @@
+import { APPROVED_CENTS } from './balances.js';
+import { forBackend } from './dialect.js';
+
+// --- Buckets ---
+export const hasBuckets = async (db, childName) => {
+    const [existing] = await db.query('SELECT id FROM buckets WHERE child_name = ? LIMIT 1', [childName]);
+    return existing.length > 0;
+};
+
+// Skips a bucket the child already has by that name
+export const insertBucketIfMissing = (db, { child_name, name, split_percent, sort_order }) => db.query(
+    forBackend(db, {
+        mysql: 'INSERT IGNORE INTO buckets (child_name, name, split_percent, sort_order) VALUES (?, ?, ?, ?)',
+        sqlite: 'INSERT OR IGNORE INTO buckets (child_name, name, split_percent, sort_order) VALUES (?, ?, ?, ?)'
+    }),
+    [child_name, name, split_percent, sort_order]
+);
+
+// Resolves to the new bucket's id. It goes after the child's other buckets unless `sort_order` is given.
+export const insertBucket = async (db, { child_name, name, split_percent = 0, sort_order = null }) => {
+    let order = sort_order;
+    if (order === null) {
+        const [[{ nextOrder }]] = await db.query('SELECT COALESCE(MAX(sort_order), -1) + 1 AS nextOrder FROM buckets WHERE child_name = ?', [child_name]);
+        order = nextOrder;
+    }
+    const [result] = await db.query(
+        'INSERT INTO buckets (child_name, name, split_percent, sort_order) VALUES (?, ?, ?, ?)',
+        [child_name, name, split_percent, order]
+    );
+    return result.insertId;
+};
+
+// Files the child's rows that have no bucket yet under their first bucket
+export const assignUnbucketedTransactions = (db, childName) => db.query(
+    'UPDATE transactions SET bucket_id = (SELECT id FROM buckets WHERE child_name = ? ORDER BY sort_order, id LIMIT 1) WHERE child_name = ? AND bucket_id IS NULL',
+    [childName, childName]
+);
+
+// The child's buckets in order, each with its approved balance
+export const listBucketsWithBalances = async (db, childName) => {
+    const [rows] = await db.query(
+        `SELECT b.*, ${APPROVED_CENTS} AS balance_cents
+         FROM buckets b LEFT JOIN transactions t ON t.bucket_id = b.id
+         WHERE b.child_name = ?
+         GROUP BY b.id
+         ORDER BY b.sort_order ASC, b.id ASC`,
+        [childName]
+    );
+    return rows;
+};
+
+export const findBucket = async (db, id) => {
+    const [[bucket]] = await db.query('SELECT * FROM buckets WHERE id = ?', [id]);
+    return bucket ?? null;
+};
+
+// Buckets are only reachable by admins of the child's household
+export const findHouseholdBucket = async (db, id, householdId) => {
+    const [[bucket]] = await db.query(
+        'SELECT b.* FROM buckets b JOIN users u ON u.name = b.child_name WHERE b.id = ? AND u.household_id = ?',
+        [id, householdId]
+    );
+    return bucket ?? null;
+};
+
+export const setBucketSplit = (db, id, splitPercent) => db.query('UPDATE buckets SET split_percent = ? WHERE id = ?', [splitPercent, id]);
+
+export const renameBucket = (db, id, name) => db.query('UPDATE buckets SET name = ? WHERE id = ?', [name, id]);
+
+export const countBucketTransactions = async (db, id) => {
+    const [[{ count }]] = await db.query('SELECT COUNT(*) AS count FROM transactions WHERE bucket_id = ?', [id]);
+    return Number(count);
+};
+
+export const countChildBuckets = async (db, childName) => {
+    const [[{ count }]] = await db.query('SELECT COUNT(*) AS count FROM buckets WHERE child_name = ?', [childName]);
+    return Number(count);
+};
+
+export const deleteBucket = (db, id) => db.query('DELETE FROM buckets WHERE id = ?', [id]);
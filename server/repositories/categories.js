@@ -0,0 +1,36 @@
+// --- Categories ---
+export const getCategories = async (db, householdId) => {
+    const [rows] = await db.query('SELECT * FROM categories WHERE household_id = ? ORDER BY is_default DESC, name ASC', [householdId]);
+    return rows;
+};
+
+export const findCategory = async (db, id, householdId) => {
+    const [[category]] = await db.query('SELECT * FROM categories WHERE id = ? AND household_id = ?', [id, householdId]);
+    return category ?? null;
+};
+
+export const findDefaultCategoryId = async (db, householdId) => {
+    const [[category]] = await db.query('SELECT id FROM categories WHERE household_id = ? AND is_default = 1', [householdId]);
+    return category?.id ?? null;
+};
+
+// Resolves to the new category's id
+export const insertCategory = async (db, householdId, { name, icon = null, color = null, is_default = false }) => {
+    const [result] = await db.query(
+        'INSERT INTO categories (household_id, name, icon, color, is_default) VALUES (?, ?, ?, ?, ?)',
+        [householdId, name, icon, color, is_default ? 1 : 0]
+    );
+    return result.insertId;
+};
+
+export const updateCategory = (db, id, { name, icon, color }) =>
+    db.query('UPDATE categories SET name = ?, icon = ?, color = ? WHERE id = ?', [name, icon, color, id]);
+
+// The category's entries move to the household's default category. Run inside a database transaction.
+export const deleteCategory = async (db, id, householdId) => {
+    await db.query(
+        'UPDATE transactions SET category_id = (SELECT id FROM categories WHERE household_id = ? AND is_default = 1) WHERE category_id = ?',
+        [householdId, id]
+    );
+    await db.query('DELETE FROM categories WHERE id = ?', [id]);
+};
@@ -0,0 +1,79 @@
+import { forUpdate, placeholders } from './dialect.js';
+
+// --- Chores ---
+// Chores with their assigned children (an empty list means any child can do it)
+export const listChores = async (db, householdId) => {
+    const [chores] = await db.query('SELECT * FROM chores WHERE household_id = ? ORDER BY active DESC, name ASC', [householdId]);
+    const [assignees] = await db.query(
+        'SELECT a.chore_id, a.child_name FROM chore_assignees a JOIN chores c ON c.id = a.chore_id WHERE c.household_id = ?',
+        [householdId]
+    );
+    return chores.map(chore => ({
+        ...chore,
+        assigned_to: assignees.filter(a => a.chore_id === chore.id).map(a => a.child_name)
+    }));
+};
+
+// The chore with its assignees, locked so a double tap can't claim it twice
+export const lockHouseholdChore = async (db, id, householdId) => {
+    const [[chore]] = await db.query(`SELECT * FROM chores WHERE id = ? AND household_id = ?${forUpdate(db)}`, [id, householdId]);
+    if (!chore) return null;
+    const [assignees] = await db.query('SELECT child_name FROM chore_assignees WHERE chore_id = ?', [chore.id]);
+    return { ...chore, assigned_to: assignees.map(a => a.child_name) };
+};
+
+// Resolves to the new chore's id
+export const insertChore = async (db, { household_id, name, reward, recurrence, created_by }) => {
+    const [result] = await db.query(
+        'INSERT INTO chores (household_id, name, reward, recurrence, created_by) VALUES (?, ?, ?, ?, ?)',
+        [household_id, name, reward, recurrence, created_by]
+    );
+    return result.insertId;
+};
+
+export const updateChore = (db, id, { name, reward, recurrence, active }) =>
+    db.query('UPDATE chores SET name = ?, reward = ?, recurrence = ?, active = ? WHERE id = ?', [name, reward, recurrence, active ? 1 : 0, id]);
+
+// Resolves to whether the household had that chore. Claims already made are kept.
+export const deleteChore = async (db, id, householdId) => {
+    const [result] = await db.query('DELETE FROM chores WHERE id = ? AND household_id = ?', [id, householdId]);
+    if (result.affectedRows === 0) return false;
+    await db.query('DELETE FROM chore_assignees WHERE chore_id = ?', [id]);
+    return true;
+};
+
+export const setChoreAssignees = async (db, choreId, childNames) => {
+    await db.query('DELETE FROM chore_assignees WHERE chore_id = ?', [choreId]);
+    for (const childName of childNames) {
+        await db.query('INSERT INTO chore_assignees (chore_id, child_name) VALUES (?, ?)', [choreId, childName]);
+    }
+};
+
+// The latest claim on a chore in a period that still counts (pending or approved)
+export const findChoreClaimInPeriod = async (db, choreId, childName, periodKey) => {
+    const [[claim]] = await db.query(
+        `SELECT c.id, t.status FROM chore_completions c JOIN transactions t ON t.id = c.transaction_id
+         WHERE c.chore_id = ? AND c.child_name = ? AND c.period_key = ? AND t.status <> 'declined'
+         ORDER BY c.id DESC LIMIT 1`,
+        [choreId, childName, periodKey]
+    );
+    return claim ?? null;
+};
+
+export const insertChoreCompletion = (db, { chore_id, child_name, period_key, transaction_id }) => db.query(
+    'INSERT INTO chore_completions (chore_id, child_name, period_key, transaction_id) VALUES (?, ?, ?, ?)',
+    [chore_id, child_name, period_key, transaction_id]
+);
+
+// Chores the children did in [start, end), with the request each one filed
+export const listChoreCompletions = async (db, childNames, start, end) => {
+    if (childNames.length === 0) return [];
+    const [rows] = await db.query(
+        `SELECT c.child_name, c.chore_id, c.created_at AS completed_at, t.id AS transaction_id, t.description, t.amount, t.status
+         FROM chore_completions c JOIN transactions t ON t.id = c.transaction_id
+         WHERE c.child_name IN (${placeholders(childNames)}) AND c.created_at >= ? AND c.created_at < ?
+         ORDER BY c.created_at ASC`,
+        [...childNames, start, end]
+    );
+    return rows;
+};
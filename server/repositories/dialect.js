@@ -0,0 +1,16 @@
+// --- SQL Dialects ---
+// Repository SQL is written once where MySQL and SQLite agree. Where they don't (upserts, INSERT
+// IGNORE, ordered GROUP_CONCAT, date formatting) the statement is written out for each backend and
+// picked by the `client` of the pool or connection that runs it. The current time is passed in as a
+// parameter rather than taken from the database, so it is local time on either backend.
+export const forBackend = (db, statements) => {
+    const sql = statements[db.client];
+    if (sql === undefined) throw new Error(`No statement for the ${db.client} backend`);
+    return sql;
+};
+
+// SQLite runs one transaction at a time (see storage/sqlite.js), so a row lock has nothing to add there
+export const forUpdate = (db) => forBackend(db, { mysql: ' FOR UPDATE', sqlite: '' });
+
+// One placeholder per value, for `IN (...)` lists. Callers check for an empty list first.
+export const placeholders = (values) => values.map(() => '?').join(', ');
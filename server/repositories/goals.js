@@ -0,0 +1,61 @@
+// --- Savings Goals ---
+export const listHouseholdGoals = async (db, householdId) => {
+    const [rows] = await db.query(
+        'SELECT g.* FROM goals g JOIN users u ON u.name = g.child_name WHERE u.household_id = ? ORDER BY g.status ASC, g.created_at DESC',
+        [householdId]
+    );
+    return rows;
+};
+
+export const listChildGoals = async (db, childName) => {
+    const [rows] = await db.query('SELECT * FROM goals WHERE child_name = ? ORDER BY status ASC, created_at DESC', [childName]);
+    return rows;
+};
+
+export const listActiveGoals = async (db, childName) => {
+    const [rows] = await db.query("SELECT * FROM goals WHERE child_name = ? AND status = 'active'", [childName]);
+    return rows;
+};
+
+export const findGoal = async (db, id) => {
+    const [[goal]] = await db.query('SELECT * FROM goals WHERE id = ?', [id]);
+    return goal ?? null;
+};
+
+// Goals are scoped through the child's household
+export const findHouseholdGoal = async (db, id, householdId) => {
+    const [[goal]] = await db.query(
+        'SELECT g.* FROM goals g JOIN users u ON u.name = g.child_name WHERE g.id = ? AND u.household_id = ?',
+        [id, householdId]
+    );
+    return goal ?? null;
+};
+
+// Resolves to the new goal's id
+export const insertGoal = async (db, { child_name, name, target_amount, deadline = null, funding, created_by }) => {
+    const [result] = await db.query(
+        'INSERT INTO goals (child_name, name, target_amount, deadline, funding, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+        [child_name, name, target_amount, deadline, funding, created_by]
+    );
+    return result.insertId;
+};
+
+export const updateGoal = (db, id, { name, target_amount, deadline }) =>
+    db.query('UPDATE goals SET name = ?, target_amount = ?, deadline = ? WHERE id = ?', [name, target_amount, deadline, id]);
+
+// A negative amount takes money back out
+export const addToSetAside = (db, id, amount) => db.query('UPDATE goals SET set_aside_amount = set_aside_amount + ? WHERE id = ?', [amount, id]);
+
+export const getSetAsideTotal = async (db, childName) => {
+    const [[{ setAside }]] = await db.query(
+        "SELECT COALESCE(SUM(set_aside_amount), 0) AS setAside FROM goals WHERE child_name = ? AND status = 'active'",
+        [childName]
+    );
+    return Number(setAside);
+};
+
+// Resolves to whether the goal was still active, and so was changed
+export const finishGoal = async (db, id, status, now = new Date()) => {
+    const [result] = await db.query("UPDATE goals SET status = ?, completed_at = ? WHERE id = ? AND status = 'active'", [status, now, id]);
+    return result.affectedRows > 0;
+};
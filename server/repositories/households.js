@@ -0,0 +1,87 @@
+import { forBackend, forUpdate } from './dialect.js';
+
+// --- Households, Exchange Rates and Invites ---
+export const countHouseholds = async (db) => {
+    const [[{ households }]] = await db.query('SELECT COUNT(*) AS households FROM households');
+    return Number(households);
+};
+
+// Resolves to the new household's id
+export const insertHousehold = async (db, { name, currency = null }) => {
+    const [result] = currency
+        ? await db.query('INSERT INTO households (name, currency) VALUES (?, ?)', [name, currency])
+        : await db.query('INSERT INTO households (name) VALUES (?)', [name]);
+    return result.insertId;
+};
+
+export const findHousehold = async (db, id) => {
+    const [[household]] = await db.query('SELECT id, name, currency, locale FROM households WHERE id = ?', [id]);
+    return household ?? null;
+};
+
+export const findChildHousehold = async (db, childName) => {
+    const [[household]] = await db.query(
+        'SELECT h.id, h.name, h.currency, h.locale FROM households h JOIN users u ON u.household_id = h.id WHERE u.name = ?',
+        [childName]
+    );
+    return household ?? null;
+};
+
+export const updateHouseholdMoney = (db, id, { currency, locale }) =>
+    db.query('UPDATE households SET currency = ?, locale = ? WHERE id = ?', [currency, locale, id]);
+
+export const listExchangeRates = async (db, householdId) => {
+    const [rows] = await db.query('SELECT currency, rate, updated_by, updated_at FROM exchange_rates WHERE household_id = ? ORDER BY currency', [householdId]);
+    return rows;
+};
+
+export const saveExchangeRate = (db, householdId, { currency, rate, updated_by }) => db.query(
+    forBackend(db, {
+        mysql: `INSERT INTO exchange_rates (household_id, currency, rate, updated_by) VALUES (?, ?, ?, ?)
+                ON DUPLICATE KEY UPDATE rate = VALUES(rate), updated_by = VALUES(updated_by)`,
+        sqlite: `INSERT INTO exchange_rates (household_id, currency, rate, updated_by) VALUES (?, ?, ?, ?)
+                 ON CONFLICT (household_id, currency) DO UPDATE SET rate = excluded.rate, updated_by = excluded.updated_by`
+    }),
+    [householdId, currency, rate, updated_by]
+);
+
+// Resolves to whether there was a rate to delete
+export const deleteExchangeRate = async (db, householdId, currency) => {
+    const [result] = await db.query('DELETE FROM exchange_rates WHERE household_id = ? AND currency = ?', [householdId, currency]);
+    return result.affectedRows > 0;
+};
+
+export const listOpenInvites = async (db, householdId, now = new Date()) => {
+    const [rows] = await db.query(
+        'SELECT id, code, role, created_by, expires_at FROM household_invites WHERE household_id = ? AND used_at IS NULL AND expires_at > ? ORDER BY expires_at DESC',
+        [householdId, now]
+    );
+    return rows;
+};
+
+// Resolves to the new invite's id
+export const insertInvite = async (db, { household_id, code, role, created_by, expires_at }) => {
+    const [result] = await db.query(
+        'INSERT INTO household_invites (household_id, code, role, created_by, expires_at) VALUES (?, ?, ?, ?, ?)',
+        [household_id, code, role, created_by, expires_at]
+    );
+    return result.insertId;
+};
+
+// An unused, unexpired invite, locked so two people can't register with it at once
+export const lockOpenInvite = async (db, code, now = new Date()) => {
+    const [[invite]] = await db.query(
+        `SELECT * FROM household_invites WHERE code = ? AND used_at IS NULL AND expires_at > ?${forUpdate(db)}`,
+        [code, now]
+    );
+    return invite ?? null;
+};
+
+export const markInviteUsed = (db, id, userId, now = new Date()) =>
+    db.query('UPDATE household_invites SET used_at = ?, used_by = ? WHERE id = ?', [now, userId, id]);
+
+// Resolves to whether there was an unused invite to delete
+export const deleteOpenInvite = async (db, id, householdId) => {
+    const [result] = await db.query('DELETE FROM household_invites WHERE id = ? AND household_id = ? AND used_at IS NULL', [id, householdId]);
+    return result.affectedRows > 0;
+};
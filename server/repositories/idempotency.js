@@ -0,0 +1,30 @@
+import { forBackend } from './dialect.js';
+
+// --- Idempotency Keys ---
+// Resolves to whether the key was new. A key that is already there (for this or another request
+// path) is left as it is.
+export const claimIdempotencyKey = async (db, userId, key, requestPath) => {
+    const [result] = await db.query(
+        forBackend(db, {
+            mysql: 'INSERT IGNORE INTO idempotency_keys (user_id, idempotency_key, request_path) VALUES (?, ?, ?)',
+            sqlite: 'INSERT OR IGNORE INTO idempotency_keys (user_id, idempotency_key, request_path) VALUES (?, ?, ?)'
+        }),
+        [userId, key, requestPath]
+    );
+    return result.affectedRows > 0;
+};
+
+export const findIdempotencyKey = async (db, userId, key) => {
+    const [[saved]] = await db.query('SELECT * FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?', [userId, key]);
+    return saved ?? null;
+};
+
+export const saveIdempotentResponse = (db, userId, key, status, body) => db.query(
+    'UPDATE idempotency_keys SET response_status = ?, response_body = ? WHERE user_id = ? AND idempotency_key = ?',
+    [status, JSON.stringify(body), userId, key]
+);
+
+export const releaseIdempotencyKey = (db, userId, key) =>
+    db.query('DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?', [userId, key]);
+
+export const deleteIdempotencyKeysBefore = (db, cutoff) => db.query('DELETE FROM idempotency_keys WHERE created_at < ?', [cutoff]);
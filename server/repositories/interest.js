@@ -0,0 +1,72 @@
+import { forBackend, forUpdate } from './dialect.js';
+
+// --- Interest and Matching Rules ---
+export const listHouseholdInterestRules = async (db, householdId) => {
+    const [rows] = await db.query(
+        `SELECT r.*, b.name AS bucket_name FROM interest_rules r JOIN users u ON u.name = r.child_name
+         LEFT JOIN buckets b ON b.id = r.bucket_id
+         WHERE u.household_id = ? ORDER BY r.child_name ASC, r.id ASC`,
+        [householdId]
+    );
+    return rows;
+};
+
+export const findInterestRule = async (db, id) => {
+    const [[rule]] = await db.query('SELECT * FROM interest_rules WHERE id = ?', [id]);
+    return rule ?? null;
+};
+
+// A rule of a child in the household, or null
+export const findHouseholdInterestRule = async (db, id, householdId) => {
+    const [[rule]] = await db.query(
+        'SELECT r.* FROM interest_rules r JOIN users u ON u.name = r.child_name WHERE r.id = ? AND u.household_id = ?',
+        [id, householdId]
+    );
+    return rule ?? null;
+};
+
+export const lockInterestRule = async (db, id) => {
+    const [[rule]] = await db.query(`SELECT * FROM interest_rules WHERE id = ?${forUpdate(db)}`, [id]);
+    return rule ?? null;
+};
+
+export const getDueInterestRuleIds = async (db, date) => {
+    const [rules] = await db.query('SELECT id FROM interest_rules WHERE paused = 0 AND next_run_date <= ?', [date]);
+    return rules.map(rule => rule.id);
+};
+
+// Resolves to the new rule's id
+export const insertInterestRule = async (db, { child_name, kind, rate_percent, cap_amount, bucket_id, cadence, start_date, period_start, next_run_date, created_by }) => {
+    const [result] = await db.query(
+        `INSERT INTO interest_rules (child_name, kind, rate_percent, cap_amount, bucket_id, cadence, start_date, period_start, next_run_date, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [child_name, kind, rate_percent, cap_amount, bucket_id, cadence, start_date, period_start, next_run_date, created_by]
+    );
+    return result.insertId;
+};
+
+export const updateInterestRule = (db, id, { rate_percent, cap_amount, bucket_id, paused, period_start, next_run_date }) => db.query(
+    'UPDATE interest_rules SET rate_percent = ?, cap_amount = ?, bucket_id = ?, paused = ?, period_start = ?, next_run_date = ? WHERE id = ?',
+    [rate_percent, cap_amount, bucket_id, paused ? 1 : 0, period_start, next_run_date, id]
+);
+
+export const setInterestRulePeriod = (db, id, periodStart, nextRunDate) =>
+    db.query('UPDATE interest_rules SET period_start = ?, next_run_date = ? WHERE id = ?', [periodStart, nextRunDate, id]);
+
+export const deleteInterestRule = (db, id) => db.query('DELETE FROM interest_rules WHERE id = ?', [id]);
+
+// Records a period as paid. Payouts are unique per rule and period, so this resolves to the new
+// payout's id, or null if the period had already been paid.
+export const insertInterestPayout = async (db, { rule_id, period_start, period_end, basis_amount, amount }) => {
+    const [result] = await db.query(
+        forBackend(db, {
+            mysql: 'INSERT IGNORE INTO interest_payouts (rule_id, period_start, period_end, basis_amount, amount) VALUES (?, ?, ?, ?, ?)',
+            sqlite: 'INSERT OR IGNORE INTO interest_payouts (rule_id, period_start, period_end, basis_amount, amount) VALUES (?, ?, ?, ?, ?)'
+        }),
+        [rule_id, period_start, period_end, basis_amount, amount]
+    );
+    return result.affectedRows > 0 ? result.insertId : null;
+};
+
+export const setPayoutTransaction = (db, payoutId, transactionId) =>
+    db.query('UPDATE interest_payouts SET transaction_id = ? WHERE id = ?', [transactionId, payoutId]);
@@ -0,0 +1,117 @@
+import { forBackend } from './dialect.js';
+
+// --- Push Subscriptions and Notification Preferences ---
+// Replaces the row for a device that subscribed before
+export const saveSubscription = (db, { subscription, user_id, endpoint_hash, user_agent }) => db.query(
+    forBackend(db, {
+        mysql: `INSERT INTO subscriptions (subscription, user_id, endpoint_hash, user_agent) VALUES (?, ?, ?, ?)
+                ON DUPLICATE KEY UPDATE subscription = VALUES(subscription), user_id = VALUES(user_id),
+                  user_agent = VALUES(user_agent), failure_count = 0`,
+        sqlite: `INSERT INTO subscriptions (subscription, user_id, endpoint_hash, user_agent) VALUES (?, ?, ?, ?)
+                 ON CONFLICT (endpoint_hash) DO UPDATE SET subscription = excluded.subscription, user_id = excluded.user_id,
+                   user_agent = excluded.user_agent, failure_count = 0`
+    }),
+    [subscription, user_id, endpoint_hash, user_agent]
+);
+
+// Resolves to whether the user had that device
+export const deleteUserSubscription = async (db, endpointHash, userId) => {
+    const [result] = await db.query('DELETE FROM subscriptions WHERE endpoint_hash = ? AND user_id = ?', [endpointHash, userId]);
+    return result.affectedRows > 0;
+};
+
+export const deleteUserSubscriptions = (db, userId) => db.query('DELETE FROM subscriptions WHERE user_id = ?', [userId]);
+
+export const listUserDevices = async (db, userId) => {
+    const [rows] = await db.query(
+        'SELECT endpoint_hash AS id, user_agent, created_at, last_used_at FROM subscriptions WHERE user_id = ? ORDER BY created_at DESC',
+        [userId]
+    );
+    return rows;
+};
+
+// Devices of active members of the household, narrowed by `to` ({ role } or { name }). With a
+// `type` (checked against NOTIFICATION_TYPES by the caller, as it names a column), members who turned
+// that type off are left out. Each row carries its user's quiet hours.
+export const findPushRecipients = async (db, householdId, to, type = null) => {
+    const conditions = ['u.household_id = ?', "u.status = 'active'"];
+    const params = [householdId];
+    if (to.role) {
+        conditions.push('u.role = ?');
+        params.push(to.role);
+    }
+    if (to.name) {
+        conditions.push('u.name = ?');
+        params.push(to.name);
+    }
+    if (type) {
+        conditions.push(`COALESCE(p.${type}, 1) = 1`);
+    }
+    const [rows] = await db.query(
+        `SELECT s.subscription, s.endpoint_hash, u.id AS user_id, u.role, p.quiet_start, p.quiet_end, p.timezone
+         FROM subscriptions s
+         JOIN users u ON u.id = s.user_id
+         LEFT JOIN notification_preferences p ON p.user_id = u.id
+         WHERE ${conditions.join(' AND ')}`,
+        params
+    );
+    return rows;
+};
+
+export const markSubscriptionUsed = (db, endpointHash, now = new Date()) =>
+    db.query('UPDATE subscriptions SET last_used_at = ?, failure_count = 0 WHERE endpoint_hash = ?', [now, endpointHash]);
+
+export const deleteSubscription = (db, endpointHash) => db.query('DELETE FROM subscriptions WHERE endpoint_hash = ?', [endpointHash]);
+
+// Counts a failed push, and drops the device once it has failed `maxFailures` times in a row
+export const recordSubscriptionFailure = async (db, endpointHash, maxFailures) => {
+    await db.query('UPDATE subscriptions SET failure_count = failure_count + 1 WHERE endpoint_hash = ?', [endpointHash]);
+    await db.query('DELETE FROM subscriptions WHERE endpoint_hash = ? AND failure_count >= ?', [endpointHash, maxFailures]);
+};
+
+export const findNotificationPreferences = async (db, userId) => {
+    const [[row]] = await db.query('SELECT * FROM notification_preferences WHERE user_id = ?', [userId]);
+    return row ?? null;
+};
+
+export const saveNotificationPreferences = (db, userId, { new_request, approval_result, allowance_posted, low_balance, weekly_digest, quiet_start, quiet_end, timezone }) => db.query(
+    forBackend(db, {
+        mysql: `INSERT INTO notification_preferences (user_id, new_request, approval_result, allowance_posted, low_balance, weekly_digest, quiet_start, quiet_end, timezone)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                ON DUPLICATE KEY UPDATE new_request = VALUES(new_request), approval_result = VALUES(approval_result),
+                  allowance_posted = VALUES(allowance_posted), low_balance = VALUES(low_balance), weekly_digest = VALUES(weekly_digest),
+                  quiet_start = VALUES(quiet_start), quiet_end = VALUES(quiet_end), timezone = VALUES(timezone)`,
+        sqlite: `INSERT INTO notification_preferences (user_id, new_request, approval_result, allowance_posted, low_balance, weekly_digest, quiet_start, quiet_end, timezone)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                 ON CONFLICT (user_id) DO UPDATE SET new_request = excluded.new_request, approval_result = excluded.approval_result,
+                   allowance_posted = excluded.allowance_posted, low_balance = excluded.low_balance, weekly_digest = excluded.weekly_digest,
+                   quiet_start = excluded.quiet_start, quiet_end = excluded.quiet_end, timezone = excluded.timezone`
+    }),
+    [userId, new_request ? 1 : 0, approval_result ? 1 : 0, allowance_posted ? 1 : 0, low_balance ? 1 : 0, weekly_digest ? 1 : 0, quiet_start, quiet_end, timezone]
+);
+
+// Active users with a device who want the digest and haven't had the one for `weekStart` yet
+export const listDigestRecipients = async (db, weekStart) => {
+    const [users] = await db.query(
+        `SELECT u.id, u.name, u.role, u.household_id, p.quiet_start, p.quiet_end, p.timezone
+         FROM users u
+         LEFT JOIN notification_preferences p ON p.user_id = u.id
+         LEFT JOIN notification_digests d ON d.user_id = u.id AND d.week_start = ?
+         WHERE u.status = 'active' AND COALESCE(p.weekly_digest, 1) = 1 AND d.user_id IS NULL
+           AND EXISTS (SELECT 1 FROM subscriptions s WHERE s.user_id = u.id)`,
+        [weekStart]
+    );
+    return users;
+};
+
+// Resolves to whether this call claimed the week's digest; only one run gets to send it
+export const claimDigest = async (db, userId, weekStart) => {
+    const [result] = await db.query(
+        forBackend(db, {
+            mysql: 'INSERT IGNORE INTO notification_digests (user_id, week_start) VALUES (?, ?)',
+            sqlite: 'INSERT OR IGNORE INTO notification_digests (user_id, week_start) VALUES (?, ?)'
+        }),
+        [userId, weekStart]
+    );
+    return result.affectedRows > 0;
+};
@@ -0,0 +1,35 @@
+import { forBackend } from './dialect.js';
+
+// --- Spending Policies ---
+export const findSpendingPolicy = async (db, childName) => {
+    const [[row]] = await db.query('SELECT * FROM spending_policies WHERE child_name = ?', [childName]);
+    return row ?? null;
+};
+
+// A changed threshold is checked against the current balance straight away, so the alert flag starts over
+export const saveSpendingPolicy = (db, childName, { max_single_expense, weekly_spending_cap, no_overdraft, auto_approve_below, low_balance_below, updated_by }) => db.query(
+    forBackend(db, {
+        mysql: `INSERT INTO spending_policies (child_name, max_single_expense, weekly_spending_cap, no_overdraft, auto_approve_below, low_balance_below, updated_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+                ON DUPLICATE KEY UPDATE max_single_expense = VALUES(max_single_expense), weekly_spending_cap = VALUES(weekly_spending_cap),
+                  no_overdraft = VALUES(no_overdraft), auto_approve_below = VALUES(auto_approve_below),
+                  low_balance_below = VALUES(low_balance_below), low_balance_alerted = 0, updated_by = VALUES(updated_by)`,
+        sqlite: `INSERT INTO spending_policies (child_name, max_single_expense, weekly_spending_cap, no_overdraft, auto_approve_below, low_balance_below, updated_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)
+                 ON CONFLICT (child_name) DO UPDATE SET max_single_expense = excluded.max_single_expense, weekly_spending_cap = excluded.weekly_spending_cap,
+                   no_overdraft = excluded.no_overdraft, auto_approve_below = excluded.auto_approve_below,
+                   low_balance_below = excluded.low_balance_below, low_balance_alerted = 0, updated_by = excluded.updated_by`
+    }),
+    [childName, max_single_expense, weekly_spending_cap, no_overdraft ? 1 : 0, auto_approve_below, low_balance_below, updated_by]
+);
+
+// Resolves to whether the flag changed. Only the update that flips it sends the alert, so concurrent
+// checks can't both send it.
+export const setLowBalanceAlerted = async (db, childName, alerted) => {
+    const flag = alerted ? 1 : 0;
+    const [result] = await db.query(
+        'UPDATE spending_policies SET low_balance_alerted = ? WHERE child_name = ? AND low_balance_alerted <> ?',
+        [flag, childName, flag]
+    );
+    return result.affectedRows > 0;
+};
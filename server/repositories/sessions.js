@@ -0,0 +1,52 @@
+import { forUpdate } from './dialect.js';
+
+// --- Sessions ---
+// One row per logged-in device. Only hashes of the refresh token's secret are stored.
+export const insertSession = (db, { id, user_id, household_id, amr, refresh_token_hash, user_agent, ip_address, expires_at }) => db.query(
+    `INSERT INTO sessions (id, user_id, household_id, amr, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [id, user_id, household_id, amr, refresh_token_hash, user_agent, ip_address, expires_at]
+);
+
+// The session with its user and household, locked so two refreshes with the same token can't both rotate it
+export const lockSessionForRefresh = async (db, id) => {
+    const [[session]] = await db.query(
+        `SELECT s.*, u.name, u.role, u.status, h.name AS household_name FROM sessions s
+         JOIN users u ON u.id = s.user_id JOIN households h ON h.id = u.household_id
+         WHERE s.id = ?${forUpdate(db)}`,
+        [id]
+    );
+    return session ?? null;
+};
+
+// The old hash is kept, so a copied refresh token that is used again can be recognised
+export const rotateSessionToken = (db, id, { refresh_token_hash, ip_address, expires_at }, now = new Date()) => db.query(
+    `UPDATE sessions SET previous_token_hash = refresh_token_hash, refresh_token_hash = ?, last_used_at = ?, ip_address = ?, expires_at = ?
+     WHERE id = ?`,
+    [refresh_token_hash, now, ip_address, expires_at, id]
+);
+
+export const listActiveSessions = async (db, householdId, now = new Date()) => {
+    const [rows] = await db.query(
+        `SELECT s.id, s.user_id, u.name, s.amr, s.user_agent, s.ip_address, s.created_at, s.last_used_at
+         FROM sessions s JOIN users u ON u.id = s.user_id
+         WHERE s.household_id = ? AND s.revoked_at IS NULL AND s.expires_at > ?
+         ORDER BY s.last_used_at DESC`,
+        [householdId, now]
+    );
+    return rows;
+};
+
+// Resolves to whether a session was revoked. `householdId` limits it to one household's devices.
+export const revokeSession = async (db, id, householdId = null, now = new Date()) => {
+    const [result] = householdId === null
+        ? await db.query('UPDATE sessions SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL', [now, id])
+        : await db.query('UPDATE sessions SET revoked_at = ? WHERE id = ? AND household_id = ? AND revoked_at IS NULL', [now, id, householdId]);
+    return result.affectedRows > 0;
+};
+
+export const revokeUserSessions = (db, userId, now = new Date()) =>
+    db.query('UPDATE sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL', [now, userId]);
+
+export const deleteSessionsEndedBefore = (db, cutoff) =>
+    db.query('DELETE FROM sessions WHERE expires_at < ? OR revoked_at < ?', [cutoff, cutoff]);
@@ -0,0 +1,165 @@
+import { forBackend, forUpdate, placeholders } from './dialect.js';
+
+// --- Transactions ---
+// The columns the API returns for a transaction. Tags come back comma-separated (a tag can't
+// contain a comma); withTags in lib/categories.js turns them into an array.
+const detailSql = (db) => `
+    SELECT t.*, b.name AS bucket_name, c.name AS category_name, c.icon AS category_icon, c.color AS category_color,
+      (SELECT ${forBackend(db, {
+          mysql: "GROUP_CONCAT(tt.tag ORDER BY tt.tag SEPARATOR ',')",
+          sqlite: "GROUP_CONCAT(tt.tag, ',' ORDER BY tt.tag)"
+      })} FROM transaction_tags tt WHERE tt.transaction_id = t.id) AS tags
+    FROM transactions t
+    LEFT JOIN buckets b ON b.id = t.bucket_id
+    LEFT JOIN categories c ON c.id = t.category_id`;
+
+// Turns the filters from parseTransactionFilters (lib/transactions.js) into a WHERE clause on `t`
+const filterSql = (filters) => {
+    const conditions = ['t.household_id = ?'];
+    const params = [filters.household_id];
+    const add = (condition, ...values) => {
+        conditions.push(condition);
+        params.push(...values);
+    };
+    if (filters.child_name) add('t.child_name = ?', filters.child_name);
+    if (filters.statuses) add(`t.status IN (${placeholders(filters.statuses)})`, ...filters.statuses);
+    if (filters.type) add('t.type = ?', filters.type);
+    if (filters.from) add('t.created_at >= ?', filters.from);
+    if (filters.before) add('t.created_at < ?', filters.before);
+    if (filters.min_amount !== undefined) add('t.amount >= ?', filters.min_amount);
+    if (filters.max_amount !== undefined) add('t.amount <= ?', filters.max_amount);
+    if (filters.category_id) add('t.category_id = ?', filters.category_id);
+    // Several tags match entries that have any of them
+    if (filters.tags) {
+        add(`EXISTS (SELECT 1 FROM transaction_tags tt WHERE tt.transaction_id = t.id AND tt.tag IN (${placeholders(filters.tags)}))`, ...filters.tags);
+    }
+    // LIKE wildcards are escaped so the search is a plain substring match. '!' is the escape character
+    // because a backslash means something different in MySQL and SQLite string literals.
+    if (filters.search) add("t.description LIKE ? ESCAPE '!'", `%${filters.search.replace(/[!%_]/g, '!$&')}%`);
+    return { where: `WHERE ${conditions.join(' AND ')}`, params };
+};
+
+// The household always comes from the child, so no caller can file a row under the wrong family.
+// A missing currency or category falls back to the household's currency and its default category.
+// Resolves to the new transaction's id.
+export const insertTransactionRow = async (db, { description, amount, type, child_name, status, approved_by, bucket_id, transfer_id = null, recurring_rule_id = null, interest_rule_id = null, reverses_id = null, corrects_id = null, currency = null, category_id = null, created_by, created_at, decided_at }) => {
+    const sql = `
+        INSERT INTO transactions (description, amount, type, child_name, status, approved_by, bucket_id, transfer_id, recurring_rule_id, interest_rule_id, reverses_id, corrects_id, currency, category_id, created_by, created_at, decided_at, household_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+          COALESCE(?, (SELECT h.currency FROM households h JOIN users u ON u.household_id = h.id WHERE u.name = ?)),
+          COALESCE(?, (SELECT c.id FROM categories c JOIN users u ON u.household_id = c.household_id WHERE u.name = ? AND c.is_default = 1)),
+          ?, ?, ?, (SELECT household_id FROM users WHERE name = ?))`;
+    const [result] = await db.query(sql, [description, amount, type, child_name, status, approved_by, bucket_id, transfer_id, recurring_rule_id, interest_rule_id, reverses_id, corrects_id, currency, child_name, category_id, child_name, created_by, created_at, decided_at, child_name]);
+    return result.insertId;
+};
+
+export const insertTransactionTags = async (db, transactionId, tags) => {
+    if (tags.length === 0) return;
+    await db.query(
+        `INSERT INTO transaction_tags (transaction_id, tag) VALUES ${tags.map(() => '(?, ?)').join(', ')}`,
+        tags.flatMap(tag => [transactionId, tag])
+    );
+};
+
+export const getTransactionTags = async (db, transactionId) => {
+    const [rows] = await db.query('SELECT tag FROM transaction_tags WHERE transaction_id = ? ORDER BY tag', [transactionId]);
+    return rows.map(row => row.tag);
+};
+
+export const findTransactionDetail = async (db, id) => {
+    const [[transaction]] = await db.query(`${detailSql(db)} WHERE t.id = ?`, [id]);
+    return transaction ?? null;
+};
+
+export const findTransactionDetails = async (db, ids) => {
+    if (ids.length === 0) return [];
+    const [rows] = await db.query(`${detailSql(db)} WHERE t.id IN (${placeholders(ids)})`, ids);
+    return rows;
+};
+
+export const countTransactions = async (db, filters) => {
+    const { where, params } = filterSql(filters);
+    const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total FROM transactions t ${where}`, params);
+    return Number(total);
+};
+
+// A page of the list, newest first. Each row also says which later entry reversed or corrected it,
+// so the list can show the link both ways.
+export const listTransactionDetails = async (db, filters, limit, offset) => {
+    const { where, params } = filterSql(filters);
+    const [rows] = await db.query(
+        `SELECT details.*,
+           (SELECT r.id FROM transactions r WHERE r.reverses_id = details.id ORDER BY r.id LIMIT 1) AS reversed_by_id,
+           (SELECT c.id FROM transactions c WHERE c.corrects_id = details.id ORDER BY c.id LIMIT 1) AS corrected_by_id
+         FROM (${detailSql(db)} ${where} ORDER BY t.created_at DESC, t.id DESC LIMIT ? OFFSET ?) details
+         ORDER BY details.created_at DESC, details.id DESC`,
+        [...params, limit, offset]
+    );
+    return rows;
+};
+
+// Every matching row, oldest first, as an object-mode stream
+export const streamTransactionDetails = (db, filters) => {
+    const { where, params } = filterSql(filters);
+    return db.stream(`${detailSql(db)} ${where} ORDER BY t.created_at ASC, t.id ASC`, params);
+};
+
+// A row of the household, locked for the rest of the database transaction when `lock` is set
+export const findHouseholdTransaction = async (db, id, householdId, lock = false) => {
+    const [[transaction]] = await db.query(
+        `SELECT * FROM transactions WHERE id = ? AND household_id = ?${lock ? forUpdate(db) : ''}`,
+        [id, householdId]
+    );
+    return transaction ?? null;
+};
+
+export const hasHouseholdTransactions = async (db, householdId) => {
+    const [existing] = await db.query('SELECT id FROM transactions WHERE household_id = ? LIMIT 1', [householdId]);
+    return existing.length > 0;
+};
+
+export const findTransferRows = async (db, transferId) => {
+    const [rows] = await db.query('SELECT * FROM transactions WHERE transfer_id = ? ORDER BY id', [transferId]);
+    return rows;
+};
+
+export const isReversed = async (db, id) => {
+    const [[existing]] = await db.query('SELECT id FROM transactions WHERE reverses_id = ? LIMIT 1', [id]);
+    return Boolean(existing);
+};
+
+// The following only change rows that are still pending, so two people acting at once can't both
+// win; each resolves to whether the row was changed.
+export const decidePendingTransaction = async (db, id, { status, approved_by }, now = new Date()) => {
+    const [result] = await db.query(
+        "UPDATE transactions SET status = ?, approved_by = ?, decided_at = ? WHERE id = ? AND status = 'pending'",
+        [status, approved_by, now, id]
+    );
+    return result.affectedRows > 0;
+};
+
+export const updatePendingTransaction = async (db, id, { description, amount }) => {
+    const [result] = await db.query(
+        "UPDATE transactions SET description = ?, amount = ? WHERE id = ? AND status = 'pending'",
+        [description, amount, id]
+    );
+    return result.affectedRows > 0;
+};
+
+// Takes the request's tags with it, so call it inside a transaction
+export const deletePendingTransaction = async (db, id) => {
+    const [result] = await db.query("DELETE FROM transactions WHERE id = ? AND status = 'pending'", [id]);
+    if (result.affectedRows === 0) return false;
+    await db.query('DELETE FROM transaction_tags WHERE transaction_id = ?', [id]);
+    return true;
+};
+
+// The fields an import compares to spot entries that are already in the ledger
+export const getImportComparisonRows = async (db, childNames) => {
+    if (childNames.length === 0) return [];
+    const [rows] = await db.query(
+        `SELECT child_name, created_at, type, amount, description FROM transactions WHERE child_name IN (${placeholders(childNames)})`,
+        childNames
+    );
+    return rows;
+};
@@ -0,0 +1,123 @@
+import { forUpdate, placeholders } from './dialect.js';
+
+// --- Users ---
+// Every user belongs to a household, carried in the JWT as household_id. Child-owned rows (rules,
+// goals, buckets and so on) refer to the child by name and are scoped through the child's user row.
+const HOUSEHOLD_USER_COLUMNS = 'id, name, role, status, household_id, avatar, pin_hash IS NOT NULL AS has_pin';
+
+// Tables that refer to a child by name, updated together when a child is renamed
+const CHILD_NAME_TABLES = ['transactions', 'recurring_rules', 'goals', 'buckets', 'interest_rules', 'chore_assignees', 'chore_completions', 'spending_policies'];
+
+export const isChildInHousehold = async (db, childName, householdId) => {
+    const [[child]] = await db.query("SELECT id FROM users WHERE name = ? AND role = 'child' AND household_id = ?", [childName, householdId]);
+    return Boolean(child);
+};
+
+// Archived children keep their history but drop out of dropdowns, balances and imports
+export const getHouseholdChildNames = async (db, householdId) => {
+    const [children] = await db.query(
+        "SELECT name FROM users WHERE role = 'child' AND household_id = ? AND status != 'archived' ORDER BY name ASC",
+        [householdId]
+    );
+    return children.map(c => c.name);
+};
+
+export const findHouseholdUser = async (db, id, householdId) => {
+    const [[user]] = await db.query(`SELECT ${HOUSEHOLD_USER_COLUMNS} FROM users WHERE id = ? AND household_id = ?`, [id, householdId]);
+    return user ?? null;
+};
+
+export const findUserById = async (db, id) => {
+    const [[user]] = await db.query('SELECT id, name, role, status, household_id FROM users WHERE id = ?', [id]);
+    return user ?? null;
+};
+
+export const findHouseholdOfChild = async (db, childName) => {
+    const [[child]] = await db.query('SELECT household_id FROM users WHERE name = ?', [childName]);
+    return child?.household_id ?? null;
+};
+
+// The full row, password and PIN hashes included, with the household's name for the login response
+const findLoginUser = async (db, column, value) => {
+    const [[user]] = await db.query(`SELECT u.*, h.name AS household_name FROM users u JOIN households h ON h.id = u.household_id WHERE u.${column} = ?`, [value]);
+    return user ?? null;
+};
+
+export const findLoginUserByName = (db, name) => findLoginUser(db, 'name', name);
+export const findLoginUserById = (db, id) => findLoginUser(db, 'id', id);
+
+// The account behind an access token and the state of its session
+export const findSessionAccount = async (db, userId, sessionId) => {
+    const [[account]] = await db.query(
+        `SELECT u.name, u.role, u.status, u.household_id, s.revoked_at FROM users u
+         JOIN sessions s ON s.user_id = u.id AND s.id = ? WHERE u.id = ?`,
+        [sessionId, userId]
+    );
+    return account ?? null;
+};
+
+// Which of `names` are already taken
+export const findTakenNames = async (db, names) => {
+    if (names.length === 0) return [];
+    const [rows] = await db.query(`SELECT name FROM users WHERE name IN (${placeholders(names)})`, names);
+    return rows.map(row => row.name);
+};
+
+export const listHouseholdUsers = async (db, householdId) => {
+    const [rows] = await db.query(
+        'SELECT id, name, role, status, avatar, pin_hash IS NOT NULL AS has_pin FROM users WHERE household_id = ? ORDER BY role ASC, name ASC',
+        [householdId]
+    );
+    return rows;
+};
+
+export const listProfiles = async (db, householdId) => {
+    const [rows] = await db.query(
+        `SELECT id, name, role, avatar, pin_hash IS NOT NULL AS has_pin FROM users
+         WHERE household_id = ? AND status = 'active' ORDER BY role DESC, name ASC`,
+        [householdId]
+    );
+    return rows;
+};
+
+// Resolves to the new user's id
+export const insertUser = async (db, { name, password, role, household_id, avatar = null, pin_hash = null }) => {
+    const [result] = await db.query(
+        'INSERT INTO users (name, password, role, household_id, avatar, pin_hash) VALUES (?, ?, ?, ?, ?, ?)',
+        [name, password, role, household_id, avatar, pin_hash]
+    );
+    return result.insertId;
+};
+
+// Moves everything filed under the child's old name to the new one. Run inside a database transaction.
+export const renameChild = async (db, id, oldName, newName) => {
+    await db.query('UPDATE users SET name = ? WHERE id = ?', [newName, id]);
+    for (const table of CHILD_NAME_TABLES) {
+        await db.query(`UPDATE ${table} SET child_name = ? WHERE child_name = ?`, [newName, oldName]);
+    }
+};
+
+export const setPassword = (db, id, passwordHash) => db.query('UPDATE users SET password = ? WHERE id = ?', [passwordHash, id]);
+
+export const setStatus = (db, id, status) => db.query('UPDATE users SET status = ? WHERE id = ?', [status, id]);
+
+// Parents always log in with a password, so any PIN is removed
+export const promoteToAdmin = (db, id) => db.query("UPDATE users SET role = 'admin', pin_hash = NULL WHERE id = ?", [id]);
+
+export const setAvatar = (db, id, avatar) => db.query('UPDATE users SET avatar = ? WHERE id = ?', [avatar, id]);
+
+// A new or removed PIN (null) starts the wrong-PIN count over
+export const setPin = (db, id, pinHash) =>
+    db.query('UPDATE users SET pin_hash = ?, failed_pin_attempts = 0, pin_locked_until = NULL WHERE id = ?', [pinHash, id]);
+
+export const setFailedPinAttempts = (db, id, attempts) => db.query('UPDATE users SET failed_pin_attempts = ? WHERE id = ?', [attempts, id]);
+
+export const lockPin = (db, id, lockedUntil) =>
+    db.query('UPDATE users SET failed_pin_attempts = 0, pin_locked_until = ? WHERE id = ?', [lockedUntil, id]);
+
+export const clearPinLock = (db, id) => db.query('UPDATE users SET failed_pin_attempts = 0, pin_locked_until = NULL WHERE id = ?', [id]);
+
+// Serialises balance checks for one child. Called inside a database transaction before the balance is
+// read, it makes a concurrent request for the same child wait until this one commits, so two
+// purchases can't both pass the overdraft check on the same money.
+export const lockChild = (db, childName) => db.query(`SELECT id FROM users WHERE name = ?${forUpdate(db)}`, [childName]);
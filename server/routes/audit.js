@@ -0,0 +1,28 @@
+import express from 'express';
+import { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } from '../lib/transactions.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { pool } from '../pool.js';
+import { countAuditEntries, listAuditEntries } from '../repositories/audit.js';
+
+const router = express.Router();
+
+// GET: The audit trail, newest first (Admin only). Filter with ?transaction_id= for one transaction's
+// timeline or ?child_id= for everything that happened to a child and their money.
+router.get('/audit', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden' });
+    }
+    const filters = { transactionId: req.query.transaction_id || null, childId: req.query.child_id || null };
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    try {
+        const total = await countAuditEntries(pool, req.user.household_id, filters);
+        const rows = await listAuditEntries(pool, req.user.household_id, filters, limit, offset);
+        res.json({ entries: rows, total, limit, offset });
+    } catch (error) {
+        console.error('Failed to fetch audit log:', error);
+        res.status(500).json({ error: 'Database query failed' });
+    }
+});
+
+export default router;
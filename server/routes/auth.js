@@ -0,0 +1,239 @@
+import express from 'express';
+import bcrypt from 'bcrypt';
+import { ALLOW_HOUSEHOLD_SIGNUP, SALT_ROUNDS } from '../config.js';
+import { auditUser } from '../lib/audit.js';
+import { DEFAULT_CATEGORY_NAME } from '../lib/categories.js';
+import { PIN_PATTERN, MAX_PIN_ATTEMPTS, PIN_LOCKOUT_MINUTES, hashToken, newRefreshSecret, sessionExpiry, signAccessToken, startSession, isPinRateLimited, recordPinFailure } from '../lib/sessions.js';
+import { isBlank, validateCredentials } from '../lib/validation.js';
+import { authenticateToken, requirePasswordLogin } from '../middleware/auth.js';
+import { pool } from '../pool.js';
+import { insertCategory } from '../repositories/categories.js';
+import { countHouseholds, insertHousehold, lockOpenInvite, markInviteUsed } from '../repositories/households.js';
+import { lockSessionForRefresh, rotateSessionToken, listActiveSessions, revokeSession } from '../repositories/sessions.js';
+import { findLoginUserByName, findLoginUserById, listProfiles, insertUser, setFailedPinAttempts, lockPin, clearPinLock } from '../repositories/users.js';
+
+const router = express.Router();
+
+// AUTH: Start a new household with its first parent account.
+// Open on a fresh install; after that only when ALLOW_HOUSEHOLD_SIGNUP=true.
+router.post('/households', async (req, res) => {
+  const { household_name, name, password } = req.body;
+  const validationError = isBlank(household_name) ? 'A family name is required.' : validateCredentials(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  const connection = await pool.getConnection();
+  try {
+    if (await countHouseholds(connection) > 0 && !ALLOW_HOUSEHOLD_SIGNUP) {
+      return res.status(403).json({ error: 'New families can only be added by the server owner. Ask a parent for an invite code instead.' });
+    }
+    const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
+    await connection.beginTransaction();
+    const householdId = await insertHousehold(connection, { name: household_name.trim() });
+    await insertCategory(connection, householdId, { name: DEFAULT_CATEGORY_NAME, icon: '📦', is_default: true });
+    const id = await insertUser(connection, { name: name.trim(), password: hashedPassword, role: 'admin', household_id: householdId });
+    const user = { id, name: name.trim(), role: 'admin', household_id: householdId };
+    await auditUser(connection, 'create', user, user, null, { name: user.name, role: user.role });
+    await connection.commit();
+    res.status(201).json({ message: 'Household created successfully' });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Household creation error:', error);
+    res.status(500).json({ error: 'Username likely already exists or database error.' });
+  } finally {
+    connection.release();
+  }
+});
+
+// AUTH: Register a new user with an invite code. The invite decides the household and role.
+router.post('/register', async (req, res) => {
+  const { invite_code, name, password } = req.body;
+  const validationError = !invite_code ? 'An invite code is required.' : validateCredentials(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  const connection = await pool.getConnection();
+  try {
+    const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
+    await connection.beginTransaction();
+    const invite = await lockOpenInvite(connection, String(invite_code).trim().toUpperCase());
+    if (!invite) {
+      await connection.rollback();
+      return res.status(400).json({ error: 'That invite code is invalid, used or expired.' });
+    }
+    const id = await insertUser(connection, { name: name.trim(), password: hashedPassword, role: invite.role, household_id: invite.household_id });
+    await markInviteUsed(connection, invite.id, id);
+    const user = { id, name: name.trim(), role: invite.role, household_id: invite.household_id };
+    await auditUser(connection, 'create', user, user, null, { name: user.name, role: user.role, invite_code: invite.code });
+    await connection.commit();
+    res.status(201).json({ message: 'User created successfully' });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Registration error:', error);
+    res.status(500).json({ error: 'Username likely already exists or database error.' });
+  } finally {
+    connection.release();
+  }
+});
+
+// AUTH: Login a user
+router.post('/login', async (req, res) => {
+    try {
+        const { name, password } = req.body;
+        if (typeof name !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({ error: 'Invalid username or password' });
+        }
+        const user = await findLoginUserByName(pool, name);
+
+        if (user && await bcrypt.compare(password, user.password)) {
+            if (user.status !== 'active') {
+                return res.status(400).json({ error: 'This account has been disabled. Ask a parent to turn it back on.' });
+            }
+            // Passwords match, start a session for this device
+            res.json(await startSession(user, 'password', req));
+        } else {
+            res.status(400).json({ error: 'Invalid username or password' });
+        }
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ error: 'An error occurred during login' });
+    }
+});
+
+// AUTH: Login a child with their PIN (picked from the remembered profiles on the device).
+// Failed attempts are counted per account; too many locks the PIN for a while.
+router.post('/login/pin', async (req, res) => {
+    const ip = req.ip;
+    if (isPinRateLimited(ip)) {
+        return res.status(429).json({ error: 'Too many PIN attempts from this device. Please wait a few minutes.' });
+    }
+    try {
+        const { user_id, pin } = req.body;
+        const user = await findLoginUserById(pool, user_id);
+
+        // Parents always use their password, so only children with a PIN can get past here
+        if (!user || user.role !== 'child' || !user.pin_hash || user.status !== 'active') {
+            recordPinFailure(ip);
+            return res.status(400).json({ error: 'PIN login is not set up for this profile.' });
+        }
+        if (user.pin_locked_until && new Date(user.pin_locked_until) > new Date()) {
+            const minutes = Math.ceil((new Date(user.pin_locked_until) - new Date()) / 60000);
+            return res.status(429).json({ error: `Too many wrong PINs. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or ask a parent.` });
+        }
+
+        if (!PIN_PATTERN.test(String(pin ?? '')) || !await bcrypt.compare(String(pin), user.pin_hash)) {
+            recordPinFailure(ip);
+            const attempts = user.failed_pin_attempts + 1;
+            if (attempts >= MAX_PIN_ATTEMPTS) {
+                const lockedUntil = new Date(Date.now() + PIN_LOCKOUT_MINUTES * 60 * 1000);
+                await lockPin(pool, user.id, lockedUntil);
+                return res.status(429).json({ error: `Too many wrong PINs. Try again in ${PIN_LOCKOUT_MINUTES} minutes or ask a parent.` });
+            }
+            await setFailedPinAttempts(pool, user.id, attempts);
+            const remaining = MAX_PIN_ATTEMPTS - attempts;
+            return res.status(400).json({ error: `Wrong PIN. ${remaining} ${remaining === 1 ? 'try' : 'tries'} left.` });
+        }
+
+        await clearPinLock(pool, user.id);
+        res.json(await startSession(user, 'pin', req));
+    } catch (error) {
+        console.error('PIN login error:', error);
+        res.status(500).json({ error: 'An error occurred during login' });
+    }
+});
+
+// AUTH: Swap a refresh token for a new access token. The refresh token is rotated each time; if an
+// already-used one turns up again it has been copied, so the whole session is revoked.
+router.post('/token/refresh', async (req, res) => {
+    const [sessionId, secret] = String(req.body.refresh_token ?? '').split('.');
+    if (!sessionId || !secret) {
+        return res.status(401).json({ error: 'Session expired. Please log in again.' });
+    }
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const session = await lockSessionForRefresh(connection, sessionId);
+        if (!session || session.revoked_at || new Date(session.expires_at) <= new Date() || session.status !== 'active') {
+            await connection.rollback();
+            return res.status(401).json({ error: 'Session expired. Please log in again.' });
+        }
+
+        const presentedHash = hashToken(secret);
+        if (presentedHash !== session.refresh_token_hash) {
+            if (presentedHash === session.previous_token_hash) {
+                await revokeSession(connection, session.id);
+                await connection.commit();
+            } else {
+                await connection.rollback();
+            }
+            return res.status(401).json({ error: 'Session expired. Please log in again.' });
+        }
+
+        const newSecret = newRefreshSecret();
+        await rotateSessionToken(connection, session.id, { refresh_token_hash: hashToken(newSecret), ip_address: req.ip, expires_at: sessionExpiry() });
+        await connection.commit();
+        const user = { id: session.user_id, name: session.name, role: session.role, household_id: session.household_id, household_name: session.household_name };
+        res.json({ ...signAccessToken(user, session.id, session.amr), refreshToken: `${session.id}.${newSecret}` });
+    } catch (error) {
+        await connection.rollback().catch(() => {});
+        console.error('Token refresh error:', error);
+        res.status(500).json({ error: 'An error occurred while refreshing the session' });
+    } finally {
+        connection.release();
+    }
+});
+
+// AUTH: Logout ends this device's session on the server
+router.post('/logout', authenticateToken, async (req, res) => {
+    try {
+        await revokeSession(pool, req.user.sid);
+        res.json({ message: 'Logged out.' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Database update failed' });
+    }
+});
+
+// GET: Logged-in devices across the household, newest activity first (Admin only)
+router.get('/sessions', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden' });
+    }
+    try {
+        const rows = await listActiveSessions(pool, req.user.household_id);
+        res.json(rows.map(row => ({ ...row, current: row.id === req.user.sid })));
+    } catch (error) {
+        console.error('Failed to fetch sessions:', error);
+        res.status(500).json({ error: 'Database query failed' });
+    }
+});
+
+// DELETE: Revoke a session, e.g. for a lost tablet. The device is logged out on its next request (Admin only)
+router.delete('/sessions/:id', authenticateToken, requirePasswordLogin, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can log out devices.' });
+    }
+    try {
+        if (!await revokeSession(pool, req.params.id, req.user.household_id)) {
+            return res.status(404).json({ error: 'Session not found.' });
+        }
+        res.json({ message: 'Device logged out.' });
+    } catch (error) {
+        console.error('Failed to revoke session:', error);
+        res.status(500).json({ error: 'Database update failed' });
+    }
+});
+
+// GET: Profiles for the device's login picker. Fetched after a login and remembered locally,
+// so the picker never needs an unauthenticated list of family members.
+router.get('/profiles', authenticateToken, async (req, res) => {
+    try {
+        const rows = await listProfiles(pool, req.user.household_id);
+        res.json(rows.map(row => ({ ...row, has_pin: Boolean(row.has_pin) })));
+    } catch (error) {
+        console.error('Failed to fetch profiles:', error);
+        res.status(500).json({ error: 'Database query failed' });
+    }
+});
+
+export default router;
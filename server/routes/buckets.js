@@ -0,0 +1,198 @@
+import express from 'express';
+import { randomUUID } from 'node:crypto';
+import { ensureBuckets, getBuckets } from '../lib/buckets.js';
+import { insertTransaction } from '../lib/transactions.js';
+import { isAmount, isBlank } from '../lib/validation.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { pool } from '../pool.js';
+import { insertBucket, findBucket, findHouseholdBucket, setBucketSplit, renameBucket, countBucketTransactions, countChildBuckets, deleteBucket } from '../repositories/buckets.js';
+import { isChildInHousehold, getHouseholdChildNames, lockChild } from '../repositories/users.js';
+
+const router = express.Router();
+
+// GET: Fetch buckets with balances. Children get their own; admins get one child (?child_name=) or every child.
+router.get('/buckets', authenticateToken, async (req, res) => {
+    try {
+        let childNames = [req.user.name];
+        if (req.user.role === 'admin') {
+            const householdChildren = await getHouseholdChildNames(pool, req.user.household_id);
+            if (req.query.child_name && !householdChildren.includes(req.query.child_name)) {
+                return res.status(404).json({ error: 'Child not found.' });
+            }
+            childNames = req.query.child_name ? [req.query.child_name] : householdChildren;
+        }
+        const buckets = [];
+        for (const childName of childNames) {
+            buckets.push(...await getBuckets(pool, childName));
+        }
+        res.json(buckets);
+    } catch (error) {
+        console.error('Failed to fetch buckets:', error);
+        res.status(500).json({ error: 'Database query failed' });
+    }
+});
+
+// POST: Add a custom bucket for a child (Admin only)
+router.post('/buckets', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can manage buckets.' });
+    }
+    const { child_name, name } = req.body;
+    if (!child_name || isBlank(name)) {
+        return res.status(400).json({ error: 'A child and bucket name are required.' });
+    }
+    try {
+        if (!await isChildInHousehold(pool, child_name, req.user.household_id)) {
+            return res.status(404).json({ error: 'Child not found.' });
+        }
+        await ensureBuckets(pool, child_name);
+        const id = await insertBucket(pool, { child_name, name: name.trim() });
+        res.status(201).json({ ...await findBucket(pool, id), balance_cents: 0 });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(400).json({ error: 'This child already has a bucket with that name.' });
+        }
+        console.error('Failed to create bucket:', error);
+        res.status(500).json({ error: 'Database insert failed' });
+    }
+});
+
+// PUT: Set the auto-split percentages for all of a child's buckets at once (Admin only). Must total 100.
+router.put('/buckets/split', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can manage buckets.' });
+    }
+    const { child_name, splits } = req.body;
+    if (!child_name || !Array.isArray(splits)) {
+        return res.status(400).json({ error: 'A child and a list of splits are required.' });
+    }
+    if (splits.some(s => !(Number(s.split_percent) >= 0))) {
+        return res.status(400).json({ error: 'Percentages cannot be negative.' });
+    }
+    const total = splits.reduce((sum, s) => sum + Number(s.split_percent), 0);
+    if (Math.abs(total - 100) > 0.001) {
+        return res.status(400).json({ error: `Split percentages must add up to 100 (currently ${total}).` });
+    }
+    try {
+        if (!await isChildInHousehold(pool, child_name, req.user.household_id)) {
+            return res.status(404).json({ error: 'Child not found.' });
+        }
+        const buckets = await getBuckets(pool, child_name);
+        if (splits.some(s => !buckets.find(b => b.id === Number(s.id)))) {
+            return res.status(400).json({ error: 'Every bucket must belong to this child.' });
+        }
+        for (const bucket of buckets) {
+            const split = splits.find(s => Number(s.id) === bucket.id);
+            await setBucketSplit(pool, bucket.id, split ? Number(split.split_percent) : 0);
+        }
+        res.json(await getBuckets(pool, child_name));
+    } catch (error) {
+        console.error('Failed to update bucket splits:', error);
+        res.status(500).json({ error: 'Database update failed' });
+    }
+});
+
+// PUT: Rename a bucket (Admin only)
+router.put('/buckets/:id', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can manage buckets.' });
+    }
+    const { name } = req.body;
+    if (isBlank(name)) {
+        return res.status(400).json({ error: 'A bucket name is required.' });
+    }
+    try {
+        if (!await findHouseholdBucket(pool, req.params.id, req.user.household_id)) {
+            return res.status(404).json({ error: 'Bucket not found.' });
+        }
+        await renameBucket(pool, req.params.id, name.trim());
+        res.json({ message: 'Bucket renamed successfully.' });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(400).json({ error: 'This child already has a bucket with that name.' });
+        }
+        console.error('Failed to rename bucket:', error);
+        res.status(500).json({ error: 'Database update failed' });
+    }
+});
+
+// DELETE: Remove an unused bucket (Admin only). Buckets with history are kept so the ledger stays intact.
+router.delete('/buckets/:id', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can manage buckets.' });
+    }
+    try {
+        const bucket = await findHouseholdBucket(pool, req.params.id, req.user.household_id);
+        if (!bucket) {
+            return res.status(404).json({ error: 'Bucket not found.' });
+        }
+        if (await countBucketTransactions(pool, bucket.id) > 0) {
+            return res.status(400).json({ error: 'Only buckets without any transactions can be deleted.' });
+        }
+        if (await countChildBuckets(pool, bucket.child_name) <= 1) {
+            return res.status(400).json({ error: 'A child must keep at least one bucket.' });
+        }
+        await deleteBucket(pool, bucket.id);
+        res.json({ message: 'Bucket deleted successfully.' });
+    } catch (error) {
+        console.error('Failed to delete bucket:', error);
+        res.status(500).json({ error: 'Database delete failed' });
+    }
+});
+
+// POST: Move money between two of a child's buckets. Recorded as a linked expense/income pair
+// sharing a transfer_id, so the child's overall balance is unchanged.
+router.post('/transfers', authenticateToken, async (req, res) => {
+    const { from_bucket_id, to_bucket_id, description } = req.body;
+    const amount = Number(req.body.amount);
+    const childName = req.user.role === 'admin' ? req.body.child_name : req.user.name;
+    if (!childName) {
+        return res.status(400).json({ error: 'A child is required.' });
+    }
+    if (!isAmount(req.body.amount)) {
+        return res.status(400).json({ error: 'Amount must be greater than zero, with at most 2 decimal places.' });
+    }
+    if (Number(from_bucket_id) === Number(to_bucket_id)) {
+        return res.status(400).json({ error: 'Choose two different buckets.' });
+    }
+
+    if (req.user.role === 'admin' && !await isChildInHousehold(pool, childName, req.user.household_id)) {
+        return res.status(404).json({ error: 'Child not found.' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        await lockChild(connection, childName);
+        const buckets = await getBuckets(connection, childName);
+        const from = buckets.find(b => b.id === Number(from_bucket_id));
+        const to = buckets.find(b => b.id === Number(to_bucket_id));
+        if (!from || !to) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'Both buckets must belong to this child.' });
+        }
+        if (Math.round(amount * 100) > from.balance_cents) {
+            await connection.rollback();
+            return res.status(400).json({ error: `Not enough money in ${from.name} for that transfer.` });
+        }
+
+        const transferId = randomUUID();
+        const common = { amount, child_name: childName, status: 'approved', approved_by: req.user.name, transfer_id: transferId };
+        const outgoing = await insertTransaction(connection, {
+            ...common, type: 'expense', bucket_id: from.id, description: description || `Transfer to ${to.name}`
+        }, req.user);
+        const incoming = await insertTransaction(connection, {
+            ...common, type: 'income', bucket_id: to.id, description: description || `Transfer from ${from.name}`
+        }, req.user);
+        await connection.commit();
+        res.status(201).json([outgoing, incoming]);
+    } catch (error) {
+        await connection.rollback();
+        console.error('Failed to transfer between buckets:', error);
+        res.status(500).json({ error: 'Database insert failed' });
+    } finally {
+        connection.release();
+    }
+});
+
+export default router;
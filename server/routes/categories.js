@@ -0,0 +1,92 @@
+import express from 'express';
+import { validateCategory } from '../lib/categories.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { pool } from '../pool.js';
+import { getCategories, findCategory, insertCategory, updateCategory, deleteCategory } from '../repositories/categories.js';
+
+const router = express.Router();
+
+// GET: The household's categories (everyone picks from them)
+router.get('/categories', authenticateToken, async (req, res) => {
+    try {
+        res.json(await getCategories(pool, req.user.household_id));
+    } catch (error) {
+        console.error('Failed to fetch categories:', error);
+        res.status(500).json({ error: 'Database query failed' });
+    }
+});
+
+// POST: Add a category (Admin only)
+router.post('/categories', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can manage categories.' });
+    }
+    const validationError = validateCategory(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    try {
+        const id = await insertCategory(pool, req.user.household_id, { name: req.body.name.trim(), icon: req.body.icon || null, color: req.body.color || null });
+        res.status(201).json(await findCategory(pool, id, req.user.household_id));
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'There is already a category with that name.' });
+        }
+        console.error('Failed to create category:', error);
+        res.status(500).json({ error: 'Database insert failed' });
+    }
+});
+
+// PUT: Rename a category or change its icon and colour (Admin only)
+router.put('/categories/:id', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can manage categories.' });
+    }
+    const validationError = validateCategory(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    try {
+        const category = await findCategory(pool, req.params.id, req.user.household_id);
+        if (!category) {
+            return res.status(404).json({ error: 'Category not found.' });
+        }
+        await updateCategory(pool, category.id, { name: req.body.name.trim(), icon: req.body.icon || null, color: req.body.color || null });
+        res.json(await findCategory(pool, category.id, req.user.household_id));
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'There is already a category with that name.' });
+        }
+        console.error('Failed to update category:', error);
+        res.status(500).json({ error: 'Database update failed' });
+    }
+});
+
+// DELETE: Remove a category (Admin only). Its entries move to the default category.
+router.delete('/categories/:id', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can manage categories.' });
+    }
+    const connection = await pool.getConnection();
+    try {
+        const category = await findCategory(connection, req.params.id, req.user.household_id);
+        if (!category) {
+            return res.status(404).json({ error: 'Category not found.' });
+        }
+        if (category.is_default) {
+            return res.status(400).json({ error: `The ${category.name} category can't be deleted.` });
+        }
+        await connection.beginTransaction();
+        await deleteCategory(connection, category.id, req.user.household_id);
+        await connection.commit();
+        res.json({ message: 'Category deleted.' });
+    } catch (error) {
+        await connection.rollback().catch(() => {});
+        console.error('Failed to delete category:', error);
+        res.status(500).json({ error: 'Database delete failed' });
+    } finally {
+        connection.release();
+    }
+});
+
+export default router;
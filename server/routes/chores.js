@@ -0,0 +1,218 @@
+import express from 'express';
+import { resolveBucket } from '../lib/buckets.js';
+import { chorePeriodKey, validateChore, findActiveChoreClaim } from '../lib/chores.js';
+import { today, addDays, startOfWeek } from '../lib/dates.js';
+import { formatMoney, getMoneyFormat } from '../lib/money.js';
+import { sendNotification } from '../lib/notifications.js';
+import { insertTransaction } from '../lib/transactions.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { pool } from '../pool.js';
+import { listChores, lockHouseholdChore, insertChore, updateChore, deleteChore, setChoreAssignees, insertChoreCompletion, listChoreCompletions } from '../repositories/chores.js';
+import { getHouseholdChildNames } from '../repositories/users.js';
+
+const router = express.Router();
+
+// GET: The chore catalogue. Admins see every chore; children see the active chores they can do,
+// each with the status of this period's claim (pending / approved) if they've already done it.
+router.get('/chores', authenticateToken, async (req, res) => {
+    try {
+        const chores = await listChores(pool, req.user.household_id);
+        if (req.user.role === 'admin') {
+            return res.json(chores);
+        }
+        const available = chores.filter(chore => chore.active && (chore.assigned_to.length === 0 || chore.assigned_to.includes(req.user.name)));
+        const result = [];
+        for (const chore of available) {
+            const claim = await findActiveChoreClaim(pool, chore, req.user.name);
+            result.push({ ...chore, claim_status: claim?.status ?? null });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Failed to fetch chores:', error);
+        res.status(500).json({ error: 'Database query failed' });
+    }
+});
+
+// POST: Add a chore to the catalogue (Admin only)
+router.post('/chores', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can manage chores.' });
+    }
+    const validationError = validateChore(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    const assignedTo = req.body.assigned_to || [];
+    const connection = await pool.getConnection();
+    try {
+        const householdChildren = await getHouseholdChildNames(connection, req.user.household_id);
+        if (assignedTo.some(name => !householdChildren.includes(name))) {
+            return res.status(404).json({ error: 'Child not found.' });
+        }
+        await connection.beginTransaction();
+        const id = await insertChore(connection, {
+            household_id: req.user.household_id,
+            name: req.body.name.trim(),
+            reward: req.body.reward,
+            recurrence: req.body.recurrence,
+            created_by: req.user.name
+        });
+        await setChoreAssignees(connection, id, assignedTo);
+        await connection.commit();
+        const chores = await listChores(pool, req.user.household_id);
+        res.status(201).json(chores.find(chore => chore.id === id));
+    } catch (error) {
+        await connection.rollback().catch(() => {});
+        console.error('Failed to create chore:', error);
+        res.status(500).json({ error: 'Database insert failed' });
+    } finally {
+        connection.release();
+    }
+});
+
+// PUT: Edit a chore, or retire it with active: false (Admin only). Claims already made are unaffected.
+router.put('/chores/:id', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can manage chores.' });
+    }
+    const connection = await pool.getConnection();
+    try {
+        const chores = await listChores(connection, req.user.household_id);
+        const existing = chores.find(chore => chore.id === Number(req.params.id));
+        if (!existing) {
+            return res.status(404).json({ error: 'Chore not found.' });
+        }
+        const updated = {
+            name: req.body.name ?? existing.name,
+            reward: req.body.reward ?? existing.reward,
+            recurrence: req.body.recurrence ?? existing.recurrence,
+            assigned_to: req.body.assigned_to ?? existing.assigned_to,
+            active: req.body.active ?? Boolean(existing.active)
+        };
+        const validationError = validateChore(updated);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        const householdChildren = await getHouseholdChildNames(connection, req.user.household_id);
+        if (updated.assigned_to.some(name => !householdChildren.includes(name))) {
+            return res.status(404).json({ error: 'Child not found.' });
+        }
+        await connection.beginTransaction();
+        await updateChore(connection, existing.id, { ...updated, name: updated.name.trim() });
+        await setChoreAssignees(connection, existing.id, updated.assigned_to);
+        await connection.commit();
+        const refreshed = await listChores(pool, req.user.household_id);
+        res.json(refreshed.find(chore => chore.id === existing.id));
+    } catch (error) {
+        await connection.rollback().catch(() => {});
+        console.error('Failed to update chore:', error);
+        res.status(500).json({ error: 'Database update failed' });
+    } finally {
+        connection.release();
+    }
+});
+
+// DELETE: Remove a chore from the catalogue (Admin only). Requests it created are kept.
+router.delete('/chores/:id', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can manage chores.' });
+    }
+    try {
+        if (!await deleteChore(pool, req.params.id, req.user.household_id)) {
+            return res.status(404).json({ error: 'Chore not found.' });
+        }
+        res.json({ message: 'Chore deleted successfully.' });
+    } catch (error) {
+        console.error('Failed to delete chore:', error);
+        res.status(500).json({ error: 'Database delete failed' });
+    }
+});
+
+// POST: A child marks a chore done. This files a pending request for the reward and lets the parents know.
+router.post('/chores/:id/complete', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'child') {
+        return res.status(403).json({ error: 'Only children can mark chores as done.' });
+    }
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        // Locking the chore stops a double tap from claiming it twice
+        const chore = await lockHouseholdChore(connection, req.params.id, req.user.household_id);
+        if (!chore || !chore.active || (chore.assigned_to.length > 0 && !chore.assigned_to.includes(req.user.name))) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Chore not found.' });
+        }
+        const claim = await findActiveChoreClaim(connection, chore, req.user.name);
+        if (claim) {
+            await connection.rollback();
+            const when = { once: '', daily: ' today', weekly: ' this week' }[chore.recurrence];
+            return res.status(409).json({ error: `You've already done "${chore.name}"${when}.` });
+        }
+
+        const bucket = await resolveBucket(connection, req.user.name, null);
+        const transaction = await insertTransaction(connection, {
+            description: `Chore: ${chore.name}`,
+            amount: chore.reward,
+            type: 'income',
+            child_name: req.user.name,
+            status: 'pending',
+            approved_by: null,
+            bucket_id: bucket.id
+        }, req.user);
+        await insertChoreCompletion(connection, {
+            chore_id: chore.id,
+            child_name: req.user.name,
+            period_key: chorePeriodKey(chore.recurrence),
+            transaction_id: transaction.id
+        });
+        await connection.commit();
+
+        const reward = formatMoney(Math.round(Number(chore.reward) * 100), await getMoneyFormat(pool, req.user.household_id));
+        sendNotification(req.user.household_id, { role: 'admin' }, {
+            type: 'new_request',
+            title: 'Chore Done',
+            body: `${req.user.name} finished "${chore.name}" and is waiting for ${reward}.`,
+            transactionId: transaction.id,
+            approvable: true
+        });
+        res.status(201).json(transaction);
+    } catch (error) {
+        await connection.rollback().catch(() => {});
+        console.error('Failed to complete chore:', error);
+        res.status(500).json({ error: 'Database insert failed' });
+    } finally {
+        connection.release();
+    }
+});
+
+// GET: Chores done in one week (?week=YYYY-MM-DD, any day of it; defaults to this week), grouped by
+// child. Children only see their own.
+router.get('/chores/week', authenticateToken, async (req, res) => {
+    if (req.query.week && !/^\d{4}-\d{2}-\d{2}$/.test(req.query.week)) {
+        return res.status(400).json({ error: 'week must be a date in YYYY-MM-DD format.' });
+    }
+    const weekStart = startOfWeek(req.query.week || today());
+    const weekEnd = addDays(weekStart, 7);
+    try {
+        const childNames = req.user.role === 'child' ? [req.user.name] : await getHouseholdChildNames(pool, req.user.household_id);
+        if (childNames.length === 0) {
+            return res.json({ week_start: weekStart, week_end: weekEnd, children: [] });
+        }
+        const rows = await listChoreCompletions(pool, childNames, weekStart, weekEnd);
+        const children = childNames.map(childName => {
+            const completions = rows.filter(row => row.child_name === childName);
+            return {
+                child_name: childName,
+                completions,
+                approved_cents: completions.filter(c => c.status === 'approved').reduce((sum, c) => sum + Math.round(Number(c.amount) * 100), 0),
+                pending_cents: completions.filter(c => c.status === 'pending').reduce((sum, c) => sum + Math.round(Number(c.amount) * 100), 0)
+            };
+        });
+        res.json({ week_start: weekStart, week_end: weekEnd, children });
+    } catch (error) {
+        console.error('Failed to fetch chore week:', error);
+        res.status(500).json({ error: 'Database query failed' });
+    }
+});
+
+export default router;
@@ -0,0 +1,74 @@
+import express from 'express';
+import { EVENT_HEARTBEAT_INTERVAL_MS, EVENT_REPLAY_LIMIT, eventClients, writeEvent, loadTransactionEvents, sendEvents } from '../lib/events.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { pool } from '../pool.js';
+import { getAuditIdRange } from '../repositories/audit.js';
+
+const router = express.Router();
+
+// GET: Live transaction events as a server-sent event stream. Send ?since=<last event id> (or the
+// Last-Event-ID header) after a reconnect to receive what was missed; if that is too much, a `resync`
+// event tells the client to reload instead. The stream ends when the access token it was opened with
+// expires, so the client reconnects with a fresh token and revoked sessions stop receiving events.
+router.get('/events', authenticateToken, async (req, res) => {
+    const since = Number(req.query.since ?? req.get('last-event-id'));
+    // Subscribed before reading the log, so nothing committed in between is missed
+    const client = { res, user: req.user, lastEventId: 0, held: [], replayed: new Set() };
+    eventClients.add(client);
+    // Registered before the first await, so a client that leaves while the log is read is cleaned up too
+    let closed = false;
+    let heartbeat = null;
+    let expiry = null;
+    req.on('close', () => {
+        closed = true;
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        eventClients.delete(client);
+    });
+    let replay = [];
+    let resync = false;
+    try {
+        const { minId, maxId } = await getAuditIdRange(pool);
+        client.lastEventId = maxId;
+        if (Number.isInteger(since) && since > 0) {
+            replay = since <= maxId ? await loadTransactionEvents(since, req.user.household_id, EVENT_REPLAY_LIMIT + 1) : [];
+            // An id the server hasn't reached means the client's state came from a different database,
+            // and one before the oldest entry means the entries it missed are no longer there
+            resync = since > maxId || since < minId - 1 || replay.length > EVENT_REPLAY_LIMIT;
+        }
+    } catch (error) {
+        eventClients.delete(client);
+        console.error('Failed to open event stream:', error);
+        return res.status(500).json({ error: 'Database query failed' });
+    }
+    if (closed) return;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Stops nginx from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const held = client.held;
+    client.held = null;
+    if (resync) {
+        writeEvent(res, client.lastEventId, 'resync', {});
+    } else if (replay.length > 0) {
+        const upTo = client.lastEventId;
+        client.lastEventId = since;
+        sendEvents(client, replay);
+        replay.forEach(event => client.replayed.add(event.id));
+        client.lastEventId = Math.max(client.lastEventId, upTo);
+    }
+    // Gives a fresh client the id to reconnect from, even if nothing has happened yet
+    writeEvent(res, client.lastEventId, 'ready', {});
+    sendEvents(client, held);
+
+    heartbeat = setInterval(() => res.write(': keep-alive\n\n'), EVENT_HEARTBEAT_INTERVAL_MS);
+    expiry = setTimeout(() => res.end(), Math.max(req.user.exp * 1000 - Date.now(), 0));
+});
+
+export default router;
@@ -0,0 +1,146 @@
+import express from 'express';
+import { getAvailableToSetAside, withGoalProgress, setGoalStatus, validateGoal, findGoalForUser } from '../lib/goals.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { pool } from '../pool.js';
+import { listHouseholdGoals, listChildGoals, findGoal, insertGoal, updateGoal, addToSetAside } from '../repositories/goals.js';
+import { isChildInHousehold } from '../repositories/users.js';
+
+const router = express.Router();
+
+// GET: Fetch savings goals with progress (Scoped to User Role)
+router.get('/goals', authenticateToken, async (req, res) => {
+    try {
+        const rows = req.user.role === 'child'
+            ? await listChildGoals(pool, req.user.name)
+            : await listHouseholdGoals(pool, req.user.household_id);
+        res.json(await withGoalProgress(rows));
+    } catch (error) {
+        console.error('Failed to fetch goals:', error);
+        res.status(500).json({ error: 'Database query failed' });
+    }
+});
+
+// POST: Create a savings goal. Children create goals for themselves, admins for any child.
+router.post('/goals', authenticateToken, async (req, res) => {
+    const validationError = validateGoal(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    const { name, target_amount, deadline, funding = 'balance' } = req.body;
+    const childName = req.user.role === 'admin' ? req.body.child_name : req.user.name;
+    if (!childName) {
+        return res.status(400).json({ error: 'A child is required.' });
+    }
+    try {
+        if (req.user.role === 'admin' && !await isChildInHousehold(pool, childName, req.user.household_id)) {
+            return res.status(404).json({ error: 'Child not found.' });
+        }
+        const id = await insertGoal(pool, { child_name: childName, name: name.trim(), target_amount, deadline: deadline || null, funding, created_by: req.user.name });
+        const goal = await findGoal(pool, id);
+        const [withProgress] = await withGoalProgress([goal]);
+        res.status(201).json(withProgress);
+    } catch (error) {
+        console.error('Failed to create goal:', error);
+        res.status(500).json({ error: 'Database insert failed' });
+    }
+});
+
+// PUT: Edit a savings goal's name, target or deadline
+router.put('/goals/:id', authenticateToken, async (req, res) => {
+    try {
+        const goal = await findGoalForUser(req.params.id, req.user);
+        if (!goal) {
+            return res.status(404).json({ error: 'Goal not found.' });
+        }
+        if (goal.status !== 'active') {
+            return res.status(400).json({ error: 'Only active goals can be edited.' });
+        }
+        const updated = {
+            name: req.body.name ?? goal.name,
+            target_amount: req.body.target_amount ?? goal.target_amount,
+            deadline: req.body.deadline !== undefined ? req.body.deadline : goal.deadline
+        };
+        const validationError = validateGoal(updated);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        await updateGoal(pool, goal.id, { name: updated.name.trim(), target_amount: updated.target_amount, deadline: updated.deadline || null });
+        const saved = await findGoal(pool, goal.id);
+        const [withProgress] = await withGoalProgress([saved]);
+        res.json(withProgress);
+    } catch (error) {
+        console.error('Failed to update goal:', error);
+        res.status(500).json({ error: 'Database update failed' });
+    }
+});
+
+// PUT: Move money into (positive amount) or out of (negative amount) a set-aside goal
+router.put('/goals/:id/set-aside', authenticateToken, async (req, res) => {
+    try {
+        const goal = await findGoalForUser(req.params.id, req.user);
+        if (!goal) {
+            return res.status(404).json({ error: 'Goal not found.' });
+        }
+        if (goal.status !== 'active' || goal.funding !== 'set_aside') {
+            return res.status(400).json({ error: 'Money can only be set aside for active set-aside goals.' });
+        }
+        const amount = Number(req.body.amount);
+        if (!amount) {
+            return res.status(400).json({ error: 'Amount must be a non-zero number.' });
+        }
+        if (amount > 0 && amount > await getAvailableToSetAside(goal.child_name)) {
+            return res.status(400).json({ error: 'Not enough unallocated balance to set aside that much.' });
+        }
+        if (amount < 0 && -amount > Number(goal.set_aside_amount)) {
+            return res.status(400).json({ error: 'Cannot take out more than has been set aside.' });
+        }
+
+        await addToSetAside(pool, goal.id, amount);
+        const saved = await findGoal(pool, goal.id);
+        const [withProgress] = await withGoalProgress([saved]);
+        if (withProgress.progress >= 1) {
+            await setGoalStatus(withProgress, 'reached', req.user.name);
+            withProgress.status = 'reached';
+        }
+        res.json(withProgress);
+    } catch (error) {
+        console.error('Failed to set money aside:', error);
+        res.status(500).json({ error: 'Database update failed' });
+    }
+});
+
+// PUT: Mark a goal as reached
+router.put('/goals/:id/reached', authenticateToken, async (req, res) => {
+    try {
+        const goal = await findGoalForUser(req.params.id, req.user);
+        if (!goal) {
+            return res.status(404).json({ error: 'Goal not found.' });
+        }
+        if (!await setGoalStatus(goal, 'reached', req.user.name)) {
+            return res.status(400).json({ error: 'Only active goals can be marked as reached.' });
+        }
+        res.json({ message: 'Goal marked as reached.' });
+    } catch (error) {
+        console.error('Failed to mark goal as reached:', error);
+        res.status(500).json({ error: 'Database update failed' });
+    }
+});
+
+// PUT: Abandon a goal. Any money set aside for it goes back to the available balance.
+router.put('/goals/:id/abandon', authenticateToken, async (req, res) => {
+    try {
+        const goal = await findGoalForUser(req.params.id, req.user);
+        if (!goal) {
+            return res.status(404).json({ error: 'Goal not found.' });
+        }
+        if (!await setGoalStatus(goal, 'abandoned', req.user.name)) {
+            return res.status(400).json({ error: 'Only active goals can be abandoned.' });
+        }
+        res.json({ message: 'Goal abandoned.' });
+    } catch (error) {
+        console.error('Failed to abandon goal:', error);
+        res.status(500).json({ error: 'Database update failed' });
+    }
+});
+
+export default router;
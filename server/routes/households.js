@@ -0,0 +1,165 @@
+import express from 'express';
+import { randomInt } from 'node:crypto';
+import { CURRENCY_CODES, isValidLocale, getMoneyFormat, getExchangeRates } from '../lib/money.js';
+import { authenticateToken, requirePasswordLogin } from '../middleware/auth.js';
+import { pool } from '../pool.js';
+import { findHousehold, updateHouseholdMoney, saveExchangeRate, deleteExchangeRate, listOpenInvites, insertInvite, deleteOpenInvite } from '../repositories/households.js';
+import { hasHouseholdTransactions } from '../repositories/transactions.js';
+
+const router = express.Router();
+
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+const INVITE_TTL_DAYS = 7;
+
+// Short codes without look-alike characters (0/O, 1/I) so they can be read out to a relative
+const generateInviteCode = () =>
+    Array.from({ length: INVITE_CODE_LENGTH }, () => INVITE_CODE_ALPHABET[randomInt(INVITE_CODE_ALPHABET.length)]).join('');
+
+// GET: The household's currency, locale and exchange rates. Everyone needs these to show amounts.
+router.get('/household', authenticateToken, async (req, res) => {
+    try {
+        const household = await findHousehold(pool, req.user.household_id);
+        res.json({ ...household, rates: await getExchangeRates(pool, req.user.household_id) });
+    } catch (error) {
+        console.error('Failed to fetch household:', error);
+        res.status(500).json({ error: 'Database query failed' });
+    }
+});
+
+// PUT: Change the household's default currency and/or locale (Admin only). Balances, limits, goals and
+// interest only count money in the household currency, so it is fixed once there are transactions;
+// switching then would turn every existing entry into foreign money and empty every balance.
+router.put('/household', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can change household settings.' });
+    }
+    const updates = {};
+    if (req.body.currency !== undefined) {
+        const currency = String(req.body.currency).toUpperCase();
+        if (!CURRENCY_CODES.has(currency)) {
+            return res.status(400).json({ error: `Unknown currency "${req.body.currency}".` });
+        }
+        updates.currency = currency;
+    }
+    if (req.body.locale !== undefined) {
+        const locale = req.body.locale ? String(req.body.locale).trim() : null;
+        if (locale && !isValidLocale(locale)) {
+            return res.status(400).json({ error: `Unknown locale "${req.body.locale}".` });
+        }
+        updates.locale = locale;
+    }
+    if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ error: 'Nothing to update.' });
+    }
+    try {
+        const current = await getMoneyFormat(pool, req.user.household_id);
+        if (updates.currency && updates.currency !== current.currency && await hasHouseholdTransactions(pool, req.user.household_id)) {
+            return res.status(409).json({ error: `The family currency can't be changed once there are transactions. Everything so far is in ${current.currency}.` });
+        }
+        const settings = { ...current, ...updates };
+        await updateHouseholdMoney(pool, req.user.household_id, settings);
+        // A rate for the new default currency would just be 1
+        if (updates.currency) {
+            await deleteExchangeRate(pool, req.user.household_id, updates.currency);
+        }
+        const household = await findHousehold(pool, req.user.household_id);
+        res.json({ ...household, rates: await getExchangeRates(pool, req.user.household_id) });
+    } catch (error) {
+        console.error('Failed to update household:', error);
+        res.status(500).json({ error: 'Database update failed' });
+    }
+});
+
+// PUT: Set the exchange rate for one currency into the household currency (Admin only)
+router.put('/exchange-rates/:currency', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can set exchange rates.' });
+    }
+    const currency = String(req.params.currency).toUpperCase();
+    const rate = Number(req.body.rate);
+    if (!CURRENCY_CODES.has(currency)) {
+        return res.status(400).json({ error: `Unknown currency "${req.params.currency}".` });
+    }
+    if (!(rate > 0)) {
+        return res.status(400).json({ error: 'Rate must be greater than zero.' });
+    }
+    try {
+        const { currency: homeCurrency } = await getMoneyFormat(pool, req.user.household_id);
+        if (currency === homeCurrency) {
+            return res.status(400).json({ error: `${currency} is already the household currency.` });
+        }
+        await saveExchangeRate(pool, req.user.household_id, { currency, rate, updated_by: req.user.name });
+        res.json(await getExchangeRates(pool, req.user.household_id));
+    } catch (error) {
+        console.error('Failed to save exchange rate:', error);
+        res.status(500).json({ error: 'Database update failed' });
+    }
+});
+
+// DELETE: Remove an exchange rate (Admin only). Balances in that currency are then shown unconverted.
+router.delete('/exchange-rates/:currency', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can set exchange rates.' });
+    }
+    try {
+        if (!await deleteExchangeRate(pool, req.user.household_id, String(req.params.currency).toUpperCase())) {
+            return res.status(404).json({ error: 'Exchange rate not found.' });
+        }
+        res.json(await getExchangeRates(pool, req.user.household_id));
+    } catch (error) {
+        console.error('Failed to delete exchange rate:', error);
+        res.status(500).json({ error: 'Database delete failed' });
+    }
+});
+
+// GET: Open invite codes for the admin's household (Admin only)
+router.get('/invites', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden' });
+    }
+    try {
+        res.json(await listOpenInvites(pool, req.user.household_id));
+    } catch (error) {
+        console.error('Failed to fetch invites:', error);
+        res.status(500).json({ error: 'Database query failed' });
+    }
+});
+
+// POST: Create a single-use invite code for a parent or child to join this household (Admin only)
+router.post('/invites', authenticateToken, requirePasswordLogin, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can invite people.' });
+    }
+    const role = req.body.role || 'child';
+    if (!['admin', 'child'].includes(role)) {
+        return res.status(400).json({ error: 'Role must be admin or child.' });
+    }
+    try {
+        const expiresAt = new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000);
+        const code = generateInviteCode();
+        const id = await insertInvite(pool, { household_id: req.user.household_id, code, role, created_by: req.user.name, expires_at: expiresAt });
+        res.status(201).json({ id, code, role, created_by: req.user.name, expires_at: expiresAt });
+    } catch (error) {
+        console.error('Failed to create invite:', error);
+        res.status(500).json({ error: 'Database insert failed' });
+    }
+});
+
+// DELETE: Revoke an unused invite code (Admin only)
+router.delete('/invites/:id', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can revoke invites.' });
+    }
+    try {
+        if (!await deleteOpenInvite(pool, req.params.id, req.user.household_id)) {
+            return res.status(404).json({ error: 'Invite not found.' });
+        }
+        res.json({ message: 'Invite revoked.' });
+    } catch (error) {
+        console.error('Failed to revoke invite:', error);
+        res.status(500).json({ error: 'Database delete failed' });
+    }
+});
+
+export default router;
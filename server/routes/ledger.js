@@ -0,0 +1,165 @@
+import express from 'express';
+import { Transform, pipeline } from 'node:stream';
+import { getBuckets } from '../lib/buckets.js';
+import { today } from '../lib/dates.js';
+import { onBalanceChanged } from '../lib/goals.js';
+import { IMPORT_BODY_LIMIT, LEDGER_COLUMNS, MAX_IMPORT_ROWS, toLedgerRow, csvEscape, parseCsv, validateImportRow, duplicateKey } from '../lib/ledger.js';
+import { insertTransaction, parseTransactionFilters } from '../lib/transactions.js';
+import { authenticateToken, requirePasswordLogin } from '../middleware/auth.js';
+import { pool } from '../pool.js';
+import { getCategories } from '../repositories/categories.js';
+import { streamTransactionDetails, getImportComparisonRows } from '../repositories/transactions.js';
+import { getHouseholdChildNames } from '../repositories/users.js';
+
+const router = express.Router();
+
+// GET: Export the ledger as CSV or JSON (?format=csv|json plus the same filters as the transaction list).
+// Rows are streamed straight from the database so large histories don't have to fit in memory.
+router.get('/export', authenticateToken, async (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'json'].includes(format)) {
+        return res.status(400).json({ error: 'Format must be csv or json.' });
+    }
+    const { filters, error: filterError } = parseTransactionFilters(req.query, req.user);
+    if (filterError) {
+        return res.status(400).json({ error: filterError });
+    }
+
+    const who = (req.user.role === 'child' ? req.user.name : req.query.child_name) || 'family';
+    const filename = `ledger-${who.replace(/[^a-z0-9_-]/gi, '_')}-${today()}.${format}`;
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    let first = true;
+    const toText = new Transform({
+        writableObjectMode: true,
+        transform(transaction, _encoding, callback) {
+            const row = toLedgerRow(transaction);
+            const text = format === 'csv'
+                ? `${LEDGER_COLUMNS.map(column => csvEscape(row[column])).join(',')}\r\n`
+                : `${first ? '' : ',\n'}${JSON.stringify(row)}`;
+            first = false;
+            callback(null, text);
+        },
+        flush(callback) {
+            callback(null, format === 'json' ? '\n]\n' : '');
+        }
+    });
+    res.write(format === 'csv' ? `${LEDGER_COLUMNS.join(',')}\r\n` : '[\n');
+
+    pipeline(streamTransactionDetails(pool, filters), toText, res, (error) => {
+        if (error) {
+            console.error('Failed to export ledger:', error);
+            res.destroy(error);
+        }
+    });
+});
+
+// POST: Import historic entries (Admin only). The body is the raw CSV or JSON file
+// (?format=csv|json), or a JSON list sent as application/json, which needs no ?format.
+// Every row is validated first; if any row is invalid nothing is written.
+// Duplicates of existing entries (or of earlier rows in the file) are skipped and reported.
+// With ?dry_run=1 the checks run but nothing is inserted.
+const IMPORT_TYPES = ['text/*', 'application/octet-stream', 'application/json'];
+router.post('/import', authenticateToken, requirePasswordLogin, express.text({ type: ['text/*', 'application/octet-stream'], limit: IMPORT_BODY_LIMIT }), async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can import transactions.' });
+    }
+    // null when there is no body at all, which is reported as an empty file below
+    if (req.is(IMPORT_TYPES) === false) {
+        return res.status(415).json({ error: 'Upload the file as text (CSV or JSON) or as application/json.' });
+    }
+    const parsed = Boolean(req.is('application/json'));
+    const format = parsed ? 'json' : (req.query.format || 'csv');
+    const dryRun = req.query.dry_run === '1' || req.query.dry_run === 'true';
+
+    let rows;
+    try {
+        if (parsed) {
+            // Already parsed by express.json
+            rows = req.body;
+        } else if (typeof req.body !== 'string' || !req.body.trim()) {
+            return res.status(400).json({ error: 'The uploaded file is empty.' });
+        } else {
+            rows = format === 'json' ? JSON.parse(req.body) : parseCsv(req.body);
+        }
+        if (!Array.isArray(rows)) throw new Error('Expected a list of transactions');
+    } catch (error) {
+        return res.status(400).json({ error: `Could not read the file: ${error.message}` });
+    }
+    if (rows.length === 0) {
+        return res.status(400).json({ error: 'The file does not contain any transactions.' });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({ error: `Imports are limited to ${MAX_IMPORT_ROWS} rows at a time.` });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        const childBuckets = {};
+        for (const name of await getHouseholdChildNames(connection, req.user.household_id)) {
+            childBuckets[name] = await getBuckets(connection, name);
+        }
+        const categories = await getCategories(connection, req.user.household_id);
+
+        // Row numbers are reported as they appear in the file (header is line 1 for CSV)
+        const rowNumber = (index) => (format === 'csv' ? index + 2 : index + 1);
+        const errors = [];
+        const valid = [];
+        rows.forEach((row, index) => {
+            const result = validateImportRow(row ?? {}, childBuckets, categories);
+            if (result.errors) {
+                errors.push({ row: rowNumber(index), errors: result.errors });
+                return;
+            }
+            // Decided rows name whoever decided them, the importing parent if the file doesn't say.
+            // A pending row hasn't been decided by anyone yet.
+            const approvedBy = result.value.status === 'pending' ? null : result.value.approved_by || req.user.name;
+            valid.push({ row: rowNumber(index), value: { ...result.value, approved_by: approvedBy } });
+        });
+        if (errors.length > 0) {
+            return res.status(422).json({ error: `${errors.length} row(s) have problems. Nothing was imported.`, errors, imported: 0, skipped: [] });
+        }
+
+        const existingKeys = new Set();
+        const importedChildren = [...new Set(valid.map(v => v.value.child_name))];
+        const existing = await getImportComparisonRows(connection, importedChildren);
+        existing.forEach(t => existingKeys.add(duplicateKey(t)));
+
+        const skipped = [];
+        const toInsert = [];
+        for (const entry of valid) {
+            const key = duplicateKey(entry.value);
+            if (existingKeys.has(key)) {
+                skipped.push({ row: entry.row, reason: 'duplicate of an existing or earlier entry' });
+            } else {
+                existingKeys.add(key);
+                toInsert.push(entry.value);
+            }
+        }
+
+        if (!dryRun && toInsert.length > 0) {
+            await connection.beginTransaction();
+            try {
+                for (const value of toInsert) {
+                    await insertTransaction(connection, value, req.user, 'import');
+                }
+                await connection.commit();
+            } catch (error) {
+                await connection.rollback();
+                throw error;
+            }
+            const changedChildren = new Set(toInsert.filter(value => value.status === 'approved').map(value => value.child_name));
+            changedChildren.forEach(onBalanceChanged);
+        }
+
+        res.status(dryRun ? 200 : 201).json({ dry_run: dryRun, imported: dryRun ? 0 : toInsert.length, would_import: toInsert.length, skipped, errors: [] });
+    } catch (error) {
+        console.error('Failed to import transactions:', error);
+        res.status(500).json({ error: 'Database insert failed' });
+    } finally {
+        connection.release();
+    }
+});
+
+export default router;
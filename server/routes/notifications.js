@@ -0,0 +1,156 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { VAPID_PUBLIC_KEY, JWT_SECRET } from '../config.js';
+import { NOTIFICATION_TYPES, TIME_PATTERN, hashEndpoint, isValidTimeZone, getNotificationPreferences } from '../lib/notifications.js';
+import { decideTransaction } from '../lib/transactions.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { pool } from '../pool.js';
+import { saveSubscription, deleteUserSubscription, listUserDevices, saveNotificationPreferences } from '../repositories/notifications.js';
+import { findUserById } from '../repositories/users.js';
+
+const router = express.Router();
+
+// GET: VAPID Public Key for the frontend
+router.get('/vapid-public-key', (req, res) => {
+    res.json({ publicKey: VAPID_PUBLIC_KEY });
+});
+
+// POST: Subscribe to push notifications. A device is identified by its endpoint, so subscribing again
+// (or after someone else logged in on it) updates the existing row instead of adding another.
+router.post('/subscribe', authenticateToken, async (req, res) => {
+    const subscription = req.body;
+    if (!subscription || typeof subscription.endpoint !== 'string' || !subscription.endpoint.startsWith('https://')) {
+        return res.status(400).json({ error: 'A push subscription with an endpoint is required.' });
+    }
+    const userAgent = (req.get('user-agent') || '').slice(0, 255);
+    try {
+        await saveSubscription(pool, {
+            subscription: JSON.stringify(subscription),
+            user_id: req.user.id,
+            endpoint_hash: hashEndpoint(subscription.endpoint),
+            user_agent: userAgent
+        });
+        res.status(201).json({ message: 'Subscription saved.' });
+    } catch (error) {
+        console.error('Could not save subscription', error);
+        res.status(500).json({ error: 'Failed to save subscription.' });
+    }
+});
+
+// POST: Unsubscribe this device. The app calls pushManager.unsubscribe() first and then sends its endpoint here.
+router.post('/unsubscribe', authenticateToken, async (req, res) => {
+    const { endpoint } = req.body;
+    if (typeof endpoint !== 'string' || !endpoint) {
+        return res.status(400).json({ error: 'An endpoint is required.' });
+    }
+    try {
+        await deleteUserSubscription(pool, hashEndpoint(endpoint), req.user.id);
+        res.json({ message: 'Notifications turned off for this device.' });
+    } catch (error) {
+        console.error('Could not remove subscription', error);
+        res.status(500).json({ error: 'Database update failed' });
+    }
+});
+
+// GET: The current user's devices that receive notifications. Pass ?endpoint= to have this device marked as current.
+router.get('/push-devices', authenticateToken, async (req, res) => {
+    const currentHash = typeof req.query.endpoint === 'string' ? hashEndpoint(req.query.endpoint) : null;
+    try {
+        const rows = await listUserDevices(pool, req.user.id);
+        res.json(rows.map(row => ({ ...row, current: row.id === currentHash })));
+    } catch (error) {
+        console.error('Failed to fetch push devices:', error);
+        res.status(500).json({ error: 'Database query failed' });
+    }
+});
+
+// DELETE: Stop notifications to one of the current user's devices, e.g. a tablet that was handed on
+router.delete('/push-devices/:id', authenticateToken, async (req, res) => {
+    try {
+        if (!await deleteUserSubscription(pool, req.params.id, req.user.id)) {
+            return res.status(404).json({ error: 'Device not found.' });
+        }
+        res.json({ message: 'Device removed.' });
+    } catch (error) {
+        console.error('Failed to remove push device:', error);
+        res.status(500).json({ error: 'Database update failed' });
+    }
+});
+
+// GET: The current user's notification preferences
+router.get('/notification-preferences', authenticateToken, async (req, res) => {
+    try {
+        res.json(await getNotificationPreferences(req.user.id));
+    } catch (error) {
+        console.error('Failed to fetch notification preferences:', error);
+        res.status(500).json({ error: 'Database query failed' });
+    }
+});
+
+// PUT: Save the current user's notification preferences. Quiet hours are 'HH:MM' in `timezone`;
+// leave both times empty (null) to receive notifications at any time.
+router.put('/notification-preferences', authenticateToken, async (req, res) => {
+    for (const field of ['quiet_start', 'quiet_end']) {
+        if (req.body[field] && !TIME_PATTERN.test(req.body[field])) {
+            return res.status(400).json({ error: `${field.replace('_', ' ')} must be a time like 21:00.` });
+        }
+    }
+    if (req.body.timezone && !isValidTimeZone(req.body.timezone)) {
+        return res.status(400).json({ error: 'Unknown time zone.' });
+    }
+    try {
+        // Fields left out of the body keep their saved values
+        const prefs = await getNotificationPreferences(req.user.id);
+        for (const type of NOTIFICATION_TYPES) {
+            if (req.body[type] !== undefined) prefs[type] = Boolean(req.body[type]);
+        }
+        for (const field of ['quiet_start', 'quiet_end', 'timezone']) {
+            if (req.body[field] !== undefined) prefs[field] = req.body[field] || null;
+        }
+        if (!prefs.quiet_start !== !prefs.quiet_end) {
+            return res.status(400).json({ error: 'Quiet hours need both a start and an end time.' });
+        }
+        await saveNotificationPreferences(pool, req.user.id, prefs);
+        res.json(prefs);
+    } catch (error) {
+        console.error('Failed to save notification preferences:', error);
+        res.status(500).json({ error: 'Database update failed' });
+    }
+});
+
+// POST: Approve or decline from a notification's action button. The service worker has no login
+// session, so the notification carries a token tied to one parent and one transaction.
+router.post('/notification-actions', async (req, res) => {
+    const { token, action } = req.body;
+    const decision = { approve: 'approved', decline: 'declined' }[action];
+    if (!decision) {
+        return res.status(400).json({ error: 'Action must be approve or decline.' });
+    }
+    let claims;
+    try {
+        claims = jwt.verify(token, JWT_SECRET);
+    } catch {
+        return res.status(401).json({ error: 'This notification has expired. Open the app to decide.' });
+    }
+    if (claims.purpose !== 'push_action') {
+        return res.status(401).json({ error: 'Invalid notification token.' });
+    }
+    try {
+        // The parent may have been disabled or demoted since the notification was sent
+        const user = await findUserById(pool, claims.user_id);
+        if (!user || user.status !== 'active' || user.role !== 'admin') {
+            return res.status(403).json({ error: 'Only parents can approve or decline requests.' });
+        }
+        const result = await decideTransaction(claims.transaction_id, user, decision);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        const { transaction } = result;
+        res.json({ message: `${transaction.child_name}'s request "${transaction.description}" was ${decision}.` });
+    } catch (error) {
+        console.error('Failed to handle notification action:', error);
+        res.status(500).json({ error: 'Database update failed' });
+    }
+});
+
+export default router;
@@ -0,0 +1,63 @@
+import express from 'express';
+import { checkLowBalance } from '../lib/goals.js';
+import { POLICY_LIMIT_FIELDS, DEFAULT_POLICY, getSpendingPolicy, getWeeklySpendingCents } from '../lib/policies.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { pool } from '../pool.js';
+import { saveSpendingPolicy } from '../repositories/policies.js';
+import { isChildInHousehold, getHouseholdChildNames } from '../repositories/users.js';
+
+const router = express.Router();
+
+// GET: Spending policies with this week's spending so far. Admins get one per child, children their own.
+router.get('/policies', authenticateToken, async (req, res) => {
+    try {
+        const childNames = req.user.role === 'child' ? [req.user.name] : await getHouseholdChildNames(pool, req.user.household_id);
+        const policies = [];
+        for (const childName of childNames) {
+            const policy = await getSpendingPolicy(pool, childName);
+            policies.push({ ...policy, week_spent_cents: await getWeeklySpendingCents(pool, childName) });
+        }
+        res.json(policies);
+    } catch (error) {
+        console.error('Failed to fetch spending policies:', error);
+        res.status(500).json({ error: 'Database query failed' });
+    }
+});
+
+// PUT: Save a child's spending policy (Admin only). Leave a limit empty (null) to turn it off.
+router.put('/policies/:child_name', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can change spending rules.' });
+    }
+    const childName = req.params.child_name;
+    const limits = {};
+    for (const field of POLICY_LIMIT_FIELDS) {
+        const value = req.body[field];
+        if (value === null || value === undefined || value === '') {
+            limits[field] = null;
+        } else if (!(Number(value) > 0)) {
+            return res.status(400).json({ error: `${field.replace(/_/g, ' ')} must be greater than zero, or empty for no limit.` });
+        } else {
+            limits[field] = Number(value);
+        }
+    }
+    // A checkbox value, so a string such as "false" is refused rather than read as true
+    if (![undefined, true, false, 0, 1].includes(req.body.no_overdraft)) {
+        return res.status(400).json({ error: 'no overdraft must be true or false.' });
+    }
+    const noOverdraft = req.body.no_overdraft === undefined ? DEFAULT_POLICY.no_overdraft : Boolean(req.body.no_overdraft);
+    try {
+        if (!await isChildInHousehold(pool, childName, req.user.household_id)) {
+            return res.status(404).json({ error: 'Child not found.' });
+        }
+        await saveSpendingPolicy(pool, childName, { ...limits, no_overdraft: noOverdraft, updated_by: req.user.name });
+        checkLowBalance(childName);
+        const policy = await getSpendingPolicy(pool, childName);
+        res.json({ ...policy, week_spent_cents: await getWeeklySpendingCents(pool, childName) });
+    } catch (error) {
+        console.error('Failed to save spending policy:', error);
+        res.status(500).json({ error: 'Database update failed' });
+    }
+});
+
+export default router;
@@ -0,0 +1,95 @@
+import express from 'express';
+import { getBuckets } from '../lib/buckets.js';
+import { today } from '../lib/dates.js';
+import { getMoneyFormat, getForeignBalances, summarizeCurrencies } from '../lib/money.js';
+import { MONTH_PATTERN, DEFAULT_REPORT_MONTHS, MAX_REPORT_MONTHS, shiftMonth, monthsBetween, buildReport } from '../lib/reports.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { pool } from '../pool.js';
+import { getBalancesByChild, getChildSummary } from '../repositories/balances.js';
+import { isChildInHousehold, getHouseholdChildNames } from '../repositories/users.js';
+
+const router = express.Router();
+
+// GET: Approved balances in integer cents, per child (with bucket breakdown) and for the whole family.
+// balance_cents is in the household currency; other currencies are listed separately.
+// Children only see their own figures.
+router.get('/balances', authenticateToken, async (req, res) => {
+    try {
+        let childNames = [req.user.name];
+        if (req.user.role === 'admin') {
+            childNames = await getHouseholdChildNames(pool, req.user.household_id);
+        }
+        const { currency } = await getMoneyFormat(pool, req.user.household_id);
+        if (childNames.length === 0) {
+            return res.json({ currency, family: { balance_cents: 0, ...summarizeCurrencies(0, []) }, children: [] });
+        }
+
+        const totals = await getBalancesByChild(pool, childNames);
+        const foreign = await getForeignBalances(pool, childNames, req.user.household_id);
+        const children = [];
+        for (const childName of childNames) {
+            const buckets = await getBuckets(pool, childName);
+            const balanceCents = totals.find(row => row.child_name === childName)?.balance_cents ?? 0;
+            children.push({
+                child_name: childName,
+                balance_cents: balanceCents,
+                ...summarizeCurrencies(balanceCents, foreign.filter(row => row.child_name === childName)),
+                buckets: buckets.map(b => ({ id: b.id, name: b.name, balance_cents: b.balance_cents }))
+            });
+        }
+        const familyCents = children.reduce((sum, child) => sum + child.balance_cents, 0);
+        res.json({ currency, family: { balance_cents: familyCents, ...summarizeCurrencies(familyCents, foreign) }, children });
+    } catch (error) {
+        console.error('Failed to fetch balances:', error);
+        res.status(500).json({ error: 'Database query failed' });
+    }
+});
+
+// GET: Income, expense and pending totals (in cents) for one child
+router.get('/children/:name/summary', authenticateToken, async (req, res) => {
+    const childName = req.params.name;
+    if (req.user.role !== 'admin' && childName !== req.user.name) {
+        return res.status(403).json({ error: 'You can only view your own summary.' });
+    }
+    try {
+        if (!await isChildInHousehold(pool, childName, req.user.household_id)) {
+            return res.status(404).json({ error: 'Child not found.' });
+        }
+        const summary = await getChildSummary(pool, childName);
+        res.json({ child_name: childName, ...summary });
+    } catch (error) {
+        console.error('Failed to fetch summary:', error);
+        res.status(500).json({ error: 'Database query failed' });
+    }
+});
+
+// GET: Monthly report for one child: balance over time, income vs expense, savings rate and top spending.
+// ?from= and ?to= are months (YYYY-MM); the default is the last 12 months.
+router.get('/children/:name/report', authenticateToken, async (req, res) => {
+    const childName = req.params.name;
+    if (req.user.role !== 'admin' && childName !== req.user.name) {
+        return res.status(403).json({ error: 'You can only view your own reports.' });
+    }
+    const to = req.query.to || today().slice(0, 7);
+    const from = req.query.from || shiftMonth(to, 1 - DEFAULT_REPORT_MONTHS);
+    if (!MONTH_PATTERN.test(from) || !MONTH_PATTERN.test(to)) {
+        return res.status(400).json({ error: 'from and to must be months in YYYY-MM format.' });
+    }
+    if (from > to) {
+        return res.status(400).json({ error: 'from must not be after to.' });
+    }
+    if (monthsBetween(from, to).length > MAX_REPORT_MONTHS) {
+        return res.status(400).json({ error: `Reports can cover at most ${MAX_REPORT_MONTHS} months.` });
+    }
+    try {
+        if (!await isChildInHousehold(pool, childName, req.user.household_id)) {
+            return res.status(404).json({ error: 'Child not found.' });
+        }
+        res.json(await buildReport(pool, childName, from, to));
+    } catch (error) {
+        console.error('Failed to build report:', error);
+        res.status(500).json({ error: 'Database query failed' });
+    }
+});
+
+export default router;
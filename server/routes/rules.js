@@ -0,0 +1,287 @@
+import express from 'express';
+import { nextRunDate, rescheduleRule, validateRecurringRule, postDueAllowancesForRule } from '../lib/allowances.js';
+import { resolveBucket } from '../lib/buckets.js';
+import { toDateString, today } from '../lib/dates.js';
+import { validateInterestRule, periodContaining, calculateInterest, postDueInterestForRule } from '../lib/interest.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { pool } from '../pool.js';
+import { listHouseholdRecurringRules, findRecurringRule, findHouseholdRecurringRule, insertRecurringRule, updateRecurringRule, pauseRecurringRule, resumeRecurringRule, deleteRecurringRule } from '../repositories/allowances.js';
+import { listHouseholdInterestRules, findInterestRule, findHouseholdInterestRule, insertInterestRule, updateInterestRule, deleteInterestRule } from '../repositories/interest.js';
+import { isChildInHousehold } from '../repositories/users.js';
+
+const router = express.Router();
+
+// GET: List recurring allowance rules (Admin only)
+router.get('/recurring-rules', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden' });
+    }
+    try {
+        res.json(await listHouseholdRecurringRules(pool, req.user.household_id));
+    } catch (error) {
+        console.error('Failed to fetch recurring rules:', error);
+        res.status(500).json({ error: 'Database query failed' });
+    }
+});
+
+// POST: Create a recurring allowance rule (Admin only)
+router.post('/recurring-rules', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can manage allowances.' });
+    }
+    const validationError = validateRecurringRule(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    try {
+        const { child_name, description, amount, cadence, start_date, auto_split = false } = req.body;
+        // Only periods missed while the server was down are caught up, never ones from before the rule existed
+        if (start_date < today()) {
+            return res.status(400).json({ error: 'Start date cannot be in the past.' });
+        }
+        if (!await isChildInHousehold(pool, child_name, req.user.household_id)) {
+            return res.status(404).json({ error: 'Child not found.' });
+        }
+        const id = await insertRecurringRule(pool, {
+            child_name, description: description.trim(), amount, cadence, start_date, next_run_date: start_date, auto_split, created_by: req.user.name
+        });
+
+        // A start date of today should post straight away rather than waiting for the next tick
+        await postDueAllowancesForRule(id);
+
+        res.status(201).json(await findRecurringRule(pool, id));
+    } catch (error) {
+        console.error('Failed to create recurring rule:', error);
+        res.status(500).json({ error: 'Database insert failed' });
+    }
+});
+
+// PUT: Edit a recurring allowance rule (Admin only)
+router.put('/recurring-rules/:id', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can manage allowances.' });
+    }
+    try {
+        const { id } = req.params;
+        const existing = await findHouseholdRecurringRule(pool, id, req.user.household_id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Recurring rule not found.' });
+        }
+
+        const updated = {
+            child_name: existing.child_name,
+            description: req.body.description ?? existing.description,
+            amount: req.body.amount ?? existing.amount,
+            cadence: req.body.cadence ?? existing.cadence,
+            start_date: req.body.start_date ?? toDateString(existing.start_date),
+            auto_split: req.body.auto_split ?? Boolean(existing.auto_split)
+        };
+        const validationError = validateRecurringRule(updated);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        // Changing the schedule moves the next run onto the new schedule
+        let nextRun = toDateString(existing.next_run_date);
+        if (updated.cadence !== existing.cadence || updated.start_date !== toDateString(existing.start_date)) {
+            nextRun = await rescheduleRule(pool, existing, updated.start_date, updated.cadence);
+        }
+
+        await updateRecurringRule(pool, id, { ...updated, description: updated.description.trim(), next_run_date: nextRun });
+        res.json(await findRecurringRule(pool, id));
+    } catch (error) {
+        console.error('Failed to update recurring rule:', error);
+        res.status(500).json({ error: 'Database update failed' });
+    }
+});
+
+// PUT: Pause a recurring allowance rule (Admin only)
+router.put('/recurring-rules/:id/pause', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can manage allowances.' });
+    }
+    try {
+        if (!await findHouseholdRecurringRule(pool, req.params.id, req.user.household_id)) {
+            return res.status(404).json({ error: 'Recurring rule not found.' });
+        }
+        await pauseRecurringRule(pool, req.params.id);
+        res.json(await findRecurringRule(pool, req.params.id));
+    } catch (error) {
+        console.error('Failed to pause recurring rule:', error);
+        res.status(500).json({ error: 'Database update failed' });
+    }
+});
+
+// PUT: Resume a paused recurring allowance rule (Admin only)
+router.put('/recurring-rules/:id/resume', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can manage allowances.' });
+    }
+    try {
+        const { id } = req.params;
+        const existing = await findHouseholdRecurringRule(pool, id, req.user.household_id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Recurring rule not found.' });
+        }
+
+        // Periods that fell inside the pause are skipped, not caught up
+        const nextRun = await rescheduleRule(pool, existing, toDateString(existing.start_date), existing.cadence);
+        await resumeRecurringRule(pool, id, nextRun);
+        await postDueAllowancesForRule(id);
+
+        res.json(await findRecurringRule(pool, id));
+    } catch (error) {
+        console.error('Failed to resume recurring rule:', error);
+        res.status(500).json({ error: 'Database update failed' });
+    }
+});
+
+// DELETE: Remove a recurring allowance rule (Admin only). Already-posted transactions are kept.
+router.delete('/recurring-rules/:id', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can manage allowances.' });
+    }
+    try {
+        if (!await findHouseholdRecurringRule(pool, req.params.id, req.user.household_id)) {
+            return res.status(404).json({ error: 'Recurring rule not found.' });
+        }
+        await deleteRecurringRule(pool, req.params.id);
+        res.json({ message: 'Recurring rule deleted successfully.' });
+    } catch (error) {
+        console.error('Failed to delete recurring rule:', error);
+        res.status(500).json({ error: 'Database delete failed' });
+    }
+});
+
+// GET: List interest and matching rules (Admin only)
+router.get('/interest-rules', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden' });
+    }
+    try {
+        res.json(await listHouseholdInterestRules(pool, req.user.household_id));
+    } catch (error) {
+        console.error('Failed to fetch interest rules:', error);
+        res.status(500).json({ error: 'Database query failed' });
+    }
+});
+
+// GET: Preview the next payout of a rule: the period in progress, worked out on today's figures.
+// Children can preview their own rules.
+router.get('/interest-rules/:id/preview', authenticateToken, async (req, res) => {
+    try {
+        const rule = await findHouseholdInterestRule(pool, req.params.id, req.user.household_id);
+        if (!rule || (req.user.role === 'child' && rule.child_name !== req.user.name)) {
+            return res.status(404).json({ error: 'Interest rule not found.' });
+        }
+        const payout = await calculateInterest(pool, rule, toDateString(rule.period_start), toDateString(rule.next_run_date));
+        res.json({ ...payout, rule_id: rule.id, paused: Boolean(rule.paused), estimate: toDateString(rule.next_run_date) > today() });
+    } catch (error) {
+        console.error('Failed to preview interest:', error);
+        res.status(500).json({ error: 'Database query failed' });
+    }
+});
+
+// POST: Create an interest or matching rule (Admin only). The first period starts on start_date.
+router.post('/interest-rules', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can manage interest.' });
+    }
+    const validationError = validateInterestRule(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    try {
+        const { child_name, kind, rate_percent, cap_amount, bucket_id, cadence, start_date } = req.body;
+        if (!await isChildInHousehold(pool, child_name, req.user.household_id)) {
+            return res.status(404).json({ error: 'Child not found.' });
+        }
+        const bucket = bucket_id ? await resolveBucket(pool, child_name, bucket_id) : null;
+        if (bucket_id && !bucket) {
+            return res.status(400).json({ error: 'That bucket does not belong to this child.' });
+        }
+        const id = await insertInterestRule(pool, {
+            child_name, kind, rate_percent, cap_amount: cap_amount || null, bucket_id: bucket?.id ?? null, cadence,
+            start_date, period_start: start_date, next_run_date: nextRunDate(start_date, cadence, start_date), created_by: req.user.name
+        });
+
+        // A start date in the past catches up on the periods that have already finished
+        await postDueInterestForRule(id);
+
+        res.status(201).json(await findInterestRule(pool, id));
+    } catch (error) {
+        console.error('Failed to create interest rule:', error);
+        res.status(500).json({ error: 'Database insert failed' });
+    }
+});
+
+// PUT: Change a rule's rate, cap or bucket, or pause/resume it (Admin only). Changes apply to
+// the period in progress; periods already paid are never recalculated.
+router.put('/interest-rules/:id', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can manage interest.' });
+    }
+    try {
+        const existing = await findHouseholdInterestRule(pool, req.params.id, req.user.household_id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Interest rule not found.' });
+        }
+        const updated = {
+            child_name: existing.child_name,
+            kind: existing.kind,
+            rate_percent: req.body.rate_percent ?? existing.rate_percent,
+            cap_amount: req.body.cap_amount !== undefined ? req.body.cap_amount : existing.cap_amount,
+            bucket_id: req.body.bucket_id !== undefined ? req.body.bucket_id : existing.bucket_id,
+            cadence: existing.cadence,
+            start_date: toDateString(existing.start_date),
+            paused: req.body.paused ?? Boolean(existing.paused)
+        };
+        const validationError = validateInterestRule(updated);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        const bucket = updated.bucket_id ? await resolveBucket(pool, existing.child_name, updated.bucket_id) : null;
+        if (updated.bucket_id && !bucket) {
+            return res.status(400).json({ error: 'That bucket does not belong to this child.' });
+        }
+
+        // Like allowances, periods that fell inside a pause are skipped rather than paid on resume
+        let periodStart = toDateString(existing.period_start);
+        let nextRun = toDateString(existing.next_run_date);
+        if (existing.paused && !updated.paused) {
+            ({ periodStart, periodEnd: nextRun } = periodContaining(updated.start_date, updated.cadence, today()));
+        }
+
+        await updateInterestRule(pool, existing.id, {
+            rate_percent: updated.rate_percent,
+            cap_amount: updated.cap_amount || null,
+            bucket_id: bucket?.id ?? null,
+            paused: updated.paused,
+            period_start: periodStart,
+            next_run_date: nextRun
+        });
+        res.json(await findInterestRule(pool, existing.id));
+    } catch (error) {
+        console.error('Failed to update interest rule:', error);
+        res.status(500).json({ error: 'Database update failed' });
+    }
+});
+
+// DELETE: Remove an interest rule (Admin only). Payouts already made are kept.
+router.delete('/interest-rules/:id', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can manage interest.' });
+    }
+    try {
+        if (!await findHouseholdInterestRule(pool, req.params.id, req.user.household_id)) {
+            return res.status(404).json({ error: 'Interest rule not found.' });
+        }
+        await deleteInterestRule(pool, req.params.id);
+        res.json({ message: 'Interest rule deleted successfully.' });
+    } catch (error) {
+        console.error('Failed to delete interest rule:', error);
+        res.status(500).json({ error: 'Database delete failed' });
+    }
+});
+
+export default router;
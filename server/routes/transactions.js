@@ -0,0 +1,372 @@
+import express from 'express';
+import { TRANSACTION_AUDIT_FIELDS, pickFields, recordAudit, auditTransaction } from '../lib/audit.js';
+import { resolveBucket, insertSplitIncome } from '../lib/buckets.js';
+import { withTags, normalizeTags } from '../lib/categories.js';
+import { onBalanceChanged } from '../lib/goals.js';
+import { CURRENCY_CODES, formatMoney, getMoneyFormat } from '../lib/money.js';
+import { sendNotification } from '../lib/notifications.js';
+import { AUTO_APPROVER, getSpendingPolicy, checkSpendingPolicy, isAutoApproved } from '../lib/policies.js';
+import { insertTransaction, validateTransactionEdit, findReversalBlocker, reverseTransaction, TRANSACTION_TYPES, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, parseTransactionFilters, decideTransaction } from '../lib/transactions.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { pool } from '../pool.js';
+import { findCategory } from '../repositories/categories.js';
+import { getTransactionTags, countTransactions, listTransactionDetails, findHouseholdTransaction, updatePendingTransaction, deletePendingTransaction } from '../repositories/transactions.js';
+import { isChildInHousehold, lockChild } from '../repositories/users.js';
+
+const router = express.Router();
+
+// GET: Fetch a page of transactions (Protected and Scoped to User Role)
+// Query params: limit, offset, child_name, status (comma separated), type, from, to (YYYY-MM-DD),
+// min_amount, max_amount and q (description search). Responds with the page plus the total match count.
+router.get('/transactions', authenticateToken, async (req, res) => {
+  const { filters, error: filterError } = parseTransactionFilters(req.query, req.user);
+  if (filterError) {
+    return res.status(400).json({ error: filterError });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  try {
+    const total = await countTransactions(pool, filters);
+    const rows = await listTransactionDetails(pool, filters, limit, offset);
+    res.json({ transactions: rows.map(withTags), total, limit, offset });
+  } catch (error) {
+    console.error('Failed to fetch transactions:', error);
+    res.status(500).json({ error: 'Database query failed' });
+  }
+});
+
+// POST: Add a new transaction (Protected)
+router.post('/transactions', authenticateToken, idempotent, async (req, res) => {
+  const validationError = !TRANSACTION_TYPES.includes(req.body.type)
+    ? `Type must be one of: ${TRANSACTION_TYPES.join(', ')}.`
+    : (req.body.currency && !CURRENCY_CODES.has(String(req.body.currency).toUpperCase()) ? `Unknown currency "${req.body.currency}".` : validateTransactionEdit(req.body));
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  const { tags, error: tagError } = normalizeTags(req.body.tags);
+  if (tagError) {
+    return res.status(400).json({ error: tagError });
+  }
+  try {
+    const { description, amount, type, child_name, bucket_id, auto_split } = req.body;
+    
+    // Default status for requests
+    let status = 'pending';
+    let approvedBy = null;
+
+    // If Admin is creating it, approve immediately
+    if (req.user.role === 'admin') {
+        if (!await isChildInHousehold(pool, child_name, req.user.household_id)) {
+            return res.status(404).json({ error: 'Child not found.' });
+        }
+        status = 'approved';
+        approvedBy = req.user.name;
+    } else {
+        // If a child is creating it, force the child_name to be themselves for security
+        if (child_name !== req.user.name) {
+            return res.status(403).json({ error: 'You can only submit requests for yourself.' });
+        }
+    }
+
+    if (req.body.category_id && !await findCategory(pool, req.body.category_id, req.user.household_id)) {
+        return res.status(400).json({ error: 'Unknown category.' });
+    }
+
+    // No currency means the household's own
+    const money = await getMoneyFormat(pool, req.user.household_id);
+    const currency = req.body.currency ? String(req.body.currency).toUpperCase() : money.currency;
+    const foreignCurrency = currency === money.currency ? null : currency;
+
+    // The balance is read, checked and spent in one transaction with the child locked
+    const connection = await pool.getConnection();
+    let created;
+    let action = 'create';
+    try {
+        await connection.beginTransaction();
+        await lockChild(connection, child_name);
+        const bucket = await resolveBucket(connection, child_name, bucket_id);
+        if (!bucket) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'That bucket does not belong to this child.' });
+        }
+
+        // Children's spending is checked against their policy; small enough purchases skip the approval queue
+        if (req.user.role === 'child' && type === 'expense') {
+            const policy = await getSpendingPolicy(connection, child_name);
+            const policyError = await checkSpendingPolicy(connection, policy, { amount, bucket, money, currency: foreignCurrency });
+            if (policyError) {
+                await connection.rollback();
+                return res.status(400).json({ error: policyError, code: 'spending_policy' });
+            }
+            if (isAutoApproved(policy, amount, foreignCurrency)) {
+                status = 'approved';
+                approvedBy = AUTO_APPROVER;
+                action = 'auto_approve';
+            }
+        }
+
+        const fields = { description, amount, type, child_name, status, approved_by: approvedBy, bucket_id: bucket.id, currency, category_id: req.body.category_id || null, tags };
+
+        // Admins can have income spread over the child's buckets using the configured percentages
+        created = auto_split && status === 'approved' && type === 'income'
+            ? await insertSplitIncome(connection, fields, req.user)
+            : await insertTransaction(connection, fields, req.user, action);
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback().catch(() => {});
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    if (Array.isArray(created)) {
+        onBalanceChanged(child_name);
+        return res.status(201).json(created);
+    }
+    const newTransaction = created;
+
+    // Notify about pending requests, and about spending that was let through automatically
+    const formattedAmount = formatMoney(Math.round(Number(newTransaction.amount) * 100), { ...money, currency });
+    if (status === 'pending') {
+        sendNotification(req.user.household_id, { role: 'admin' }, {
+            type: 'new_request',
+            title: 'New Transaction Pending',
+            body: `${newTransaction.child_name} asked for ${formattedAmount}: "${newTransaction.description}".`,
+            transactionId: newTransaction.id,
+            approvable: true
+        });
+    } else {
+        if (action === 'auto_approve') {
+            sendNotification(req.user.household_id, { role: 'admin' }, {
+                type: 'new_request',
+                title: 'Purchase Auto-Approved',
+                body: `${newTransaction.child_name} spent ${formattedAmount} on "${newTransaction.description}" (under their auto-approval limit).`,
+                transactionId: newTransaction.id
+            });
+        }
+        onBalanceChanged(child_name);
+    }
+
+    res.status(201).json(newTransaction);
+  } catch (error) {
+    console.error('Failed to add transaction:', error);
+    res.status(500).json({ error: 'Database insert failed' });
+  }
+});
+// PUT: Approve a transaction (Protected & Admin only)
+router.put('/transactions/:id/approve', authenticateToken, async (req, res) => {
+  // Check if the authenticated user is an admin
+  if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Forbidden: Only admins can approve transactions.' });
+  }
+
+  try {
+    const result = await decideTransaction(req.params.id, req.user, 'approved');
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ message: 'Transaction approved successfully' });
+  } catch (error) {
+    console.error('Failed to approve transaction:', error);
+    res.status(500).json({ error: 'Database update failed' });
+  }
+});
+
+// DELETE: Decline and delete a transaction
+router.put('/transactions/:id/decline', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can decline transactions.' });
+    }
+    try {
+        const result = await decideTransaction(req.params.id, req.user, 'declined');
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.status(200).json({ message: 'Transaction declined successfully.' });
+    } catch (error) {
+        console.error('Failed to decline transaction:', error);
+        res.status(500).json({ error: 'Database update failed' });
+    }
+});
+
+// Loads a transaction the user may act on: anything in an admin's household, or a child's own rows
+const findUserTransaction = async (db, id, user, lock = false) => {
+    const transaction = await findHouseholdTransaction(db, id, user.household_id, lock);
+    if (!transaction || (user.role === 'child' && transaction.child_name !== user.name)) return null;
+    return transaction;
+};
+
+// PUT: Edit the description or amount of a pending request (the child who asked, or an admin)
+router.put('/transactions/:id', authenticateToken, async (req, res) => {
+    const validationError = validateTransactionEdit(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    const connection = await pool.getConnection();
+    try {
+        const transaction = await findUserTransaction(pool, req.params.id, req.user);
+        if (!transaction) {
+            return res.status(404).json({ error: 'Transaction not found.' });
+        }
+        if (transaction.status !== 'pending') {
+            return res.status(400).json({ error: 'Only pending requests can be edited. Approved entries can be corrected instead.' });
+        }
+        // A bigger amount is checked like a new request, with the child locked until it is saved
+        await connection.beginTransaction();
+        await lockChild(connection, transaction.child_name);
+        if (req.user.role === 'child' && transaction.type === 'expense') {
+            const policy = await getSpendingPolicy(connection, transaction.child_name);
+            const bucket = await resolveBucket(connection, transaction.child_name, transaction.bucket_id);
+            const money = await getMoneyFormat(connection, req.user.household_id);
+            const currency = transaction.currency === money.currency ? null : transaction.currency;
+            const policyError = await checkSpendingPolicy(connection, policy, { amount: req.body.amount, bucket, money, currency }, transaction.id);
+            if (policyError) {
+                await connection.rollback();
+                return res.status(400).json({ error: policyError, code: 'spending_policy' });
+            }
+        }
+        const changes = { description: req.body.description.trim(), amount: Number(req.body.amount).toFixed(2) };
+        if (!await updatePendingTransaction(connection, transaction.id, changes)) {
+            await connection.rollback();
+            return res.status(409).json({ error: 'This request was just approved or declined.' });
+        }
+        await auditTransaction(connection, 'edit', req.user, transaction, changes);
+        await connection.commit();
+        res.json({ ...transaction, ...changes });
+    } catch (error) {
+        await connection.rollback().catch(() => {});
+        console.error('Failed to edit transaction:', error);
+        res.status(500).json({ error: 'Database update failed' });
+    } finally {
+        connection.release();
+    }
+});
+
+// DELETE: Cancel a pending request (the child who asked, or an admin). The audit log keeps a copy.
+router.delete('/transactions/:id', authenticateToken, async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        const transaction = await findUserTransaction(pool, req.params.id, req.user);
+        if (!transaction) {
+            return res.status(404).json({ error: 'Transaction not found.' });
+        }
+        if (transaction.status !== 'pending') {
+            return res.status(400).json({ error: 'Only pending requests can be cancelled.' });
+        }
+        await connection.beginTransaction();
+        const tags = await getTransactionTags(connection, transaction.id);
+        if (!await deletePendingTransaction(connection, transaction.id)) {
+            await connection.rollback();
+            return res.status(409).json({ error: 'This request was just approved or declined.' });
+        }
+        await recordAudit(connection, {
+            householdId: transaction.household_id,
+            entityType: 'transaction',
+            entityId: transaction.id,
+            childName: transaction.child_name,
+            action: 'cancel',
+            actor: req.user,
+            oldValues: pickFields({ ...transaction, tags }, TRANSACTION_AUDIT_FIELDS)
+        });
+        await connection.commit();
+        res.json({ message: 'Request cancelled.' });
+    } catch (error) {
+        await connection.rollback().catch(() => {});
+        console.error('Failed to cancel transaction:', error);
+        res.status(500).json({ error: 'Database delete failed' });
+    } finally {
+        connection.release();
+    }
+});
+
+// POST: Reverse an approved transaction with an opposite entry that references it (Admin only)
+router.post('/transactions/:id/reverse', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can reverse transactions.' });
+    }
+    // The reason is optional, so the request may have no body at all
+    const reason = req.body?.reason ? String(req.body.reason).trim() : '';
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const original = await findUserTransaction(connection, req.params.id, req.user, true);
+        if (!original) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Transaction not found.' });
+        }
+        const blocker = await findReversalBlocker(connection, original);
+        if (blocker) {
+            await connection.rollback();
+            return res.status(400).json({ error: blocker });
+        }
+        const reversal = await reverseTransaction(connection, original, req.user, reason);
+        await connection.commit();
+        onBalanceChanged(original.child_name);
+        res.status(201).json(reversal);
+    } catch (error) {
+        await connection.rollback().catch(() => {});
+        console.error('Failed to reverse transaction:', error);
+        res.status(500).json({ error: 'Database insert failed' });
+    } finally {
+        connection.release();
+    }
+});
+
+// POST: Correct the description or amount of an approved transaction: reverses it and posts the
+// fixed entry in its place (Admin only)
+router.post('/transactions/:id/correct', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can correct transactions.' });
+    }
+    const validationError = validateTransactionEdit(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    const description = req.body.description.trim();
+    const amount = Number(req.body.amount).toFixed(2);
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const original = await findUserTransaction(connection, req.params.id, req.user, true);
+        if (!original) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Transaction not found.' });
+        }
+        const blocker = await findReversalBlocker(connection, original);
+        if (blocker || original.transfer_id) {
+            await connection.rollback();
+            return res.status(400).json({ error: blocker || 'Transfers cannot be corrected. Reverse it and make a new transfer instead.' });
+        }
+        if (description === original.description && amount === Number(original.amount).toFixed(2)) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'Nothing to correct: the description and amount are unchanged.' });
+        }
+        const reversal = await reverseTransaction(connection, original, req.user, 'corrected');
+        const correction = await insertTransaction(connection, {
+            description,
+            amount,
+            type: original.type,
+            child_name: original.child_name,
+            status: 'approved',
+            approved_by: req.user.name,
+            bucket_id: original.bucket_id,
+            corrects_id: original.id,
+            currency: original.currency,
+            category_id: original.category_id,
+            tags: await getTransactionTags(connection, original.id)
+        }, req.user, 'correct');
+        await connection.commit();
+        onBalanceChanged(original.child_name);
+        res.status(201).json({ reversal, correction });
+    } catch (error) {
+        await connection.rollback().catch(() => {});
+        console.error('Failed to correct transaction:', error);
+        res.status(500).json({ error: 'Database insert failed' });
+    } finally {
+        connection.release();
+    }
+});
+
+export default router;
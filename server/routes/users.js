@@ -0,0 +1,246 @@
+import express from 'express';
+import bcrypt from 'bcrypt';
+import { SALT_ROUNDS } from '../config.js';
+import { auditUser } from '../lib/audit.js';
+import { ensureBuckets } from '../lib/buckets.js';
+import { PIN_PATTERN, revokeUserSessions } from '../lib/sessions.js';
+import { isBlank, validateCredentials } from '../lib/validation.js';
+import { authenticateToken, requirePasswordLogin } from '../middleware/auth.js';
+import { pool } from '../pool.js';
+import { deleteUserSubscriptions } from '../repositories/notifications.js';
+import { getHouseholdChildNames, findHouseholdUser, listHouseholdUsers, insertUser, renameChild, setPassword, setStatus, promoteToAdmin, setPin, setAvatar } from '../repositories/users.js';
+
+const router = express.Router();
+
+const USER_STATUSES = ['active', 'disabled', 'archived'];
+
+// GET: Fetch children (For Admin dropdown)
+router.get('/children', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden' });
+    }
+    try {
+        const names = await getHouseholdChildNames(pool, req.user.household_id);
+        res.json(names.map(name => ({ name })));
+    } catch (error) {
+        console.error('Failed to fetch children:', error);
+        res.status(500).json({ error: 'Database query failed' });
+    }
+});
+
+// GET: Everyone in the admin's household (Admin only)
+router.get('/users', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden' });
+    }
+    try {
+        res.json(await listHouseholdUsers(pool, req.user.household_id));
+    } catch (error) {
+        console.error('Failed to fetch users:', error);
+        res.status(500).json({ error: 'Database query failed' });
+    }
+});
+
+// POST: Create a child account in the admin's household (Admin only)
+router.post('/users', authenticateToken, requirePasswordLogin, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can add children.' });
+    }
+    const validationError = validateCredentials(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    try {
+        const hashedPassword = await bcrypt.hash(req.body.password, SALT_ROUNDS);
+        const id = await insertUser(pool, { name: req.body.name.trim(), password: hashedPassword, role: 'child', household_id: req.user.household_id });
+        await ensureBuckets(pool, req.body.name.trim());
+        const child = { id, name: req.body.name.trim(), role: 'child', household_id: req.user.household_id };
+        await auditUser(pool, 'create', req.user, child, null, { name: child.name, role: child.role });
+        res.status(201).json({ id, name: req.body.name.trim(), role: 'child', status: 'active' });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(400).json({ error: 'That name is already taken.' });
+        }
+        console.error('Failed to create child:', error);
+        res.status(500).json({ error: 'Database insert failed' });
+    }
+});
+
+// PUT: Rename a child (Admin only). Their history follows them to the new name.
+router.put('/users/:id', authenticateToken, requirePasswordLogin, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can rename children.' });
+    }
+    const newName = !isBlank(req.body.name) && req.body.name.trim();
+    if (!newName) {
+        return res.status(400).json({ error: 'A name is required.' });
+    }
+    const connection = await pool.getConnection();
+    try {
+        const child = await findHouseholdUser(pool, req.params.id, req.user.household_id);
+        if (!child || child.role !== 'child') {
+            return res.status(404).json({ error: 'Child not found.' });
+        }
+        await connection.beginTransaction();
+        await renameChild(connection, child.id, child.name, newName);
+        await auditUser(connection, 'rename', req.user, { ...child, name: newName }, { name: child.name }, { name: newName });
+        await connection.commit();
+        res.json({ ...child, name: newName });
+    } catch (error) {
+        await connection.rollback().catch(() => {});
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(400).json({ error: 'That name is already taken.' });
+        }
+        console.error('Failed to rename child:', error);
+        res.status(500).json({ error: 'Database update failed' });
+    } finally {
+        connection.release();
+    }
+});
+
+// PUT: Reset a child's password (Admin only)
+router.put('/users/:id/password', authenticateToken, requirePasswordLogin, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can reset passwords.' });
+    }
+    const validationError = validateCredentials({ name: 'unused', password: req.body.password });
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    try {
+        const child = await findHouseholdUser(pool, req.params.id, req.user.household_id);
+        if (!child || child.role !== 'child') {
+            return res.status(404).json({ error: 'Child not found.' });
+        }
+        const hashedPassword = await bcrypt.hash(req.body.password, SALT_ROUNDS);
+        await setPassword(pool, child.id, hashedPassword);
+        // A new password logs the child out everywhere
+        await revokeUserSessions(child.id);
+        await auditUser(pool, 'reset_password', req.user, child);
+        res.json({ message: 'Password reset successfully.' });
+    } catch (error) {
+        console.error('Failed to reset password:', error);
+        res.status(500).json({ error: 'Database update failed' });
+    }
+});
+
+// PUT: Set an account's status: active, disabled (can't log in) or archived (also hidden from lists) (Admin only)
+router.put('/users/:id/status', authenticateToken, requirePasswordLogin, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can change accounts.' });
+    }
+    const { status } = req.body;
+    if (!USER_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status must be one of: ${USER_STATUSES.join(', ')}.` });
+    }
+    if (Number(req.params.id) === req.user.id) {
+        return res.status(400).json({ error: 'You cannot change the status of your own account.' });
+    }
+    try {
+        const user = await findHouseholdUser(pool, req.params.id, req.user.household_id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found.' });
+        }
+        await setStatus(pool, user.id, status);
+        if (status !== 'active') {
+            await revokeUserSessions(user.id);
+            await deleteUserSubscriptions(pool, user.id);
+        }
+        await auditUser(pool, 'status', req.user, user, { status: user.status }, { status });
+        res.json({ ...user, status });
+    } catch (error) {
+        console.error('Failed to change account status:', error);
+        res.status(500).json({ error: 'Database update failed' });
+    }
+});
+
+// PUT: Promote a household member to parent (Admin only)
+router.put('/users/:id/promote', authenticateToken, requirePasswordLogin, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can promote users.' });
+    }
+    try {
+        const user = await findHouseholdUser(pool, req.params.id, req.user.household_id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found.' });
+        }
+        if (user.role === 'admin') {
+            return res.status(400).json({ error: `${user.name} is already a parent.` });
+        }
+        // Parents always log in with a password, so any PIN is removed
+        await promoteToAdmin(pool, user.id);
+        // Logged against the child they were, so it still shows on their old timeline
+        await auditUser(pool, 'promote', req.user, user, { role: user.role }, { role: 'admin' });
+        res.json({ ...user, role: 'admin' });
+    } catch (error) {
+        console.error('Failed to promote user:', error);
+        res.status(500).json({ error: 'Database update failed' });
+    }
+});
+
+// PUT: Set or change a child's login PIN (Admin only)
+router.put('/users/:id/pin', authenticateToken, requirePasswordLogin, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can set PINs.' });
+    }
+    if (!PIN_PATTERN.test(String(req.body.pin ?? ''))) {
+        return res.status(400).json({ error: 'PIN must be 4 to 6 digits.' });
+    }
+    try {
+        const child = await findHouseholdUser(pool, req.params.id, req.user.household_id);
+        if (!child || child.role !== 'child') {
+            return res.status(404).json({ error: 'Child not found.' });
+        }
+        const pinHash = await bcrypt.hash(String(req.body.pin), SALT_ROUNDS);
+        await setPin(pool, child.id, pinHash);
+        await auditUser(pool, 'set_pin', req.user, child, { has_pin: Boolean(child.has_pin) }, { has_pin: true });
+        res.json({ message: 'PIN set successfully.' });
+    } catch (error) {
+        console.error('Failed to set PIN:', error);
+        res.status(500).json({ error: 'Database update failed' });
+    }
+});
+
+// DELETE: Remove a child's PIN so they go back to their password (Admin only)
+router.delete('/users/:id/pin', authenticateToken, requirePasswordLogin, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can remove PINs.' });
+    }
+    try {
+        const child = await findHouseholdUser(pool, req.params.id, req.user.household_id);
+        if (!child || child.role !== 'child') {
+            return res.status(404).json({ error: 'Child not found.' });
+        }
+        await setPin(pool, child.id, null);
+        await auditUser(pool, 'remove_pin', req.user, child, { has_pin: Boolean(child.has_pin) }, { has_pin: false });
+        res.json({ message: 'PIN removed.' });
+    } catch (error) {
+        console.error('Failed to remove PIN:', error);
+        res.status(500).json({ error: 'Database update failed' });
+    }
+});
+
+// PUT: Set the avatar (an emoji) shown on a member's login profile (Admin only)
+router.put('/users/:id/avatar', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden: Only admins can change avatars.' });
+    }
+    const avatar = req.body.avatar ? String(req.body.avatar).trim() : null;
+    if (avatar && [...avatar].length > 4) {
+        return res.status(400).json({ error: 'Avatar must be a single emoji.' });
+    }
+    try {
+        const user = await findHouseholdUser(pool, req.params.id, req.user.household_id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found.' });
+        }
+        await setAvatar(pool, user.id, avatar);
+        await auditUser(pool, 'avatar', req.user, user, { avatar: user.avatar }, { avatar });
+        res.json({ ...user, avatar });
+    } catch (error) {
+        console.error('Failed to set avatar:', error);
+        res.status(500).json({ error: 'Database update failed' });
+    }
+});
+
+export default router;
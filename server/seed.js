@@ -0,0 +1,135 @@
+// Creates a demo family to try the app with: one parent, two children with PINs, some history,
+// an allowance, a goal and a chore. Run `npm run migrate` first, then `npm run seed`.
+import bcrypt from 'bcrypt';
+import process from 'node:process';
+import { openStorage } from './db.js';
+import { getSchemaVersion, describeSchemaMismatch } from './migrations/index.js';
+import { insertRecurringRule } from './repositories/allowances.js';
+import { insertBucket } from './repositories/buckets.js';
+import { insertCategory, findDefaultCategoryId } from './repositories/categories.js';
+import { insertChore } from './repositories/chores.js';
+import { insertGoal } from './repositories/goals.js';
+import { insertHousehold } from './repositories/households.js';
+import { insertTransactionRow } from './repositories/transactions.js';
+import { findTakenNames, insertUser } from './repositories/users.js';
+
+const SALT_ROUNDS = 10;
+const HOUSEHOLD_NAME = 'Demo Family';
+const PARENT = { name: 'Demo Parent', password: 'demo-parent' };
+const CHILDREN = [
+    { name: 'Mia', avatar: '🦊', pin: '1234' },
+    { name: 'Leo', avatar: '🐢', pin: '5678' }
+];
+const CATEGORIES = [
+    { name: 'Allowance', icon: '💵', color: '#16a34a' },
+    { name: 'Treats', icon: '🍬', color: '#db2777' },
+    { name: 'Books', icon: '📚', color: '#2563eb' },
+    { name: 'Toys', icon: '🧸', color: '#d97706' }
+];
+// [child, description, amount, type, category, days ago, status]
+const HISTORY = [
+    ['Mia', 'Allowance', 5, 'income', 'Allowance', 21, 'approved'],
+    ['Mia', 'Ice cream', 2.5, 'expense', 'Treats', 18, 'approved'],
+    ['Mia', 'Allowance', 5, 'income', 'Allowance', 14, 'approved'],
+    ['Mia', 'Birthday money from Grandma', 20, 'income', null, 10, 'approved'],
+    ['Mia', 'Allowance', 5, 'income', 'Allowance', 7, 'approved'],
+    ['Mia', 'Comic book', 4.99, 'expense', 'Books', 1, 'pending'],
+    ['Leo', 'Allowance', 3, 'income', 'Allowance', 21, 'approved'],
+    ['Leo', 'Allowance', 3, 'income', 'Allowance', 14, 'approved'],
+    ['Leo', 'Toy car', 6, 'expense', 'Toys', 12, 'approved'],
+    ['Leo', 'Allowance', 3, 'income', 'Allowance', 7, 'approved'],
+    ['Leo', 'Washed the car', 2, 'income', null, 2, 'pending']
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+const toDateString = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const seed = async (connection) => {
+    const version = await getSchemaVersion(connection);
+    const mismatch = describeSchemaMismatch(version);
+    if (mismatch) throw new Error(mismatch);
+
+    // User names are unique across the server, so a second run would collide with the first
+    const names = [PARENT.name, ...CHILDREN.map(child => child.name)];
+    const taken = await findTakenNames(connection, names);
+    if (taken.length > 0) {
+        throw new Error(`The demo users already exist (${taken.join(', ')}). Nothing was changed.`);
+    }
+
+    await connection.beginTransaction();
+    try {
+        const householdId = await insertHousehold(connection, { name: HOUSEHOLD_NAME, currency: 'USD' });
+
+        const categoryIds = {};
+        await insertCategory(connection, householdId, { name: 'Uncategorized', icon: '📦', is_default: true });
+        for (const category of CATEGORIES) {
+            categoryIds[category.name] = await insertCategory(connection, householdId, category);
+        }
+        const uncategorizedId = await findDefaultCategoryId(connection, householdId);
+
+        await insertUser(connection, {
+            name: PARENT.name, password: await bcrypt.hash(PARENT.password, SALT_ROUNDS), role: 'admin', household_id: householdId, avatar: '🧑'
+        });
+
+        // Children sign in with their PIN; the random password is only there because the column is required
+        const bucketIds = {};
+        for (const child of CHILDREN) {
+            const password = await bcrypt.hash(`${child.name}-${Date.now()}-${Math.random()}`, SALT_ROUNDS);
+            await insertUser(connection, {
+                name: child.name, password, role: 'child', household_id: householdId, avatar: child.avatar, pin_hash: await bcrypt.hash(child.pin, SALT_ROUNDS)
+            });
+            for (const [index, bucket] of ['Spend', 'Save', 'Give'].entries()) {
+                const id = await insertBucket(connection, { child_name: child.name, name: bucket, split_percent: index === 0 ? 100 : 0, sort_order: index });
+                if (index === 0) bucketIds[child.name] = id;
+            }
+        }
+
+        for (const [childName, description, amount, type, category, age, status] of HISTORY) {
+            const approved = status === 'approved';
+            const createdAt = daysAgo(age);
+            await insertTransactionRow(connection, {
+                description, amount, type, child_name: childName, status,
+                approved_by: approved ? PARENT.name : null,
+                bucket_id: bucketIds[childName],
+                currency: 'USD',
+                category_id: category ? categoryIds[category] : uncategorizedId,
+                created_by: approved && type === 'income' ? PARENT.name : childName,
+                created_at: createdAt,
+                decided_at: approved ? createdAt : null
+            });
+        }
+
+        // The next allowance is due a week after the last one in the history above
+        for (const [childName, amount] of [['Mia', 5], ['Leo', 3]]) {
+            await insertRecurringRule(connection, {
+                child_name: childName, description: 'Allowance', amount, cadence: 'weekly',
+                start_date: toDateString(daysAgo(21)), next_run_date: toDateString(new Date()), created_by: PARENT.name
+            });
+        }
+        await insertGoal(connection, { child_name: 'Mia', name: 'New bike', target_amount: 80, funding: 'balance', created_by: 'Mia' });
+        await insertChore(connection, { household_id: householdId, name: 'Take out the recycling', reward: 1, recurrence: 'weekly', created_by: PARENT.name });
+        await insertChore(connection, { household_id: householdId, name: 'Wash the car', reward: 2, recurrence: 'anytime', created_by: PARENT.name });
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    }
+
+    console.log(`Created "${HOUSEHOLD_NAME}". Sign in as:`);
+    console.log(`  ${PARENT.name} with password "${PARENT.password}"`);
+    CHILDREN.forEach(child => console.log(`  ${child.name} with PIN ${child.pin}`));
+};
+
+const storage = await openStorage();
+const connection = await storage.getConnection();
+try {
+    await seed(connection);
+} catch (error) {
+    console.error('Seeding failed:', error.message);
+    process.exitCode = 1;
+} finally {
+    connection.release();
+    await storage.end();
+}
@@ -0,0 +1,32 @@
+// afterCommit(callback) queues work that must only happen once a transaction's writes are visible to
+// everyone, such as telling live clients about them. The callbacks run after commit(); rollback(),
+// or a release() before committing, drops them. Outside a transaction each write commits on its
+// own, so the callback runs straight away.
+export const addCommitHooks = (connection) => {
+    const { beginTransaction, commit, rollback, release } = connection;
+    let pending = null;
+
+    connection.afterCommit = (callback) => {
+        if (pending) pending.push(callback);
+        else callback();
+    };
+    connection.beginTransaction = async (...args) => {
+        await beginTransaction.apply(connection, args);
+        pending = [];
+    };
+    connection.commit = async (...args) => {
+        await commit.apply(connection, args);
+        const callbacks = pending ?? [];
+        pending = null;
+        callbacks.forEach(callback => callback());
+    };
+    connection.rollback = (...args) => {
+        pending = null;
+        return rollback.apply(connection, args);
+    };
+    connection.release = (...args) => {
+        pending = null;
+        return release.apply(connection, args);
+    };
+    return connection;
+};
@@ -0,0 +1,24 @@
+// Storage backends. Each one offers the part of the mysql2/promise pool API the server uses:
+//   query(sql, params)   resolves to [rows] for a SELECT, or [{ insertId, affectedRows }] otherwise
+//   getConnection()      a connection with the same query(), plus beginTransaction / commit /
+//                        rollback / release
+//   afterCommit(fn)      on a connection, runs fn once its transaction commits (see hooks.js);
+//                        on the storage itself, at once
+//   stream(sql, params)  the rows of a SELECT as an object-mode Readable
+//   end()                closes everything
+// `client` ('mysql' or 'sqlite') is set on the storage and on its connections. The repositories
+// read it to pick the statement written for that backend, which runs unchanged.
+export const STORAGE_CLIENTS = ['mysql', 'sqlite'];
+
+// Backends are loaded on demand, so a MySQL install doesn't need SQLite's native module and vice versa
+export const createStorage = async ({ client, mysql, sqlite }) => {
+    if (client === 'mysql') {
+        const { createMysqlStorage } = await import('./mysql.js');
+        return createMysqlStorage(mysql);
+    }
+    if (client === 'sqlite') {
+        const { createSqliteStorage } = await import('./sqlite.js');
+        return createSqliteStorage(sqlite);
+    }
+    throw new Error(`Unknown DB_CLIENT "${client}". Use one of: ${STORAGE_CLIENTS.join(', ')}.`);
+};
@@ -0,0 +1,20 @@
+import mysql from 'mysql2/promise';
+import { addCommitHooks } from './hooks.js';
+
+// Statements written for MySQL run on the mysql2 pool itself
+export const createMysqlStorage = (config) => {
+    const pool = mysql.createPool(config);
+    return {
+        client: 'mysql',
+        query: (sql, params) => pool.query(sql, params),
+        // The promise pool wraps a callback pool, which is the one that can stream results
+        stream: (sql, params) => pool.pool.query(pool.format(sql, params)).stream(),
+        getConnection: async () => {
+            const connection = await pool.getConnection();
+            connection.client = 'mysql';
+            return addCommitHooks(connection);
+        },
+        afterCommit: (callback) => callback(),
+        end: () => pool.end()
+    };
+};
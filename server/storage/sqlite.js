@@ -0,0 +1,138 @@
+import Database from 'better-sqlite3';
+import { createHash } from 'node:crypto';
+import { Readable } from 'node:stream';
+import { addCommitHooks } from './hooks.js';
+
+// --- Values ---
+const pad = (number) => String(number).padStart(2, '0');
+
+// Timestamps are stored as local time, which is what mysql2's Date handling uses
+const toLocalTimestamp = (date) =>
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+
+const fromLocalTimestamp = (text) => {
+    const [date, time = '00:00:00'] = text.split(' ');
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, minutes, seconds] = time.split(':').map(Number);
+    return new Date(year, month - 1, day, hours, minutes, seconds);
+};
+
+const toParameter = (value) => {
+    if (value === undefined) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return toLocalTimestamp(value);
+    return value;
+};
+
+// Gives rows the types mysql2 returns: Dates for timestamp columns, parsed JSON columns, and DECIMAL
+// columns as strings with the column's scale ("2.00"), which SQLite would otherwise return as numbers
+const convertRow = (row, columns) => {
+    for (const { name, type } of columns) {
+        const value = row[name];
+        const decimal = typeof value === 'number' && /^DECIMAL\(\s*\d+\s*,\s*(\d+)\s*\)$/i.exec(type);
+        if (decimal) row[name] = value.toFixed(Number(decimal[1]));
+        if (typeof value !== 'string') continue;
+        if (/^(DATETIME|TIMESTAMP)$/i.test(type)) row[name] = fromLocalTimestamp(value);
+        else if (/^JSON$/i.test(type)) row[name] = JSON.parse(value);
+    }
+    return row;
+};
+
+// The repositories write SQLite's own SQL for this backend (see repositories/dialect.js), so statements
+// run as given. Results come back in mysql2's shapes: rows and columns for a read, or
+// { affectedRows, insertId } for a write.
+const run = (database, sql, params = []) => {
+    const values = params.map(toParameter);
+    try {
+        const statement = database.prepare(sql);
+        if (statement.reader) {
+            const columns = statement.columns();
+            return [statement.all(values).map(row => convertRow(row, columns)), columns];
+        }
+        const { changes, lastInsertRowid } = statement.run(values);
+        const inserted = changes > 0 && /^\s*INSERT\b/i.test(sql);
+        return [{ affectedRows: changes, insertId: inserted ? Number(lastInsertRowid) : 0 }];
+    } catch (error) {
+        // The server checks for MySQL's duplicate-key code
+        if (/^SQLITE_CONSTRAINT_(UNIQUE|PRIMARYKEY)$/.test(error.code)) {
+            error.sqliteCode = error.code;
+            error.code = 'ER_DUP_ENTRY';
+        }
+        throw error;
+    }
+};
+
+// --- Storage ---
+// One database handle is shared by everything. better-sqlite3 runs each statement to completion,
+// but a transaction spans several awaits, so while one is open every other caller waits for it
+// to commit or roll back instead of running inside it.
+export const createSqliteStorage = ({ filename }) => {
+    const database = new Database(filename);
+    database.pragma('journal_mode = WAL');
+    database.pragma('busy_timeout = 5000');
+    // MySQL's SHA2(text, 256), for the migration that fills in subscriptions.endpoint_hash
+    database.function('sha256', { deterministic: true }, (text) =>
+        (text === null ? null : createHash('sha256').update(text).digest('hex')));
+
+    let transaction = null;
+
+    const waitForTurn = async (owner) => {
+        while (transaction && transaction.owner !== owner) {
+            await transaction.finished;
+        }
+    };
+
+    const finishTransaction = (sql) => {
+        if (database.inTransaction) database.exec(sql);
+        const { done } = transaction;
+        transaction = null;
+        done();
+    };
+
+    const getConnection = async () => {
+        const connection = {
+            client: 'sqlite',
+            query: async (sql, params) => {
+                await waitForTurn(connection);
+                return run(database, sql, params);
+            },
+            beginTransaction: async () => {
+                await waitForTurn(connection);
+                let done;
+                const finished = new Promise(resolve => { done = resolve; });
+                transaction = { owner: connection, finished, done };
+                database.exec('BEGIN');
+            },
+            commit: async () => {
+                if (transaction?.owner === connection) finishTransaction('COMMIT');
+            },
+            rollback: async () => {
+                if (transaction?.owner === connection) finishTransaction('ROLLBACK');
+            },
+            // A connection released mid-transaction would block everyone else, so it is rolled back
+            release: () => {
+                if (transaction?.owner === connection) finishTransaction('ROLLBACK');
+            }
+        };
+        return addCommitHooks(connection);
+    };
+
+    return {
+        client: 'sqlite',
+        query: async (sql, params) => {
+            await waitForTurn(null);
+            return run(database, sql, params);
+        },
+        // The handle can't run anything else while a statement is being iterated, and a slow client
+        // would hold it for the whole download, so the rows are read up front and then streamed
+        stream: (sql, params) => Readable.from((async function* () {
+            await waitForTurn(null);
+            yield* run(database, sql, params)[0];
+        })()),
+        getConnection,
+        afterCommit: (callback) => callback(),
+        end: async () => {
+            database.close();
+        }
+    };
+};
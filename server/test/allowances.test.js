@@ -0,0 +1,85 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, createFamily, localDate, pool, postDueAllowances, startServer, stopServer } from './helpers.js';
+
+before(startServer);
+after(stopServer);
+
+const createRule = (parent, child, fields = {}) => api('POST', '/recurring-rules', {
+    token: parent.token,
+    body: { child_name: child.name, description: 'Allowance', amount: 2, cadence: 'weekly', start_date: localDate(), ...fields }
+});
+
+const postedDates = async (parent, child) => {
+    const { body } = await api('GET', `/transactions?child_name=${encodeURIComponent(child.name)}`, { token: parent.token });
+    return body.transactions.map(t => {
+        const date = new Date(t.created_at);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }).sort();
+};
+
+describe('recurring allowances', () => {
+    it('pay straight away when the rule starts today', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const { status, body: rule } = await createRule(parent, child);
+        assert.equal(status, 201);
+        assert.equal(rule.next_run_date.slice(0, 10), localDate(7));
+        assert.deepEqual(await postedDates(parent, child), [localDate()]);
+    });
+
+    it('do not backfill periods from before the rule was created', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const { status, body } = await createRule(parent, child, { start_date: localDate(-21) });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Start date cannot be in the past.');
+        assert.deepEqual(await postedDates(parent, child), []);
+    });
+
+    it('date each period caught up after downtime on the day it was due', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const { body: rule } = await createRule(parent, child, { start_date: localDate(1) });
+        // As if the rule had been created two weeks ago and the server was down since
+        await pool.query('UPDATE recurring_rules SET start_date = ?, next_run_date = ? WHERE id = ?', [localDate(-14), localDate(-14), rule.id]);
+
+        await postDueAllowances();
+        assert.deepEqual(await postedDates(parent, child), [localDate(-14), localDate(-7), localDate()]);
+    });
+
+    it('do not pay today again when a rule is paused and resumed', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const { body: rule } = await createRule(parent, child);
+        await api('PUT', `/recurring-rules/${rule.id}/pause`, { token: parent.token });
+        const { status, body: resumed } = await api('PUT', `/recurring-rules/${rule.id}/resume`, { token: parent.token });
+
+        assert.equal(status, 200);
+        assert.equal(resumed.next_run_date.slice(0, 10), localDate(7));
+        assert.deepEqual(await postedDates(parent, child), [localDate()]);
+    });
+
+    it('do not pay today again when the schedule changes', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const { body: rule } = await createRule(parent, child);
+        const { status, body: updated } = await api('PUT', `/recurring-rules/${rule.id}`, { token: parent.token, body: { cadence: 'biweekly' } });
+
+        assert.equal(status, 200);
+        assert.equal(updated.next_run_date.slice(0, 10), localDate(14));
+        await postDueAllowances();
+        assert.deepEqual(await postedDates(parent, child), [localDate()]);
+    });
+
+    it('reject a description that is not text', async () => {
+        const { parent, children: [child] } = await createFamily();
+        for (const description of [42, ['Allowance'], { text: 'Allowance' }]) {
+            const { status, body } = await createRule(parent, child, { description });
+            assert.equal(status, 400);
+            assert.equal(body.error, 'A description is required.');
+        }
+    });
+
+    it('reject an amount with fractions of a cent', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const { status, body } = await createRule(parent, child, { amount: 2.005 });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Amount must be greater than zero, with at most 2 decimal places.');
+    });
+});
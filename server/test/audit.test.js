@@ -0,0 +1,41 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, createFamily, pool, startServer, stopServer, uniqueName } from './helpers.js';
+
+before(startServer);
+after(stopServer);
+
+const auditTrail = async (parent, query) => (await api('GET', `/audit?${query}`, { token: parent.token })).body.entries;
+
+describe('audit trail', () => {
+    it('records who created, edited and approved a request, with the values before and after', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const { body: created } = await api('POST', '/transactions', { token: child.token, body: { description: 'Birthday money', amount: 5, type: 'income', child_name: child.name } });
+        await api('PUT', `/transactions/${created.id}`, { token: child.token, body: { description: 'Birthday money from Gran', amount: 6 } });
+        await api('PUT', `/transactions/${created.id}/approve`, { token: parent.token });
+
+        const entries = await auditTrail(parent, `transaction_id=${created.id}`);
+        assert.deepEqual(entries.map(e => [e.action, e.actor_name]), [['approve', parent.name], ['edit', child.name], ['create', child.name]]);
+        const edit = entries[1];
+        assert.deepEqual([edit.old_values.description, Number(edit.old_values.amount)], ['Birthday money', 5]);
+        assert.deepEqual([edit.new_values.description, Number(edit.new_values.amount)], ['Birthday money from Gran', 6]);
+    });
+
+    it('keeps a child\'s timeline together across a rename', async () => {
+        const { parent, children: [child] } = await createFamily();
+        await api('POST', '/transactions', { token: parent.token, body: { description: 'Gift', amount: 2, type: 'income', child_name: child.name } });
+        await api('PUT', `/users/${child.id}`, { token: parent.token, body: { name: uniqueName('Renamed') } });
+
+        const entries = await auditTrail(parent, `child_id=${child.id}`);
+        assert.deepEqual(entries.map(e => e.action), ['rename', 'create', 'create']);
+    });
+
+    it('is for parents to read and nobody to change', async () => {
+        const { parent, children: [child] } = await createFamily();
+        assert.equal((await api('GET', '/audit', { token: child.token })).status, 403);
+
+        const [entry] = await auditTrail(parent, `child_id=${child.id}`);
+        await assert.rejects(pool.query('UPDATE audit_log SET actor_name = ? WHERE id = ?', ['Someone else', entry.id]));
+        await assert.rejects(pool.query('DELETE FROM audit_log WHERE id = ?', [entry.id]));
+    });
+});
@@ -0,0 +1,174 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import { api, createFamily, login, startServer, stopServer, PASSWORD } from './helpers.js';
+
+before(startServer);
+after(stopServer);
+
+describe('password login', () => {
+    it('issues an access token and a refresh token for the right password', async () => {
+        const { parent } = await createFamily({ children: [] });
+        const session = await login(parent.name);
+        assert.ok(session.accessToken);
+        assert.match(session.refreshToken, /^[0-9a-f-]{36}\.[0-9a-f]{64}$/);
+        assert.equal(session.user.role, 'admin');
+        assert.equal(session.user.amr, 'password');
+    });
+
+    it('rejects a wrong password without saying which part was wrong', async () => {
+        const { parent } = await createFamily({ children: [] });
+        const wrongPassword = await api('POST', '/login', { body: { name: parent.name, password: 'not-the-password' } });
+        const unknownUser = await api('POST', '/login', { body: { name: 'Nobody at all', password: PASSWORD } });
+        assert.equal(wrongPassword.status, 400);
+        assert.deepEqual(wrongPassword.body, unknownUser.body);
+    });
+
+    it('answers 400, not 500, when the name or password is not text', async () => {
+        const { parent } = await createFamily({ children: [] });
+        assert.equal((await api('POST', '/login', { body: { name: parent.name, password: 123456 } })).status, 400);
+        assert.equal((await api('POST', '/login', { body: { name: { id: 1 }, password: PASSWORD } })).status, 400);
+        for (const household_name of [7, ['Family'], { name: 'Family' }]) {
+            const { status, body } = await api('POST', '/households', { body: { household_name, name: 'Someone', password: PASSWORD } });
+            assert.equal(status, 400);
+            assert.equal(body.error, 'A family name is required.');
+        }
+        const { status } = await api('POST', '/users', { token: parent.token, body: { name: 42, password: PASSWORD } });
+        assert.equal(status, 400);
+    });
+
+    it('refuses disabled accounts', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const disabled = await api('PUT', `/users/${child.id}/status`, { token: parent.token, body: { status: 'disabled' } });
+        assert.equal(disabled.status, 200);
+        const { status, body } = await api('POST', '/login', { body: { name: child.name, password: PASSWORD } });
+        assert.equal(status, 400);
+        assert.match(body.error, /disabled/);
+    });
+});
+
+describe('protected routes', () => {
+    it('need a token', async () => {
+        const { status } = await api('GET', '/transactions');
+        assert.equal(status, 401);
+    });
+
+    it('reject a token that was not signed by the server', async () => {
+        const forged = `${Buffer.from('{"alg":"HS256"}').toString('base64url')}.${Buffer.from('{"id":1,"role":"admin"}').toString('base64url')}.c2lnbmF0dXJl`;
+        const { status } = await api('GET', '/transactions', { token: forged });
+        assert.equal(status, 401);
+    });
+
+    it('stop accepting a token once its user is disabled', async () => {
+        const { parent, children: [child] } = await createFamily();
+        assert.equal((await api('GET', '/transactions', { token: child.token })).status, 200);
+        await api('PUT', `/users/${child.id}/status`, { token: parent.token, body: { status: 'disabled' } });
+        assert.equal((await api('GET', '/transactions', { token: child.token })).status, 401);
+    });
+});
+
+describe('sessions', () => {
+    it('rotate the refresh token and treat reuse of an old one as theft', async () => {
+        const { parent } = await createFamily({ children: [] });
+        const session = await login(parent.name);
+
+        const refreshed = await api('POST', '/token/refresh', { body: { refresh_token: session.refreshToken } });
+        assert.equal(refreshed.status, 200);
+        assert.notEqual(refreshed.body.refreshToken, session.refreshToken);
+
+        // Replaying the old token revokes the whole session, including the token that replaced it
+        const replayed = await api('POST', '/token/refresh', { body: { refresh_token: session.refreshToken } });
+        assert.equal(replayed.status, 401);
+        const afterReplay = await api('POST', '/token/refresh', { body: { refresh_token: refreshed.body.refreshToken } });
+        assert.equal(afterReplay.status, 401);
+        assert.equal((await api('GET', '/transactions', { token: refreshed.body.accessToken })).status, 401);
+    });
+
+    it('end on logout', async () => {
+        const { parent } = await createFamily({ children: [] });
+        const session = await login(parent.name);
+        assert.equal((await api('POST', '/logout', { token: session.accessToken })).status, 200);
+        assert.equal((await api('GET', '/transactions', { token: session.accessToken })).status, 401);
+        assert.equal((await api('POST', '/token/refresh', { body: { refresh_token: session.refreshToken } })).status, 401);
+    });
+
+    it('can be revoked by a parent from another device', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const { body: sessions } = await api('GET', '/sessions', { token: parent.token });
+        const childSession = sessions.find(s => s.user_id === child.id);
+        assert.ok(childSession);
+        assert.equal((await api('DELETE', `/sessions/${childSession.id}`, { token: parent.token })).status, 200);
+        assert.equal((await api('GET', '/transactions', { token: child.token })).status, 401);
+    });
+});
+
+describe('PIN login', () => {
+    it('logs a child in with the PIN a parent set, as a PIN session', async () => {
+        const { parent, children: [child] } = await createFamily();
+        assert.equal((await api('PUT', `/users/${child.id}/pin`, { token: parent.token, body: { pin: '2468' } })).status, 200);
+        const { status, body } = await api('POST', '/login/pin', { body: { user_id: child.id, pin: '2468' } });
+        assert.equal(status, 200);
+        assert.equal(body.user.amr, 'pin');
+    });
+
+    it('locks the PIN after too many wrong attempts, even for the right PIN', async () => {
+        const { parent, children: [child] } = await createFamily();
+        await api('PUT', `/users/${child.id}/pin`, { token: parent.token, body: { pin: '2468' } });
+        const statuses = [];
+        for (let attempt = 0; attempt < 5; attempt++) {
+            statuses.push((await api('POST', '/login/pin', { body: { user_id: child.id, pin: '0000' } })).status);
+        }
+        assert.deepEqual(statuses, [400, 400, 400, 400, 429]);
+        assert.equal((await api('POST', '/login/pin', { body: { user_id: child.id, pin: '2468' } })).status, 429);
+    });
+
+    it('is not available to parents', async () => {
+        const { parent } = await createFamily({ children: [] });
+        const { status } = await api('POST', '/login/pin', { body: { user_id: parent.id, pin: '1234' } });
+        assert.equal(status, 400);
+    });
+
+    it('gives a session that cannot change account settings', async () => {
+        const { parent, children: [child] } = await createFamily();
+        await api('PUT', `/users/${child.id}/pin`, { token: parent.token, body: { pin: '2468' } });
+        const { body: session } = await api('POST', '/login/pin', { body: { user_id: child.id, pin: '2468' } });
+
+        assert.equal((await api('GET', '/transactions', { token: session.accessToken })).status, 200);
+        const { status, body } = await api('DELETE', '/sessions/1', { token: session.accessToken });
+        assert.equal(status, 403);
+        assert.equal(body.code, 'password_required');
+    });
+
+    it('shows the login picker who has a PIN, leaving out disabled accounts', async () => {
+        const { parent, children: [child, sibling] } = await createFamily({ children: ['Kid', 'Sibling'] });
+        await api('PUT', `/users/${child.id}/pin`, { token: parent.token, body: { pin: '2468' } });
+        await api('PUT', `/users/${sibling.id}/status`, { token: parent.token, body: { status: 'disabled' } });
+
+        const { body } = await api('GET', '/profiles', { token: child.token });
+        assert.deepEqual(body.map(p => [p.name, p.has_pin]), [[child.name, true], [parent.name, false]]);
+    });
+});
+
+describe('registration', () => {
+    it('needs an invite code and takes the role from the invite, not the request', async () => {
+        const { parent } = await createFamily({ children: [] });
+        const withoutInvite = await api('POST', '/register', { body: { name: 'Sneaky', password: PASSWORD, role: 'admin' } });
+        assert.equal(withoutInvite.status, 400);
+
+        const { body: invite } = await api('POST', '/invites', { token: parent.token, body: { role: 'child' } });
+        const name = `Invited ${invite.code}`;
+        const registered = await api('POST', '/register', { body: { invite_code: invite.code, name, password: PASSWORD, role: 'admin' } });
+        assert.equal(registered.status, 201);
+        const session = await login(name);
+        assert.equal(session.user.role, 'child');
+
+        const reused = await api('POST', '/register', { body: { invite_code: invite.code, name: `${name} again`, password: PASSWORD } });
+        assert.equal(reused.status, 400);
+    });
+
+    it('only lets parents add family members', async () => {
+        const { children: [child] } = await createFamily();
+        const { status } = await api('POST', '/users', { token: child.token, body: { name: 'Another kid', password: PASSWORD } });
+        assert.equal(status, 403);
+    });
+});
@@ -0,0 +1,54 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, createFamily, startServer, stopServer } from './helpers.js';
+
+before(startServer);
+after(stopServer);
+
+const post = (user, child, fields) => api('POST', '/transactions', {
+    token: user.token,
+    body: { description: 'Pocket money', type: 'income', child_name: child.name, ...fields }
+});
+
+describe('balances', () => {
+    it('add up approved money per child and for the family, in cents', async () => {
+        const { parent, children: [kid, sibling] } = await createFamily({ children: ['Kid', 'Sibling'] });
+        await post(parent, kid, { amount: 1.1 });
+        await post(parent, sibling, { amount: 0.2 });
+        await post(kid, kid, { amount: 5 });
+
+        const { body } = await api('GET', '/balances', { token: parent.token });
+        assert.equal(body.family.balance_cents, 130);
+        assert.deepEqual(body.children.map(c => [c.child_name, c.balance_cents]), [[kid.name, 110], [sibling.name, 20]]);
+        assert.deepEqual(body.children[0].buckets.map(b => b.balance_cents), [110, 0, 0]);
+
+        const { body: own } = await api('GET', '/balances', { token: sibling.token });
+        assert.deepEqual(own.children.map(c => c.child_name), [sibling.name]);
+    });
+});
+
+describe('child summaries', () => {
+    it('total income, spending and open requests, leaving out moves between buckets', async () => {
+        const { parent, children: [child] } = await createFamily();
+        await post(parent, child, { amount: 10 });
+        await post(parent, child, { amount: 2.5, type: 'expense', description: 'Comic' });
+        await post(child, child, { amount: 1, description: 'Tooth fairy' });
+        const { body: [spend, save] } = await api('GET', '/buckets', { token: child.token });
+        await api('POST', '/transfers', { token: child.token, body: { from_bucket_id: spend.id, to_bucket_id: save.id, amount: 3 } });
+
+        const { status, body } = await api('GET', `/children/${encodeURIComponent(child.name)}/summary`, { token: child.token });
+        assert.equal(status, 200);
+        assert.deepEqual(
+            [body.balance_cents, body.income_cents, body.expense_cents, body.pending_income_cents, body.pending_count].map(Number),
+            [750, 1000, 250, 100, 1]
+        );
+    });
+
+    it('are private to the child and their parents', async () => {
+        const { children: [kid, sibling] } = await createFamily({ children: ['Kid', 'Sibling'] });
+        const { parent: otherParent } = await createFamily({ children: [] });
+        const path = `/children/${encodeURIComponent(kid.name)}/summary`;
+        assert.equal((await api('GET', path, { token: sibling.token })).status, 403);
+        assert.equal((await api('GET', path, { token: otherParent.token })).status, 404);
+    });
+});
@@ -0,0 +1,85 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, createFamily, startServer, stopServer } from './helpers.js';
+
+before(startServer);
+after(stopServer);
+
+const giveMoney = (parent, child, fields = {}) => api('POST', '/transactions', {
+    token: parent.token,
+    body: { description: 'Birthday money', amount: 5, type: 'income', child_name: child.name, ...fields }
+});
+
+const bucketBalances = async (user) => (await api('GET', '/buckets', { token: user.token })).body.map(b => [b.name, b.balance_cents]);
+
+describe('buckets', () => {
+    it('start as spend, save and give, with income going to spend', async () => {
+        const { parent, children: [child] } = await createFamily();
+        await giveMoney(parent, child);
+        assert.deepEqual(await bucketBalances(child), [['Spend', 500], ['Save', 0], ['Give', 0]]);
+    });
+
+    it('split income by their percentages, the odd cent going to the first', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const { body: buckets } = await api('GET', '/buckets', { token: child.token });
+        const split = (values) => api('PUT', '/buckets/split', {
+            token: parent.token,
+            body: { child_name: child.name, splits: buckets.map((b, i) => ({ id: b.id, split_percent: values[i] })) }
+        });
+
+        const { status, body } = await split([50, 30, 10]);
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Split percentages must add up to 100 (currently 90).');
+        assert.equal((await split([50, 30, 20])).status, 200);
+
+        await giveMoney(parent, child, { amount: 10.01, auto_split: true });
+        assert.deepEqual(await bucketBalances(child), [['Spend', 501], ['Save', 300], ['Give', 200]]);
+    });
+
+    it('can only be deleted while they have no history', async () => {
+        const { parent, children: [child] } = await createFamily();
+        await giveMoney(parent, child);
+        const { status, body: holiday } = await api('POST', '/buckets', { token: parent.token, body: { child_name: child.name, name: 'Holiday' } });
+        assert.equal(status, 201);
+        const { body: [spend] } = await api('GET', '/buckets', { token: child.token });
+
+        const { status: refused, body } = await api('DELETE', `/buckets/${spend.id}`, { token: parent.token });
+        assert.equal(refused, 400);
+        assert.equal(body.error, 'Only buckets without any transactions can be deleted.');
+        assert.equal((await api('DELETE', `/buckets/${holiday.id}`, { token: parent.token })).status, 200);
+    });
+});
+
+describe('transfers between buckets', () => {
+    it('move money without changing the balance, but not more than the bucket holds', async () => {
+        const { parent, children: [child] } = await createFamily();
+        await giveMoney(parent, child);
+        const { body: [spend, save] } = await api('GET', '/buckets', { token: child.token });
+        const transfer = (amount) => api('POST', '/transfers', { token: child.token, body: { from_bucket_id: spend.id, to_bucket_id: save.id, amount } });
+
+        const { status, body } = await transfer(6);
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Not enough money in Spend for that transfer.');
+        assert.equal((await transfer(2)).status, 201);
+        assert.deepEqual(await bucketBalances(child), [['Spend', 300], ['Save', 200], ['Give', 0]]);
+        const { body: balances } = await api('GET', '/balances', { token: child.token });
+        assert.equal(balances.children[0].balance_cents, 500);
+    });
+
+    it('move whole cents only', async () => {
+        const { parent, children: [child] } = await createFamily();
+        await giveMoney(parent, child);
+        const { body: buckets } = await api('GET', '/buckets', { token: child.token });
+        const [spend, save] = buckets;
+        const transfer = (amount) => api('POST', '/transfers', { token: child.token, body: { from_bucket_id: spend.id, to_bucket_id: save.id, amount } });
+
+        for (const amount of [1.005, '0.001', 0]) {
+            const { status, body } = await transfer(amount);
+            assert.equal(status, 400);
+            assert.equal(body.error, 'Amount must be greater than zero, with at most 2 decimal places.');
+        }
+        const { status, body: [outgoing, incoming] } = await transfer(1.25);
+        assert.equal(status, 201);
+        assert.deepEqual([outgoing.amount, incoming.amount], ['1.25', '1.25']);
+    });
+});
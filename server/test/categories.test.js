@@ -0,0 +1,73 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, createFamily, startServer, stopServer } from './helpers.js';
+
+before(startServer);
+after(stopServer);
+
+const spend = (parent, child, fields) => api('POST', '/transactions', {
+    token: parent.token,
+    body: { description: 'Sweets', amount: 1, type: 'expense', child_name: child.name, ...fields }
+});
+const list = async (parent, query) => (await api('GET', `/transactions?${query}`, { token: parent.token })).body.transactions;
+
+describe('categories', () => {
+    it('start with one default that cannot be deleted', async () => {
+        const { parent } = await createFamily({ children: [] });
+        const { body: categories } = await api('GET', '/categories', { token: parent.token });
+        assert.deepEqual(categories.map(c => [c.name, Boolean(c.is_default)]), [['Uncategorized', true]]);
+
+        const { status, body } = await api('DELETE', `/categories/${categories[0].id}`, { token: parent.token });
+        assert.equal(status, 400);
+        assert.equal(body.error, "The Uncategorized category can't be deleted.");
+    });
+
+    it('hand their entries to the default category when deleted', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const { status, body: snacks } = await api('POST', '/categories', { token: parent.token, body: { name: 'Snacks', icon: '🍫', color: '#22c55e' } });
+        assert.equal(status, 201);
+        await spend(parent, child, { category_id: snacks.id });
+        assert.equal((await list(parent, `category_id=${snacks.id}`)).length, 1);
+
+        assert.equal((await api('DELETE', `/categories/${snacks.id}`, { token: parent.token })).status, 200);
+        const [entry] = await list(parent, `child_name=${encodeURIComponent(child.name)}`);
+        assert.equal(entry.category_name, 'Uncategorized');
+    });
+
+    it("are unique per household and can't be used by another one", async () => {
+        const { parent, children: [child] } = await createFamily();
+        const other = (await createFamily({ children: [] })).parent;
+        const { body: theirs } = await api('POST', '/categories', { token: other.token, body: { name: 'Snacks' } });
+        assert.equal((await api('POST', '/categories', { token: parent.token, body: { name: 'Snacks' } })).status, 201);
+        assert.equal((await api('POST', '/categories', { token: parent.token, body: { name: 'Snacks' } })).status, 409);
+
+        const { status, body } = await spend(parent, child, { category_id: theirs.id });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Unknown category.');
+    });
+
+    it('are managed by parents only and checked', async () => {
+        const { parent, children: [child] } = await createFamily();
+        assert.equal((await api('POST', '/categories', { token: child.token, body: { name: 'Toys' } })).status, 403);
+        const { body } = await api('POST', '/categories', { token: parent.token, body: { name: 'Toys', color: 'green' } });
+        assert.equal(body.error, 'Colour must be a hex code like #22c55e.');
+    });
+});
+
+describe('tags', () => {
+    it('are stored lower-case without duplicates and can be filtered on', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const { body: tagged } = await spend(parent, child, { tags: '#Treat, treat school' });
+        assert.deepEqual(tagged.tags, ['school', 'treat']);
+        await spend(parent, child, { description: 'Bus' });
+
+        assert.deepEqual((await list(parent, 'tag=TREAT')).map(t => t.description), ['Sweets']);
+    });
+
+    it('refuse words with other characters', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const { status, body } = await spend(parent, child, { tags: ['ok', 'not/ok'] });
+        assert.equal(status, 400);
+        assert.match(body.error, /"not\/ok" is not a valid tag/);
+    });
+});
@@ -0,0 +1,66 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, createFamily, startServer, stopServer, subscribe, waitForPush } from './helpers.js';
+
+before(startServer);
+after(stopServer);
+
+const createChore = (parent, fields) => api('POST', '/chores', {
+    token: parent.token,
+    body: { name: 'Feed the cat', reward: 1.5, recurrence: 'daily', ...fields }
+});
+
+const complete = (child, chore) => api('POST', `/chores/${chore.id}/complete`, { token: child.token });
+
+describe('chores', () => {
+    it('turn into a pending request for the reward that the parents hear about', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const parentEndpoint = await subscribe(parent);
+        const { body: chore } = await createChore(parent);
+
+        const { status, body: request } = await complete(child, chore);
+        assert.equal(status, 201);
+        assert.deepEqual([request.status, request.amount, request.description], ['pending', '1.50', 'Chore: Feed the cat']);
+        assert.equal((await waitForPush(parentEndpoint))?.title, 'Chore Done');
+    });
+
+    it('can be done once per period, unless the claim was declined', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const { body: chore } = await createChore(parent);
+        const { body: first } = await complete(child, chore);
+
+        const { status, body } = await complete(child, chore);
+        assert.equal(status, 409);
+        assert.equal(body.error, 'You\'ve already done "Feed the cat" today.');
+        await api('PUT', `/transactions/${first.id}/decline`, { token: parent.token });
+        assert.equal((await complete(child, chore)).status, 201);
+    });
+
+    it('assigned to one child are not offered to the others', async () => {
+        const { parent, children: [kid, sibling] } = await createFamily({ children: ['Kid', 'Sibling'] });
+        const { body: chore } = await createChore(parent, { assigned_to: [sibling.name] });
+
+        assert.deepEqual((await api('GET', '/chores', { token: kid.token })).body, []);
+        assert.equal((await complete(kid, chore)).status, 404);
+        assert.equal((await complete(sibling, chore)).status, 201);
+    });
+
+    it('add up by week, approved and waiting', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const { body: daily } = await createChore(parent);
+        const { body: anytime } = await createChore(parent, { name: 'Wash the car', reward: 3, recurrence: 'anytime' });
+        const { body: approved } = await complete(child, daily);
+        await complete(child, anytime);
+        await api('PUT', `/transactions/${approved.id}/approve`, { token: parent.token });
+
+        const { body } = await api('GET', '/chores/week', { token: child.token });
+        assert.deepEqual(body.children.map(c => [c.approved_cents, c.pending_cents]), [[150, 300]]);
+    });
+
+    it('pay whole cents only', async () => {
+        const { parent } = await createFamily();
+        const { status, body } = await createChore(parent, { reward: 0.125 });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Reward must be greater than zero, with at most 2 decimal places.');
+    });
+});
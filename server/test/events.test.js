@@ -0,0 +1,156 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, apiUrl, createFamily, pool, startServer, stopServer } from './helpers.js';
+import { eventClients } from '../lib/events.js';
+
+before(startServer);
+after(stopServer);
+
+// Opens the live update stream and collects its events as { id, event, data } until closed
+const openEvents = async (user, { since } = {}) => {
+    const controller = new AbortController();
+    const query = since === undefined ? '' : `?since=${since}`;
+    const response = await fetch(apiUrl(`/events${query}`), {
+        headers: { Authorization: `Bearer ${user.token}` },
+        signal: controller.signal
+    });
+    assert.equal(response.status, 200);
+    const events = [];
+    const decoder = new TextDecoder();
+    let buffer = '';
+    const reading = (async () => {
+        try {
+            for await (const chunk of response.body) {
+                buffer += decoder.decode(chunk, { stream: true });
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const fields = Object.fromEntries(buffer.slice(0, end).split('\n')
+                        .filter(line => !line.startsWith(':'))
+                        .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+                    buffer = buffer.slice(end + 2);
+                    if (fields.event) events.push({ id: Number(fields.id), event: fields.event, data: JSON.parse(fields.data) });
+                }
+            }
+        } catch {
+            // Closed by the test
+        }
+    })();
+    const waitFor = async (predicate, timeoutMs = 2000) => {
+        const deadline = Date.now() + timeoutMs;
+        while (Date.now() < deadline) {
+            const found = events.filter(predicate);
+            if (found.length > 0) return found;
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        return [];
+    };
+    const close = async () => {
+        controller.abort();
+        await reading;
+    };
+    await waitFor(e => e.event === 'ready');
+    return { events, waitFor, close };
+};
+
+const ask = (child, description) => api('POST', '/transactions', {
+    token: child.token,
+    body: { description, amount: 2, type: 'income', child_name: child.name }
+});
+
+describe('live updates', () => {
+    it('reach the parents and the child as soon as a request is made', async () => {
+        const { parent, children: [child, sibling] } = await createFamily({ children: ['Kid', 'Sibling'] });
+        const parentStream = await openEvents(parent);
+        const siblingStream = await openEvents(sibling);
+        try {
+            const { body: created } = await ask(child, 'Comic');
+            const [event] = await parentStream.waitFor(e => e.event === 'transaction');
+            assert.equal(event?.data.action, 'create');
+            assert.equal(event.data.transaction.id, created.id);
+            assert.equal(event.data.transaction.status, 'pending');
+            // Brothers and sisters don't see each other's money
+            assert.deepEqual(await siblingStream.waitFor(e => e.event === 'transaction', 200), []);
+        } finally {
+            await parentStream.close();
+            await siblingStream.close();
+        }
+    });
+
+    it('replay what a reconnecting client missed', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const first = await openEvents(parent);
+        const [ready] = first.events;
+        await first.close();
+
+        await ask(child, 'While away');
+        const second = await openEvents(parent, { since: ready.id });
+        try {
+            const events = second.events.filter(e => e.event === 'transaction');
+            assert.deepEqual(events.map(e => e.data.transaction.description), ['While away']);
+            // The id to come back with next time is past the replayed entry
+            assert.ok(second.events.at(-1).id >= events[0].id);
+        } finally {
+            await second.close();
+        }
+    });
+
+    it('tell the parents when a request is cancelled, live and on replay', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const { body: created } = await ask(child, 'Changed my mind');
+        const live = await openEvents(parent);
+        const [ready] = live.events;
+        try {
+            assert.equal((await api('DELETE', `/transactions/${created.id}`, { token: child.token })).status, 200);
+            const [event] = await live.waitFor(e => e.event === 'removed');
+            assert.equal(event?.data.action, 'cancel');
+            assert.deepEqual(event.data.transaction, { id: created.id, child_name: child.name, status: 'pending' });
+        } finally {
+            await live.close();
+        }
+
+        const replayed = await openEvents(parent, { since: ready.id });
+        try {
+            assert.deepEqual(replayed.events.filter(e => e.event === 'removed').map(e => e.data.transaction.id), [created.id]);
+        } finally {
+            await replayed.close();
+        }
+    });
+
+    it('ask a client from another database to reload', async () => {
+        const { parent } = await createFamily({ children: [] });
+        const stream = await openEvents(parent, { since: Number.MAX_SAFE_INTEGER });
+        try {
+            assert.equal(stream.events[0].event, 'resync');
+        } finally {
+            await stream.close();
+        }
+    });
+
+    it('forget a client that leaves while the stream is being opened', async (t) => {
+        const { parent } = await createFamily({ children: [] });
+        const query = pool.query;
+        let reading = null;
+        t.mock.method(pool, 'query', (sql, params) => {
+            if (!/FROM audit_log/.test(sql)) return query(sql, params);
+            reading = new Promise(resolve => setTimeout(resolve, 100)).then(() => query(sql, params));
+            return reading;
+        });
+        const controller = new AbortController();
+        const request = fetch(apiUrl('/events'), { headers: { Authorization: `Bearer ${parent.token}` }, signal: controller.signal }).catch(() => {});
+        while (!reading) await new Promise(resolve => setTimeout(resolve, 10));
+        controller.abort();
+        await request;
+        await reading;
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(eventClients.size, 0);
+    });
+
+    it('leave the database alone while no one is listening', async (t) => {
+        const { children: [child] } = await createFamily();
+        const query = t.mock.method(pool, 'query');
+        await ask(child, 'Unheard');
+        await new Promise(resolve => setTimeout(resolve, 100));
+        const reads = query.mock.calls.filter(call => /FROM audit_log/.test(call.arguments[0]));
+        assert.deepEqual(reads, []);
+    });
+});
@@ -0,0 +1,57 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, createFamily, startServer, stopServer, subscribe, waitForPush } from './helpers.js';
+
+before(startServer);
+after(stopServer);
+
+const giveMoney = (parent, child, amount) => api('POST', '/transactions', {
+    token: parent.token,
+    body: { description: 'Pocket money', amount, type: 'income', child_name: child.name }
+});
+
+const createGoal = (user, fields) => api('POST', '/goals', { token: user.token, body: { name: 'Bike', target_amount: 10, ...fields } });
+
+describe('savings goals', () => {
+    it('count the balance towards the target and tell the parents when it is reached', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const parentEndpoint = await subscribe(parent);
+        await giveMoney(parent, child, 4);
+        const { status, body: goal } = await createGoal(child);
+        assert.equal(status, 201);
+        assert.equal(goal.progress, 0.4);
+
+        await giveMoney(parent, child, 6);
+        assert.equal((await waitForPush(parentEndpoint))?.title, 'Savings Goal Reached');
+        const { body: goals } = await api('GET', '/goals', { token: child.token });
+        assert.deepEqual(goals.map(g => [g.id, g.status]), [[goal.id, 'reached']]);
+    });
+
+    it('only set aside money that is not already set aside for another goal', async () => {
+        const { parent, children: [child] } = await createFamily();
+        await giveMoney(parent, child, 5);
+        const { body: bike } = await createGoal(child, { funding: 'set_aside' });
+        const { body: book } = await createGoal(child, { name: 'Book', funding: 'set_aside' });
+        const setAside = (goal, amount) => api('PUT', `/goals/${goal.id}/set-aside`, { token: child.token, body: { amount } });
+
+        const { status, body } = await setAside(bike, 4);
+        assert.equal(status, 200);
+        assert.equal(body.progress, 0.4);
+        assert.equal((await setAside(book, 2)).body.error, 'Not enough unallocated balance to set aside that much.');
+        assert.equal((await setAside(bike, -5)).body.error, 'Cannot take out more than has been set aside.');
+        assert.equal((await setAside(bike, -4)).status, 200);
+        assert.equal((await setAside(book, 2)).status, 200);
+    });
+
+    it('can be abandoned once and stay out of reach of other families', async () => {
+        const { children: [child] } = await createFamily();
+        const { parent: otherParent } = await createFamily({ children: [] });
+        const { body: goal } = await createGoal(child);
+
+        assert.equal((await api('PUT', `/goals/${goal.id}/abandon`, { token: otherParent.token })).status, 404);
+        assert.equal((await api('PUT', `/goals/${goal.id}/abandon`, { token: child.token })).status, 200);
+        const { status, body } = await api('PUT', `/goals/${goal.id}/abandon`, { token: child.token });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Only active goals can be abandoned.');
+    });
+});
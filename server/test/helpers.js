@@ -0,0 +1,144 @@
+// Shared setup for the API tests. Each test file runs in its own process (node --test), starts the
+// app on a random port with a freshly migrated database, and talks to it over HTTP. web-push is
+// stubbed: notifications are collected in `pushes` instead of being sent.
+//
+// The database is an in-memory SQLite one unless TEST_DB_CLIENT=mysql (`npm run test:mysql`), in which
+// case TEST_DB_DATABASE (with DB_HOST, DB_USER and DB_PASSWORD from the environment or .env) names a
+// scratch MySQL database. It is migrated but never emptied, so every test creates its own uniquely
+// named family, and the files run one at a time so that only one of them migrates it.
+import process from 'node:process';
+import { randomBytes } from 'node:crypto';
+import webpush from 'web-push';
+import { migrateUp } from '../migrations/runner.js';
+
+const vapidKeys = webpush.generateVAPIDKeys();
+Object.assign(process.env, {
+    DB_CLIENT: process.env.TEST_DB_CLIENT || 'sqlite',
+    DB_FILE: ':memory:',
+    JWT_SECRET: 'test-secret',
+    VAPID_PUBLIC_KEY: vapidKeys.publicKey,
+    VAPID_PRIVATE_KEY: vapidKeys.privateKey,
+    VAPID_MAILTO: 'mailto:tests@example.com',
+    ALLOW_HOUSEHOLD_SIGNUP: 'true'
+});
+if (process.env.DB_CLIENT === 'mysql') {
+    if (!process.env.TEST_DB_DATABASE) {
+        throw new Error('Set TEST_DB_DATABASE to a scratch MySQL database to run the tests against MySQL.');
+    }
+    process.env.DB_DATABASE = process.env.TEST_DB_DATABASE;
+}
+
+export const pushes = [];
+webpush.sendNotification = async (subscription, payload) => {
+    pushes.push({ endpoint: subscription.endpoint, ...JSON.parse(payload) });
+    return { statusCode: 201 };
+};
+
+// The app is imported only after the environment above is in place
+const { app, pool, postDueAllowances } = await import('../app.js');
+export { pool, postDueAllowances };
+
+let baseUrl = null;
+let server = null;
+
+export const startServer = async () => {
+    const connection = await pool.getConnection();
+    try {
+        await migrateUp(connection, () => {});
+    } finally {
+        connection.release();
+    }
+    server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/money`;
+};
+
+export const stopServer = async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await pool.end();
+};
+
+export const apiUrl = (path) => `${baseUrl}${path}`;
+
+// Resolves to { status, body }, with the body parsed when it is JSON. A string body is sent as it
+// is (text/plain, like the app's file uploads); anything else as JSON.
+export const api = async (method, path, { token, body, headers = {} } = {}) => {
+    const isText = typeof body === 'string';
+    const response = await fetch(apiUrl(path), {
+        method,
+        headers: {
+            ...(body === undefined ? {} : { 'Content-Type': isText ? 'text/plain' : 'application/json' }),
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            ...headers
+        },
+        body: body === undefined || isText ? body : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+        parsed = JSON.parse(text);
+    } catch {
+        // Not JSON (e.g. the plain "Unauthorized" from a rejected token)
+    }
+    return { status: response.status, body: parsed };
+};
+
+// User names are unique across the whole server, so every name gets this run's suffix
+const runId = randomBytes(3).toString('hex');
+let nameCount = 0;
+export const uniqueName = (prefix) => `${prefix} ${runId}-${++nameCount}`;
+
+export const PASSWORD = 'secret-password';
+
+// A calendar date ('YYYY-MM-DD') in the server's local time zone, some days from today
+export const localDate = (daysFromToday = 0) => {
+    const date = new Date();
+    date.setDate(date.getDate() + daysFromToday);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+export const login = async (name, password = PASSWORD) => {
+    const { status, body } = await api('POST', '/login', { body: { name, password } });
+    if (status !== 200) throw new Error(`Could not log in as ${name}: ${status} ${JSON.stringify(body)}`);
+    return body;
+};
+
+// A new household with a parent and the given children, all logged in with their passwords
+export const createFamily = async ({ children = ['Kid'] } = {}) => {
+    const parentName = uniqueName('Parent');
+    const created = await api('POST', '/households', { body: { household_name: uniqueName('Family'), name: parentName, password: PASSWORD } });
+    if (created.status !== 201) throw new Error(`Could not create a family: ${created.status} ${JSON.stringify(created.body)}`);
+    const parentSession = await login(parentName);
+    const parent = { name: parentName, id: parentSession.user.id, token: parentSession.accessToken };
+
+    const kids = [];
+    for (const prefix of children) {
+        const name = uniqueName(prefix);
+        const added = await api('POST', '/users', { token: parent.token, body: { name, password: PASSWORD } });
+        if (added.status !== 201) throw new Error(`Could not add ${name}: ${added.status} ${JSON.stringify(added.body)}`);
+        const session = await login(name);
+        kids.push({ name, id: added.body.id, token: session.accessToken });
+    }
+    return { parent, children: kids };
+};
+
+// Registers a fake push endpoint for the user and returns it, to match against `pushes`
+export const subscribe = async (user) => {
+    const endpoint = `https://push.example.com/${randomBytes(8).toString('hex')}`;
+    const { status } = await api('POST', '/subscribe', { token: user.token, body: { endpoint, keys: { p256dh: 'key', auth: 'auth' } } });
+    if (status !== 201) throw new Error(`Could not subscribe ${user.name}: ${status}`);
+    return endpoint;
+};
+
+// Notifications are sent after the response, so tests wait for them to arrive
+export const waitForPush = async (endpoint, { timeoutMs = 2000 } = {}) => {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const push = pushes.find(p => p.endpoint === endpoint);
+        if (push) return push;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return null;
+};
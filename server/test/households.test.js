@@ -0,0 +1,75 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, createFamily, startServer, stopServer } from './helpers.js';
+
+before(startServer);
+after(stopServer);
+
+describe('households', () => {
+    it('keep their invites and settings to themselves', async () => {
+        const { parent } = await createFamily({ children: [] });
+        const { parent: otherParent } = await createFamily({ children: [] });
+        const { body: invite } = await api('POST', '/invites', { token: parent.token, body: { role: 'admin' } });
+
+        assert.deepEqual((await api('GET', '/invites', { token: otherParent.token })).body, []);
+        assert.equal((await api('DELETE', `/invites/${invite.id}`, { token: otherParent.token })).status, 404);
+        const { body: own } = await api('GET', '/household', { token: parent.token });
+        const { body: other } = await api('GET', '/household', { token: otherParent.token });
+        assert.notEqual(own.id, other.id);
+
+        await api('PUT', '/household', { token: otherParent.token, body: { currency: 'EUR' } });
+        assert.equal((await api('GET', '/household', { token: parent.token })).body.currency, own.currency);
+    });
+
+    it('are only set up by parents', async () => {
+        const { children: [child] } = await createFamily();
+        assert.equal((await api('POST', '/invites', { token: child.token, body: { role: 'admin' } })).status, 403);
+        assert.equal((await api('PUT', '/household', { token: child.token, body: { locale: 'en-GB' } })).status, 403);
+    });
+});
+
+describe('household currency', () => {
+    it('can be changed before any money is entered', async () => {
+        const { parent } = await createFamily();
+        const { status, body } = await api('PUT', '/household', { token: parent.token, body: { currency: 'EUR' } });
+        assert.equal(status, 200);
+        assert.equal(body.currency, 'EUR');
+    });
+
+    it('stays put once there are transactions, so balances are not emptied', async () => {
+        const { parent, children: [child] } = await createFamily();
+        await api('POST', '/transactions', { token: parent.token, body: { description: 'Gift', amount: 10, type: 'income', child_name: child.name } });
+
+        const { status, body } = await api('PUT', '/household', { token: parent.token, body: { currency: 'EUR' } });
+        assert.equal(status, 409);
+        assert.match(body.error, /can't be changed once there are transactions/);
+
+        // The locale can still change, and so can a currency that is the same as before
+        assert.equal((await api('PUT', '/household', { token: parent.token, body: { currency: 'usd', locale: 'en-GB' } })).status, 200);
+        const { body: balances } = await api('GET', '/balances', { token: parent.token });
+        assert.equal(balances.family.balance_cents, 1000);
+    });
+});
+
+describe('other currencies', () => {
+    it('are kept apart from the balance and converted at the family\'s rate', async () => {
+        const { parent, children: [child] } = await createFamily();
+        await api('POST', '/transactions', { token: parent.token, body: { description: 'Holiday money', amount: 10, type: 'income', child_name: child.name, currency: 'eur' } });
+        const balance = async () => (await api('GET', '/balances', { token: child.token })).body.children[0];
+
+        const before = await balance();
+        assert.equal(before.balance_cents, 0);
+        assert.deepEqual(before.other_currencies, [{ currency: 'EUR', balance_cents: 1000, converted_cents: null }]);
+
+        assert.equal((await api('PUT', '/exchange-rates/EUR', { token: parent.token, body: { rate: 1.1 } })).status, 200);
+        const after = await balance();
+        assert.deepEqual([after.other_currencies[0].converted_cents, after.converted_total_cents], [1100, 1100]);
+    });
+
+    it('do not take a rate for the family currency itself', async () => {
+        const { parent } = await createFamily({ children: [] });
+        const { status, body } = await api('PUT', '/exchange-rates/USD', { token: parent.token, body: { rate: 2 } });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'USD is already the household currency.');
+    });
+});
@@ -0,0 +1,62 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, createFamily, localDate, startServer, stopServer } from './helpers.js';
+
+before(startServer);
+after(stopServer);
+
+// Money that arrived in the past goes in through an import, which keeps each entry's date
+const depositOn = (parent, child, date, amount) => api('POST', '/import', {
+    token: parent.token,
+    body: [{ date, child_name: child.name, type: 'income', amount, description: `Deposit on ${date}` }]
+});
+
+const createRule = (parent, child, fields) => api('POST', '/interest-rules', {
+    token: parent.token,
+    body: { child_name: child.name, kind: 'interest', rate_percent: 10, cadence: 'weekly', ...fields }
+});
+
+const balanceCents = async (child) => (await api('GET', '/balances', { token: child.token })).body.children[0].balance_cents;
+
+describe('interest', () => {
+    it('pays each finished period on the balance at its end, so payouts compound', async () => {
+        const { parent, children: [child] } = await createFamily();
+        await depositOn(parent, child, localDate(-14), '10.00');
+
+        const { status } = await createRule(parent, child, { start_date: localDate(-14) });
+        assert.equal(status, 201);
+        // 10% of 10.00, then 10% of 11.00
+        assert.equal(await balanceCents(child), 1210);
+    });
+
+    it('previews the period in progress without paying it', async () => {
+        const { parent, children: [child] } = await createFamily();
+        await depositOn(parent, child, localDate(-1), '20.00');
+        const { body: rule } = await createRule(parent, child, { start_date: localDate(-2) });
+
+        const { body: preview } = await api('GET', `/interest-rules/${rule.id}/preview`, { token: child.token });
+        assert.deepEqual([preview.amount_cents, preview.estimate], [200, true]);
+        assert.equal(await balanceCents(child), 2000);
+    });
+});
+
+describe('parent matching', () => {
+    it('matches what was deposited during the period, up to the cap', async () => {
+        const { parent, children: [child] } = await createFamily();
+        await depositOn(parent, child, localDate(-10), '4.00');
+        await depositOn(parent, child, localDate(-3), '10.00');
+
+        await createRule(parent, child, { kind: 'match', rate_percent: 50, cap_amount: 0.5, start_date: localDate(-7) });
+        const { body } = await api('GET', '/transactions?q=Parent%20match', { token: parent.token });
+        assert.deepEqual(body.transactions.map(t => t.amount), ['0.50']);
+        assert.match(body.transactions[0].description, /capped at/);
+    });
+
+    it('is set up by parents only, with a rate up to 100 percent', async () => {
+        const { parent, children: [child] } = await createFamily();
+        assert.equal((await createRule(child, child, { start_date: localDate() })).status, 403);
+        const { status, body } = await createRule(parent, child, { rate_percent: 150, start_date: localDate() });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Rate must be more than 0 and at most 100 percent.');
+    });
+});
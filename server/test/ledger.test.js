@@ -0,0 +1,127 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import process from 'node:process';
+import { api, createFamily, localDate, startServer, stopServer, subscribe, waitForPush } from './helpers.js';
+
+before(startServer);
+after(stopServer);
+
+// Dates in the ledger are calendar days in the server's time zone, so these tests run the same
+// round trips either side of UTC: west, where UTC midnight is still yesterday, and east, where it's
+// already tomorrow
+const ZONES = ['America/Los_Angeles', 'Pacific/Auckland'];
+const serverZone = process.env.TZ;
+afterEach(() => {
+    if (serverZone === undefined) delete process.env.TZ;
+    else process.env.TZ = serverZone;
+});
+
+const CSV_HEADER = 'date,child_name,type,amount,description';
+const csvRow = (child, date, description, amount = '3.00') => `${date},${child.name},income,${amount},${description}`;
+
+const importLedger = (parent, body, format = 'csv') =>
+    api('POST', `/import?format=${format}`, { token: parent.token, body });
+
+const entryDays = async (parent, child) => {
+    const { body } = await api('GET', `/transactions?child_name=${encodeURIComponent(child.name)}`, { token: parent.token });
+    return Object.fromEntries(body.transactions.map(t => {
+        const date = new Date(t.created_at);
+        return [t.description, `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`];
+    }));
+};
+
+for (const zone of ZONES) {
+    describe(`importing in ${zone}`, () => {
+        it('keeps each row on the day it says, today included', async () => {
+            process.env.TZ = zone;
+            const { parent, children: [child] } = await createFamily();
+            const csv = [CSV_HEADER, csvRow(child, localDate(-10), 'Ten days ago'), csvRow(child, localDate(), 'Today')].join('\n');
+
+            const { status, body } = await importLedger(parent, csv);
+            assert.equal(status, 201, JSON.stringify(body));
+            assert.equal(body.imported, 2);
+            assert.deepEqual(await entryDays(parent, child), { 'Ten days ago': localDate(-10), Today: localDate() });
+        });
+
+        it('spots the same file imported twice', async () => {
+            process.env.TZ = zone;
+            const { parent, children: [child] } = await createFamily();
+            const csv = [CSV_HEADER, csvRow(child, localDate(-3), 'Pocket money'), csvRow(child, localDate(-1), 'Chores')].join('\n');
+            await importLedger(parent, csv);
+
+            const { body } = await importLedger(parent, csv);
+            assert.equal(body.imported, 0);
+            assert.equal(body.skipped.length, 2);
+        });
+
+        it('recognises its own export as duplicates', async () => {
+            process.env.TZ = zone;
+            const { parent, children: [child] } = await createFamily();
+            await api('POST', '/transactions', { token: parent.token, body: { description: 'Birthday money', amount: 10, type: 'income', child_name: child.name } });
+            await importLedger(parent, [CSV_HEADER, csvRow(child, localDate(-5), 'Old savings')].join('\n'));
+
+            for (const format of ['csv', 'json']) {
+                const exported = await api('GET', `/export?format=${format}&child_name=${encodeURIComponent(child.name)}`, { token: parent.token });
+                assert.equal(exported.status, 200);
+                const file = typeof exported.body === 'string' ? exported.body : JSON.stringify(exported.body);
+                const { body } = await importLedger(parent, file, format);
+                assert.equal(body.imported, 0, `${format}: ${JSON.stringify(body)}`);
+                assert.equal(body.skipped?.length, 2, JSON.stringify(body));
+            }
+        });
+    });
+}
+
+describe('importing', () => {
+    it('refuses days that do not exist and days still to come', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const csv = [CSV_HEADER, csvRow(child, '2024-02-31', 'Not a day'), csvRow(child, localDate(1), 'Tomorrow')].join('\n');
+        const { status, body } = await importLedger(parent, csv);
+        assert.equal(status, 422);
+        assert.deepEqual(body.errors.map(e => e.errors), [['date must be a valid date (YYYY-MM-DD)'], ['date cannot be in the future']]);
+    });
+
+    it('takes a JSON list sent as application/json', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const rows = [{ date: localDate(-2), child_name: child.name, type: 'income', amount: '1.50', description: 'Found in the sofa' }];
+        const { status, body } = await api('POST', '/import', { token: parent.token, body: rows });
+        assert.equal(status, 201, JSON.stringify(body));
+        assert.equal(body.imported, 1);
+        assert.deepEqual(await entryDays(parent, child), { 'Found in the sofa': localDate(-2) });
+    });
+
+    it('counts imported money towards goals and leaves pending rows undecided', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const parentEndpoint = await subscribe(parent);
+        await api('POST', '/goals', { token: parent.token, body: { child_name: child.name, name: 'Bike', target_amount: 5 } });
+        const rows = [
+            { date: localDate(-1), child_name: child.name, type: 'income', amount: '5.00', description: 'Savings jar' },
+            { date: localDate(-1), child_name: child.name, type: 'income', amount: '2.00', description: 'Still asking', status: 'pending', approved_by: parent.name }
+        ];
+        assert.equal((await api('POST', '/import', { token: parent.token, body: rows })).status, 201);
+
+        assert.equal((await waitForPush(parentEndpoint))?.title, 'Savings Goal Reached');
+        const { body } = await api('GET', `/transactions?child_name=${encodeURIComponent(child.name)}`, { token: parent.token });
+        const byDescription = Object.fromEntries(body.transactions.map(t => [t.description, t.approved_by]));
+        assert.deepEqual(byDescription, { 'Savings jar': parent.name, 'Still asking': null });
+    });
+
+    it('imports nothing when a row is wrong, and nothing on a dry run', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const good = csvRow(child, localDate(-1), 'Pocket money');
+        const { status, body } = await importLedger(parent, [CSV_HEADER, good, csvRow(child, localDate(-1), 'Too much', '1.005')].join('\n'));
+        assert.equal(status, 422);
+        assert.deepEqual(body.errors, [{ row: 3, errors: ['amount must be a plain number with at most 2 decimal places'] }]);
+
+        const { body: dryRun } = await api('POST', '/import?format=csv&dry_run=1', { token: parent.token, body: [CSV_HEADER, good].join('\n') });
+        assert.equal(dryRun.would_import, 1);
+        assert.deepEqual(await entryDays(parent, child), {});
+    });
+
+    it('says which uploads it understands', async () => {
+        const { parent } = await createFamily({ children: [] });
+        const { status, body } = await api('POST', '/import', { token: parent.token, body: 'a=1', headers: { 'Content-Type': 'application/x-www-form-urlencoded' } });
+        assert.equal(status, 415);
+        assert.match(body.error, /application\/json/);
+    });
+});
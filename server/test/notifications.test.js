@@ -0,0 +1,104 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+// First, so the test environment is in place before the server's modules load
+import { api, createFamily, login, startServer, stopServer, subscribe, waitForPush } from './helpers.js';
+import { isQuietTime } from '../lib/notifications.js';
+
+before(startServer);
+after(stopServer);
+
+const requestMoney = (child) => api('POST', '/transactions', {
+    token: child.token,
+    body: { description: 'Pocket money', amount: 4, type: 'income', child_name: child.name }
+});
+
+describe('approving from a notification', () => {
+    it('decides the request with the token the parent was sent and tells the child', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const parentEndpoint = await subscribe(parent);
+        const childEndpoint = await subscribe(child);
+        const { body: request } = await requestMoney(child);
+
+        const push = await waitForPush(parentEndpoint);
+        assert.deepEqual(push.actions.map(a => a.action), ['approve', 'decline']);
+        const action = { token: push.data.action_token, action: 'approve' };
+        const { status, body } = await api('POST', '/notification-actions', { body: action });
+        assert.equal(status, 200);
+        assert.equal(body.message, `${child.name}'s request "Pocket money" was approved.`);
+        assert.equal((await waitForPush(childEndpoint))?.data.transaction_id, request.id);
+
+        const again = await api('POST', '/notification-actions', { body: { ...action, action: 'decline' } });
+        assert.equal(again.status, 400);
+        assert.equal(again.body.error, 'This request has already been approved.');
+    });
+
+    it('refuses an unknown action or a token that is not from a notification', async () => {
+        const { parent } = await createFamily({ children: [] });
+        assert.equal((await api('POST', '/notification-actions', { body: { token: parent.token, action: 'ignore' } })).status, 400);
+        const { status, body } = await api('POST', '/notification-actions', { body: { token: parent.token, action: 'approve' } });
+        assert.equal(status, 401);
+        assert.equal(body.error, 'Invalid notification token.');
+    });
+
+    it('does not work for a parent who has since been disabled', async () => {
+        const { parent, children: [child, helper] } = await createFamily({ children: ['Kid', 'Helper'] });
+        assert.equal((await api('PUT', `/users/${helper.id}/promote`, { token: parent.token })).status, 200);
+        const helperEndpoint = await subscribe({ ...helper, token: (await login(helper.name)).accessToken });
+        await requestMoney(child);
+        const push = await waitForPush(helperEndpoint);
+        assert.ok(push.data.action_token);
+
+        assert.equal((await api('PUT', `/users/${helper.id}/status`, { token: parent.token, body: { status: 'disabled' } })).status, 200);
+        const { status, body } = await api('POST', '/notification-actions', { body: { token: push.data.action_token, action: 'approve' } });
+        assert.equal(status, 403);
+        assert.equal(body.error, 'Only parents can approve or decline requests.');
+    });
+});
+
+describe('notification preferences', () => {
+    const save = (user, prefs) => api('PUT', '/notification-preferences', { token: user.token, body: prefs });
+    // 'HH:MM' in UTC, shifted by the given number of minutes from now
+    const utcTime = (minutes) => new Date(Date.now() + minutes * 60_000).toISOString().slice(11, 16);
+
+    it('keep what is left out of an update and stop the notifications switched off', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const parentEndpoint = await subscribe(parent);
+        assert.equal((await save(parent, { weekly_digest: false })).status, 200);
+        const { body } = await save(parent, { new_request: false });
+        assert.deepEqual([body.new_request, body.weekly_digest, body.low_balance], [false, false, true]);
+
+        await requestMoney(child);
+        assert.equal(await waitForPush(parentEndpoint, { timeoutMs: 200 }), null);
+    });
+
+    it('skip typed notifications during quiet hours', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const parentEndpoint = await subscribe(parent);
+        await save(parent, { quiet_start: utcTime(-5), quiet_end: utcTime(5), timezone: 'UTC' });
+
+        await requestMoney(child);
+        assert.equal(await waitForPush(parentEndpoint, { timeoutMs: 200 }), null);
+    });
+
+    it('refuse half a window, times that do not exist and unknown time zones', async () => {
+        const { parent } = await createFamily({ children: [] });
+        const errors = [];
+        for (const prefs of [{ quiet_start: '21:00' }, { quiet_start: '24:00', quiet_end: '07:00' }, { timezone: 'Mars/Olympus' }]) {
+            const { status, body } = await save(parent, prefs);
+            errors.push([status, body.error]);
+        }
+        assert.deepEqual(errors, [
+            [400, 'Quiet hours need both a start and an end time.'],
+            [400, 'quiet start must be a time like 21:00.'],
+            [400, 'Unknown time zone.']
+        ]);
+    });
+
+    it('compare quiet hours in the user\'s own time zone, wrapping past midnight', () => {
+        const night = { quiet_start: '21:00', quiet_end: '07:00', timezone: 'Europe/Berlin' };
+        // 05:30 and 19:30 in Berlin in winter
+        assert.equal(isQuietTime(night, new Date('2025-01-15T04:30:00Z')), true);
+        assert.equal(isQuietTime(night, new Date('2025-01-15T18:30:00Z')), false);
+        assert.equal(isQuietTime({ ...night, quiet_end: null }, new Date('2025-01-15T04:30:00Z')), false);
+    });
+});
@@ -0,0 +1,69 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, createFamily, startServer, stopServer, subscribe, waitForPush } from './helpers.js';
+
+before(startServer);
+after(stopServer);
+
+const savePolicy = (parent, child, fields) => api('PUT', `/policies/${encodeURIComponent(child.name)}`, { token: parent.token, body: fields });
+
+const post = (user, child, fields) => api('POST', '/transactions', {
+    token: user.token,
+    body: { description: 'Sweets', type: 'expense', child_name: child.name, ...fields }
+});
+
+describe('spending policies', () => {
+    it('turn overdraft protection on and off with a boolean or 0/1', async () => {
+        const { parent, children: [child] } = await createFamily();
+        for (const [value, saved] of [[false, 0], [true, 1], [0, 0], [1, 1]]) {
+            const { status, body } = await savePolicy(parent, child, { no_overdraft: value });
+            assert.equal(status, 200);
+            assert.equal(Number(body.no_overdraft), saved);
+        }
+    });
+
+    it('refuse any other overdraft setting instead of guessing', async () => {
+        const { parent, children: [child] } = await createFamily();
+        for (const value of ['false', 'true', 'no', 2, null]) {
+            const { status, body } = await savePolicy(parent, child, { no_overdraft: value });
+            assert.equal(status, 400);
+            assert.equal(body.error, 'no overdraft must be true or false.');
+        }
+    });
+});
+
+describe('spending limits', () => {
+    it('stop a child\'s expense over the single or weekly limit', async () => {
+        const { parent, children: [child] } = await createFamily();
+        await post(parent, child, { type: 'income', amount: 50, description: 'Birthday money' });
+        await savePolicy(parent, child, { max_single_expense: 10, weekly_spending_cap: 15 });
+
+        const tooBig = await post(child, child, { amount: 12 });
+        assert.deepEqual([tooBig.status, tooBig.body.error], [400, 'The most you can spend at once is $10.00.']);
+        assert.equal((await post(child, child, { amount: 8 })).status, 201);
+        const overWeek = await post(child, child, { amount: 8 });
+        assert.equal(overWeek.body.error, 'That would go over your weekly limit of $15.00. You have $7.00 left this week.');
+        assert.equal((await post(parent, child, { amount: 12 })).status, 201);
+    });
+
+    it('approve small expenses straight away', async () => {
+        const { parent, children: [child] } = await createFamily();
+        await post(parent, child, { type: 'income', amount: 20, description: 'Birthday money' });
+        await savePolicy(parent, child, { auto_approve_below: 5 });
+
+        const { body: small } = await post(child, child, { amount: 3 });
+        assert.deepEqual([small.status, small.approved_by], ['approved', 'auto-approval']);
+        assert.equal((await post(child, child, { amount: 5 })).body.status, 'pending');
+    });
+
+    it('warn the child when the balance drops below the alert level', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const childEndpoint = await subscribe(child);
+        await post(parent, child, { type: 'income', amount: 10, description: 'Birthday money' });
+        await savePolicy(parent, child, { low_balance_below: 5 });
+
+        await post(parent, child, { amount: 6 });
+        const push = await waitForPush(childEndpoint);
+        assert.deepEqual([push?.title, push?.body], ['Low Balance', 'Your balance is down to $4.00.']);
+    });
+});
@@ -0,0 +1,55 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, createFamily, startServer, stopServer } from './helpers.js';
+
+before(startServer);
+after(stopServer);
+
+const report = (user, child, query = '') => api('GET', `/children/${encodeURIComponent(child.name)}/report${query}`, { token: user.token });
+
+describe('monthly reports', () => {
+    it('carry the balance from month to month and work out the savings rate', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const row = (date, type, amount, description) => ({ date, child_name: child.name, type, amount, description });
+        const rows = [
+            row('2024-12-20', 'income', '5.00', 'Before the report'),
+            row('2025-01-10', 'income', '10.00', 'Birthday'),
+            row('2025-01-15', 'expense', '2.50', 'Comic'),
+            row('2025-03-01', 'expense', '4.00', 'Cinema')
+        ];
+        assert.equal((await api('POST', '/import', { token: parent.token, body: rows })).status, 201);
+
+        const { status, body } = await report(child, child, '?from=2025-01&to=2025-03');
+        assert.equal(status, 200);
+        assert.equal(body.opening_balance_cents, 500);
+        assert.deepEqual(body.months.map(m => [m.month, m.balance_cents, m.savings_rate]), [
+            ['2025-01', 1250, 0.75],
+            ['2025-02', 1250, null],
+            ['2025-03', 850, null]
+        ]);
+        assert.deepEqual(body.totals, { income_cents: 1000, expense_cents: 650, savings_rate: 0.35 });
+        assert.deepEqual(body.spending_by_category.map(c => c.expense_cents), [650]);
+    });
+
+    it('refuse ranges that are malformed, backwards or too long', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const errors = [];
+        for (const query of ['?from=2025-13', '?from=2025-03&to=2025-01', '?from=2000-01&to=2025-01']) {
+            const { status, body } = await report(parent, child, query);
+            errors.push([status, body.error]);
+        }
+        assert.deepEqual(errors, [
+            [400, 'from and to must be months in YYYY-MM format.'],
+            [400, 'from must not be after to.'],
+            [400, 'Reports can cover at most 60 months.']
+        ]);
+    });
+
+    it('are only shown to the child and their parents', async () => {
+        const { parent, children: [child, sibling] } = await createFamily({ children: ['Kid', 'Sibling'] });
+        const outsider = (await createFamily({ children: [] })).parent;
+        assert.equal((await report(sibling, child)).status, 403);
+        assert.equal((await report(outsider, child)).status, 404);
+        assert.equal((await report(parent, child)).body.months.length, 12);
+    });
+});
@@ -0,0 +1,117 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+// First, so the test environment is in place before the server's modules load
+import { createFamily, localDate, pool, startServer, stopServer } from './helpers.js';
+import { getBuckets } from '../lib/buckets.js';
+import { insertTransaction } from '../lib/transactions.js';
+import { getMonthlyTotals } from '../repositories/balances.js';
+import { insertBucketIfMissing, listBucketsWithBalances } from '../repositories/buckets.js';
+import { listExchangeRates, saveExchangeRate } from '../repositories/households.js';
+import { claimIdempotencyKey } from '../repositories/idempotency.js';
+import { insertInterestPayout, insertInterestRule } from '../repositories/interest.js';
+import { claimDigest, listUserDevices, saveSubscription } from '../repositories/notifications.js';
+import { findSpendingPolicy, saveSpendingPolicy, setLowBalanceAlerted } from '../repositories/policies.js';
+import { countTransactions } from '../repositories/transactions.js';
+import { findHouseholdOfChild } from '../repositories/users.js';
+
+before(startServer);
+after(stopServer);
+
+// The statements each repository writes out per backend (see repositories/dialect.js). They run on
+// the test database, so `npm run test:mysql` checks the MySQL versions and `npm test` the SQLite ones.
+
+const post = async (child, fields) => {
+    const [bucket] = await getBuckets(pool, child.name);
+    return insertTransaction(pool, { type: 'income', status: 'approved', amount: 1, child_name: child.name, bucket_id: bucket.id, ...fields });
+};
+
+describe('inserts that skip existing rows', () => {
+    it('leave a bucket the child already has alone', async () => {
+        const { children: [child] } = await createFamily();
+        await insertBucketIfMissing(pool, { child_name: child.name, name: 'Jar', split_percent: 0, sort_order: 5 });
+        await insertBucketIfMissing(pool, { child_name: child.name, name: 'Jar', split_percent: 50, sort_order: 6 });
+
+        const jars = (await listBucketsWithBalances(pool, child.name)).filter(bucket => bucket.name === 'Jar');
+        assert.equal(jars.length, 1);
+        assert.equal(Number(jars[0].split_percent), 0);
+    });
+
+    it('let a digest, an idempotency key or an interest period be claimed only once', async () => {
+        const { parent, children: [child] } = await createFamily();
+        assert.equal(await claimDigest(pool, parent.id, localDate()), true);
+        assert.equal(await claimDigest(pool, parent.id, localDate()), false);
+
+        assert.equal(await claimIdempotencyKey(pool, parent.id, 'key-0123456789abcdef', '/api/money/transactions'), true);
+        assert.equal(await claimIdempotencyKey(pool, parent.id, 'key-0123456789abcdef', '/api/money/transactions'), false);
+
+        const ruleId = await insertInterestRule(pool, {
+            child_name: child.name, kind: 'interest', rate_percent: 5, cap_amount: null, bucket_id: null, cadence: 'weekly',
+            start_date: localDate(-14), period_start: localDate(-14), next_run_date: localDate(-7), created_by: parent.name
+        });
+        const period = { rule_id: ruleId, period_start: localDate(-14), period_end: localDate(-7), basis_amount: 10, amount: 0.5 };
+        assert.ok(await insertInterestPayout(pool, period) > 0);
+        assert.equal(await insertInterestPayout(pool, period), null);
+    });
+});
+
+describe('upserts', () => {
+    it('replace a spending policy and clear its low balance alert', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const limits = { max_single_expense: 10, weekly_spending_cap: null, no_overdraft: true, auto_approve_below: null, low_balance_below: 5, updated_by: parent.name };
+        await saveSpendingPolicy(pool, child.name, limits);
+        assert.equal(await setLowBalanceAlerted(pool, child.name, true), true);
+        await saveSpendingPolicy(pool, child.name, { ...limits, max_single_expense: 20, no_overdraft: false });
+
+        const policy = await findSpendingPolicy(pool, child.name);
+        assert.equal(Number(policy.max_single_expense), 20);
+        assert.equal(Number(policy.no_overdraft), 0);
+        assert.equal(Number(policy.low_balance_alerted), 0);
+    });
+
+    it('replace an exchange rate', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const householdId = await findHouseholdOfChild(pool, child.name);
+        await saveExchangeRate(pool, householdId, { currency: 'EUR', rate: 1.1, updated_by: parent.name });
+        await saveExchangeRate(pool, householdId, { currency: 'EUR', rate: 1.25, updated_by: parent.name });
+
+        const rates = await listExchangeRates(pool, householdId);
+        assert.deepEqual(rates.map(rate => [rate.currency, Number(rate.rate)]), [['EUR', 1.25]]);
+    });
+
+    it('replace the subscription of a device that subscribed before', async () => {
+        const { parent } = await createFamily();
+        const device = { user_id: parent.id, endpoint_hash: `hash-${parent.id}`, user_agent: 'Old browser' };
+        await saveSubscription(pool, { ...device, subscription: '{"endpoint":"https://push.example.com/1"}' });
+        await saveSubscription(pool, { ...device, subscription: '{"endpoint":"https://push.example.com/1"}', user_agent: 'New browser' });
+
+        const devices = await listUserDevices(pool, parent.id);
+        assert.deepEqual(devices.map(d => d.user_agent), ['New browser']);
+    });
+});
+
+describe('transaction queries', () => {
+    it('return tags sorted and match a search literally', async () => {
+        const { children: [child] } = await createFamily();
+        const tagged = await post(child, { description: '100% done', tags: ['zoo', 'apple'] });
+        await post(child, { description: '100 done' });
+        await post(child, { description: 'a_b' });
+        await post(child, { description: 'axb' });
+        assert.deepEqual(tagged.tags, ['apple', 'zoo']);
+
+        const householdId = await findHouseholdOfChild(pool, child.name);
+        const count = (search) => countTransactions(pool, { household_id: householdId, child_name: child.name, search });
+        assert.equal(await count('100%'), 1);
+        assert.equal(await count('a_b'), 1);
+        assert.equal(await count('done'), 2);
+    });
+
+    it('total by calendar month', async () => {
+        const { children: [child] } = await createFamily();
+        await post(child, { description: 'January', amount: 3, created_at: new Date(2025, 0, 31, 23, 30) });
+        await post(child, { description: 'February', amount: 2, type: 'expense', created_at: new Date(2025, 1, 1, 0, 30) });
+
+        const months = await getMonthlyTotals(pool, child.name, new Date(2025, 0, 1), new Date(2025, 2, 1));
+        const byMonth = Object.fromEntries(months.map(row => [row.month, Number(row.net_cents)]));
+        assert.deepEqual(byMonth, { '2025-01': 300, '2025-02': -200 });
+    });
+});
@@ -0,0 +1,140 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStorage } from '../storage/index.js';
+import { LATEST_VERSION } from '../migrations/index.js';
+import { migrateUp, migrateDown } from '../migrations/runner.js';
+import { pool, startServer, stopServer } from './helpers.js';
+
+before(startServer);
+after(stopServer);
+
+// Column types are compared by family (an ENUM is TEXT with a CHECK in SQLite, an INT id is INTEGER),
+// plus the size for text and decimal columns
+const TYPE_FAMILIES = [
+    [/INT/, 'integer'],
+    [/^DECIMAL/, 'decimal'],
+    [/^ENUM/, 'enum'],
+    [/CHAR|TEXT/, 'text'],
+    [/^(DATETIME|TIMESTAMP)/, 'datetime'],
+    [/^DATE$/, 'date'],
+    [/^TIME$/, 'time'],
+    [/^JSON$/, 'json']
+];
+
+const typeOf = (declared) => {
+    const type = declared.toUpperCase();
+    const [, family = type] = TYPE_FAMILIES.find(([pattern]) => pattern.test(type)) ?? [];
+    if (family === 'enum') return 'text';
+    const size = type.match(/\((\d+(?:,\s*\d+)?)\)/)?.[1].replace(/\s/g, '');
+    return ['text', 'decimal'].includes(family) && size ? `${family}(${size})` : family;
+};
+
+// Every table's columns in order, and its indexes other than the primary key, as
+// { table: { columns: ['name type [not null] [primary key]', ...], indexes: ['[unique ](a, b)', ...] } }
+const describeSchema = async (db) => (db.client === 'sqlite' ? describeSqlite(db) : describeMysql(db));
+
+const describeColumn = ({ name, type, notNull, primaryKey }) =>
+    [name, typeOf(type), notNull || primaryKey ? 'not null' : '', primaryKey ? 'primary key' : ''].filter(Boolean).join(' ');
+
+const describeIndex = ({ unique, columns }) => `${unique ? 'unique ' : ''}(${columns.join(', ')})`;
+
+const describeSqlite = async (db) => {
+    const schema = {};
+    const [tables] = await db.query("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name");
+    for (const { name: table } of tables) {
+        const [columns] = await db.query(`PRAGMA table_info(${table})`);
+        const [indexList] = await db.query(`PRAGMA index_list(${table})`);
+        const indexes = [];
+        for (const index of indexList.filter(i => i.origin !== 'pk')) {
+            const [indexColumns] = await db.query(`PRAGMA index_info(${index.name})`);
+            indexes.push(describeIndex({ unique: index.unique === 1, columns: indexColumns.sort((a, b) => a.seqno - b.seqno).map(c => c.name) }));
+        }
+        schema[table] = {
+            columns: columns.map(c => describeColumn({ name: c.name, type: c.type, notNull: c.notnull === 1, primaryKey: c.pk > 0 })),
+            indexes: indexes.sort()
+        };
+    }
+    return schema;
+};
+
+const describeMysql = async (db) => {
+    const schema = {};
+    const [tables] = await db.query(
+        "SELECT TABLE_NAME AS name FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_TYPE = 'BASE TABLE' ORDER BY TABLE_NAME"
+    );
+    for (const { name: table } of tables) {
+        const [columns] = await db.query(
+            `SELECT COLUMN_NAME AS name, COLUMN_TYPE AS type, IS_NULLABLE AS nullable, COLUMN_KEY AS columnKey
+             FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? ORDER BY ORDINAL_POSITION`,
+            [table]
+        );
+        const [indexColumns] = await db.query(
+            `SELECT INDEX_NAME AS name, NON_UNIQUE AS nonUnique, COLUMN_NAME AS column_name
+             FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME <> 'PRIMARY'
+             ORDER BY INDEX_NAME, SEQ_IN_INDEX`,
+            [table]
+        );
+        const indexes = new Map();
+        for (const { name, nonUnique, column_name: column } of indexColumns) {
+            if (!indexes.has(name)) indexes.set(name, { unique: Number(nonUnique) === 0, columns: [] });
+            indexes.get(name).columns.push(column);
+        }
+        schema[table] = {
+            columns: columns.map(c => describeColumn({ name: c.name, type: c.type, notNull: c.nullable === 'NO', primaryKey: c.columnKey === 'PRI' })),
+            indexes: [...indexes.values()].map(describeIndex).sort()
+        };
+    }
+    return schema;
+};
+
+// A new in-memory SQLite database, migrated to the latest version
+const openSqlite = async () => {
+    const storage = await createStorage({ client: 'sqlite', sqlite: { filename: ':memory:' } });
+    const connection = await storage.getConnection();
+    await migrateUp(connection, () => {});
+    return { storage, connection };
+};
+
+describe('migrations', () => {
+    it('give the test database the same tables as a new SQLite database', async () => {
+        // Under TEST_DB_CLIENT=mysql this compares the MySQL statements with the SQLite ones
+        const { storage, connection } = await openSqlite();
+        try {
+            const expected = await describeSchema(connection);
+            const actual = await describeSchema(pool);
+            assert.deepEqual(Object.keys(actual), Object.keys(expected));
+            for (const table of Object.keys(expected)) {
+                assert.deepEqual(actual[table], expected[table], `Table ${table} differs`);
+            }
+        } finally {
+            connection.release();
+            await storage.end();
+        }
+    });
+
+    it('can each be undone and applied again on SQLite', async () => {
+        const { storage, connection } = await openSqlite();
+        try {
+            const latest = await describeSchema(connection);
+            for (let version = LATEST_VERSION; version >= 1; version--) {
+                await migrateDown(connection, LATEST_VERSION - version + 1, () => {});
+                await migrateUp(connection, () => {});
+                assert.deepEqual(await describeSchema(connection), latest, `Undoing down to version ${version - 1} and back`);
+            }
+        } finally {
+            connection.release();
+            await storage.end();
+        }
+    });
+
+    it('can take a SQLite database all the way down', async () => {
+        const { storage, connection } = await openSqlite();
+        try {
+            await migrateDown(connection, LATEST_VERSION, () => {});
+            assert.deepEqual(Object.keys(await describeSchema(connection)), ['schema_migrations']);
+        } finally {
+            connection.release();
+            await storage.end();
+        }
+    });
+});
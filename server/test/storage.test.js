@@ -0,0 +1,69 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, createFamily, pool, startServer, stopServer } from './helpers.js';
+
+before(startServer);
+after(stopServer);
+
+describe('afterCommit', () => {
+    it('waits for the transaction to commit', async () => {
+        const connection = await pool.getConnection();
+        const calls = [];
+        try {
+            await connection.beginTransaction();
+            connection.afterCommit(() => calls.push('committed'));
+            assert.deepEqual(calls, []);
+            await connection.commit();
+            assert.deepEqual(calls, ['committed']);
+        } finally {
+            connection.release();
+        }
+    });
+
+    it('forgets the work of a transaction that was rolled back or abandoned', async () => {
+        const calls = [];
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+            connection.afterCommit(() => calls.push('rolled back'));
+            await connection.rollback();
+
+            await connection.beginTransaction();
+            connection.afterCommit(() => calls.push('released'));
+        } finally {
+            connection.release();
+        }
+        const next = await pool.getConnection();
+        try {
+            await next.beginTransaction();
+            await next.commit();
+        } finally {
+            next.release();
+        }
+        assert.deepEqual(calls, []);
+    });
+
+    it('runs straight away outside a transaction', async () => {
+        const calls = [];
+        pool.afterCommit(() => calls.push('pool'));
+        const connection = await pool.getConnection();
+        try {
+            connection.afterCommit(() => calls.push('connection'));
+        } finally {
+            connection.release();
+        }
+        assert.deepEqual(calls, ['pool', 'connection']);
+    });
+});
+
+describe('rows', () => {
+    it('return DECIMAL columns as strings with the column\'s scale, the way mysql2 does', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const { body: created } = await api('POST', '/transactions', { token: parent.token, body: { description: 'Pocket money', amount: 2, type: 'income', child_name: child.name } });
+        assert.equal(created.amount, '2.00');
+
+        const [[row]] = await pool.query('SELECT amount, amount * 2 AS doubled FROM transactions WHERE id = ?', [created.id]);
+        assert.equal(row.amount, '2.00');
+        assert.equal(Number(row.doubled), 4);
+    });
+});
@@ -0,0 +1,363 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, createFamily, pool, startServer, stopServer, subscribe, waitForPush } from './helpers.js';
+
+before(startServer);
+after(stopServer);
+
+// Children start with nothing and may not overdraw, so their test requests ask for money rather than spend it
+const request = (child, fields = {}, { headers } = {}) => api('POST', '/transactions', {
+    token: child.token,
+    headers,
+    body: { description: 'Birthday money', amount: 5, type: 'income', child_name: child.name, ...fields }
+});
+
+describe('submitting transactions', () => {
+    it('leaves a child\'s request pending and tells the parents', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const parentEndpoint = await subscribe(parent);
+        const childEndpoint = await subscribe(child);
+
+        const { status, body } = await request(child);
+        assert.equal(status, 201);
+        assert.equal(body.status, 'pending');
+        assert.equal(body.approved_by, null);
+
+        const push = await waitForPush(parentEndpoint);
+        assert.equal(push?.title, 'New Transaction Pending');
+        assert.equal(push.data.transaction_id, body.id);
+        assert.equal(await waitForPush(childEndpoint, { timeoutMs: 200 }), null);
+    });
+
+    it('stops a child from submitting for a brother or sister', async () => {
+        const { children: [child, sibling] } = await createFamily({ children: ['Kid', 'Sibling'] });
+        const { status, body } = await request(child, { child_name: sibling.name });
+        assert.equal(status, 403);
+        assert.equal(body.error, 'You can only submit requests for yourself.');
+    });
+
+    it('approves a parent\'s entry straight away', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const { status, body } = await request(parent, { child_name: child.name });
+        assert.equal(status, 201);
+        assert.equal(body.status, 'approved');
+        assert.equal(body.approved_by, parent.name);
+
+        const { body: balances } = await api('GET', '/balances', { token: parent.token });
+        assert.equal(balances.children.find(c => c.child_name === child.name).balance_cents, 500);
+    });
+
+    it('only lets a parent enter money for children in their own household', async () => {
+        const { parent } = await createFamily({ children: [] });
+        const { children: [otherChild] } = await createFamily();
+        const { status } = await request(parent, { child_name: otherChild.name });
+        assert.equal(status, 404);
+    });
+
+    it('rejects invalid entries', async () => {
+        const { children: [child] } = await createFamily();
+        assert.equal((await request(child, { type: 'gift' })).status, 400);
+        assert.equal((await request(child, { amount: -5 })).status, 400);
+        assert.equal((await request(child, { description: '' })).status, 400);
+        assert.equal((await request(child, { description: 42 })).status, 400);
+        assert.equal((await request(child, { currency: 'XYZ' })).status, 400);
+    });
+});
+
+describe('spending', () => {
+    // SQLite runs one statement at a time, so the requests only really interleave on MySQL
+    it('cannot overdraw with requests sent at the same time', async () => {
+        const { parent, children: [child] } = await createFamily();
+        await request(parent, { child_name: child.name });
+
+        const spend = () => request(child, { description: 'Sweets', amount: 4, type: 'expense' });
+        const responses = await Promise.all([spend(), spend(), spend()]);
+        assert.deepEqual(responses.map(r => r.status).sort(), [201, 400, 400]);
+        assert.ok(responses.filter(r => r.status === 400).every(r => r.body.code === 'spending_policy'));
+    });
+});
+
+describe('deciding requests', () => {
+    it('is only for parents', async () => {
+        const { children: [child] } = await createFamily();
+        const { body: pending } = await request(child);
+        assert.equal((await api('PUT', `/transactions/${pending.id}/approve`, { token: child.token })).status, 403);
+        assert.equal((await api('PUT', `/transactions/${pending.id}/decline`, { token: child.token })).status, 403);
+    });
+
+    it('approves a request, counts it in the balance and tells the child', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const childEndpoint = await subscribe(child);
+        const { body: pending } = await request(child);
+
+        const { status } = await api('PUT', `/transactions/${pending.id}/approve`, { token: parent.token });
+        assert.equal(status, 200);
+        const push = await waitForPush(childEndpoint);
+        assert.equal(push?.title, 'Request Approved');
+        assert.equal(push.data.transaction_id, pending.id);
+
+        const { body: balances } = await api('GET', '/balances', { token: child.token });
+        assert.equal(balances.children[0].balance_cents, 500);
+    });
+
+    it('declines a request without touching the balance', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const childEndpoint = await subscribe(child);
+        const { body: pending } = await request(child);
+
+        assert.equal((await api('PUT', `/transactions/${pending.id}/decline`, { token: parent.token })).status, 200);
+        assert.equal((await waitForPush(childEndpoint))?.title, 'Request Declined');
+
+        const { body: balances } = await api('GET', '/balances', { token: child.token });
+        assert.equal(balances.children[0].balance_cents, 0);
+    });
+
+    it('does not decide the same request twice', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const { body: pending } = await request(child);
+        await api('PUT', `/transactions/${pending.id}/approve`, { token: parent.token });
+
+        const { status, body } = await api('PUT', `/transactions/${pending.id}/decline`, { token: parent.token });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'This request has already been approved.');
+    });
+
+    it('answers 409 when another parent decides the request at the same moment', async (t) => {
+        const { parent, children: [child] } = await createFamily();
+        const { body: pending } = await request(child);
+        // The other parent's decline lands between reading the request and deciding it
+        const query = pool.query;
+        t.mock.method(pool, 'query', async (sql, params) => {
+            const result = await query(sql, params);
+            if (sql.startsWith('SELECT * FROM transactions WHERE id = ? AND household_id = ?')) {
+                await query('UPDATE transactions SET status = \'declined\' WHERE id = ?', [pending.id]);
+            }
+            return result;
+        });
+
+        const { status, body } = await api('PUT', `/transactions/${pending.id}/approve`, { token: parent.token });
+        assert.equal(status, 409);
+        assert.equal(body.error, 'This request has just been decided by someone else.');
+        t.mock.restoreAll();
+        const { body: balances } = await api('GET', '/balances', { token: child.token });
+        assert.equal(balances.children[0].balance_cents, 0);
+    });
+
+    it('cannot reach another household\'s requests', async () => {
+        const { children: [child] } = await createFamily();
+        const { parent: otherParent } = await createFamily({ children: [] });
+        const { body: pending } = await request(child);
+
+        const { status, body } = await api('PUT', `/transactions/${pending.id}/approve`, { token: otherParent.token });
+        assert.equal(status, 404);
+        assert.equal(body.error, 'Transaction not found.');
+        assert.equal((await api('PUT', '/transactions/999999999/approve', { token: otherParent.token })).status, 404);
+    });
+
+    it('can be done from a notification\'s action button', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const parentEndpoint = await subscribe(parent);
+        const { body: pending } = await request(child);
+        const push = await waitForPush(parentEndpoint);
+        assert.ok(push?.data.action_token);
+
+        const { status } = await api('POST', '/notification-actions', { body: { token: push.data.action_token, action: 'approve' } });
+        assert.equal(status, 200);
+        const { body: list } = await api('GET', '/transactions', { token: parent.token });
+        assert.equal(list.transactions.find(t => t.id === pending.id).status, 'approved');
+    });
+});
+
+describe('retries with an Idempotency-Key', () => {
+    it('apply the request once and replay its response', async () => {
+        const { children: [child] } = await createFamily();
+        const headers = { 'Idempotency-Key': `retry-${child.id}-0123456789` };
+        const first = await request(child, {}, { headers });
+        const again = await request(child, {}, { headers });
+        assert.equal(first.status, 201);
+        assert.deepEqual(again, first);
+    });
+
+    it('can be sent again after an attempt that failed before it answered', async (t) => {
+        const { children: [child] } = await createFamily();
+        t.mock.method(console, 'error', () => {});
+        const headers = { 'Idempotency-Key': `retry-${child.id}-abcdef0123` };
+        // No body at all, so the route throws and Express answers for it
+        const failed = await api('POST', '/transactions', { token: child.token, headers });
+        assert.equal(failed.status, 500);
+
+        // The key is freed once the failed response has gone out
+        let retry;
+        for (let attempt = 0; attempt < 20 && retry?.status !== 201; attempt++) {
+            retry = await request(child, {}, { headers });
+        }
+        assert.equal(retry.status, 201);
+    });
+});
+
+describe('cancelling requests', () => {
+    it('removes the request with its tags and keeps a copy in the audit log', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const { body: pending } = await request(child, { tags: ['party'] });
+
+        assert.equal((await api('DELETE', `/transactions/${pending.id}`, { token: child.token })).status, 200);
+        const [tags] = await pool.query('SELECT tag FROM transaction_tags WHERE transaction_id = ?', [pending.id]);
+        assert.deepEqual(tags, []);
+
+        const { body } = await api('GET', `/audit?transaction_id=${pending.id}`, { token: parent.token });
+        const cancelled = body.entries.find(entry => entry.action === 'cancel');
+        assert.deepEqual(cancelled.old_values.tags, ['party']);
+    });
+
+    it('leaves a request that was decided in the meantime alone', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const { body: pending } = await request(child);
+        await api('PUT', `/transactions/${pending.id}/approve`, { token: parent.token });
+
+        const { status, body } = await api('DELETE', `/transactions/${pending.id}`, { token: child.token });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Only pending requests can be cancelled.');
+    });
+});
+
+describe('changing entries', () => {
+    const balanceCents = async (child) => (await api('GET', '/balances', { token: child.token })).body.children[0].balance_cents;
+
+    it('edits a pending request but not an approved one', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const { body: pending } = await request(child);
+        const edit = (fields) => api('PUT', `/transactions/${pending.id}`, { token: child.token, body: { description: 'Birthday money', ...fields } });
+
+        const { status, body } = await edit({ amount: 7 });
+        assert.equal(status, 200);
+        assert.equal(body.amount, '7.00');
+        await api('PUT', `/transactions/${pending.id}/approve`, { token: parent.token });
+        assert.equal((await edit({ amount: 70 })).body.error, 'Only pending requests can be edited. Approved entries can be corrected instead.');
+        assert.equal(await balanceCents(child), 700);
+    });
+
+    it('reverses an approved entry once, with an opposite entry', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const { body: original } = await request(parent, { child_name: child.name, amount: 10 });
+        const reverse = (id) => api('POST', `/transactions/${id}/reverse`, { token: parent.token, body: { reason: 'entered twice' } });
+
+        const { status, body: [reversal] } = await reverse(original.id);
+        assert.equal(status, 201);
+        assert.deepEqual([reversal.type, reversal.reverses_id, reversal.description], ['expense', original.id, 'Reversal: Birthday money (entered twice)']);
+        assert.equal(await balanceCents(child), 0);
+        assert.equal((await reverse(original.id)).body.error, 'This transaction has already been reversed.');
+        assert.equal((await reverse(reversal.id)).body.error, 'A reversal cannot itself be reversed.');
+    });
+
+    it('reverses both halves of a transfer', async () => {
+        const { parent, children: [child] } = await createFamily();
+        await request(parent, { child_name: child.name });
+        const { body: [spend, save] } = await api('GET', '/buckets', { token: child.token });
+        const { body: [outgoing] } = await api('POST', '/transfers', { token: child.token, body: { from_bucket_id: spend.id, to_bucket_id: save.id, amount: 2 } });
+
+        assert.equal((await api('POST', `/transactions/${outgoing.id}/reverse`, { token: parent.token })).body.length, 2);
+        const { body: buckets } = await api('GET', '/buckets', { token: child.token });
+        assert.deepEqual(buckets.map(b => b.balance_cents), [500, 0, 0]);
+    });
+
+    it('corrects an approved entry by replacing it, tags and all', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const { body: original } = await request(parent, { child_name: child.name, amount: 10, tags: ['gift'] });
+        const correct = (fields) => api('POST', `/transactions/${original.id}/correct`, { token: parent.token, body: { description: 'Birthday money', ...fields } });
+
+        assert.equal((await correct({ amount: 10 })).body.error, 'Nothing to correct: the description and amount are unchanged.');
+        const { status, body } = await correct({ amount: 8 });
+        assert.equal(status, 201);
+        assert.deepEqual([body.correction.amount, body.correction.corrects_id, body.correction.tags], ['8.00', original.id, ['gift']]);
+        assert.equal(await balanceCents(child), 800);
+        assert.equal((await api('POST', `/transactions/${original.id}/reverse`, { token: parent.token })).status, 400);
+    });
+});
+
+describe('listing', () => {
+    it('shows a child only their own transactions', async () => {
+        const { parent, children: [child, sibling] } = await createFamily({ children: ['Kid', 'Sibling'] });
+        await request(child);
+        await request(sibling);
+
+        const { body: own } = await api('GET', '/transactions', { token: child.token });
+        assert.equal(own.total, 1);
+        assert.ok(own.transactions.every(t => t.child_name === child.name));
+
+        // Asking for a sibling by name doesn't widen a child's view
+        const { body: filtered } = await api('GET', `/transactions?child_name=${encodeURIComponent(sibling.name)}`, { token: child.token });
+        assert.ok(filtered.transactions.every(t => t.child_name === child.name));
+
+        const { body: all } = await api('GET', '/transactions', { token: parent.token });
+        assert.equal(all.total, 2);
+    });
+
+    it('keeps households apart', async () => {
+        const family = await createFamily();
+        const other = await createFamily();
+        await request(family.children[0]);
+
+        const { body: list } = await api('GET', '/transactions', { token: other.parent.token });
+        assert.equal(list.total, 0);
+        const { body: children } = await api('GET', '/children', { token: other.parent.token });
+        assert.deepEqual(children, [{ name: other.children[0].name }]);
+    });
+
+    it('pages through the newest first and counts every match', async () => {
+        const { parent, children: [child] } = await createFamily();
+        for (const description of ['One', 'Two', 'Three', 'Four', 'Five']) {
+            await request(parent, { child_name: child.name, description });
+        }
+        const { body } = await api('GET', '/transactions?limit=2&offset=1', { token: parent.token });
+        assert.equal(body.total, 5);
+        assert.deepEqual(body.transactions.map(t => t.description), ['Four', 'Three']);
+    });
+
+    it('filters by status, type, amount and description', async () => {
+        const { parent, children: [child] } = await createFamily();
+        await request(parent, { child_name: child.name, description: 'Birthday money', amount: 20 });
+        await request(parent, { child_name: child.name, description: 'Cinema', amount: 8, type: 'expense' });
+        await request(child, { description: 'Birthday card money', amount: 3 });
+        const descriptions = async (query) => (await api('GET', `/transactions?${query}`, { token: parent.token })).body.transactions.map(t => t.description);
+
+        assert.deepEqual(await descriptions('status=pending'), ['Birthday card money']);
+        assert.deepEqual(await descriptions('type=expense'), ['Cinema']);
+        assert.deepEqual(await descriptions('min_amount=5&max_amount=10'), ['Cinema']);
+        assert.deepEqual(await descriptions('q=birthday&status=approved,pending'), ['Birthday card money', 'Birthday money']);
+    });
+
+    it('refuses filters it cannot read', async () => {
+        const { parent } = await createFamily({ children: [] });
+        for (const [query, error] of [
+            ['status=lost', 'Status must be one of: pending, approved, declined.'],
+            ['from=yesterday', 'From date must be in YYYY-MM-DD format.'],
+            ['min_amount=lots', 'min_amount must be a number.']
+        ]) {
+            const { status, body } = await api('GET', `/transactions?${query}`, { token: parent.token });
+            assert.equal(status, 400);
+            assert.equal(body.error, error);
+        }
+    });
+
+    it('keeps the list of children from children', async () => {
+        const { children: [child] } = await createFamily();
+        assert.equal((await api('GET', '/children', { token: child.token })).status, 403);
+    });
+});
+
+describe('database errors', () => {
+    it('answer 500 with a generic message and log the cause', async (t) => {
+        const { parent } = await createFamily({ children: [] });
+        const query = pool.query;
+        t.mock.method(pool, 'query', (sql, params) => (sql.includes('COUNT(*) AS total FROM transactions')
+            ? Promise.reject(new Error('Connection lost'))
+            : query(sql, params)));
+        const logged = t.mock.method(console, 'error', () => {});
+
+        const { status, body } = await api('GET', '/transactions', { token: parent.token });
+        assert.equal(status, 500);
+        assert.deepEqual(body, { error: 'Database query failed' });
+        assert.equal(logged.mock.callCount(), 1);
+        assert.equal(logged.mock.calls[0].arguments[1].message, 'Connection lost');
+    });
+});
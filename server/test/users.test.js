@@ -0,0 +1,51 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, createFamily, login, startServer, stopServer, uniqueName, PASSWORD } from './helpers.js';
+
+before(startServer);
+after(stopServer);
+
+describe('managing children', () => {
+    it('renames a child with their money and history', async () => {
+        const { parent, children: [child] } = await createFamily();
+        await api('POST', '/transactions', { token: parent.token, body: { description: 'Gift', amount: 4, type: 'income', child_name: child.name } });
+        const newName = uniqueName('Renamed');
+
+        const { status, body } = await api('PUT', `/users/${child.id}`, { token: parent.token, body: { name: newName } });
+        assert.equal(status, 200);
+        assert.equal(body.name, newName);
+        const { body: balances } = await api('GET', '/balances', { token: parent.token });
+        assert.deepEqual(balances.children.map(c => [c.child_name, c.balance_cents]), [[newName, 400]]);
+        const { body: list } = await api('GET', `/transactions?child_name=${encodeURIComponent(newName)}`, { token: parent.token });
+        assert.equal(list.total, 1);
+    });
+
+    it('resets a password and signs the child out everywhere', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const session = await login(child.name);
+
+        const { status } = await api('PUT', `/users/${child.id}/password`, { token: parent.token, body: { password: 'a-new-password' } });
+        assert.equal(status, 200);
+        assert.equal((await api('POST', '/token/refresh', { body: { refresh_token: session.refreshToken } })).status, 401);
+        assert.equal((await api('POST', '/login', { body: { name: child.name, password: PASSWORD } })).status, 400);
+        assert.equal((await api('POST', '/login', { body: { name: child.name, password: 'a-new-password' } })).status, 200);
+    });
+
+    it('refuses a name that is taken and children from other families', async () => {
+        const { parent, children: [child] } = await createFamily();
+        const { parent: otherParent } = await createFamily({ children: [] });
+
+        const { status, body } = await api('POST', '/users', { token: parent.token, body: { name: child.name, password: PASSWORD } });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'That name is already taken.');
+        assert.equal((await api('PUT', `/users/${child.id}`, { token: otherParent.token, body: { name: uniqueName('Stolen') } })).status, 404);
+        assert.equal((await api('PUT', `/users/${child.id}/status`, { token: otherParent.token, body: { status: 'disabled' } })).status, 404);
+    });
+
+    it('does not let a parent disable their own account', async () => {
+        const { parent } = await createFamily({ children: [] });
+        const { status, body } = await api('PUT', `/users/${parent.id}/status`, { token: parent.token, body: { status: 'disabled' } });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'You cannot change the status of your own account.');
+    });
+});
@@ -0,0 +1,60 @@
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../lib/api.js';
+import { formatAmount } from '../lib/money.js';
+
+// --- Audit Timeline (Admin Only): who changed what, for one transaction or one child ---
+const AUDIT_ACTION_LABELS = {
+    create: 'Created', import: 'Imported', approve: 'Approved', decline: 'Declined',
+    auto_approve: 'Auto-approved', edit: 'Edited', cancel: 'Cancelled', reverse: 'Reversal posted', correct: 'Correction posted',
+    rename: 'Renamed', reset_password: 'Password reset', status: 'Status changed', promote: 'Made a parent',
+    set_pin: 'PIN set', remove_pin: 'PIN removed', avatar: 'Avatar changed',
+};
+
+const formatAuditValue = (value) => (value === null || value === undefined || value === '' ? 'none' : String(value));
+
+const describeAuditChanges = (entry) => {
+    const values = entry.new_values || {};
+    // Creations and cancellations: summarise the whole row rather than listing every field
+    const whole = entry.old_values ? (entry.new_values ? null : entry.old_values) : values;
+    if (whole) {
+        return entry.entity_type === 'transaction'
+            ? `${whole.type === 'income' ? '+' : '-'}${formatAmount(whole.amount, whole.currency || undefined)} "${whole.description}" (${whole.status})`
+            : Object.entries(whole).map(([key, value]) => `${key.replace('_', ' ')}: ${formatAuditValue(value)}`).join(', ');
+    }
+    // approved_by is always the actor, who is shown already
+    return Object.keys(values)
+        .filter(key => key !== 'approved_by')
+        .map(key => `${key.replace('_', ' ')}: ${formatAuditValue(entry.old_values[key])} → ${formatAuditValue(values[key])}`)
+        .join(', ');
+};
+
+export default function AuditTimeline({ query }) {
+    const [entries, setEntries] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        apiFetch(`/audit?${query}`)
+            .then(data => setEntries(data.entries))
+            .catch(err => setError(err.message));
+    }, [query]);
+
+    if (error) return <p className="text-red-400 text-sm mt-3">{error}</p>;
+    if (!entries) return <p className="text-slate-500 text-sm mt-3">Loading history...</p>;
+    if (entries.length === 0) return <p className="text-slate-500 italic text-sm mt-3">No recorded changes.</p>;
+
+    return (
+        <ol className="border-l border-slate-600 ml-2 mt-3 space-y-2">
+            {entries.map(entry => (
+                <li key={entry.id} className="pl-4 text-sm">
+                    <span className="font-semibold">{AUDIT_ACTION_LABELS[entry.action] || entry.action}</span>
+                    <span className="text-slate-400"> by {entry.actor_name || 'automatic allowance'}</span>
+                    {entry.entity_type === 'transaction' && !query.startsWith('transaction_id') && (
+                        <span className="text-slate-500"> • transaction #{entry.entity_id}</span>
+                    )}
+                    <span className="text-xs text-slate-500 block">{new Date(entry.created_at).toLocaleString()}</span>
+                    {describeAuditChanges(entry) && <span className="text-xs text-slate-300 block">{describeAuditChanges(entry)}</span>}
+                </li>
+            ))}
+        </ol>
+    );
+}
@@ -0,0 +1,180 @@
+import { useState } from 'react';
+import { apiFetch } from '../lib/api.js';
+import { readRememberedProfiles } from '../lib/profiles.js';
+import Avatar from './Avatar.jsx';
+
+// On-screen number pad so younger children don't need a keyboard
+function PinPad({ profile, onSubmit, onBack, error }) {
+  const [pin, setPin] = useState('');
+
+  const press = (digit) => setPin(current => (current.length < 6 ? current + digit : current));
+
+  const handleSubmit = async () => {
+    if (pin.length < 4) return;
+    await onSubmit(pin);
+    setPin('');
+  };
+
+  const keyClass = "bg-slate-700 hover:bg-slate-600 text-2xl font-bold py-4 rounded-xl";
+
+  return (
+    <div className="space-y-4 text-center">
+      <Avatar profile={profile} className="w-20 h-20 text-4xl" />
+      <p className="text-lg font-semibold">Hi {profile.name}! Enter your PIN</p>
+      {error && <p className="text-red-400">{error}</p>}
+      <div className="flex justify-center gap-3 h-6">
+        {Array.from({ length: Math.max(4, pin.length) }, (_, i) => (
+          <span key={i} className={`w-4 h-4 rounded-full ${i < pin.length ? 'bg-cyan-400' : 'bg-slate-600'}`} />
+        ))}
+      </div>
+      <div className="grid grid-cols-3 gap-3">
+        {['1', '2', '3', '4', '5', '6', '7', '8', '9'].map(digit => (
+          <button key={digit} type="button" onClick={() => press(digit)} className={keyClass}>{digit}</button>
+        ))}
+        <button type="button" onClick={() => setPin(pin.slice(0, -1))} className={keyClass} aria-label="Delete">⌫</button>
+        <button type="button" onClick={() => press('0')} className={keyClass}>0</button>
+        <button type="button" onClick={handleSubmit} disabled={pin.length < 4} className="bg-cyan-600 hover:bg-cyan-700 disabled:opacity-50 text-2xl font-bold py-4 rounded-xl" aria-label="Log in">✓</button>
+      </div>
+      <button type="button" onClick={onBack} className="text-cyan-400 hover:underline text-sm">Not {profile.name}?</button>
+    </div>
+  );
+}
+
+// --- Login Page Component ---
+export default function AuthPage({ onLogin }) {
+  const [profiles, setProfiles] = useState(readRememberedProfiles);
+  // 'profiles' (picker), 'pin', 'login', 'join' (invite code) or 'create' (new household)
+  const [mode, setMode] = useState(() => (profiles.length > 0 ? 'profiles' : 'login'));
+  const [selectedProfile, setSelectedProfile] = useState(null);
+  const [name, setName] = useState('');
+  const [password, setPassword] = useState('');
+  const [inviteCode, setInviteCode] = useState('');
+  const [householdName, setHouseholdName] = useState('');
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      if (mode === 'join') {
+        await apiFetch('/register', {
+          method: 'POST',
+          body: JSON.stringify({ invite_code: inviteCode, name, password }),
+        });
+      } else if (mode === 'create') {
+        await apiFetch('/households', {
+          method: 'POST',
+          body: JSON.stringify({ household_name: householdName, name, password }),
+        });
+      }
+      // New accounts are logged straight in with the details they just chose
+      const data = await apiFetch('/login', {
+        method: 'POST',
+        body: JSON.stringify({ name, password }),
+      });
+      onLogin(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handlePinSubmit = async (pin) => {
+    setError('');
+    try {
+      const data = await apiFetch('/login/pin', {
+        method: 'POST',
+        body: JSON.stringify({ user_id: selectedProfile.id, pin }),
+      });
+      onLogin(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const switchMode = (newMode) => {
+    setMode(newMode);
+    setError('');
+  };
+
+  // Children with a PIN get the number pad; everyone else types their password
+  const pickProfile = (profile) => {
+    setSelectedProfile(profile);
+    setName(profile.name);
+    setPassword('');
+    switchMode(profile.has_pin ? 'pin' : 'login');
+  };
+
+  const forgetDevice = () => {
+    localStorage.removeItem('profiles');
+    setProfiles([]);
+    setName('');
+    switchMode('login');
+  };
+
+  const titles = { profiles: "Who's using this?", pin: 'Welcome Back!', login: 'Welcome Back!', join: 'Join Your Family', create: 'Start a New Family' };
+  const buttons = { login: 'Login', join: 'Join', create: 'Create Family' };
+
+  if (mode === 'profiles' || mode === 'pin') {
+    return (
+      <div className="flex items-center justify-center min-h-screen bg-slate-900">
+        <div className="w-full max-w-md p-8 space-y-6 bg-slate-800 rounded-xl shadow-lg">
+          <h2 className="text-3xl font-bold text-center text-cyan-400">
+            {titles[mode]}
+          </h2>
+          {mode === 'pin' ? (
+            <PinPad profile={selectedProfile} onSubmit={handlePinSubmit} onBack={() => switchMode('profiles')} error={error} />
+          ) : (
+            <>
+              <div className="grid grid-cols-3 gap-4">
+                {profiles.map(profile => (
+                  <button key={profile.id} onClick={() => pickProfile(profile)} className="flex flex-col items-center gap-2 p-2 rounded-xl hover:bg-slate-700">
+                    <Avatar profile={profile} />
+                    <span className="text-sm font-semibold">{profile.name}</span>
+                  </button>
+                ))}
+              </div>
+              <div className="flex justify-center gap-4 text-sm">
+                <button onClick={() => { setName(''); switchMode('login'); }} className="text-cyan-400 hover:underline">Use another account</button>
+                <button onClick={forgetDevice} className="text-slate-400 hover:underline">Forget this device</button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-slate-900">
+      <div className="w-full max-w-md p-8 space-y-6 bg-slate-800 rounded-xl shadow-lg">
+        <h2 className="text-3xl font-bold text-center text-cyan-400">
+          {titles[mode]}
+        </h2>
+        <form onSubmit={handleSubmit} className="space-y-4">
+           {error && <p className="text-red-400 text-center">{error}</p>}
+          {mode === 'join' && (
+            <input type="text" value={inviteCode} onChange={e => setInviteCode(e.target.value.toUpperCase())} placeholder="Invite code" required autoComplete="off" className="bg-slate-700 p-3 rounded-md w-full tracking-widest focus:ring-2 focus:ring-cyan-500 focus:outline-none"/>
+          )}
+          {mode === 'create' && (
+            <input type="text" value={householdName} onChange={e => setHouseholdName(e.target.value)} placeholder="Family name" required className="bg-slate-700 p-3 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none"/>
+          )}
+          <input type="text" value={name} onChange={e => setName(e.target.value)} placeholder="Name" required className="bg-slate-700 p-3 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none"/>
+          <input type="password" value={password} onChange={e => setPassword(e.target.value)} placeholder="Password" required minLength={mode === 'login' ? undefined : 6} className="bg-slate-700 p-3 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none"/>
+          <button type="submit" className="w-full bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-3 px-4 rounded-md transition-colors duration-300">
+            {buttons[mode]}
+          </button>
+        </form>
+        <div className="flex flex-wrap justify-center gap-4 text-sm">
+          {profiles.length > 0 && (
+            <button onClick={() => switchMode('profiles')} className="text-cyan-400 hover:underline">Pick a profile</button>
+          )}
+          {Object.keys(buttons).filter(m => m !== mode).map(m => (
+            <button key={m} onClick={() => switchMode(m)} className="text-cyan-400 hover:underline">
+              {m === 'login' ? 'Back to login' : m === 'join' ? 'I have an invite code' : 'Start a new family'}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+import { describe, expect, it, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { callsTo, mockApi } from '../test/fakeApi.js';
+import AuthPage from './AuthPage.jsx';
+
+describe('AuthPage', () => {
+  const session = { accessToken: 'access', refreshToken: 'refresh', user: { id: 1, name: 'Sam', role: 'admin' } };
+
+  it('logs in with a name and password', async () => {
+    const fetchMock = mockApi({ 'POST /login': () => [200, session] });
+    const onLogin = vi.fn();
+    render(<AuthPage onLogin={onLogin} />);
+
+    await userEvent.type(screen.getByPlaceholderText('Name'), 'Sam');
+    await userEvent.type(screen.getByPlaceholderText('Password'), 'secret-password');
+    await userEvent.click(screen.getByRole('button', { name: 'Login' }));
+
+    await waitFor(() => expect(onLogin).toHaveBeenCalledWith(session));
+    expect(callsTo(fetchMock, 'POST', '/login')).toEqual([{ name: 'Sam', password: 'secret-password' }]);
+  });
+
+  it('shows the server\'s message when the login is refused', async () => {
+    mockApi({ 'POST /login': () => [400, { error: 'Invalid username or password' }] });
+    const onLogin = vi.fn();
+    render(<AuthPage onLogin={onLogin} />);
+
+    await userEvent.type(screen.getByPlaceholderText('Name'), 'Sam');
+    await userEvent.type(screen.getByPlaceholderText('Password'), 'wrong');
+    await userEvent.click(screen.getByRole('button', { name: 'Login' }));
+
+    expect(await screen.findByText('Invalid username or password')).toBeTruthy();
+    expect(onLogin).not.toHaveBeenCalled();
+  });
+
+  it('creates a family and then logs its first parent in', async () => {
+    const fetchMock = mockApi({
+      'POST /households': () => [201, { message: 'Household created.' }],
+      'POST /login': () => [200, session],
+    });
+    const onLogin = vi.fn();
+    render(<AuthPage onLogin={onLogin} />);
+
+    await userEvent.click(screen.getByRole('button', { name: 'Start a new family' }));
+    await userEvent.type(screen.getByPlaceholderText('Family name'), 'The Smiths');
+    await userEvent.type(screen.getByPlaceholderText('Name'), 'Sam');
+    await userEvent.type(screen.getByPlaceholderText('Password'), 'secret-password');
+    await userEvent.click(screen.getByRole('button', { name: 'Create Family' }));
+
+    await waitFor(() => expect(onLogin).toHaveBeenCalledWith(session));
+    expect(callsTo(fetchMock, 'POST', '/households')).toEqual([{ household_name: 'The Smiths', name: 'Sam', password: 'secret-password' }]);
+  });
+
+  it('starts from the remembered profiles and logs a child in with their PIN', async () => {
+    localStorage.setItem('profiles', JSON.stringify([
+      { id: 1, name: 'Sam', role: 'admin', has_pin: false },
+      { id: 2, name: 'Mia', role: 'child', has_pin: true, avatar: '🦊' },
+    ]));
+    const childSession = { ...session, user: { id: 2, name: 'Mia', role: 'child' } };
+    const fetchMock = mockApi({ 'POST /login/pin': () => [200, childSession] });
+    const onLogin = vi.fn();
+    render(<AuthPage onLogin={onLogin} />);
+
+    expect(screen.getByText("Who's using this?")).toBeTruthy();
+    await userEvent.click(screen.getByRole('button', { name: /Mia/ }));
+    expect(screen.getByText('Hi Mia! Enter your PIN')).toBeTruthy();
+    for (const digit of '1234') {
+      await userEvent.click(screen.getByRole('button', { name: digit }));
+    }
+    await userEvent.click(screen.getByRole('button', { name: 'Log in' }));
+
+    await waitFor(() => expect(onLogin).toHaveBeenCalledWith(childSession));
+    expect(callsTo(fetchMock, 'POST', '/login/pin')).toEqual([{ user_id: 2, pin: '1234' }]);
+  });
+
+  it('sends parents without a PIN to the password form', async () => {
+    localStorage.setItem('profiles', JSON.stringify([{ id: 1, name: 'Sam', role: 'admin', has_pin: false }]));
+    mockApi({});
+    render(<AuthPage onLogin={vi.fn()} />);
+
+    await userEvent.click(screen.getByRole('button', { name: /Sam/ }));
+    expect(screen.getByPlaceholderText('Name').value).toBe('Sam');
+    expect(screen.getByPlaceholderText('Password')).toBeTruthy();
+  });
+});
@@ -0,0 +1,7 @@
+export default function Avatar({ profile, className = 'w-16 h-16 text-3xl' }) {
+  return (
+    <span className={`inline-flex items-center justify-center rounded-full bg-slate-700 ${className}`}>
+      {profile.avatar || profile.name.charAt(0).toUpperCase()}
+    </span>
+  );
+}
@@ -0,0 +1,16 @@
+import { formatCents } from '../lib/money.js';
+
+// --- Per-bucket balance chips ---
+export default function BucketTotals({ buckets, className = '' }) {
+    if (buckets.length === 0) return null;
+    return (
+        <div className={`flex flex-wrap gap-2 ${className}`}>
+            {buckets.map(bucket => (
+                <span key={bucket.name} className="text-xs bg-slate-900/60 rounded-full px-3 py-1">
+                    <span className="text-slate-400">{bucket.name}</span>{' '}
+                    <span className={bucket.balance_cents >= 0 ? 'text-green-400' : 'text-red-400'}>{formatCents(bucket.balance_cents)}</span>
+                </span>
+            ))}
+        </div>
+    );
+}
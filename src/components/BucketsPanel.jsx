@@ -0,0 +1,159 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from '../lib/api.js';
+import { formatCents } from '../lib/money.js';
+
+// --- Buckets Panel: balances, transfers and (for admins) bucket setup ---
+export default function BucketsPanel({ currentUser, childrenList, refreshKey, onChanged }) {
+    const isAdmin = currentUser.role === 'admin';
+    const [panelChild, setPanelChild] = useState('');
+    const [buckets, setBuckets] = useState([]);
+    const [fromId, setFromId] = useState('');
+    const [toId, setToId] = useState('');
+    const [transferAmount, setTransferAmount] = useState('');
+    const [newBucketName, setNewBucketName] = useState('');
+    const [splits, setSplits] = useState({});
+    const [error, setError] = useState('');
+    const childName = isAdmin ? (panelChild || childrenList[0]?.name) : currentUser.name;
+
+    const fetchBuckets = useCallback(async () => {
+        if (!childName) return;
+        try {
+            const query = isAdmin ? `?child_name=${encodeURIComponent(childName)}` : '';
+            const data = await apiFetch(`/buckets${query}`);
+            setBuckets(data);
+            setSplits(Object.fromEntries(data.map(b => [b.id, String(parseFloat(b.split_percent))])));
+        } catch (err) {
+            console.error("Failed to fetch buckets:", err);
+        }
+    }, [childName, isAdmin]);
+
+    useEffect(() => {
+        fetchBuckets();
+    }, [fetchBuckets, refreshKey]);
+
+    const handleTransfer = async (e) => {
+        e.preventDefault();
+        setError('');
+        try {
+            await apiFetch('/transfers', {
+                method: 'POST',
+                body: JSON.stringify({
+                    child_name: childName,
+                    from_bucket_id: fromId || buckets[0]?.id,
+                    to_bucket_id: toId || buckets[1]?.id,
+                    amount: parseFloat(transferAmount),
+                }),
+            });
+            setTransferAmount('');
+            onChanged();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleAddBucket = async (e) => {
+        e.preventDefault();
+        setError('');
+        try {
+            await apiFetch('/buckets', { method: 'POST', body: JSON.stringify({ child_name: childName, name: newBucketName }) });
+            setNewBucketName('');
+            fetchBuckets();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleSaveSplits = async () => {
+        setError('');
+        try {
+            await apiFetch('/buckets/split', {
+                method: 'PUT',
+                body: JSON.stringify({
+                    child_name: childName,
+                    splits: buckets.map(b => ({ id: b.id, split_percent: parseFloat(splits[b.id]) || 0 })),
+                }),
+            });
+            fetchBuckets();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleDeleteBucket = async (bucket) => {
+        if (!window.confirm(`Delete the ${bucket.name} bucket?`)) return;
+        setError('');
+        try {
+            await apiFetch(`/buckets/${bucket.id}`, { method: 'DELETE' });
+            fetchBuckets();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const splitTotal = Object.values(splits).reduce((sum, value) => sum + (parseFloat(value) || 0), 0);
+
+    return (
+        <div className="bg-slate-800 p-6 rounded-xl shadow-lg mb-8">
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                <h2 className="text-2xl font-bold text-cyan-400">Buckets</h2>
+                {isAdmin && (
+                    <select value={childName || ''} onChange={e => setPanelChild(e.target.value)} className="bg-slate-700 p-2 rounded-md focus:ring-2 focus:ring-cyan-500 focus:outline-none">
+                        {childrenList.map(child => (
+                            <option key={child.name} value={child.name}>{child.name}</option>
+                        ))}
+                    </select>
+                )}
+            </div>
+            {error && <p className="text-red-400 mb-4">{error}</p>}
+
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                {buckets.map(bucket => (
+                    <div key={bucket.id} className="bg-slate-700 p-4 rounded-lg">
+                        <div className="flex justify-between items-center">
+                            <span className="font-bold text-slate-200">{bucket.name}</span>
+                            {isAdmin && (
+                                <button onClick={() => handleDeleteBucket(bucket)} className="text-xs text-slate-400 hover:text-red-400" aria-label={`Delete ${bucket.name}`}>✕</button>
+                            )}
+                        </div>
+                        <p className={`text-2xl font-semibold mt-1 ${bucket.balance_cents >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                            {formatCents(bucket.balance_cents)}
+                        </p>
+                        {isAdmin && (
+                            <label className="flex items-center gap-2 mt-2 text-sm text-slate-400">
+                                Split
+                                <input type="number" min="0" max="100" step="1" value={splits[bucket.id] ?? ''} onChange={e => setSplits(prev => ({ ...prev, [bucket.id]: e.target.value }))} className="bg-slate-800 p-1 rounded-md w-16 focus:ring-2 focus:ring-cyan-500 focus:outline-none"/>
+                                %
+                            </label>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            {isAdmin && (
+                <div className="flex flex-wrap items-center justify-between gap-4 mt-4">
+                    <form onSubmit={handleAddBucket} className="flex gap-2">
+                        <input type="text" value={newBucketName} onChange={e => setNewBucketName(e.target.value)} placeholder="New bucket name" required className="bg-slate-700 p-2 rounded-md focus:ring-2 focus:ring-cyan-500 focus:outline-none"/>
+                        <button type="submit" className="bg-slate-600 hover:bg-slate-500 text-white py-2 px-4 rounded-md">Add Bucket</button>
+                    </form>
+                    <div className="flex items-center gap-2">
+                        <span className={`text-sm ${splitTotal === 100 ? 'text-slate-400' : 'text-yellow-400'}`}>Split total: {splitTotal}%</span>
+                        <button onClick={handleSaveSplits} disabled={splitTotal !== 100} className="bg-cyan-600 hover:bg-cyan-700 text-white py-2 px-4 rounded-md disabled:opacity-50 disabled:cursor-not-allowed">Save Splits</button>
+                    </div>
+                </div>
+            )}
+
+            {buckets.length > 1 && (
+                <form onSubmit={handleTransfer} className="grid grid-cols-1 sm:grid-cols-4 gap-4 items-end mt-6 border-t border-slate-700 pt-4">
+                    <select value={fromId || buckets[0]?.id} onChange={e => setFromId(e.target.value)} className="bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none">
+                        {buckets.map(b => <option key={b.id} value={b.id}>From {b.name}</option>)}
+                    </select>
+                    <select value={toId || buckets[1]?.id} onChange={e => setToId(e.target.value)} className="bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none">
+                        {buckets.map(b => <option key={b.id} value={b.id}>To {b.name}</option>)}
+                    </select>
+                    <input type="number" min="0.01" step="0.01" value={transferAmount} onChange={e => setTransferAmount(e.target.value)} placeholder="Amount" required className="bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none"/>
+                    <button type="submit" className="bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-2 px-4 rounded-md w-full">Move Money</button>
+                </form>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,85 @@
+import { useState } from 'react';
+import { apiFetch } from '../lib/api.js';
+import CategoryBadge from './CategoryBadge.jsx';
+
+// --- Categories Panel (Admin Only) ---
+const emptyCategoryForm = { name: '', icon: '', color: '#22d3ee' };
+
+export default function CategoriesPanel({ categories, onChanged }) {
+    const [form, setForm] = useState(emptyCategoryForm);
+    const [editingId, setEditingId] = useState(null);
+    const [error, setError] = useState('');
+
+    const updateForm = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+    const resetForm = () => {
+        setForm(emptyCategoryForm);
+        setEditingId(null);
+        setError('');
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        try {
+            if (editingId) {
+                await apiFetch(`/categories/${editingId}`, { method: 'PUT', body: JSON.stringify(form) });
+            } else {
+                await apiFetch('/categories', { method: 'POST', body: JSON.stringify(form) });
+            }
+            resetForm();
+            onChanged();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleEdit = (category) => {
+        setEditingId(category.id);
+        setForm({ name: category.name, icon: category.icon || '', color: category.color || '#22d3ee' });
+    };
+
+    const handleDelete = async (category) => {
+        if (!window.confirm(`Delete the "${category.name}" category? Its entries will become Uncategorized.`)) return;
+        try {
+            await apiFetch(`/categories/${category.id}`, { method: 'DELETE' });
+            if (editingId === category.id) resetForm();
+            onChanged();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const inputClass = "bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none";
+
+    return (
+        <div className="bg-slate-800 p-6 rounded-xl shadow-lg mb-8">
+            <h2 className="text-2xl font-bold mb-4 text-cyan-400">Categories</h2>
+            <form onSubmit={handleSubmit} className="grid grid-cols-1 sm:grid-cols-4 gap-4 items-end">
+                {error && <p className="sm:col-span-4 text-red-400">{error}</p>}
+                <input type="text" value={form.name} onChange={e => updateForm('name', e.target.value)} placeholder="Name, e.g. Candy" required className={`${inputClass} sm:col-span-2`}/>
+                <input type="text" value={form.icon} onChange={e => updateForm('icon', e.target.value)} placeholder="Emoji 🍬" className={inputClass}/>
+                <input type="color" value={form.color} onChange={e => updateForm('color', e.target.value)} title="Colour" className="bg-slate-700 h-10 w-full rounded-md cursor-pointer"/>
+                <div className="flex gap-2 sm:col-span-4">
+                    <button type="submit" className="flex-1 bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-2 px-4 rounded-md">
+                        {editingId ? 'Save' : 'Add Category'}
+                    </button>
+                    {editingId && (
+                        <button type="button" onClick={resetForm} className="bg-slate-600 hover:bg-slate-500 text-white py-2 px-4 rounded-md">Cancel</button>
+                    )}
+                </div>
+            </form>
+            <ul className="flex flex-wrap gap-2 mt-6">
+                {categories.map(category => (
+                    <li key={category.id} className="flex items-center gap-2 bg-slate-700 px-3 py-1 rounded-full text-sm">
+                        <CategoryBadge category={category} />
+                        <button onClick={() => handleEdit(category)} className="text-xs text-cyan-400 hover:underline">Edit</button>
+                        {!category.is_default && (
+                            <button onClick={() => handleDelete(category)} className="text-xs text-red-400 hover:underline">Delete</button>
+                        )}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
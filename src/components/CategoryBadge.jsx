@@ -0,0 +1,18 @@
+// --- Categories ---
+// Shows a category as "icon name" in its colour. Accepts a category row or a transaction's
+// category_name / category_icon / category_color columns.
+export default function CategoryBadge({ category, className = '' }) {
+    const name = category.name ?? category.category_name ?? 'Uncategorized';
+    const icon = category.icon ?? category.category_icon;
+    const color = category.color ?? category.category_color;
+    return (
+        <span className={className} style={color ? { color } : undefined}>
+            {icon && <span className="mr-1">{icon}</span>}{name}
+        </span>
+    );
+}
+
+export function TagList({ tags }) {
+    if (!tags || tags.length === 0) return null;
+    return tags.map(tag => <span key={tag} className="ml-1 text-cyan-300">#{tag}</span>);
+}
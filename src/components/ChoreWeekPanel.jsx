@@ -0,0 +1,67 @@
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../lib/api.js';
+import { todayString } from '../lib/dates.js';
+import { formatCents, formatAmount } from '../lib/money.js';
+
+// --- Chores This Week: what each child has done, week by week ---
+export default function ChoreWeekPanel({ refreshKey }) {
+    const [week, setWeek] = useState(todayString);
+    const [data, setData] = useState(null);
+
+    useEffect(() => {
+        apiFetch(`/chores/week?week=${week}`)
+            .then(setData)
+            .catch(err => console.error("Failed to fetch chore week:", err));
+    }, [week, refreshKey]);
+
+    const shiftWeek = (days) => {
+        const [y, m, d] = (data?.week_start || week).split('-').map(Number);
+        const date = new Date(y, m - 1, d + days);
+        setWeek(`${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`);
+    };
+
+    if (!data || data.children.length === 0) return null;
+
+    return (
+        <div className="bg-slate-800 p-6 rounded-xl shadow-lg mb-8">
+            <div className="flex items-center justify-between mb-4">
+                <h2 className="text-2xl font-bold text-cyan-400">Chores This Week</h2>
+                <div className="flex items-center gap-2 text-sm">
+                    <button onClick={() => shiftWeek(-7)} className="px-2 py-1 rounded bg-slate-700 hover:bg-slate-600">‹</button>
+                    <span className="text-slate-400">Week of {data.week_start}</span>
+                    <button onClick={() => shiftWeek(7)} disabled={data.week_end > todayString()} className="px-2 py-1 rounded bg-slate-700 hover:bg-slate-600 disabled:opacity-50">›</button>
+                </div>
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                {data.children.map(child => (
+                    <div key={child.child_name} className="bg-slate-700 p-3 rounded-md">
+                        <div className="flex items-center justify-between mb-2">
+                            <span className="font-semibold">{child.child_name}</span>
+                            <span className="text-sm text-green-400">
+                                {formatCents(child.approved_cents)}
+                                {child.pending_cents > 0 && <span className="text-yellow-400"> (+{formatCents(child.pending_cents)} waiting)</span>}
+                            </span>
+                        </div>
+                        {child.completions.length === 0 ? (
+                            <p className="text-slate-500 italic text-sm">No chores done.</p>
+                        ) : (
+                            <ul className="text-sm space-y-1">
+                                {child.completions.map(completion => (
+                                    <li key={completion.transaction_id} className="flex justify-between">
+                                        <span className={completion.status === 'declined' ? 'line-through text-slate-500' : ''}>
+                                            {completion.description.replace(/^Chore: /, '')}
+                                            <span className="text-xs text-slate-400 ml-2">{new Date(completion.completed_at).toLocaleDateString(undefined, { weekday: 'short' })}</span>
+                                        </span>
+                                        <span className={{ approved: 'text-green-400', pending: 'text-yellow-400', declined: 'text-slate-500' }[completion.status]}>
+                                            {formatAmount(completion.amount)}
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
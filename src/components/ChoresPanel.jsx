@@ -0,0 +1,162 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from '../lib/api.js';
+import { formatAmount } from '../lib/money.js';
+
+// --- Chores Panel: admins manage the catalogue, children mark chores done ---
+const RECURRENCE_LABELS = { anytime: 'Any time', once: 'Once', daily: 'Once a day', weekly: 'Once a week' };
+
+export default function ChoresPanel({ currentUser, childrenList, refreshKey, onChanged }) {
+    const [chores, setChores] = useState([]);
+    const [editingId, setEditingId] = useState(null);
+    const [error, setError] = useState('');
+    const emptyForm = { name: '', reward: '', recurrence: 'weekly', assigned_to: [] };
+    const [form, setForm] = useState(emptyForm);
+    const isAdmin = currentUser.role === 'admin';
+
+    const fetchChores = useCallback(async () => {
+        try {
+            setChores(await apiFetch('/chores'));
+        } catch (err) {
+            console.error("Failed to fetch chores:", err);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchChores();
+    }, [fetchChores, refreshKey]);
+
+    const resetForm = () => {
+        setForm(emptyForm);
+        setEditingId(null);
+        setError('');
+    };
+
+    const toggleAssignee = (name) => setForm(prev => ({
+        ...prev,
+        assigned_to: prev.assigned_to.includes(name) ? prev.assigned_to.filter(n => n !== name) : [...prev.assigned_to, name],
+    }));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        const body = { ...form, reward: parseFloat(form.reward) };
+        try {
+            if (editingId) {
+                await apiFetch(`/chores/${editingId}`, { method: 'PUT', body: JSON.stringify(body) });
+            } else {
+                await apiFetch('/chores', { method: 'POST', body: JSON.stringify(body) });
+            }
+            resetForm();
+            fetchChores();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleEdit = (chore) => {
+        setEditingId(chore.id);
+        setForm({ name: chore.name, reward: String(parseFloat(chore.reward)), recurrence: chore.recurrence, assigned_to: chore.assigned_to });
+    };
+
+    const handleToggleActive = async (chore) => {
+        try {
+            await apiFetch(`/chores/${chore.id}`, { method: 'PUT', body: JSON.stringify({ active: !chore.active }) });
+            fetchChores();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleDelete = async (chore) => {
+        if (!window.confirm(`Delete the chore "${chore.name}"? Requests it already created are kept.`)) return;
+        try {
+            await apiFetch(`/chores/${chore.id}`, { method: 'DELETE' });
+            setChores(chores.filter(c => c.id !== chore.id));
+            if (editingId === chore.id) resetForm();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleComplete = async (chore) => {
+        setError('');
+        try {
+            await apiFetch(`/chores/${chore.id}/complete`, { method: 'POST' });
+            // The new pending request shows up in the pending list
+            onChanged();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    if (!isAdmin && chores.length === 0) return null;
+
+    return (
+        <div className="bg-slate-800 p-6 rounded-xl shadow-lg mb-8">
+            <h2 className="text-2xl font-bold mb-4 text-cyan-400">Chores</h2>
+            {error && <p className="text-red-400 mb-4">{error}</p>}
+
+            {isAdmin && (
+                <form onSubmit={handleSubmit} className="grid grid-cols-1 sm:grid-cols-3 gap-4 items-end mb-6">
+                    <input type="text" value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} placeholder="Chore (e.g. Mow the lawn)" required className="bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none"/>
+                    <input type="number" min="0.01" step="0.01" value={form.reward} onChange={e => setForm({ ...form, reward: e.target.value })} placeholder="Reward" required className="bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none"/>
+                    <select value={form.recurrence} onChange={e => setForm({ ...form, recurrence: e.target.value })} className="bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none">
+                        {Object.entries(RECURRENCE_LABELS).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+                    <div className="sm:col-span-2 flex flex-wrap items-center gap-3 text-sm text-slate-400">
+                        <span>For:</span>
+                        {childrenList.map(child => (
+                            <label key={child.name} className="flex items-center gap-1">
+                                <input type="checkbox" checked={form.assigned_to.includes(child.name)} onChange={() => toggleAssignee(child.name)} />
+                                {child.name}
+                            </label>
+                        ))}
+                        {form.assigned_to.length === 0 && <span className="italic">anyone</span>}
+                    </div>
+                    <div className="flex gap-2">
+                        <button type="submit" className="flex-1 bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-2 px-4 rounded-md">
+                            {editingId ? 'Save' : 'Add Chore'}
+                        </button>
+                        {editingId && (
+                            <button type="button" onClick={resetForm} className="bg-slate-600 hover:bg-slate-500 text-white py-2 px-4 rounded-md">Cancel</button>
+                        )}
+                    </div>
+                </form>
+            )}
+
+            <ul className="space-y-3">
+                {chores.length === 0 && <p className="text-slate-500 italic">No chores yet.</p>}
+                {chores.map(chore => (
+                    <li key={chore.id} className={`flex flex-wrap items-center justify-between bg-slate-700 p-3 rounded-md ${chore.active ? '' : 'opacity-60'}`}>
+                        <div>
+                            <span className="font-semibold">{chore.name}</span>
+                            <span className="text-xs text-slate-400 block">
+                                {RECURRENCE_LABELS[chore.recurrence]}
+                                {isAdmin && <><span className="mx-1">•</span>{chore.assigned_to.length > 0 ? chore.assigned_to.join(', ') : 'Anyone'}</>}
+                                {!chore.active && <><span className="mx-1">•</span><span className="text-yellow-400">Retired</span></>}
+                            </span>
+                        </div>
+                        <div className="flex items-center gap-4">
+                            <span className="font-semibold text-green-400">+{formatAmount(chore.reward)}</span>
+                            {isAdmin ? (
+                                <div className="flex gap-2">
+                                    <button onClick={() => handleEdit(chore)} className="bg-slate-600 hover:bg-slate-500 text-white py-1 px-3 rounded-md text-sm">Edit</button>
+                                    <button onClick={() => handleToggleActive(chore)} className="bg-yellow-600 hover:bg-yellow-700 text-white py-1 px-3 rounded-md text-sm">{chore.active ? 'Retire' : 'Bring Back'}</button>
+                                    <button onClick={() => handleDelete(chore)} className="bg-red-500 hover:bg-red-600 text-white py-1 px-3 rounded-md text-sm">Delete</button>
+                                </div>
+                            ) : chore.claim_status ? (
+                                <span className={`text-sm ${chore.claim_status === 'approved' ? 'text-green-400' : 'text-yellow-400'}`}>
+                                    {chore.claim_status === 'approved' ? 'Paid ✓' : 'Waiting for a parent'}
+                                </span>
+                            ) : (
+                                <button onClick={() => handleComplete(chore)} className="bg-green-500 hover:bg-green-600 text-white font-bold py-1 px-3 rounded-md text-sm">I did it!</button>
+                            )}
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
@@ -0,0 +1,91 @@
+import { useState } from 'react';
+import { apiFetch } from '../lib/api.js';
+import { COMMON_CURRENCIES } from '../lib/money.js';
+
+// --- Currency Settings Panel (Admin Only): household currency, locale and manual exchange rates ---
+export default function CurrencySettingsPanel({ household, onChanged }) {
+    const [currency, setCurrency] = useState(household.currency);
+    const [locale, setLocale] = useState(household.locale || '');
+    const [rateForm, setRateForm] = useState({ currency: '', rate: '' });
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+
+    const run = async (action, successMessage) => {
+        setMessage('');
+        setError('');
+        try {
+            await action();
+            setMessage(successMessage);
+            onChanged();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleSaveSettings = (e) => {
+        e.preventDefault();
+        if (currency !== household.currency && !window.confirm(`Switch the family currency to ${currency}? This can only be done before any money has been entered.`)) return;
+        run(() => apiFetch('/household', { method: 'PUT', body: JSON.stringify({ currency, locale: locale.trim() || null }) }), 'Currency settings saved.');
+    };
+
+    const handleSaveRate = (e) => {
+        e.preventDefault();
+        if (!rateForm.currency || !rateForm.rate) return;
+        run(async () => {
+            await apiFetch(`/exchange-rates/${rateForm.currency}`, { method: 'PUT', body: JSON.stringify({ rate: parseFloat(rateForm.rate) }) });
+            setRateForm({ currency: '', rate: '' });
+        }, `Saved the ${rateForm.currency} rate.`);
+    };
+
+    const handleDeleteRate = (rate) => {
+        if (!window.confirm(`Remove the ${rate.currency} exchange rate?`)) return;
+        run(() => apiFetch(`/exchange-rates/${rate.currency}`, { method: 'DELETE' }), `Removed the ${rate.currency} rate.`);
+    };
+
+    const inputClass = "bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none";
+    const currencyOptions = [...new Set([household.currency, ...COMMON_CURRENCIES])];
+
+    return (
+        <div className="bg-slate-800 p-6 rounded-xl shadow-lg mb-8">
+            <h2 className="text-2xl font-bold mb-4 text-cyan-400">Currency</h2>
+            {message && <p className="text-green-400 mb-2">{message}</p>}
+            {error && <p className="text-red-400 mb-2">{error}</p>}
+            <form onSubmit={handleSaveSettings} className="grid grid-cols-1 sm:grid-cols-3 gap-4 items-end">
+                <label className="text-sm text-slate-400">
+                    Family currency
+                    <select value={currency} onChange={e => setCurrency(e.target.value)} className={`${inputClass} mt-1`}>
+                        {currencyOptions.map(code => <option key={code} value={code}>{code}</option>)}
+                    </select>
+                </label>
+                <label className="text-sm text-slate-400">
+                    Number format (locale)
+                    <input type="text" value={locale} onChange={e => setLocale(e.target.value)} placeholder="This device's setting" className={`${inputClass} mt-1`}/>
+                </label>
+                <button type="submit" className="bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-2 px-4 rounded-md">Save</button>
+            </form>
+
+            <h3 className="text-lg font-semibold text-slate-300 mt-6 mb-2">Exchange rates</h3>
+            <p className="text-sm text-slate-400 mb-3">Used to show a combined total for money in other currencies. Rates are never fetched automatically.</p>
+            <ul className="space-y-2 mb-4">
+                {household.rates.length === 0 && <p className="text-slate-500 italic">No exchange rates yet.</p>}
+                {household.rates.map(rate => (
+                    <li key={rate.currency} className="flex items-center justify-between bg-slate-700 p-3 rounded-md">
+                        <span>
+                            1 {rate.currency} = {rate.rate} {household.currency}
+                            <span className="text-xs text-slate-400 block">Updated {new Date(rate.updated_at).toLocaleDateString()}{rate.updated_by && ` by ${rate.updated_by}`}</span>
+                        </span>
+                        <button onClick={() => handleDeleteRate(rate)} className="bg-red-500 hover:bg-red-600 text-white py-1 px-3 rounded-md text-sm">Remove</button>
+                    </li>
+                ))}
+            </ul>
+            <form onSubmit={handleSaveRate} className="grid grid-cols-1 sm:grid-cols-3 gap-4 items-end">
+                <select value={rateForm.currency} onChange={e => setRateForm(prev => ({ ...prev, currency: e.target.value }))} className={inputClass}>
+                    <option value="">Currency…</option>
+                    {COMMON_CURRENCIES.filter(code => code !== household.currency).map(code => <option key={code} value={code}>{code}</option>)}
+                </select>
+                <input type="number" min="0.00000001" step="any" value={rateForm.rate} onChange={e => setRateForm(prev => ({ ...prev, rate: e.target.value }))} placeholder={`Worth in ${household.currency}`} className={inputClass}/>
+                <button type="submit" className="bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-2 px-4 rounded-md">Set Rate</button>
+            </form>
+        </div>
+    );
+}
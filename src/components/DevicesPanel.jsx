@@ -0,0 +1,60 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from '../lib/api.js';
+import { describeDevice } from '../lib/devices.js';
+
+// --- Devices Panel (Admin Only): logged-in sessions, so a lost tablet can be logged out ---
+
+export default function DevicesPanel() {
+    const [sessions, setSessions] = useState([]);
+    const [error, setError] = useState('');
+
+    const fetchSessions = useCallback(async () => {
+        try {
+            setSessions(await apiFetch('/sessions'));
+        } catch (err) {
+            console.error("Failed to fetch sessions:", err);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchSessions();
+    }, [fetchSessions]);
+
+    const handleRevoke = async (session) => {
+        if (!window.confirm(`Log ${session.name} out of ${describeDevice(session.user_agent)}?`)) return;
+        setError('');
+        try {
+            await apiFetch(`/sessions/${session.id}`, { method: 'DELETE' });
+            setSessions(sessions.filter(s => s.id !== session.id));
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="bg-slate-800 p-6 rounded-xl shadow-lg mb-8">
+            <h2 className="text-2xl font-bold mb-4 text-cyan-400">Logged-in Devices</h2>
+            {error && <p className="text-red-400 mb-4">{error}</p>}
+            <ul className="space-y-2">
+                {sessions.map(session => (
+                    <li key={session.id} className="flex flex-wrap items-center justify-between bg-slate-700 p-3 rounded-md">
+                        <div>
+                            <span className="font-semibold">{session.name}</span>
+                            <span className="text-sm text-slate-300 ml-2">{describeDevice(session.user_agent)}</span>
+                            <span className="text-xs text-slate-400 block">
+                                {session.amr === 'pin' ? 'PIN' : 'Password'} login
+                                <span className="mx-1">•</span>
+                                Last active {new Date(session.last_used_at).toLocaleString()}
+                            </span>
+                        </div>
+                        {session.current ? (
+                            <span className="text-xs text-green-400">This device</span>
+                        ) : (
+                            <button onClick={() => handleRevoke(session)} className="bg-red-500 hover:bg-red-600 text-white py-1 px-3 rounded-md text-sm">Log Out</button>
+                        )}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
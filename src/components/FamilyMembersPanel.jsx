@@ -0,0 +1,190 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from '../lib/api.js';
+import { AVATAR_CHOICES } from '../lib/profiles.js';
+import AuditTimeline from './AuditTimeline.jsx';
+import Avatar from './Avatar.jsx';
+
+// --- Family Members Panel (Admin Only): add, rename, reset, disable, archive, promote ---
+const STATUS_STYLES = { active: 'text-green-400', disabled: 'text-yellow-400', archived: 'text-slate-500' };
+
+export default function FamilyMembersPanel({ currentUser, onChanged }) {
+    const [users, setUsers] = useState([]);
+    const [newName, setNewName] = useState('');
+    const [newPassword, setNewPassword] = useState('');
+    // Inline edit for one row at a time: { id, action: 'rename' | 'password' | 'pin' | 'avatar' | 'activity', value }
+    const [editing, setEditing] = useState(null);
+    const [showArchived, setShowArchived] = useState(false);
+    const [error, setError] = useState('');
+
+    const fetchUsers = useCallback(async () => {
+        try {
+            setUsers(await apiFetch('/users'));
+        } catch (err) {
+            console.error("Failed to fetch users:", err);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchUsers();
+    }, [fetchUsers]);
+
+    // Runs an admin action, then reloads both this list and the children dropdowns
+    const runAction = async (request) => {
+        setError('');
+        try {
+            await request();
+            setEditing(null);
+            fetchUsers();
+            onChanged();
+            return true;
+        } catch (err) {
+            setError(err.message);
+            return false;
+        }
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        const created = await runAction(() => apiFetch('/users', {
+            method: 'POST',
+            body: JSON.stringify({ name: newName, password: newPassword }),
+        }));
+        if (created) {
+            setNewName('');
+            setNewPassword('');
+        }
+    };
+
+    const handleEditSubmit = (e) => {
+        e.preventDefault();
+        const { id, action, value } = editing;
+        const requests = {
+            rename: () => apiFetch(`/users/${id}`, { method: 'PUT', body: JSON.stringify({ name: value }) }),
+            password: () => apiFetch(`/users/${id}/password`, { method: 'PUT', body: JSON.stringify({ password: value }) }),
+            pin: () => apiFetch(`/users/${id}/pin`, { method: 'PUT', body: JSON.stringify({ pin: value }) }),
+        };
+        runAction(requests[action]);
+    };
+
+    const removePin = (user) => {
+        if (!window.confirm(`Remove ${user.name}'s PIN? They will need their password to log in.`)) return;
+        runAction(() => apiFetch(`/users/${user.id}/pin`, { method: 'DELETE' }));
+    };
+
+    const setAvatar = (user, avatar) => {
+        runAction(() => apiFetch(`/users/${user.id}/avatar`, { method: 'PUT', body: JSON.stringify({ avatar }) }));
+    };
+
+    const setStatus = (user, status) => {
+        if (status === 'archived' && !window.confirm(`Archive ${user.name}? They won't be able to log in and will be hidden from lists.`)) return;
+        runAction(() => apiFetch(`/users/${user.id}/status`, { method: 'PUT', body: JSON.stringify({ status }) }));
+    };
+
+    const promote = (user) => {
+        if (!window.confirm(`Make ${user.name} a parent? They will be able to approve transactions and manage the family.`)) return;
+        runAction(() => apiFetch(`/users/${user.id}/promote`, { method: 'PUT' }));
+    };
+
+    const visibleUsers = users.filter(u => showArchived || u.status !== 'archived');
+    const buttonClass = "bg-slate-600 hover:bg-slate-500 text-white py-1 px-3 rounded-md text-sm";
+
+    return (
+        <div className="bg-slate-800 p-6 rounded-xl shadow-lg mb-8">
+            <div className="flex items-center justify-between mb-4">
+                <h2 className="text-2xl font-bold text-cyan-400">Family Members</h2>
+                <label className="flex items-center gap-2 text-sm text-slate-400">
+                    <input type="checkbox" checked={showArchived} onChange={e => setShowArchived(e.target.checked)} />
+                    Show archived
+                </label>
+            </div>
+            {error && <p className="text-red-400 mb-4">{error}</p>}
+
+            <form onSubmit={handleCreate} className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                <input type="text" value={newName} onChange={e => setNewName(e.target.value)} placeholder="Child's name" required className="bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none"/>
+                <input type="password" value={newPassword} onChange={e => setNewPassword(e.target.value)} placeholder="Password" required minLength={6} autoComplete="new-password" className="bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none"/>
+                <button type="submit" className="bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-2 px-4 rounded-md">Add Child</button>
+            </form>
+
+            <ul className="space-y-3 mt-6">
+                {visibleUsers.map(user => (
+                    <li key={user.id} className={`bg-slate-700 p-3 rounded-md ${user.status === 'archived' ? 'opacity-60' : ''}`}>
+                        <div className="flex flex-wrap items-center justify-between gap-2">
+                            <div className="flex items-center gap-3">
+                                <button onClick={() => setEditing({ id: user.id, action: 'avatar' })} title="Change avatar">
+                                    <Avatar profile={user} className="w-10 h-10 text-xl hover:ring-2 hover:ring-cyan-500" />
+                                </button>
+                                <div>
+                                    <span className="font-semibold">{user.name}</span>
+                                    <span className="text-xs text-slate-400 block">
+                                        {user.role === 'admin' ? 'Parent' : 'Child'}
+                                        <span className="mx-1">•</span>
+                                        <span className={STATUS_STYLES[user.status]}>{user.status}</span>
+                                        {user.role === 'child' && user.has_pin ? (
+                                            <><span className="mx-1">•</span>PIN login</>
+                                        ) : null}
+                                    </span>
+                                </div>
+                            </div>
+                            {user.id !== currentUser.id && (
+                                <div className="flex flex-wrap gap-2">
+                                    {user.role === 'child' && (
+                                        <>
+                                            <button onClick={() => setEditing({ id: user.id, action: 'rename', value: user.name })} className={buttonClass}>Rename</button>
+                                            <button onClick={() => setEditing({ id: user.id, action: 'password', value: '' })} className={buttonClass}>Reset Password</button>
+                                            <button onClick={() => setEditing({ id: user.id, action: 'pin', value: '' })} className={buttonClass}>{user.has_pin ? 'Change PIN' : 'Set PIN'}</button>
+                                            {user.has_pin ? (
+                                                <button onClick={() => removePin(user)} className={buttonClass}>Remove PIN</button>
+                                            ) : null}
+                                            <button onClick={() => promote(user)} className={buttonClass}>Make Parent</button>
+                                            <button onClick={() => setEditing(editing?.id === user.id && editing.action === 'activity' ? null : { id: user.id, action: 'activity' })} className={buttonClass}>Activity</button>
+                                        </>
+                                    )}
+                                    {user.status === 'active' && (
+                                        <button onClick={() => setStatus(user, 'disabled')} className="bg-yellow-600 hover:bg-yellow-700 text-white py-1 px-3 rounded-md text-sm">Disable</button>
+                                    )}
+                                    {user.status !== 'active' && (
+                                        <button onClick={() => setStatus(user, 'active')} className="bg-green-500 hover:bg-green-600 text-white py-1 px-3 rounded-md text-sm">Enable</button>
+                                    )}
+                                    {user.status !== 'archived' && (
+                                        <button onClick={() => setStatus(user, 'archived')} className="bg-red-500 hover:bg-red-600 text-white py-1 px-3 rounded-md text-sm">Archive</button>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                        {editing?.id === user.id && editing.action === 'avatar' && (
+                            <div className="flex flex-wrap items-center gap-2 mt-3">
+                                {AVATAR_CHOICES.map(emoji => (
+                                    <button key={emoji} onClick={() => setAvatar(user, emoji)} className={`text-2xl p-1 rounded-md hover:bg-slate-600 ${user.avatar === emoji ? 'ring-2 ring-cyan-500' : ''}`}>{emoji}</button>
+                                ))}
+                                {user.avatar && <button onClick={() => setAvatar(user, null)} className={buttonClass}>Use initial</button>}
+                                <button onClick={() => setEditing(null)} className={buttonClass}>Cancel</button>
+                            </div>
+                        )}
+                        {editing?.id === user.id && editing.action === 'activity' && (
+                            <AuditTimeline query={`child_id=${user.id}`} />
+                        )}
+                        {editing?.id === user.id && ['rename', 'password', 'pin'].includes(editing.action) && (
+                            <form onSubmit={handleEditSubmit} className="flex gap-2 mt-3">
+                                <input
+                                    type={editing.action === 'rename' ? 'text' : 'password'}
+                                    value={editing.value}
+                                    onChange={e => setEditing({ ...editing, value: e.target.value })}
+                                    placeholder={{ rename: 'New name', password: 'New password', pin: 'New 4-6 digit PIN' }[editing.action]}
+                                    required
+                                    minLength={editing.action === 'password' ? 6 : undefined}
+                                    pattern={editing.action === 'pin' ? '\\d{4,6}' : undefined}
+                                    inputMode={editing.action === 'pin' ? 'numeric' : undefined}
+                                    autoComplete={editing.action === 'rename' ? 'off' : 'new-password'}
+                                    autoFocus
+                                    className="bg-slate-800 p-2 rounded-md flex-1 focus:ring-2 focus:ring-cyan-500 focus:outline-none"
+                                />
+                                <button type="submit" className="bg-cyan-600 hover:bg-cyan-700 text-white py-1 px-3 rounded-md text-sm">Save</button>
+                                <button type="button" onClick={() => setEditing(null)} className={buttonClass}>Cancel</button>
+                            </form>
+                        )}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
@@ -0,0 +1,162 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from '../lib/api.js';
+import { formatAmount } from '../lib/money.js';
+
+// --- Savings Goals Panel ---
+export default function GoalsPanel({ currentUser, childrenList, refreshKey }) {
+    const [goals, setGoals] = useState([]);
+    const [name, setName] = useState('');
+    const [targetAmount, setTargetAmount] = useState('');
+    const [deadline, setDeadline] = useState('');
+    const [funding, setFunding] = useState('balance');
+    const [goalChild, setGoalChild] = useState('');
+    const [setAsideAmounts, setSetAsideAmounts] = useState({});
+    const [showFinished, setShowFinished] = useState(false);
+    const [error, setError] = useState('');
+    const isAdmin = currentUser.role === 'admin';
+
+    const fetchGoals = useCallback(async () => {
+        try {
+            const data = await apiFetch('/goals');
+            setGoals(data);
+        } catch (err) {
+            console.error("Failed to fetch goals:", err);
+        }
+    }, []);
+
+    // Progress depends on the balance, so refetch whenever the transactions change
+    useEffect(() => {
+        fetchGoals();
+    }, [fetchGoals, refreshKey]);
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setError('');
+        try {
+            await apiFetch('/goals', {
+                method: 'POST',
+                body: JSON.stringify({
+                    name,
+                    target_amount: parseFloat(targetAmount),
+                    deadline: deadline || null,
+                    funding,
+                    child_name: isAdmin ? (goalChild || childrenList[0]?.name) : currentUser.name,
+                }),
+            });
+            setName('');
+            setTargetAmount('');
+            setDeadline('');
+            fetchGoals();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleSetAside = async (goal, direction) => {
+        const amount = parseFloat(setAsideAmounts[goal.id]);
+        if (!amount) return;
+        setError('');
+        try {
+            await apiFetch(`/goals/${goal.id}/set-aside`, {
+                method: 'PUT',
+                body: JSON.stringify({ amount: direction * amount }),
+            });
+            setSetAsideAmounts(prev => ({ ...prev, [goal.id]: '' }));
+            fetchGoals();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleStatus = async (goal, action) => {
+        if (action === 'abandon' && !window.confirm(`Abandon the goal "${goal.name}"?`)) return;
+        try {
+            await apiFetch(`/goals/${goal.id}/${action}`, { method: 'PUT' });
+            fetchGoals();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const activeGoals = goals.filter(g => g.status === 'active');
+    const finishedGoals = goals.filter(g => g.status !== 'active');
+
+    return (
+        <div className="bg-slate-800 p-6 rounded-xl shadow-lg mb-8">
+            <h2 className="text-2xl font-bold mb-4 text-cyan-400">Savings Goals</h2>
+            <form onSubmit={handleCreate} className="grid grid-cols-1 sm:grid-cols-3 gap-4 items-end">
+                {error && <p className="sm:col-span-3 text-red-400">{error}</p>}
+                <input type="text" value={name} onChange={e => setName(e.target.value)} placeholder="What are you saving for?" required className="bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none"/>
+                <input type="number" min="0.01" step="0.01" value={targetAmount} onChange={e => setTargetAmount(e.target.value)} placeholder="Target amount" required className="bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none"/>
+                <input type="date" value={deadline} onChange={e => setDeadline(e.target.value)} title="Deadline (optional)" className="bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none"/>
+                <select value={funding} onChange={e => setFunding(e.target.value)} className="bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none">
+                    <option value="balance">Track my balance</option>
+                    <option value="set_aside">Only money I set aside</option>
+                </select>
+                {isAdmin && (
+                    <select value={goalChild || childrenList[0]?.name || ''} onChange={e => setGoalChild(e.target.value)} className="bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none">
+                        {childrenList.map(child => (
+                            <option key={child.name} value={child.name}>{child.name}</option>
+                        ))}
+                    </select>
+                )}
+                <button type="submit" className={`${isAdmin ? '' : 'sm:col-span-2'} bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-2 px-4 rounded-md w-full`}>
+                    Add Goal
+                </button>
+            </form>
+
+            <ul className="space-y-3 mt-6">
+                {activeGoals.length === 0 && <p className="text-slate-500 italic">No active goals.</p>}
+                {activeGoals.map(goal => (
+                    <li key={goal.id} className="bg-slate-700 p-3 rounded-md">
+                        <div className="flex flex-wrap items-center justify-between">
+                            <div>
+                                <span className="font-semibold">{goal.name}</span>
+                                <span className="text-xs text-slate-400 block">
+                                    {isAdmin && <>{goal.child_name}<span className="mx-1">•</span></>}
+                                    {goal.funding === 'set_aside' ? 'Set-aside money' : 'Approved balance'}
+                                    {goal.deadline && <><span className="mx-1">•</span>Due {goal.deadline}</>}
+                                </span>
+                            </div>
+                            <span className="font-semibold text-slate-200">
+                                {formatAmount(goal.saved)} / {formatAmount(goal.target_amount)}
+                            </span>
+                        </div>
+                        <div className="w-full bg-slate-900 rounded-full h-3 mt-2">
+                            <div className="bg-green-500 h-3 rounded-full transition-all" style={{ width: `${Math.round(goal.progress * 100)}%` }}></div>
+                        </div>
+                        <div className="flex flex-wrap items-center justify-end gap-2 mt-2">
+                            {goal.funding === 'set_aside' && (
+                                <>
+                                    <input type="number" min="0.01" step="0.01" value={setAsideAmounts[goal.id] || ''} onChange={e => setSetAsideAmounts(prev => ({ ...prev, [goal.id]: e.target.value }))} placeholder="Amount" className="bg-slate-800 p-1 rounded-md w-24 text-sm focus:ring-2 focus:ring-cyan-500 focus:outline-none"/>
+                                    <button onClick={() => handleSetAside(goal, 1)} className="bg-cyan-600 hover:bg-cyan-700 text-white py-1 px-3 rounded-md text-sm">Set Aside</button>
+                                    <button onClick={() => handleSetAside(goal, -1)} className="bg-slate-600 hover:bg-slate-500 text-white py-1 px-3 rounded-md text-sm">Take Out</button>
+                                </>
+                            )}
+                            <button onClick={() => handleStatus(goal, 'reached')} className="bg-green-500 hover:bg-green-600 text-white py-1 px-3 rounded-md text-sm">Reached</button>
+                            <button onClick={() => handleStatus(goal, 'abandon')} className="bg-red-500 hover:bg-red-600 text-white py-1 px-3 rounded-md text-sm">Abandon</button>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+
+            {finishedGoals.length > 0 && (
+                <div className="mt-4">
+                    <button onClick={() => setShowFinished(prev => !prev)} className="text-sm text-cyan-400 hover:underline">
+                        {showFinished ? 'Hide' : 'Show'} finished goals ({finishedGoals.length})
+                    </button>
+                    {showFinished && (
+                        <ul className="space-y-2 mt-2">
+                            {finishedGoals.map(goal => (
+                                <li key={goal.id} className="flex justify-between bg-slate-900/50 p-2 rounded-md text-sm opacity-80">
+                                    <span>{goal.name}{isAdmin && ` (${goal.child_name})`}</span>
+                                    {goal.status === 'reached' ? <span className="text-green-500">Reached</span> : <span className="text-red-500">Abandoned</span>}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,182 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from '../lib/api.js';
+import { todayString, CADENCE_LABELS } from '../lib/dates.js';
+import { formatCents, formatAmount } from '../lib/money.js';
+
+// --- Interest & Matching Panel (Admin Only) ---
+const INTEREST_KIND_LABELS = { interest: 'Interest on balance', match: 'Match deposits' };
+
+export default function InterestRulesPanel({ childrenList, refreshKey, onPosted }) {
+    const [rules, setRules] = useState([]);
+    const [previews, setPreviews] = useState({});
+    const [buckets, setBuckets] = useState([]);
+    const [editingId, setEditingId] = useState(null);
+    const [error, setError] = useState('');
+    const emptyForm = { child_name: '', kind: 'interest', rate_percent: '', cap_amount: '', bucket_id: '', cadence: 'monthly', start_date: todayString() };
+    const [form, setForm] = useState(emptyForm);
+
+    const fetchRules = useCallback(async () => {
+        try {
+            const data = await apiFetch('/interest-rules');
+            setRules(data);
+            // What each rule would pay for the period in progress, on today's balances
+            const results = await Promise.all(data.map(rule => apiFetch(`/interest-rules/${rule.id}/preview`)));
+            setPreviews(Object.fromEntries(results.map(preview => [preview.rule_id, preview])));
+        } catch (err) {
+            console.error("Failed to fetch interest rules:", err);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchRules();
+    }, [fetchRules, refreshKey]);
+
+    useEffect(() => {
+        apiFetch('/buckets').then(setBuckets).catch(err => console.error("Failed to fetch buckets:", err));
+    }, [childrenList]);
+
+    const updateForm = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+    const resetForm = () => {
+        setForm(emptyForm);
+        setEditingId(null);
+        setError('');
+    };
+
+    const formChild = form.child_name || childrenList[0]?.name;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        const body = {
+            ...form,
+            child_name: formChild,
+            rate_percent: parseFloat(form.rate_percent),
+            cap_amount: form.cap_amount === '' ? null : parseFloat(form.cap_amount),
+            bucket_id: form.bucket_id === '' ? null : Number(form.bucket_id),
+        };
+        try {
+            if (editingId) {
+                await apiFetch(`/interest-rules/${editingId}`, { method: 'PUT', body: JSON.stringify(body) });
+            } else {
+                await apiFetch('/interest-rules', { method: 'POST', body: JSON.stringify(body) });
+                // A start date in the past pays the finished periods straight away
+                onPosted();
+            }
+            resetForm();
+            fetchRules();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleEdit = (rule) => {
+        setEditingId(rule.id);
+        setForm({
+            child_name: rule.child_name,
+            kind: rule.kind,
+            rate_percent: String(parseFloat(rule.rate_percent)),
+            cap_amount: rule.cap_amount === null ? '' : String(parseFloat(rule.cap_amount)),
+            bucket_id: rule.bucket_id ? String(rule.bucket_id) : '',
+            cadence: rule.cadence,
+            start_date: rule.start_date.slice(0, 10),
+        });
+    };
+
+    const handleTogglePause = async (rule) => {
+        try {
+            await apiFetch(`/interest-rules/${rule.id}`, { method: 'PUT', body: JSON.stringify({ paused: !rule.paused }) });
+            fetchRules();
+        } catch (err) {
+            console.error("Failed to update interest rule:", err);
+        }
+    };
+
+    const handleDelete = async (rule) => {
+        if (!window.confirm(`Delete this ${rule.kind === 'match' ? 'matching' : 'interest'} rule for ${rule.child_name}?`)) return;
+        try {
+            await apiFetch(`/interest-rules/${rule.id}`, { method: 'DELETE' });
+            setRules(rules.filter(r => r.id !== rule.id));
+            if (editingId === rule.id) resetForm();
+        } catch (err) {
+            console.error("Failed to delete interest rule:", err);
+        }
+    };
+
+    const inputClass = "bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none disabled:opacity-50";
+
+    return (
+        <div className="bg-slate-800 p-6 rounded-xl shadow-lg mb-8">
+            <h2 className="text-2xl font-bold mb-4 text-cyan-400">Interest &amp; Matching</h2>
+            <form onSubmit={handleSubmit} className="grid grid-cols-1 sm:grid-cols-3 gap-4 items-end">
+                {error && <p className="sm:col-span-3 text-red-400">{error}</p>}
+                <select value={formChild || ''} onChange={e => setForm(prev => ({ ...prev, child_name: e.target.value, bucket_id: '' }))} disabled={editingId !== null} className={inputClass}>
+                    {childrenList.map(child => (
+                        <option key={child.name} value={child.name}>{child.name}</option>
+                    ))}
+                </select>
+                <select value={form.kind} onChange={e => updateForm('kind', e.target.value)} disabled={editingId !== null} className={inputClass}>
+                    {Object.entries(INTEREST_KIND_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                    ))}
+                </select>
+                <input type="number" min="0.001" max="100" step="0.001" value={form.rate_percent} onChange={e => updateForm('rate_percent', e.target.value)} placeholder="Rate %" required className={inputClass}/>
+                <input type="number" min="0.01" step="0.01" value={form.cap_amount} onChange={e => updateForm('cap_amount', e.target.value)} placeholder="Cap per period (optional)" className={inputClass}/>
+                <select value={form.bucket_id} onChange={e => updateForm('bucket_id', e.target.value)} className={inputClass}>
+                    <option value="">Whole balance</option>
+                    {buckets.filter(b => b.child_name === formChild).map(bucket => (
+                        <option key={bucket.id} value={bucket.id}>{bucket.name} only</option>
+                    ))}
+                </select>
+                <select value={form.cadence} onChange={e => updateForm('cadence', e.target.value)} disabled={editingId !== null} className={inputClass}>
+                    {Object.entries(CADENCE_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                    ))}
+                </select>
+                <input type="date" value={form.start_date} onChange={e => updateForm('start_date', e.target.value)} disabled={editingId !== null} title="First period starts" className={inputClass}/>
+                <div className="flex gap-2 sm:col-span-2">
+                    <button type="submit" className="flex-1 bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-2 px-4 rounded-md">
+                        {editingId ? 'Save' : 'Add Rule'}
+                    </button>
+                    {editingId && (
+                        <button type="button" onClick={resetForm} className="bg-slate-600 hover:bg-slate-500 text-white py-2 px-4 rounded-md">Cancel</button>
+                    )}
+                </div>
+            </form>
+
+            <ul className="space-y-3 mt-6">
+                {rules.length === 0 && <p className="text-slate-500 italic">No interest or matching rules yet.</p>}
+                {rules.map(rule => {
+                    const preview = previews[rule.id];
+                    return (
+                        <li key={rule.id} className={`flex flex-wrap items-center justify-between bg-slate-700 p-3 rounded-md ${rule.paused ? 'opacity-60' : ''}`}>
+                            <div>
+                                <span className="font-semibold">
+                                    {parseFloat(rule.rate_percent)}% {rule.kind === 'match' ? 'match on deposits' : 'interest'}
+                                    {rule.cap_amount !== null && ` (max ${formatAmount(rule.cap_amount)})`}
+                                </span>
+                                <span className="text-xs text-slate-400 block">
+                                    {rule.child_name}
+                                    <span className="mx-1">•</span>
+                                    {rule.bucket_name || 'Whole balance'}
+                                    <span className="mx-1">•</span>
+                                    {CADENCE_LABELS[rule.cadence]}
+                                    <span className="mx-1">•</span>
+                                    {rule.paused ? <span className="text-yellow-400">Paused</span> : `Next payout: ${rule.next_run_date.slice(0, 10)}`}
+                                </span>
+                                {preview && !rule.paused && (
+                                    <span className="text-xs text-slate-300 block">So far: {preview.description} → {formatCents(preview.amount_cents)}</span>
+                                )}
+                            </div>
+                            <div className="flex gap-2">
+                                <button onClick={() => handleEdit(rule)} className="bg-slate-600 hover:bg-slate-500 text-white py-1 px-3 rounded-md text-sm">Edit</button>
+                                <button onClick={() => handleTogglePause(rule)} className="bg-yellow-600 hover:bg-yellow-700 text-white py-1 px-3 rounded-md text-sm">{rule.paused ? 'Resume' : 'Pause'}</button>
+                                <button onClick={() => handleDelete(rule)} className="bg-red-500 hover:bg-red-600 text-white py-1 px-3 rounded-md text-sm">Delete</button>
+                            </div>
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+}
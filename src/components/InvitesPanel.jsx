@@ -0,0 +1,69 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from '../lib/api.js';
+
+// --- Invites Panel (Admin Only): codes for new family members to join this household ---
+export default function InvitesPanel() {
+    const [invites, setInvites] = useState([]);
+    const [role, setRole] = useState('child');
+    const [error, setError] = useState('');
+
+    const fetchInvites = useCallback(async () => {
+        try {
+            setInvites(await apiFetch('/invites'));
+        } catch (err) {
+            console.error("Failed to fetch invites:", err);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchInvites();
+    }, [fetchInvites]);
+
+    const handleCreate = async () => {
+        setError('');
+        try {
+            const invite = await apiFetch('/invites', { method: 'POST', body: JSON.stringify({ role }) });
+            setInvites([invite, ...invites]);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleRevoke = async (invite) => {
+        try {
+            await apiFetch(`/invites/${invite.id}`, { method: 'DELETE' });
+            setInvites(invites.filter(i => i.id !== invite.id));
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="bg-slate-800 p-6 rounded-xl shadow-lg mb-8">
+            <h2 className="text-2xl font-bold mb-4 text-cyan-400">Invite Family Members</h2>
+            {error && <p className="text-red-400 mb-4">{error}</p>}
+            <div className="flex flex-wrap gap-2">
+                <select value={role} onChange={e => setRole(e.target.value)} className="bg-slate-700 p-2 rounded-md focus:ring-2 focus:ring-cyan-500 focus:outline-none">
+                    <option value="child">Child</option>
+                    <option value="admin">Parent</option>
+                </select>
+                <button onClick={handleCreate} className="bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-2 px-4 rounded-md">Create Invite Code</button>
+            </div>
+            <ul className="space-y-2 mt-4">
+                {invites.map(invite => (
+                    <li key={invite.id} className="flex flex-wrap items-center justify-between bg-slate-700 p-3 rounded-md">
+                        <div>
+                            <span className="font-mono text-lg tracking-widest">{invite.code}</span>
+                            <span className="text-xs text-slate-400 block">
+                                {invite.role === 'admin' ? 'Parent' : 'Child'}
+                                <span className="mx-1">•</span>
+                                Expires {new Date(invite.expires_at).toLocaleDateString()}
+                            </span>
+                        </div>
+                        <button onClick={() => handleRevoke(invite)} className="bg-red-500 hover:bg-red-600 text-white py-1 px-3 rounded-md text-sm">Revoke</button>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
@@ -0,0 +1,113 @@
+import { useState } from 'react';
+import { authorizedFetch, apiFetch } from '../lib/api.js';
+
+// --- Ledger Backup Panel (Admin Only): export and import ---
+export default function LedgerBackupPanel({ childrenList, onImported }) {
+    const [exportChild, setExportChild] = useState('');
+    const [from, setFrom] = useState('');
+    const [to, setTo] = useState('');
+    const [file, setFile] = useState(null);
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState('');
+    const [isBusy, setIsBusy] = useState(false);
+
+    // Downloads go through fetch (not a plain link) so the auth header is sent
+    const handleExport = async (format) => {
+        setError('');
+        const params = new URLSearchParams({ format });
+        if (exportChild) params.set('child_name', exportChild);
+        if (from) params.set('from', from);
+        if (to) params.set('to', to);
+        try {
+            const response = await authorizedFetch(`/export?${params}`);
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                throw new Error(body.error || `Export failed (status ${response.status})`);
+            }
+            const blob = await response.blob();
+            const filename = response.headers.get('Content-Disposition')?.match(/filename="(.+)"/)?.[1] || `ledger.${format}`;
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleImport = async (dryRun) => {
+        if (!file) return;
+        setError('');
+        setResult(null);
+        setIsBusy(true);
+        const format = file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+        try {
+            const text = await file.text();
+            const data = await apiFetch(`/import?format=${format}${dryRun ? '&dry_run=1' : ''}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'text/plain' },
+                body: text,
+            });
+            setResult(data);
+            if (!dryRun && data.imported > 0) onImported();
+        } catch (err) {
+            setError(err.message);
+            if (err.body?.errors) setResult(err.body);
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const inputClass = "bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none";
+
+    return (
+        <div className="bg-slate-800 p-6 rounded-xl shadow-lg mb-8">
+            <h2 className="text-2xl font-bold mb-4 text-cyan-400">Backup &amp; Import</h2>
+            {error && <p className="text-red-400 mb-4 whitespace-pre-line">{error}</p>}
+
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 items-end">
+                <select value={exportChild} onChange={e => setExportChild(e.target.value)} className={inputClass}>
+                    <option value="">Whole family</option>
+                    {childrenList.map(child => (
+                        <option key={child.name} value={child.name}>{child.name}</option>
+                    ))}
+                </select>
+                <input type="date" value={from} onChange={e => setFrom(e.target.value)} title="From date" className={inputClass}/>
+                <input type="date" value={to} onChange={e => setTo(e.target.value)} title="To date" className={inputClass}/>
+                <button onClick={() => handleExport('csv')} className="bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-2 px-4 rounded-md">Download CSV</button>
+                <button onClick={() => handleExport('json')} className="bg-slate-600 hover:bg-slate-500 text-white font-bold py-2 px-4 rounded-md">Download JSON</button>
+            </div>
+
+            <div className="border-t border-slate-700 mt-6 pt-4">
+                <p className="text-sm text-slate-400 mb-2">
+                    Import a CSV or JSON file with columns <code>date, child_name, type, amount, description</code> and optionally <code>bucket, status</code>.
+                </p>
+                <div className="flex flex-wrap items-center gap-3">
+                    <input type="file" accept=".csv,.json,text/csv,application/json" onChange={e => { setFile(e.target.files[0] || null); setResult(null); }} className="text-sm text-slate-300"/>
+                    <button onClick={() => handleImport(true)} disabled={!file || isBusy} className="bg-slate-600 hover:bg-slate-500 text-white py-2 px-4 rounded-md disabled:opacity-50 disabled:cursor-not-allowed">Check File</button>
+                    <button onClick={() => handleImport(false)} disabled={!file || isBusy} className="bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-2 px-4 rounded-md disabled:opacity-50 disabled:cursor-not-allowed">Import</button>
+                </div>
+                {result && (
+                    <div className="mt-4 text-sm">
+                        {result.errors.length > 0 ? (
+                            <ul className="text-red-400 list-disc list-inside">
+                                {result.errors.map(item => <li key={item.row}>Row {item.row}: {item.errors.join('; ')}</li>)}
+                            </ul>
+                        ) : (
+                            <p className="text-green-400">
+                                {result.dry_run ? `${result.would_import} row(s) ready to import.` : `Imported ${result.imported} row(s).`}
+                            </p>
+                        )}
+                        {result.skipped.length > 0 && (
+                            <ul className="mt-2 text-yellow-400 list-disc list-inside">
+                                {result.skipped.map(item => <li key={item.row}>Row {item.row}: skipped, {item.reason}</li>)}
+                            </ul>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
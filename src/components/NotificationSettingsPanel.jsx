@@ -0,0 +1,153 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from '../lib/api.js';
+import { describeDevice } from '../lib/devices.js';
+import { pushRegistration, pushSupported, getPushSubscription, registerForPushNotifications, unsubscribeFromPushNotifications } from '../lib/push.js';
+
+// --- Notification Settings Panel: what each user is notified about, when, and on which devices ---
+const NOTIFICATION_TYPE_OPTIONS = [
+    { type: 'new_request', label: 'New requests', hint: 'A child asks for money or marks a chore done', roles: ['admin'] },
+    { type: 'approval_result', label: 'Request approved or declined', hint: 'A parent decides one of your requests', roles: ['child'] },
+    { type: 'allowance_posted', label: 'Allowance posted', hint: 'A recurring allowance is paid', roles: ['admin', 'child'] },
+    { type: 'low_balance', label: 'Low balance', hint: 'A balance drops below its alert level', roles: ['admin', 'child'] },
+    { type: 'weekly_digest', label: 'Weekly digest', hint: 'A summary of last week, sent on Mondays', roles: ['admin', 'child'] },
+];
+
+export default function NotificationSettingsPanel({ currentUser }) {
+    const [prefs, setPrefs] = useState(null);
+    const [quietHours, setQuietHours] = useState({ start: '', end: '' });
+    const [devices, setDevices] = useState([]);
+    const [thisDeviceOn, setThisDeviceOn] = useState(false);
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+
+    const fetchSettings = useCallback(async () => {
+        try {
+            // Wait for the login-time subscription so this device shows up in the list
+            await pushRegistration;
+            const subscription = await getPushSubscription();
+            const query = subscription ? `?endpoint=${encodeURIComponent(subscription.endpoint)}` : '';
+            const [savedPrefs, savedDevices] = await Promise.all([apiFetch('/notification-preferences'), apiFetch(`/push-devices${query}`)]);
+            setPrefs(savedPrefs);
+            setQuietHours({ start: savedPrefs.quiet_start || '', end: savedPrefs.quiet_end || '' });
+            setDevices(savedDevices);
+            setThisDeviceOn(savedDevices.some(device => device.current));
+        } catch (err) {
+            console.error("Failed to fetch notification settings:", err);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchSettings();
+    }, [fetchSettings]);
+
+    const savePrefs = async (changes, notice) => {
+        setMessage('');
+        setError('');
+        try {
+            setPrefs(await apiFetch('/notification-preferences', { method: 'PUT', body: JSON.stringify(changes) }));
+            if (notice) setMessage(notice);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleSaveQuietHours = (e) => {
+        e.preventDefault();
+        savePrefs({
+            quiet_start: quietHours.start || null,
+            quiet_end: quietHours.end || null,
+            // Quiet hours follow this device's clock
+            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        }, quietHours.start ? `Notifications between ${quietHours.start} and ${quietHours.end} will be skipped.` : 'Quiet hours turned off.');
+    };
+
+    const handleToggleThisDevice = async () => {
+        setMessage('');
+        setError('');
+        try {
+            if (thisDeviceOn) {
+                await unsubscribeFromPushNotifications();
+            } else if (!await registerForPushNotifications({ force: true })) {
+                setError('Notifications could not be turned on. Check that this browser is allowed to show them.');
+                return;
+            }
+            fetchSettings();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleRemoveDevice = async (device) => {
+        if (!window.confirm(`Stop notifications on ${describeDevice(device.user_agent)}?`)) return;
+        setError('');
+        try {
+            await apiFetch(`/push-devices/${device.id}`, { method: 'DELETE' });
+            setDevices(devices.filter(d => d.id !== device.id));
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    if (!prefs) return null;
+    const inputClass = "bg-slate-700 p-2 rounded-md focus:ring-2 focus:ring-cyan-500 focus:outline-none";
+
+    return (
+        <div className="bg-slate-800 p-6 rounded-xl shadow-lg mb-8">
+            <h2 className="text-2xl font-bold mb-4 text-cyan-400">Notifications</h2>
+            {message && <p className="text-green-400 mb-2">{message}</p>}
+            {error && <p className="text-red-400 mb-2">{error}</p>}
+            <ul className="space-y-2 mb-6">
+                {NOTIFICATION_TYPE_OPTIONS.filter(option => option.roles.includes(currentUser.role)).map(option => (
+                    <li key={option.type}>
+                        <label className="flex items-start gap-3 bg-slate-700 p-3 rounded-md">
+                            <input type="checkbox" className="mt-1" checked={prefs[option.type]} onChange={e => savePrefs({ [option.type]: e.target.checked })} />
+                            <span>
+                                <span className="font-semibold">{option.label}</span>
+                                <span className="block text-xs text-slate-400">{option.hint}</span>
+                            </span>
+                        </label>
+                    </li>
+                ))}
+            </ul>
+            <form onSubmit={handleSaveQuietHours} className="flex flex-wrap items-end gap-3 mb-6">
+                <label className="text-sm text-slate-400">
+                    Quiet from
+                    <input type="time" value={quietHours.start} onChange={e => setQuietHours({ ...quietHours, start: e.target.value })} className={`${inputClass} block mt-1`} />
+                </label>
+                <label className="text-sm text-slate-400">
+                    until
+                    <input type="time" value={quietHours.end} onChange={e => setQuietHours({ ...quietHours, end: e.target.value })} className={`${inputClass} block mt-1`} />
+                </label>
+                <button type="submit" className="bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-2 px-4 rounded-md">Save Quiet Hours</button>
+                {prefs.quiet_start && (
+                    <button type="button" onClick={() => { setQuietHours({ start: '', end: '' }); savePrefs({ quiet_start: null, quiet_end: null }, 'Quiet hours turned off.'); }} className="bg-slate-600 hover:bg-slate-500 text-white py-2 px-4 rounded-md">Turn Off</button>
+                )}
+                <p className="basis-full text-xs text-slate-400">Notifications during quiet hours are skipped, not sent later. Open the app to catch up.</p>
+            </form>
+            <div className="flex flex-wrap items-center justify-between mb-2">
+                <h3 className="text-lg font-semibold text-slate-300">Devices</h3>
+                {pushSupported() && (
+                    <button onClick={handleToggleThisDevice} className="bg-slate-600 hover:bg-slate-500 text-white py-1 px-3 rounded-md text-sm">
+                        {thisDeviceOn ? 'Turn Off on This Device' : 'Turn On for This Device'}
+                    </button>
+                )}
+            </div>
+            <ul className="space-y-2">
+                {devices.length === 0 && <p className="text-slate-500 italic">No devices receive your notifications.</p>}
+                {devices.map(device => (
+                    <li key={device.id} className="flex flex-wrap items-center justify-between bg-slate-700 p-3 rounded-md">
+                        <div>
+                            <span className="font-semibold">{describeDevice(device.user_agent)}</span>
+                            {device.current && <span className="text-xs text-green-400 ml-2">This device</span>}
+                            <span className="text-xs text-slate-400 block">
+                                Added {new Date(device.created_at).toLocaleDateString()}
+                                {device.last_used_at && <><span className="mx-1">•</span>Last notified {new Date(device.last_used_at).toLocaleString()}</>}
+                            </span>
+                        </div>
+                        <button onClick={() => (device.current ? handleToggleThisDevice() : handleRemoveDevice(device))} className="bg-red-500 hover:bg-red-600 text-white py-1 px-3 rounded-md text-sm">Remove</button>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
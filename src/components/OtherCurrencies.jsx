@@ -0,0 +1,14 @@
+import { formatCents } from '../lib/money.js';
+
+// Other-currency balances next to a household-currency one, e.g. "€20.00 (≈ $21.60) • £5.00"
+export default function OtherCurrencies({ balance, className = '' }) {
+    if (!balance.other_currencies || balance.other_currencies.length === 0) return null;
+    return (
+        <p className={`text-sm text-slate-400 ${className}`}>
+            Also {balance.other_currencies.map(entry => (
+                `${formatCents(entry.balance_cents, entry.currency)}${entry.converted_cents !== null ? ` (≈ ${formatCents(entry.converted_cents)})` : ''}`
+            )).join(' • ')}
+            <span className="block">≈ {formatCents(balance.converted_total_cents)} in total</span>
+        </p>
+    );
+}
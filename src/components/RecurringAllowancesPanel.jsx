@@ -0,0 +1,150 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from '../lib/api.js';
+import { todayString, CADENCE_LABELS } from '../lib/dates.js';
+import { formatAmount } from '../lib/money.js';
+
+// --- Recurring Allowances Panel (Admin Only) ---
+export default function RecurringAllowancesPanel({ childrenList, onPosted }) {
+    const [rules, setRules] = useState([]);
+    const [editingId, setEditingId] = useState(null);
+    const [error, setError] = useState('');
+    const emptyForm = { child_name: '', description: 'Allowance', amount: '', cadence: 'weekly', start_date: todayString(), auto_split: false };
+    const [form, setForm] = useState(emptyForm);
+
+    const fetchRules = useCallback(async () => {
+        try {
+            const data = await apiFetch('/recurring-rules');
+            setRules(data);
+        } catch (err) {
+            console.error("Failed to fetch recurring rules:", err);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchRules();
+    }, [fetchRules]);
+
+    const updateForm = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+    const resetForm = () => {
+        setForm(emptyForm);
+        setEditingId(null);
+        setError('');
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        const body = {
+            ...form,
+            child_name: form.child_name || childrenList[0]?.name,
+            amount: parseFloat(form.amount),
+        };
+        try {
+            if (editingId) {
+                await apiFetch(`/recurring-rules/${editingId}`, { method: 'PUT', body: JSON.stringify(body) });
+            } else {
+                await apiFetch('/recurring-rules', { method: 'POST', body: JSON.stringify(body) });
+                // A rule starting today posts immediately, so the balances need refreshing
+                onPosted();
+            }
+            resetForm();
+            fetchRules();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleEdit = (rule) => {
+        setEditingId(rule.id);
+        setForm({
+            child_name: rule.child_name,
+            description: rule.description,
+            amount: String(parseFloat(rule.amount)),
+            cadence: rule.cadence,
+            start_date: rule.start_date.slice(0, 10),
+            auto_split: Boolean(rule.auto_split),
+        });
+    };
+
+    const handleTogglePause = async (rule) => {
+        try {
+            await apiFetch(`/recurring-rules/${rule.id}/${rule.paused ? 'resume' : 'pause'}`, { method: 'PUT' });
+            fetchRules();
+            if (rule.paused) onPosted();
+        } catch (err) {
+            console.error("Failed to update recurring rule:", err);
+        }
+    };
+
+    const handleDelete = async (rule) => {
+        if (!window.confirm(`Delete the "${rule.description}" allowance for ${rule.child_name}?`)) return;
+        try {
+            await apiFetch(`/recurring-rules/${rule.id}`, { method: 'DELETE' });
+            setRules(rules.filter(r => r.id !== rule.id));
+            if (editingId === rule.id) resetForm();
+        } catch (err) {
+            console.error("Failed to delete recurring rule:", err);
+        }
+    };
+
+    return (
+        <div className="bg-slate-800 p-6 rounded-xl shadow-lg mb-8">
+            <h2 className="text-2xl font-bold mb-4 text-cyan-400">Recurring Allowances</h2>
+            <form onSubmit={handleSubmit} className="grid grid-cols-1 sm:grid-cols-3 gap-4 items-end">
+                {error && <p className="sm:col-span-3 text-red-400">{error}</p>}
+                <select value={form.child_name || childrenList[0]?.name || ''} onChange={e => updateForm('child_name', e.target.value)} disabled={editingId !== null} className="bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none disabled:opacity-50">
+                    {childrenList.map(child => (
+                        <option key={child.name} value={child.name}>{child.name}</option>
+                    ))}
+                </select>
+                <input type="text" value={form.description} onChange={e => updateForm('description', e.target.value)} placeholder="Description" className="bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none"/>
+                <input type="number" min="0.01" step="0.01" value={form.amount} onChange={e => updateForm('amount', e.target.value)} placeholder="Amount" className="bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none"/>
+                <select value={form.cadence} onChange={e => updateForm('cadence', e.target.value)} className="bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none">
+                    {Object.entries(CADENCE_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                    ))}
+                </select>
+                <input type="date" value={form.start_date} min={editingId === null ? todayString() : undefined} onChange={e => updateForm('start_date', e.target.value)} className="bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none"/>
+                <label className="flex items-center gap-2 text-sm text-slate-400">
+                    <input type="checkbox" checked={form.auto_split} onChange={e => updateForm('auto_split', e.target.checked)} />
+                    Split across buckets
+                </label>
+                <div className="flex gap-2">
+                    <button type="submit" className="flex-1 bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-2 px-4 rounded-md">
+                        {editingId ? 'Save' : 'Add Rule'}
+                    </button>
+                    {editingId && (
+                        <button type="button" onClick={resetForm} className="bg-slate-600 hover:bg-slate-500 text-white py-2 px-4 rounded-md">Cancel</button>
+                    )}
+                </div>
+            </form>
+
+            <ul className="space-y-3 mt-6">
+                {rules.length === 0 && <p className="text-slate-500 italic">No recurring allowances yet.</p>}
+                {rules.map(rule => (
+                    <li key={rule.id} className={`flex flex-wrap items-center justify-between bg-slate-700 p-3 rounded-md ${rule.paused ? 'opacity-60' : ''}`}>
+                        <div>
+                            <span className="font-semibold">{rule.description}</span>
+                            <span className="text-xs text-slate-400 block">
+                                {rule.child_name}
+                                <span className="mx-1">•</span>
+                                {CADENCE_LABELS[rule.cadence]}
+                                <span className="mx-1">•</span>
+                                {rule.paused ? <span className="text-yellow-400">Paused</span> : `Next: ${rule.next_run_date.slice(0, 10)}`}
+                            </span>
+                        </div>
+                        <div className="flex items-center gap-4">
+                            <span className="font-semibold text-green-400">+{formatAmount(rule.amount)}</span>
+                            <div className="flex gap-2">
+                                <button onClick={() => handleEdit(rule)} className="bg-slate-600 hover:bg-slate-500 text-white py-1 px-3 rounded-md text-sm">Edit</button>
+                                <button onClick={() => handleTogglePause(rule)} className="bg-yellow-600 hover:bg-yellow-700 text-white py-1 px-3 rounded-md text-sm">{rule.paused ? 'Resume' : 'Pause'}</button>
+                                <button onClick={() => handleDelete(rule)} className="bg-red-500 hover:bg-red-600 text-white py-1 px-3 rounded-md text-sm">Delete</button>
+                            </div>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
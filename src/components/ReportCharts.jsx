@@ -0,0 +1,66 @@
+import { moneyFormat, formatCents } from '../lib/money.js';
+
+// --- Report Charts: plain SVG, sized by the viewBox so they scale with the card ---
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 160;
+const CHART_LABEL_SPACE = 20;
+
+const monthLabel = (monthKey) => {
+    const [y, m] = monthKey.split('-').map(Number);
+    return new Date(y, m - 1, 1).toLocaleDateString(moneyFormat.locale, { month: 'short' });
+};
+
+// Only label every few months so long periods stay readable
+const showMonthLabel = (index, count) => index % Math.ceil(count / 12) === 0;
+
+// Line over the months. Null values leave a gap (e.g. no savings rate in a month without income).
+export function LineChart({ months, values, formatValue, color }) {
+    const present = values.filter(v => v !== null);
+    const max = Math.max(0, ...present);
+    const min = Math.min(0, ...present);
+    const range = max - min || 1;
+    const x = (i) => (months.length === 1 ? CHART_WIDTH / 2 : (i / (months.length - 1)) * CHART_WIDTH);
+    const y = (v) => CHART_HEIGHT - ((v - min) / range) * CHART_HEIGHT;
+    const path = values.map((v, i) => (v === null ? '' : `${i === 0 || values[i - 1] === null ? 'M' : 'L'}${x(i)},${y(v)}`)).join(' ');
+
+    return (
+        <svg viewBox={`-8 -8 ${CHART_WIDTH + 16} ${CHART_HEIGHT + CHART_LABEL_SPACE + 8}`} className="w-full h-auto">
+            <line x1="0" x2={CHART_WIDTH} y1={y(0)} y2={y(0)} stroke="#475569" strokeDasharray="4 4" />
+            <path d={path} fill="none" stroke={color} strokeWidth="2.5" />
+            {values.map((v, i) => v !== null && (
+                <circle key={months[i]} cx={x(i)} cy={y(v)} r="3.5" fill={color}>
+                    <title>{`${monthLabel(months[i])}: ${formatValue(v)}`}</title>
+                </circle>
+            ))}
+            {months.map((month, i) => showMonthLabel(i, months.length) && (
+                <text key={month} x={x(i)} y={CHART_HEIGHT + CHART_LABEL_SPACE - 4} textAnchor="middle" fontSize="11" fill="#94a3b8">{monthLabel(month)}</text>
+            ))}
+        </svg>
+    );
+}
+
+// Income and expense side by side for each month
+export function IncomeExpenseChart({ months }) {
+    const max = Math.max(1, ...months.flatMap(m => [m.income_cents, m.expense_cents]));
+    const slot = CHART_WIDTH / months.length;
+    const barWidth = Math.max(2, slot * 0.35);
+    const height = (cents) => (cents / max) * CHART_HEIGHT;
+
+    return (
+        <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT + CHART_LABEL_SPACE}`} className="w-full h-auto">
+            {months.map((m, i) => (
+                <g key={m.month}>
+                    <rect x={i * slot + slot / 2 - barWidth} y={CHART_HEIGHT - height(m.income_cents)} width={barWidth} height={height(m.income_cents)} fill="#4ade80">
+                        <title>{`${monthLabel(m.month)} in: ${formatCents(m.income_cents)}`}</title>
+                    </rect>
+                    <rect x={i * slot + slot / 2} y={CHART_HEIGHT - height(m.expense_cents)} width={barWidth} height={height(m.expense_cents)} fill="#f87171">
+                        <title>{`${monthLabel(m.month)} out: ${formatCents(m.expense_cents)}`}</title>
+                    </rect>
+                    {showMonthLabel(i, months.length) && (
+                        <text x={i * slot + slot / 2} y={CHART_HEIGHT + CHART_LABEL_SPACE - 4} textAnchor="middle" fontSize="11" fill="#94a3b8">{monthLabel(m.month)}</text>
+                    )}
+                </g>
+            ))}
+        </svg>
+    );
+}
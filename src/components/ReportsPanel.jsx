@@ -0,0 +1,109 @@
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../lib/api.js';
+import { formatCents } from '../lib/money.js';
+import CategoryBadge from './CategoryBadge.jsx';
+import { LineChart, IncomeExpenseChart } from './ReportCharts.jsx';
+
+const REPORT_PERIODS = [3, 6, 12, 24];
+
+const formatPercent = (rate) => (rate === null ? '–' : `${Math.round(rate * 100)}%`);
+
+// --- Reports Panel: balance over time, income vs expense, savings rate and top spending ---
+export default function ReportsPanel({ currentUser, childrenList, refreshKey }) {
+    const isAdmin = currentUser.role === 'admin';
+    const [reportChild, setReportChild] = useState('');
+    const [periodMonths, setPeriodMonths] = useState(12);
+    const [report, setReport] = useState(null);
+    const [error, setError] = useState('');
+
+    const childName = isAdmin ? (reportChild || childrenList[0]?.name) : currentUser.name;
+
+    useEffect(() => {
+        if (!childName) return;
+        const now = new Date();
+        const to = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+        const start = new Date(now.getFullYear(), now.getMonth() - periodMonths + 1, 1);
+        const from = `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}`;
+        apiFetch(`/children/${encodeURIComponent(childName)}/report?from=${from}&to=${to}`)
+            .then(data => {
+                setReport(data);
+                setError('');
+            })
+            .catch(err => setError(err.message));
+    }, [childName, periodMonths, refreshKey]);
+
+    if (!childName) return null;
+
+    const months = report?.months.map(m => m.month) ?? [];
+    const topMax = Math.max(1, ...(report?.spending_by_category.map(row => row.expense_cents) ?? []));
+
+    return (
+        <div className="bg-slate-800 p-6 rounded-xl shadow-lg mb-8">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+                <h2 className="text-2xl font-bold text-cyan-400">Reports</h2>
+                <div className="flex gap-2">
+                    {isAdmin && (
+                        <select value={childName} onChange={e => setReportChild(e.target.value)} className="bg-slate-700 p-2 rounded-md text-sm focus:ring-2 focus:ring-cyan-500 focus:outline-none">
+                            {childrenList.map(child => <option key={child.name} value={child.name}>{child.name}</option>)}
+                        </select>
+                    )}
+                    <select value={periodMonths} onChange={e => setPeriodMonths(Number(e.target.value))} className="bg-slate-700 p-2 rounded-md text-sm focus:ring-2 focus:ring-cyan-500 focus:outline-none">
+                        {REPORT_PERIODS.map(n => <option key={n} value={n}>Last {n} months</option>)}
+                    </select>
+                </div>
+            </div>
+            {error && <p className="text-red-400 mb-2">{error}</p>}
+            {report && (
+                <>
+                    <div className="grid grid-cols-3 gap-4 text-center mb-6">
+                        <div>
+                            <p className="text-xs text-slate-400">In</p>
+                            <p className="font-semibold text-green-400">{formatCents(report.totals.income_cents)}</p>
+                        </div>
+                        <div>
+                            <p className="text-xs text-slate-400">Out</p>
+                            <p className="font-semibold text-red-400">{formatCents(report.totals.expense_cents)}</p>
+                        </div>
+                        <div>
+                            <p className="text-xs text-slate-400">Saved</p>
+                            <p className="font-semibold text-slate-200">{formatPercent(report.totals.savings_rate)}</p>
+                        </div>
+                    </div>
+
+                    <h3 className="text-sm font-semibold text-slate-400 mb-1">Balance at the end of each month</h3>
+                    <LineChart months={months} values={report.months.map(m => m.balance_cents)} formatValue={formatCents} color="#22d3ee" />
+
+                    <h3 className="text-sm font-semibold text-slate-400 mt-6 mb-1">
+                        Money <span className="text-green-400">in</span> and <span className="text-red-400">out</span>
+                    </h3>
+                    <IncomeExpenseChart months={report.months} />
+
+                    <h3 className="text-sm font-semibold text-slate-400 mt-6 mb-1">Savings rate (share of income not spent)</h3>
+                    <LineChart months={months} values={report.months.map(m => m.savings_rate)} formatValue={formatPercent} color="#facc15" />
+
+                    <h3 className="text-sm font-semibold text-slate-400 mt-6 mb-2">Spending by category</h3>
+                    {report.spending_by_category.length === 0 ? (
+                        <p className="text-slate-500 italic text-sm">No spending in this period.</p>
+                    ) : (
+                        <ul className="space-y-2">
+                            {report.spending_by_category.map(row => (
+                                <li key={row.category_id ?? 'none'} className="text-sm">
+                                    <div className="flex justify-between">
+                                        <span>
+                                            <CategoryBadge category={row} />
+                                            {row.count > 1 && <span className="text-slate-400"> ×{row.count}</span>}
+                                        </span>
+                                        <span className="text-red-400">{formatCents(row.expense_cents)}</span>
+                                    </div>
+                                    <div className="w-full bg-slate-900 rounded-full h-2 mt-1">
+                                        <div className="h-2 rounded-full" style={{ width: `${Math.round(row.expense_cents / topMax * 100)}%`, backgroundColor: row.color || '#f87171' }}></div>
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
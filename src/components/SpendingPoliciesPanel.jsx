@@ -0,0 +1,98 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from '../lib/api.js';
+import { formatCents } from '../lib/money.js';
+
+// --- Spending Rules Panel (Admin Only): per-child limits on the children's own expense requests ---
+const POLICY_LIMIT_FIELDS = [
+    { field: 'max_single_expense', label: 'Max single expense' },
+    { field: 'weekly_spending_cap', label: 'Weekly spending cap' },
+    { field: 'auto_approve_below', label: 'Auto-approve below' },
+    { field: 'low_balance_below', label: 'Low balance alert below', placeholder: 'Off' },
+];
+
+const policyToDraft = (policy) => ({
+    ...Object.fromEntries(POLICY_LIMIT_FIELDS.map(({ field }) => [field, policy[field] === null ? '' : String(policy[field])])),
+    no_overdraft: policy.no_overdraft,
+});
+
+export default function SpendingPoliciesPanel({ childrenList, refreshKey }) {
+    const [policies, setPolicies] = useState([]);
+    // Unsaved edits keyed by child name
+    const [drafts, setDrafts] = useState({});
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+
+    const fetchPolicies = useCallback(async () => {
+        try {
+            const data = await apiFetch('/policies');
+            setPolicies(data);
+            setDrafts(Object.fromEntries(data.map(policy => [policy.child_name, policyToDraft(policy)])));
+        } catch (err) {
+            console.error("Failed to fetch spending policies:", err);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchPolicies();
+    }, [fetchPolicies, childrenList, refreshKey]);
+
+    const updateDraft = (childName, field, value) =>
+        setDrafts(prev => ({ ...prev, [childName]: { ...prev[childName], [field]: value } }));
+
+    const handleSave = async (childName) => {
+        setMessage('');
+        setError('');
+        const draft = drafts[childName];
+        const body = {
+            ...Object.fromEntries(POLICY_LIMIT_FIELDS.map(({ field }) => [field, draft[field] === '' ? null : parseFloat(draft[field])])),
+            no_overdraft: draft.no_overdraft,
+        };
+        try {
+            const saved = await apiFetch(`/policies/${encodeURIComponent(childName)}`, { method: 'PUT', body: JSON.stringify(body) });
+            setPolicies(policies.map(policy => (policy.child_name === childName ? saved : policy)));
+            setDrafts(prev => ({ ...prev, [childName]: policyToDraft(saved) }));
+            setMessage(`Saved spending rules for ${childName}.`);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const inputClass = "bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none";
+
+    return (
+        <div className="bg-slate-800 p-6 rounded-xl shadow-lg mb-8">
+            <h2 className="text-2xl font-bold mb-2 text-cyan-400">Spending Rules</h2>
+            <p className="text-sm text-slate-400 mb-4">Limits on what children can ask to spend. Leave a limit empty to turn it off.</p>
+            {message && <p className="text-green-400 mb-2">{message}</p>}
+            {error && <p className="text-red-400 mb-2">{error}</p>}
+            <ul className="space-y-4">
+                {policies.length === 0 && <p className="text-slate-500 italic">No children yet.</p>}
+                {policies.map(policy => {
+                    const draft = drafts[policy.child_name];
+                    if (!draft) return null;
+                    return (
+                        <li key={policy.child_name} className="bg-slate-700 p-4 rounded-md">
+                            <div className="flex justify-between items-center mb-3">
+                                <span className="font-bold text-slate-200">{policy.child_name}</span>
+                                <span className="text-xs text-slate-400">Spent this week: {formatCents(policy.week_spent_cents)}</span>
+                            </div>
+                            <div className="grid grid-cols-1 sm:grid-cols-4 gap-3 items-end">
+                                {POLICY_LIMIT_FIELDS.map(({ field, label, placeholder = 'No limit' }) => (
+                                    <label key={field} className="text-sm text-slate-400">
+                                        {label}
+                                        <input type="number" min="0.01" step="0.01" value={draft[field]} onChange={e => updateDraft(policy.child_name, field, e.target.value)} placeholder={placeholder} className={`${inputClass} bg-slate-600 mt-1`}/>
+                                    </label>
+                                ))}
+                                <label className="flex items-center gap-2 text-sm text-slate-400 sm:col-span-2">
+                                    <input type="checkbox" checked={draft.no_overdraft} onChange={e => updateDraft(policy.child_name, 'no_overdraft', e.target.checked)} />
+                                    Don't allow spending more than the bucket holds
+                                </label>
+                                <button onClick={() => handleSave(policy.child_name)} className="bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-2 px-4 rounded-md">Save</button>
+                            </div>
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+}
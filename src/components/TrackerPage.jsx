@@ -0,0 +1,683 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch, isNetworkError, getQueuedRequests, queueRequest, removeQueuedRequest, syncQueuedRequests } from '../lib/api.js';
+import { connectToEvents } from '../lib/events.js';
+import { scrollToTransaction } from '../lib/history.js';
+import { setMoneyFormat, formatCents, formatAmount, COMMON_CURRENCIES } from '../lib/money.js';
+import { describePolicy } from '../lib/policies.js';
+import { registerForPushNotifications } from '../lib/push.js';
+import BucketTotals from './BucketTotals.jsx';
+import BucketsPanel from './BucketsPanel.jsx';
+import CategoriesPanel from './CategoriesPanel.jsx';
+import CategoryBadge, { TagList } from './CategoryBadge.jsx';
+import ChoreWeekPanel from './ChoreWeekPanel.jsx';
+import ChoresPanel from './ChoresPanel.jsx';
+import CurrencySettingsPanel from './CurrencySettingsPanel.jsx';
+import DevicesPanel from './DevicesPanel.jsx';
+import FamilyMembersPanel from './FamilyMembersPanel.jsx';
+import GoalsPanel from './GoalsPanel.jsx';
+import InterestRulesPanel from './InterestRulesPanel.jsx';
+import InvitesPanel from './InvitesPanel.jsx';
+import LedgerBackupPanel from './LedgerBackupPanel.jsx';
+import NotificationSettingsPanel from './NotificationSettingsPanel.jsx';
+import OtherCurrencies from './OtherCurrencies.jsx';
+import RecurringAllowancesPanel from './RecurringAllowancesPanel.jsx';
+import ReportsPanel from './ReportsPanel.jsx';
+import SpendingPoliciesPanel from './SpendingPoliciesPanel.jsx';
+import TransactionHistory from './TransactionHistory.jsx';
+
+// --- Main Tracker Component ---
+const LIVE_REFRESH_DELAY_MS = 500;
+
+export default function TrackerPage({ currentUser, onLogout }) {
+    const [pendingTransactions, setPendingTransactions] = useState([]);
+    const [refreshCount, setRefreshCount] = useState(0);
+    const [isRefreshing, setIsRefreshing] = useState(false);
+    // Whether the live update stream is connected; the manual refresh button only shows while it isn't
+    const [isLive, setIsLive] = useState(false);
+    const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+    // Requests made on this device while offline, waiting to be sent
+    const [queuedRequests, setQueuedRequests] = useState([]);
+    const [description, setDescription] = useState('');
+    const [amount, setAmount] = useState('');
+    const [type, setType] = useState('income');
+    const [childrenList, setChildrenList] = useState([]);
+    const [selectedChild, setSelectedChild] = useState('');
+    const [balances, setBalances] = useState({ family: { balance_cents: 0 }, children: [] });
+    const [summary, setSummary] = useState(null);
+    const [formBuckets, setFormBuckets] = useState([]);
+    const [bucketId, setBucketId] = useState('');
+    const [autoSplit, setAutoSplit] = useState(false);
+    // Empty means the household currency
+    const [currency, setCurrency] = useState('');
+    const [categories, setCategories] = useState([]);
+    // Empty means Uncategorized
+    const [categoryId, setCategoryId] = useState('');
+    const [tags, setTags] = useState('');
+    // Household currency, locale and exchange rates
+    const [household, setHousehold] = useState(null);
+    // Result of the last submit, shown inline under the form
+    const [formError, setFormError] = useState('');
+    const [formNotice, setFormNotice] = useState('');
+    // A child's own spending rules, for the hint under the request form
+    const [spendingPolicy, setSpendingPolicy] = useState(null);
+    // Inline edit of a pending request: { id, description, amount }
+    const [editingPending, setEditingPending] = useState(null);
+    // Transaction opened from a notification: ?transaction= when the app was launched from one,
+    // or a message from the service worker when it was already open
+    const [highlightId, setHighlightId] = useState(() => Number(new URLSearchParams(window.location.search).get('transaction')) || null);
+
+    // --- Reusable function to fetch pending transactions ---
+    // Also bumps refreshCount so the history, balances and panels reload after any change.
+    const fetchTransactions = useCallback(async () => {
+        setIsRefreshing(true);
+        try {
+            const data = await apiFetch('/transactions?status=pending&limit=200');
+            setPendingTransactions(data.transactions);
+            setRefreshCount(count => count + 1);
+        } catch (err) {
+            console.error("Failed to fetch transactions:", err);
+        } finally {
+            setIsRefreshing(false);
+        }
+    }, []);
+
+    // --- Balances are computed by the server so they don't depend on how much history is loaded ---
+    const fetchBalances = useCallback(async () => {
+        try {
+            const data = await apiFetch('/balances');
+            setBalances(data);
+            if (currentUser.role === 'child') {
+                setSummary(await apiFetch(`/children/${encodeURIComponent(currentUser.name)}/summary`));
+            }
+        } catch (err) {
+            console.error("Failed to fetch balances:", err);
+        }
+    }, [currentUser.role, currentUser.name]);
+
+    // Any change to the transactions (add, approve, refresh) can move a balance
+    useEffect(() => {
+        fetchBalances();
+    }, [fetchBalances, refreshCount]);
+
+    const fetchHousehold = useCallback(async () => {
+        try {
+            const data = await apiFetch('/household');
+            setMoneyFormat(data);
+            setHousehold(data);
+        } catch (err) {
+            console.error("Failed to fetch household settings:", err);
+        }
+    }, []);
+
+    // A currency change also changes which balances count as foreign
+    const handleHouseholdChanged = () => {
+        fetchHousehold();
+        fetchBalances();
+    };
+
+    useEffect(() => {
+        fetchHousehold();
+    }, [fetchHousehold]);
+
+    const fetchCategories = useCallback(async () => {
+        try {
+            setCategories(await apiFetch('/categories'));
+        } catch (err) {
+            console.error("Failed to fetch categories:", err);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchCategories();
+    }, [fetchCategories]);
+
+    // Category changes show up in the history and reports too
+    const handleCategoriesChanged = () => {
+        fetchCategories();
+        fetchTransactions();
+    };
+
+    useEffect(() => {
+        if (currentUser.role !== 'child') return;
+        apiFetch('/policies')
+            .then(([policy]) => setSpendingPolicy(policy || null))
+            .catch(err => console.error("Failed to fetch spending policy:", err));
+    }, [currentUser.role, refreshCount]);
+
+    // --- Fetch Children (Admin Only) ---
+    const fetchChildren = useCallback(async () => {
+        try {
+            const data = await apiFetch('/children');
+            setChildrenList(data);
+            if (data.length > 0) setSelectedChild(data[0].name);
+        } catch (err) {
+            console.error("Failed to fetch children:", err);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchTransactions(); // Fetch on initial load
+        
+        // Parents hear about new requests; children hear back when theirs are decided
+        registerForPushNotifications();
+        if (currentUser.role === 'admin') {
+            fetchChildren();
+        }
+    }, [currentUser.role, fetchTransactions, fetchChildren]);
+
+    // --- Offline queue: requests made without a connection are sent once the device is back online ---
+    const fetchQueuedRequests = useCallback(async () => {
+        try {
+            setQueuedRequests(await getQueuedRequests());
+        } catch (err) {
+            console.error("Failed to read queued requests:", err);
+        }
+    }, []);
+
+    const syncNow = useCallback(async () => {
+        try {
+            const sent = await syncQueuedRequests();
+            if (sent > 0) fetchTransactions();
+        } catch (err) {
+            console.error("Failed to send queued requests:", err);
+        }
+        await fetchQueuedRequests();
+    }, [fetchQueuedRequests, fetchTransactions]);
+
+    useEffect(() => {
+        syncNow();
+        const handleOnline = () => {
+            setIsOnline(true);
+            syncNow();
+        };
+        const handleOffline = () => setIsOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, [syncNow]);
+
+    const handleDiscardQueued = async (item) => {
+        if (!window.confirm(`Discard "${item.body.description}"? It hasn't been sent.`)) return;
+        await removeQueuedRequest(item.key);
+        fetchQueuedRequests();
+    };
+
+    // --- Live updates from other devices ---
+    // Changes are merged into the pending list as they arrive; everything else reloads through
+    // refreshCount, once per burst of events (e.g. several allowances posted together).
+    useEffect(() => {
+        let refreshTimer = null;
+        const scheduleRefresh = () => {
+            clearTimeout(refreshTimer);
+            refreshTimer = setTimeout(() => setRefreshCount(count => count + 1), LIVE_REFRESH_DELAY_MS);
+        };
+        const stop = connectToEvents({
+            onEvent: ({ transaction }) => {
+                setPendingTransactions(prev => {
+                    if (transaction.status !== 'pending') return prev.filter(t => t.id !== transaction.id);
+                    if (prev.some(t => t.id === transaction.id)) return prev.map(t => (t.id === transaction.id ? transaction : t));
+                    return [transaction, ...prev];
+                });
+                scheduleRefresh();
+            },
+            // A request was cancelled, so its row is gone
+            onRemove: ({ transaction }) => {
+                setPendingTransactions(prev => prev.filter(t => t.id !== transaction.id));
+                scheduleRefresh();
+            },
+            // Too much was missed to replay, so start over
+            onResync: fetchTransactions,
+            onConnectionChange: setIsLive,
+        });
+        return () => {
+            stop();
+            clearTimeout(refreshTimer);
+        };
+    }, [fetchTransactions]);
+
+    useEffect(() => {
+        if (!('serviceWorker' in navigator)) return;
+        const handleMessage = (event) => {
+            if (event.data?.type === 'open-transaction') {
+                setHighlightId(Number(event.data.transactionId));
+                fetchTransactions();
+            }
+        };
+        navigator.serviceWorker.addEventListener('message', handleMessage);
+        return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+    }, [fetchTransactions]);
+
+    useEffect(() => {
+        if (!highlightId) return;
+        // Drop the launch parameter so a reload doesn't jump back to the same item
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('transaction')) {
+            params.delete('transaction');
+            const query = params.toString();
+            window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+        }
+        scrollToTransaction(highlightId);
+    }, [highlightId, pendingTransactions]);
+
+    const targetChild = currentUser.role === 'admin' ? selectedChild : currentUser.name;
+
+    // --- Buckets available for the child the form is posting to ---
+    const fetchFormBuckets = useCallback(async () => {
+        if (!targetChild) return;
+        try {
+            const query = currentUser.role === 'admin' ? `?child_name=${encodeURIComponent(targetChild)}` : '';
+            const data = await apiFetch(`/buckets${query}`);
+            setFormBuckets(data);
+            setBucketId('');
+        } catch (err) {
+            console.error("Failed to fetch buckets:", err);
+        }
+    }, [targetChild, currentUser.role]);
+
+    useEffect(() => {
+        fetchFormBuckets();
+    }, [fetchFormBuckets]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!description || !amount) return;
+        
+        if (!targetChild) return;
+
+        const splitting = currentUser.role === 'admin' && type === 'income' && autoSplit;
+        const newTransaction = {
+            description,
+            amount: parseFloat(amount),
+            type,
+            child_name: targetChild,
+            bucket_id: splitting ? null : (bucketId || null),
+            auto_split: splitting,
+            currency: currency || null,
+            category_id: categoryId ? Number(categoryId) : null,
+            tags,
+        };
+        setFormError('');
+        setFormNotice('');
+        // The same key is used if the request has to be queued, so a send that did reach the server isn't repeated
+        const idempotencyKey = crypto.randomUUID();
+        const queueOffline = async () => {
+            await queueRequest(idempotencyKey, '/transactions', newTransaction);
+            fetchQueuedRequests();
+            setDescription('');
+            setAmount('');
+            setTags('');
+            setFormNotice("You're offline. Saved on this device - it will be sent when you're back online.");
+        };
+        if (!navigator.onLine) {
+            await queueOffline();
+            return;
+        }
+        try {
+            const created = await apiFetch('/transactions', {
+                method: 'POST',
+                headers: { 'Idempotency-Key': idempotencyKey },
+                body: JSON.stringify(newTransaction),
+            });
+            fetchTransactions();
+            setDescription('');
+            setAmount('');
+            setTags('');
+            if (currentUser.role === 'admin') {
+                setFormNotice("Transaction added and approved.");
+            } else if (created.status === 'approved') {
+                setFormNotice("Approved straight away - it's under your auto-approval limit.");
+            } else {
+                setFormNotice("Request sent for approval.");
+            }
+        } catch (err) {
+            if (isNetworkError(err)) {
+                await queueOffline();
+                return;
+            }
+            console.error("Failed to add transaction:", err);
+            setFormError(err.message);
+        }
+    };
+    
+    const handleApprove = async (transactionId) => {
+        try {
+            await apiFetch(`/transactions/${transactionId}/approve`, { method: 'PUT' });
+            fetchTransactions();
+        } catch (err) {
+            console.error("Failed to approve transaction:", err);
+            alert(err.message);
+            // The request may have been cancelled or decided elsewhere, so show it as it is now
+            fetchTransactions();
+        }
+    };
+
+    const handleDecline = async (transactionId) => {
+        try {
+            await apiFetch(`/transactions/${transactionId}/decline`, { method: 'PUT' });
+            fetchTransactions();
+        } catch (err) {
+            console.error("Failed to decline transaction:", err);
+            alert(err.message);
+            // The request may have been cancelled or decided elsewhere, so show it as it is now
+            fetchTransactions();
+        }
+    };
+
+    const handleEditPending = async (e) => {
+        e.preventDefault();
+        try {
+            await apiFetch(`/transactions/${editingPending.id}`, {
+                method: 'PUT',
+                body: JSON.stringify({ description: editingPending.description, amount: editingPending.amount }),
+            });
+            setEditingPending(null);
+            fetchTransactions();
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const handleCancelRequest = async (transaction) => {
+        if (!window.confirm(`Cancel the request "${transaction.description}"?`)) return;
+        try {
+            await apiFetch(`/transactions/${transaction.id}`, { method: 'DELETE' });
+            fetchTransactions();
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    // The main balance comes from the server in cents. If admin, it's the grand total. If child, it's their personal total.
+    const mainBalance = balances.family.balance_cents;
+
+    // Bucket totals for the main card. Admins see each bucket name summed across all children.
+    const mainBuckets = Object.values(balances.children.flatMap(child => child.buckets).reduce((acc, bucket) => {
+        acc[bucket.name] = { name: bucket.name, balance_cents: (acc[bucket.name]?.balance_cents || 0) + bucket.balance_cents };
+        return acc;
+    }, {}));
+
+    // Individual child balances are only shown to admins
+    const childBalances = currentUser.role === 'admin' ? balances.children : [];
+
+    return (
+      <div className="bg-slate-900 min-h-screen text-slate-200 flex flex-col items-center p-4 sm:p-8 font-sans">
+        <style>
+        {`
+            @keyframes spin {
+                from { transform: rotate(0deg); }
+                to { transform: rotate(360deg); }
+            }
+            .animate-spin {
+                animation: spin 1s linear infinite;
+            }
+        `}
+        </style>
+      <div className="w-full max-w-4xl">
+        <header className="flex justify-between items-center mb-8">
+          <h1 className="text-3xl sm:text-4xl font-bold text-cyan-400">Money Tracker</h1>
+          <div className="text-right">
+            <p className="text-slate-300">Welcome, <span className="font-bold">{currentUser.name}</span>!</p>
+            {currentUser.householdName && <p className="text-xs text-slate-500">{currentUser.householdName}</p>}
+            <button onClick={onLogout} className="text-sm text-cyan-400 hover:underline">Logout</button>
+          </div>
+        </header>
+
+        {!isOnline && (
+            <div className="bg-yellow-500/10 border border-yellow-500/40 text-yellow-300 p-3 rounded-xl mb-8 text-sm text-center">
+                You're offline. Showing the last saved balances and transactions; new requests are kept on this device and sent when you're back online.
+            </div>
+        )}
+
+        <div className="bg-slate-800 p-6 rounded-xl shadow-lg mb-8 text-center">
+            <h2 className="text-xl font-semibold text-slate-400">
+                {currentUser.role === 'admin' ? 'Total Approved Balance (All Children)' : 'My Approved Balance'}
+            </h2>
+            <p className={`text-4xl font-bold mt-2 ${mainBalance >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                {formatCents(mainBalance)}
+            </p>
+            <BucketTotals buckets={mainBuckets} className="justify-center mt-3" />
+            <OtherCurrencies balance={balances.family} className="mt-2" />
+            {summary && (
+                <p className="text-sm text-slate-400 mt-3">
+                    In <span className="text-green-400">{formatCents(summary.income_cents)}</span>
+                    <span className="mx-2">•</span>
+                    Out <span className="text-red-400">{formatCents(summary.expense_cents)}</span>
+                    {summary.pending_count > 0 && (
+                        <>
+                            <span className="mx-2">•</span>
+                            {summary.pending_count} pending ({formatCents(summary.pending_income_cents - summary.pending_expense_cents)})
+                        </>
+                    )}
+                </p>
+            )}
+        </div>
+        
+        {currentUser.role === 'admin' && childBalances.length > 0 && (
+            <div className="bg-slate-800 p-6 rounded-xl shadow-lg mb-8">
+                <h3 className="text-xl font-semibold text-slate-400 mb-4 text-center">Individual Balances</h3>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    {childBalances.map(child => (
+                        <div key={child.child_name} className="bg-slate-700 p-4 rounded-lg">
+                            <div className="flex justify-between items-center">
+                                <span className="font-bold text-slate-200">{child.child_name}</span>
+                                <span className={`font-semibold ${child.balance_cents >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                                    {formatCents(child.balance_cents)}
+                                </span>
+                            </div>
+                            <BucketTotals buckets={child.buckets} className="mt-2" />
+                            <OtherCurrencies balance={child} className="mt-2" />
+                        </div>
+                    ))}
+                </div>
+            </div>
+        )}
+
+        {/* Add Transaction Form (For both Admin and Child) */}
+        <div className="bg-slate-800 p-6 rounded-xl shadow-lg mb-8">
+            <h2 className="text-2xl font-bold mb-4 text-cyan-400">
+                {currentUser.role === 'admin' ? 'Add Transaction (Auto-Approved)' : 'Request a Transaction'}
+            </h2>
+            <form onSubmit={handleSubmit} className="grid grid-cols-1 sm:grid-cols-3 gap-4 items-end">
+                <input type="text" value={description} onChange={e => setDescription(e.target.value)} placeholder="Description" className="bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none"/>
+                <input type="number" value={amount} onChange={e => setAmount(e.target.value)} placeholder="Amount" className="bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none"/>
+                <select value={type} onChange={e => setType(e.target.value)} className="bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none">
+                    <option value="income">Income</option>
+                    <option value="expense">Expense</option>
+                </select>
+
+                <select value={bucketId} onChange={e => setBucketId(e.target.value)} disabled={currentUser.role === 'admin' && type === 'income' && autoSplit} className="bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none disabled:opacity-50">
+                    {formBuckets.map((bucket, index) => (
+                        <option key={bucket.id} value={index === 0 ? '' : bucket.id}>{bucket.name}</option>
+                    ))}
+                </select>
+                <select value={categoryId} onChange={e => setCategoryId(e.target.value)} aria-label="Category" className="bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none">
+                    {categories.map(category => (
+                        <option key={category.id} value={category.is_default ? '' : category.id}>{category.icon ? `${category.icon} ` : ''}{category.name}</option>
+                    ))}
+                </select>
+                <input type="text" value={tags} onChange={e => setTags(e.target.value)} placeholder="Tags (e.g. birthday school)" className="bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none"/>
+                {household && (
+                    <select value={currency} onChange={e => setCurrency(e.target.value)} aria-label="Currency" className="bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none">
+                        <option value="">{household.currency}</option>
+                        {[...new Set([...household.rates.map(rate => rate.currency), ...COMMON_CURRENCIES])]
+                            .filter(code => code !== household.currency)
+                            .map(code => <option key={code} value={code}>{code}</option>)}
+                    </select>
+                )}
+                {currentUser.role === 'admin' && type === 'income' && (
+                    <label className="flex items-center gap-2 text-sm text-slate-400">
+                        <input type="checkbox" checked={autoSplit} onChange={e => setAutoSplit(e.target.checked)} />
+                        Split across buckets
+                    </label>
+                )}
+                
+                {currentUser.role === 'admin' && (
+                    <div className="sm:col-span-3 flex flex-col mt-2">
+                        <label className="mb-1 text-sm text-slate-400">Assign to Child:</label>
+                        <select 
+                            value={selectedChild} 
+                            onChange={e => setSelectedChild(e.target.value)} 
+                            className="bg-slate-700 p-2 rounded-md w-full focus:ring-2 focus:ring-cyan-500 focus:outline-none"
+                        >
+                            {childrenList.map(child => (
+                                <option key={child.name} value={child.name}>{child.name}</option>
+                            ))}
+                            {childrenList.length === 0 && <option disabled>No children found</option>}
+                        </select>
+                    </div>
+                )}
+
+                <button type="submit" className="sm:col-span-3 bg-cyan-600 hover:bg-cyan-700 text-white font-bold py-2 px-4 rounded-md w-full mt-4">
+                    {currentUser.role === 'admin' ? 'Add Approved Transaction' : 'Submit Request'}
+                </button>
+                {formError && <p className="sm:col-span-3 text-red-400">{formError}</p>}
+                {formNotice && <p className="sm:col-span-3 text-green-400">{formNotice}</p>}
+                {spendingPolicy && type === 'expense' && describePolicy(spendingPolicy) && (
+                    <p className="sm:col-span-3 text-xs text-slate-400">{describePolicy(spendingPolicy)}</p>
+                )}
+            </form>
+        </div>
+
+        <BucketsPanel currentUser={currentUser} childrenList={childrenList} refreshKey={refreshCount} onChanged={fetchTransactions} />
+
+        <ChoresPanel currentUser={currentUser} childrenList={childrenList} refreshKey={refreshCount} onChanged={fetchTransactions} />
+        <ChoreWeekPanel refreshKey={refreshCount} />
+
+        <GoalsPanel currentUser={currentUser} childrenList={childrenList} refreshKey={refreshCount} />
+
+        <ReportsPanel currentUser={currentUser} childrenList={childrenList} refreshKey={refreshCount} />
+
+        {currentUser.role === 'admin' && (
+            <RecurringAllowancesPanel childrenList={childrenList} onPosted={fetchTransactions} />
+        )}
+
+        {currentUser.role === 'admin' && (
+            <InterestRulesPanel childrenList={childrenList} refreshKey={refreshCount} onPosted={fetchTransactions} />
+        )}
+
+        {currentUser.role === 'admin' && (
+            <CategoriesPanel categories={categories} onChanged={handleCategoriesChanged} />
+        )}
+
+        {currentUser.role === 'admin' && household && (
+            <CurrencySettingsPanel key={`${household.currency}-${household.locale}`} household={household} onChanged={handleHouseholdChanged} />
+        )}
+
+        {currentUser.role === 'admin' && (
+            <SpendingPoliciesPanel childrenList={childrenList} refreshKey={refreshCount} />
+        )}
+
+        {currentUser.role === 'admin' && <FamilyMembersPanel currentUser={currentUser} onChanged={fetchChildren} />}
+
+        {currentUser.role === 'admin' && <InvitesPanel />}
+        {currentUser.role === 'admin' && <DevicesPanel />}
+        <NotificationSettingsPanel currentUser={currentUser} />
+
+        {currentUser.role === 'admin' && (
+            <LedgerBackupPanel childrenList={childrenList} onImported={fetchTransactions} />
+        )}
+
+        <div className="bg-slate-800 p-6 rounded-xl shadow-lg">
+            <div className="flex items-center justify-between mb-4">
+               <h2 className="text-2xl font-bold text-cyan-400">Pending Transactions</h2>
+                {isLive ? (
+                    <span className="flex items-center gap-2 text-xs text-slate-400" title="Changes from other devices appear automatically">
+                        <span className="h-2 w-2 rounded-full bg-green-400"></span>
+                        Live
+                    </span>
+                ) : (
+                    <button 
+                        onClick={fetchTransactions}
+                        disabled={isRefreshing}
+                        className="p-2 rounded-full hover:bg-slate-700 transition-colors disabled:cursor-not-allowed disabled:opacity-50"
+                        aria-label="Refresh transactions"
+                    >
+                        <svg 
+                            xmlns="http://www.w3.org/2000/svg" 
+                            className={`h-5 w-5 text-slate-400 ${isRefreshing ? 'animate-spin' : ''}`}
+                            fill="none" 
+                            viewBox="0 0 24 24" 
+                            stroke="currentColor"
+                        >
+                            <path 
+                                strokeLinecap="round" 
+                                strokeLinejoin="round" 
+                                strokeWidth={2} 
+                                d="M4 4v5h5M20 20v-5h-5M4 4a8 8 0 0113.856 5.856M20 20a8 8 0 01-13.856-5.856" 
+                            />
+                        </svg>
+                    </button>
+                )}
+            </div>
+            <ul className="space-y-3">
+                {queuedRequests.map(item => (
+                    <li key={item.key} className="flex flex-wrap items-center justify-between bg-slate-700/60 border border-dashed border-slate-500 p-3 rounded-md">
+                        <div>
+                            <span className="font-semibold">{item.body.description}</span>
+                            <span className="text-xs text-slate-400 block">
+                                {item.body.child_name}
+                                <span className="mx-1">•</span>
+                                {item.error ? (
+                                    <span className="text-red-400">Not sent: {item.error}</span>
+                                ) : (
+                                    <span className="text-yellow-300">Waiting to sync - saved {new Date(item.created_at).toLocaleString()}</span>
+                                )}
+                            </span>
+                        </div>
+                        <div className="flex items-center gap-4">
+                            <span className={`font-semibold ${item.body.type === 'income' ? 'text-green-400' : 'text-red-400'}`}>
+                                {item.body.type === 'income' ? '+' : '-'}{formatAmount(item.body.amount, item.body.currency || undefined)}
+                            </span>
+                            <button onClick={() => handleDiscardQueued(item)} className="ml-4 bg-slate-600 hover:bg-slate-500 text-white py-1 px-3 rounded-md text-sm">Discard</button>
+                        </div>
+                    </li>
+                ))}
+                {pendingTransactions.map(t => (
+                    <li key={t.id} id={`transaction-${t.id}`} className={`flex flex-wrap items-center justify-between bg-slate-700 p-3 rounded-md ${t.id === highlightId ? 'ring-2 ring-cyan-400' : ''}`}>
+                        <div>
+                            <span className="font-semibold">{t.description}</span>
+                            <span className="text-xs text-slate-400 block">
+                                {t.child_name}{t.bucket_name && ` • ${t.bucket_name}`}
+                                <span className="mx-1">•</span>
+                                <CategoryBadge category={t} />
+                                <TagList tags={t.tags} />
+                            </span>
+                        </div>
+                        <div className="flex items-center gap-4">
+                            <span className={`font-semibold ${t.type === 'income' ? 'text-green-400' : 'text-red-400'}`}>
+                                {t.type === 'income' ? '+' : '-'}{formatAmount(t.amount, t.currency)}
+                            </span>
+                            <div className="ml-4 flex gap-2">
+                                <button onClick={() => setEditingPending({ id: t.id, description: t.description, amount: t.amount })} className="bg-slate-600 hover:bg-slate-500 text-white py-1 px-3 rounded-md text-sm">Edit</button>
+                                {currentUser.role === 'admin' ? (
+                                    <>
+                                        <button onClick={() => handleApprove(t.id)} className="bg-green-500 hover:bg-green-600 text-white font-bold py-1 px-3 rounded-md text-sm">Approve</button>
+                                        <button onClick={() => handleDecline(t.id)} className="bg-red-500 hover:bg-red-600 text-white font-bold py-1 px-3 rounded-md text-sm">Decline</button>
+                                    </>
+                                ) : (
+                                    <button onClick={() => handleCancelRequest(t)} className="bg-red-500 hover:bg-red-600 text-white py-1 px-3 rounded-md text-sm">Cancel</button>
+                                )}
+                            </div>
+                        </div>
+                        {editingPending?.id === t.id && (
+                            <form onSubmit={handleEditPending} className="w-full flex flex-wrap gap-2 mt-3">
+                                <input type="text" value={editingPending.description} onChange={e => setEditingPending({ ...editingPending, description: e.target.value })} required className="bg-slate-800 p-2 rounded-md flex-1 focus:ring-2 focus:ring-cyan-500 focus:outline-none"/>
+                                <input type="number" min="0.01" step="0.01" value={editingPending.amount} onChange={e => setEditingPending({ ...editingPending, amount: e.target.value })} required className="bg-slate-800 p-2 rounded-md w-28 focus:ring-2 focus:ring-cyan-500 focus:outline-none"/>
+                                <button type="submit" className="bg-cyan-600 hover:bg-cyan-700 text-white py-1 px-3 rounded-md text-sm">Save</button>
+                                <button type="button" onClick={() => setEditingPending(null)} className="bg-slate-600 hover:bg-slate-500 text-white py-1 px-3 rounded-md text-sm">Cancel</button>
+                            </form>
+                        )}
+                    </li>
+                ))}
+            </ul>
+{/* Transaction History Section (Approved & Declined) */}
+           <TransactionHistory currentUser={currentUser} childrenList={childrenList} categories={categories} refreshKey={refreshCount} onChanged={fetchTransactions} highlightId={highlightId} />
+
+        </div>
+      </div>
+    </div>
+    );
+  }
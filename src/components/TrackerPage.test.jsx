@@ -0,0 +1,112 @@
+import { describe, expect, it, vi } from 'vitest';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { callsTo, mockApi } from '../test/fakeApi.js';
+import TrackerPage from './TrackerPage.jsx';
+
+describe('TrackerPage', () => {
+  const household = { id: 1, name: 'The Smiths', currency: 'USD', locale: 'en-US', rates: [] };
+  const pendingRequest = {
+    id: 7, description: 'Comic book', amount: '4.50', type: 'expense', status: 'pending',
+    child_name: 'Mia', currency: 'USD', tags: [], bucket_name: 'Spending',
+  };
+  const balances = (children) => ({
+    currency: 'USD',
+    family: { balance_cents: children.reduce((sum, child) => sum + child.balance_cents, 0), foreign: [] },
+    children: children.map(child => ({ buckets: [], foreign: [], ...child })),
+  });
+
+  it('shows a parent the family balance and lets them approve requests', async () => {
+    let pending = [pendingRequest];
+    const fetchMock = mockApi({
+      'GET /transactions?status=pending&limit=200': () => [200, { transactions: pending, total: pending.length }],
+      'GET /balances': balances([{ child_name: 'Mia', balance_cents: 1250 }, { child_name: 'Leo', balance_cents: 300 }]),
+      'GET /household': household,
+      'GET /categories': [],
+      'GET /children': [{ name: 'Mia' }, { name: 'Leo' }],
+      'PUT /transactions/7/approve': () => {
+        pending = [];
+        return [200, { message: 'Transaction approved successfully' }];
+      },
+    });
+    render(<TrackerPage currentUser={{ id: 1, name: 'Sam', role: 'admin' }} onLogout={vi.fn()} />);
+
+    expect(screen.getByText('Total Approved Balance (All Children)')).toBeTruthy();
+    expect(await screen.findByText('$15.50')).toBeTruthy();
+    const request = (await screen.findByText('Comic book')).closest('li');
+    expect(within(request).getByText('-$4.50')).toBeTruthy();
+
+    await userEvent.click(within(request).getByRole('button', { name: 'Approve' }));
+    await waitFor(() => expect(screen.queryByText('Comic book')).toBeNull());
+    expect(callsTo(fetchMock, 'PUT', '/transactions/7/approve')).toHaveLength(1);
+  });
+
+  it('tells a parent when a request was already dealt with and drops it from the list', async () => {
+    let pending = [pendingRequest];
+    const alert = vi.spyOn(window, 'alert').mockImplementation(() => {});
+    mockApi({
+      'GET /transactions?status=pending&limit=200': () => [200, { transactions: pending, total: pending.length }],
+      'GET /balances': balances([{ child_name: 'Mia', balance_cents: 1250 }]),
+      'GET /household': household,
+      'GET /categories': [],
+      'GET /children': [{ name: 'Mia' }],
+      'PUT /transactions/7/decline': () => {
+        pending = [];
+        return [409, { error: 'This request was just approved or declined.' }];
+      },
+    });
+    render(<TrackerPage currentUser={{ id: 1, name: 'Sam', role: 'admin' }} onLogout={vi.fn()} />);
+
+    const request = (await screen.findByText('Comic book')).closest('li');
+    await userEvent.click(within(request).getByRole('button', { name: 'Decline' }));
+    await waitFor(() => expect(screen.queryByText('Comic book')).toBeNull());
+    expect(alert).toHaveBeenCalledWith('This request was just approved or declined.');
+    alert.mockRestore();
+  });
+
+  it('lets a child ask for money for themselves, without approval buttons', async () => {
+    const fetchMock = mockApi({
+      'GET /transactions?status=pending&limit=200': { transactions: [pendingRequest], total: 1 },
+      'GET /balances': balances([{ child_name: 'Mia', balance_cents: 1250 }]),
+      'GET /children/Mia/summary': { income_cents: 2000, expense_cents: 750, pending_count: 1, pending_income_cents: 0, pending_expense_cents: 450 },
+      'GET /household': household,
+      'GET /categories': [],
+      'GET /policies': [],
+      'POST /transactions': (body) => [201, { id: 8, ...body, amount: '3.00', status: 'pending' }],
+    });
+    render(<TrackerPage currentUser={{ id: 2, name: 'Mia', role: 'child' }} onLogout={vi.fn()} />);
+
+    expect(screen.getByText('My Approved Balance')).toBeTruthy();
+    const request = (await screen.findByText('Comic book')).closest('li');
+    expect(within(request).queryByRole('button', { name: 'Approve' })).toBeNull();
+    expect(within(request).getByRole('button', { name: 'Cancel' })).toBeTruthy();
+
+    await userEvent.type(screen.getByPlaceholderText('Description'), 'Pocket money');
+    await userEvent.type(screen.getByPlaceholderText('Amount'), '3');
+    await userEvent.click(screen.getByRole('button', { name: 'Submit Request' }));
+
+    expect(await screen.findByText('Request sent for approval.')).toBeTruthy();
+    expect(callsTo(fetchMock, 'POST', '/transactions')).toEqual([
+      expect.objectContaining({ description: 'Pocket money', amount: 3, type: 'income', child_name: 'Mia' }),
+    ]);
+  });
+
+  it('shows why a request was refused', async () => {
+    mockApi({
+      'GET /transactions?status=pending&limit=200': { transactions: [], total: 0 },
+      'GET /balances': balances([{ child_name: 'Mia', balance_cents: 0 }]),
+      'GET /household': household,
+      'GET /categories': [],
+      'GET /policies': [],
+      'POST /transactions': () => [400, { error: "That would take you below zero. You have $0.00.", code: 'spending_policy' }],
+    });
+    render(<TrackerPage currentUser={{ id: 2, name: 'Mia', role: 'child' }} onLogout={vi.fn()} />);
+
+    await userEvent.type(screen.getByPlaceholderText('Description'), 'Sweets');
+    await userEvent.type(screen.getByPlaceholderText('Amount'), '2');
+    await userEvent.selectOptions(screen.getByDisplayValue('Income'), 'expense');
+    await userEvent.click(screen.getByRole('button', { name: 'Submit Request' }));
+
+    expect(await screen.findByText('That would take you below zero. You have $0.00.')).toBeTruthy();
+  });
+});
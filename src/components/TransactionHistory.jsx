@@ -0,0 +1,229 @@
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../lib/api.js';
+import { HISTORY_PAGE_SIZE, HISTORY_FILTER_KEYS, readHistoryParams, scrollToTransaction, writeHistoryParams } from '../lib/history.js';
+import { formatAmount } from '../lib/money.js';
+import AuditTimeline from './AuditTimeline.jsx';
+import CategoryBadge, { TagList } from './CategoryBadge.jsx';
+
+// --- Transaction History (server-side paging and filters, synced to the URL) ---
+
+export default function TransactionHistory({ currentUser, childrenList, categories, refreshKey, onChanged, highlightId }) {
+    const [filters, setFilters] = useState(() => readHistoryParams().filters);
+    const [currentPage, setCurrentPage] = useState(() => readHistoryParams().page);
+    const [history, setHistory] = useState({ transactions: [], total: 0 });
+    const [showFilters, setShowFilters] = useState(() => HISTORY_FILTER_KEYS.some(key => readHistoryParams().filters[key]));
+    // Transaction whose audit timeline is open (admins only)
+    const [auditId, setAuditId] = useState(null);
+    // Inline correction form: { id, description, amount }
+    const [correcting, setCorrecting] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        writeHistoryParams(filters, currentPage);
+        // Debounced so typing in the search box doesn't send a request per keystroke
+        const timer = setTimeout(async () => {
+            const params = new URLSearchParams({
+                limit: HISTORY_PAGE_SIZE,
+                offset: (currentPage - 1) * HISTORY_PAGE_SIZE,
+                status: filters.status || 'approved,declined',
+            });
+            HISTORY_FILTER_KEYS.filter(key => key !== 'status' && filters[key]).forEach(key => params.set(key, filters[key]));
+            try {
+                const data = await apiFetch(`/transactions?${params}`);
+                setHistory(data);
+                setError('');
+            } catch (err) {
+                console.error("Failed to fetch history:", err);
+                setError(err.message);
+            }
+        }, 300);
+        return () => clearTimeout(timer);
+    }, [filters, currentPage, refreshKey]);
+
+    useEffect(() => {
+        if (highlightId) scrollToTransaction(highlightId);
+    }, [history, highlightId]);
+
+    const handleReverse = async (transaction) => {
+        const reason = window.prompt(`Reverse "${transaction.description}"? An opposite entry will be added. Reason (optional):`);
+        if (reason === null) return;
+        try {
+            await apiFetch(`/transactions/${transaction.id}/reverse`, { method: 'POST', body: JSON.stringify({ reason }) });
+            setError('');
+            onChanged();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleCorrect = async (e) => {
+        e.preventDefault();
+        try {
+            await apiFetch(`/transactions/${correcting.id}/correct`, {
+                method: 'POST',
+                body: JSON.stringify({ description: correcting.description, amount: correcting.amount }),
+            });
+            setCorrecting(null);
+            setError('');
+            onChanged();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    // Reversals, and entries already reversed or corrected, can't be changed again
+    const canReverse = (t) => currentUser.role === 'admin' && t.status === 'approved' && !t.reverses_id && !t.reversed_by_id;
+
+    const updateFilter = (key, value) => {
+        setFilters(prev => ({ ...prev, [key]: value }));
+        setCurrentPage(1);
+    };
+
+    const clearFilters = () => {
+        setFilters(Object.fromEntries(HISTORY_FILTER_KEYS.map(key => [key, ''])));
+        setCurrentPage(1);
+    };
+
+    const currentHistory = history.transactions;
+    const totalPages = Math.ceil(history.total / HISTORY_PAGE_SIZE);
+    const goToPreviousPage = () => setCurrentPage(prev => Math.max(prev - 1, 1));
+    const goToNextPage = () => setCurrentPage(prev => Math.min(prev + 1, totalPages));
+    const inputClass = "bg-slate-700 p-2 rounded-md w-full text-sm focus:ring-2 focus:ring-cyan-500 focus:outline-none";
+
+    return (
+        <>
+           <div className="flex items-center justify-between mt-8 mb-4 border-t border-slate-700 pt-6">
+               <h2 className="text-2xl font-bold text-cyan-400">Transaction History</h2>
+               <div className="flex items-center gap-3">
+                   <span className="text-sm text-slate-400">{history.total} {history.total === 1 ? 'entry' : 'entries'}</span>
+                   <button onClick={() => setShowFilters(prev => !prev)} className="text-sm text-cyan-400 hover:underline">
+                       {showFilters ? 'Hide filters' : 'Filters'}
+                   </button>
+               </div>
+           </div>
+
+           {showFilters && (
+               <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-4">
+                   <input type="search" value={filters.q} onChange={e => updateFilter('q', e.target.value)} placeholder="Search descriptions" className={`${inputClass} col-span-2`}/>
+                   {currentUser.role === 'admin' && (
+                       <select value={filters.child_name} onChange={e => updateFilter('child_name', e.target.value)} className={inputClass}>
+                           <option value="">All children</option>
+                           {childrenList.map(child => (
+                               <option key={child.name} value={child.name}>{child.name}</option>
+                           ))}
+                       </select>
+                   )}
+                   <select value={filters.status} onChange={e => updateFilter('status', e.target.value)} className={inputClass}>
+                       <option value="">Approved &amp; declined</option>
+                       <option value="approved">Approved</option>
+                       <option value="declined">Declined</option>
+                   </select>
+                   <select value={filters.type} onChange={e => updateFilter('type', e.target.value)} className={inputClass}>
+                       <option value="">Income &amp; expense</option>
+                       <option value="income">Income</option>
+                       <option value="expense">Expense</option>
+                   </select>
+                   <select value={filters.category_id} onChange={e => updateFilter('category_id', e.target.value)} className={inputClass}>
+                       <option value="">All categories</option>
+                       {categories.map(category => (
+                           <option key={category.id} value={category.id}>{category.icon ? `${category.icon} ` : ''}{category.name}</option>
+                       ))}
+                   </select>
+                   <input type="text" value={filters.tag} onChange={e => updateFilter('tag', e.target.value)} placeholder="Tag" className={inputClass}/>
+                   <input type="date" value={filters.from} onChange={e => updateFilter('from', e.target.value)} title="From date" className={inputClass}/>
+                   <input type="date" value={filters.to} onChange={e => updateFilter('to', e.target.value)} title="To date" className={inputClass}/>
+                   <input type="number" min="0" step="0.01" value={filters.min_amount} onChange={e => updateFilter('min_amount', e.target.value)} placeholder="Min amount" className={inputClass}/>
+                   <input type="number" min="0" step="0.01" value={filters.max_amount} onChange={e => updateFilter('max_amount', e.target.value)} placeholder="Max amount" className={inputClass}/>
+                   <button onClick={clearFilters} className="text-sm text-slate-400 hover:text-cyan-400">Clear filters</button>
+               </div>
+           )}
+           {error && <p className="text-red-400 mb-4">{error}</p>}
+
+           
+           <ul className="space-y-3 min-h-[200px]">
+            {currentHistory.length === 0 ? (
+                 <p className="text-slate-500 italic">No history available.</p>
+            ) : (
+                currentHistory.map(t => (
+                    <li key={t.id} id={`transaction-${t.id}`} className={`flex flex-wrap items-center justify-between bg-slate-900/50 p-3 rounded-md ${t.status === 'declined' ? 'opacity-50' : 'opacity-80'} ${t.id === highlightId ? 'ring-2 ring-cyan-400' : ''}`}>
+                        <div>
+                            <span className={`font-semibold ${t.status === 'declined' ? 'line-through' : ''}`}>{t.description}</span>
+                            <span className="text-xs text-slate-400 block">
+                                {t.child_name} 
+                                {t.bucket_name && <><span className="mx-1">•</span>{t.bucket_name}</>}
+                                <span className="mx-1">•</span>
+                                <CategoryBadge category={t} />
+                                <TagList tags={t.tags} />
+                                <span className="mx-1">•</span> 
+                                {t.status === 'approved' ? <span className="text-green-500">Approved</span> : <span className="text-red-500">Declined</span>}
+                                {t.approved_by && ` by ${t.approved_by}`}
+                                <span className="mx-1">•</span>
+                                #{t.id}
+                            </span>
+                            {(t.reverses_id || t.corrects_id || t.reversed_by_id || t.corrected_by_id) && (
+                                <span className="text-xs text-yellow-400 block">
+                                    {[
+                                        t.reverses_id && `Reverses #${t.reverses_id}`,
+                                        t.corrects_id && `Corrects #${t.corrects_id}`,
+                                        t.corrected_by_id ? `Corrected by #${t.corrected_by_id}` : t.reversed_by_id && `Reversed by #${t.reversed_by_id}`,
+                                    ].filter(Boolean).join(' • ')}
+                                </span>
+                            )}
+                        </div>
+                        <div className="flex items-center gap-3">
+                            <div className={`font-semibold ${t.status === 'declined' ? 'text-slate-500 line-through' : (t.type === 'income' ? 'text-green-400' : 'text-red-400')}`}>
+                                {t.type === 'income' ? '+' : '-'}{formatAmount(t.amount, t.currency)}
+                            </div>
+                            {canReverse(t) && (
+                                <>
+                                    {!t.transfer_id && (
+                                        <button onClick={() => setCorrecting({ id: t.id, description: t.description, amount: t.amount })} className="text-xs text-cyan-400 hover:underline">Correct</button>
+                                    )}
+                                    <button onClick={() => handleReverse(t)} className="text-xs text-cyan-400 hover:underline">Reverse</button>
+                                </>
+                            )}
+                            {currentUser.role === 'admin' && (
+                                <button onClick={() => setAuditId(auditId === t.id ? null : t.id)} className="text-xs text-cyan-400 hover:underline">History</button>
+                            )}
+                        </div>
+                        {correcting?.id === t.id && (
+                            <form onSubmit={handleCorrect} className="w-full flex flex-wrap gap-2 mt-3">
+                                <input type="text" value={correcting.description} onChange={e => setCorrecting({ ...correcting, description: e.target.value })} required className="bg-slate-800 p-2 rounded-md flex-1 focus:ring-2 focus:ring-cyan-500 focus:outline-none"/>
+                                <input type="number" min="0.01" step="0.01" value={correcting.amount} onChange={e => setCorrecting({ ...correcting, amount: e.target.value })} required className="bg-slate-800 p-2 rounded-md w-28 focus:ring-2 focus:ring-cyan-500 focus:outline-none"/>
+                                <button type="submit" className="bg-cyan-600 hover:bg-cyan-700 text-white py-1 px-3 rounded-md text-sm">Save Correction</button>
+                                <button type="button" onClick={() => setCorrecting(null)} className="bg-slate-600 hover:bg-slate-500 text-white py-1 px-3 rounded-md text-sm">Cancel</button>
+                            </form>
+                        )}
+                        {auditId === t.id && (
+                            <div className="w-full">
+                                <AuditTimeline query={`transaction_id=${t.id}`} />
+                            </div>
+                        )}
+                    </li>
+                ))
+            )}
+          </ul>
+
+          {/* Pagination Controls */}
+          {totalPages > 1 && (
+              <div className="flex justify-center items-center mt-6 space-x-4">
+                  <button 
+                    onClick={goToPreviousPage} 
+                    disabled={currentPage === 1}
+                    className="px-3 py-1 rounded bg-slate-700 hover:bg-slate-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    Previous
+                  </button>
+                  <span className="text-slate-400 text-sm">Page {currentPage} of {totalPages}</span>
+                  <button 
+                    onClick={goToNextPage} 
+                    disabled={currentPage === totalPages}
+                    className="px-3 py-1 rounded bg-slate-700 hover:bg-slate-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    Next
+                  </button>
+              </div>
+          )}
+        </>
+    );
+}
@@ -0,0 +1,202 @@
+const API_URL = '/api/money';
+
+// --- Helpers for API calls ---
+// Access tokens only last a few minutes. On a 401 the refresh token is swapped for a new pair and
+// the request retried once; only if that fails does the app go back to the login screen.
+let refreshPromise = null;
+
+const endSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  window.dispatchEvent(new Event('session-expired'));
+};
+
+const refreshAccessToken = () => {
+  // Requests that hit a 401 together share one refresh, since each refresh token only works once
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const response = await fetch(`${API_URL}/token/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refresh_token: localStorage.getItem('refreshToken') }),
+      });
+      if (!response.ok) return false;
+      const { accessToken, refreshToken } = await response.json();
+      localStorage.setItem('token', accessToken);
+      localStorage.setItem('refreshToken', refreshToken);
+      return true;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+// fetch() with the access token attached, for callers that need the raw response (e.g. downloads)
+export const authorizedFetch = async (endpoint, options = {}) => {
+  const send = () => {
+    const token = localStorage.getItem('token');
+    const headers = {
+      'Content-Type': 'application/json',
+      ...options.headers,
+    };
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+    return fetch(`${API_URL}${endpoint}`, { ...options, headers });
+  };
+
+  let response = await send();
+  if (response.status === 401 && localStorage.getItem('refreshToken') && await refreshAccessToken()) {
+    response = await send();
+  }
+  if (response.status === 401) {
+    // The session is over (expired, revoked or the account was disabled)
+    endSession();
+    throw new Error('Session expired. Please log in again.');
+  }
+  return response;
+};
+
+// Reads fall back to the last response saved on this device when there is no connection
+// (fetch rejects with a TypeError); callers that need to know can check isNetworkError().
+export const apiFetch = async (endpoint, options = {}) => {
+  const isRead = !options.method || options.method === 'GET';
+  let response;
+  try {
+    response = await authorizedFetch(endpoint, options);
+  } catch (error) {
+    if (isRead && isNetworkError(error)) {
+      const saved = await readSavedResponse(endpoint);
+      if (saved !== undefined) return saved;
+    }
+    throw error;
+  }
+
+  if (!response.ok) {
+    const errorBody = await response.json().catch(() => ({ error: 'Request failed' }));
+    const error = new Error(errorBody.error || `HTTP error! status: ${response.status}`);
+    // Keep the full body for callers that show more than the message (e.g. per-row import errors)
+    error.body = errorBody;
+    error.status = response.status;
+    throw error;
+  }
+  const data = await response.json();
+  if (isRead) saveResponse(endpoint, data);
+  return data;
+};
+
+// --- Offline Storage ---
+// IndexedDB keeps the last response to each read and the requests made while offline (the outbox).
+// Both are stored per user, so on a shared tablet nobody sees someone else's data or sends their requests.
+const OFFLINE_DB_NAME = 'money-tracker';
+const OFFLINE_DB_VERSION = 1;
+let offlineDbPromise = null;
+
+export const isNetworkError = (error) => error instanceof TypeError;
+
+const openOfflineDb = () => {
+  if (!offlineDbPromise) {
+    offlineDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore('responses', { keyPath: 'key' });
+        request.result.createObjectStore('outbox', { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return offlineDbPromise;
+};
+
+// Runs one request against an object store and resolves with its result
+const withStore = async (storeName, mode, operation) => {
+  const db = await openOfflineDb();
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+// The logged-in user's id, read from the access token the same way the App component does
+export const storedUserId = () => {
+  try {
+    return JSON.parse(atob(localStorage.getItem('token').split('.')[1])).id;
+  } catch {
+    return null;
+  }
+};
+
+const readSavedResponse = async (endpoint) => {
+  try {
+    const saved = await withStore('responses', 'readonly', store => store.get(`${storedUserId()} ${endpoint}`));
+    return saved?.data;
+  } catch {
+    return undefined;
+  }
+};
+
+const saveResponse = (endpoint, data) => {
+  withStore('responses', 'readwrite', store => store.put({ key: `${storedUserId()} ${endpoint}`, user_id: storedUserId(), data }))
+    .catch(error => console.warn('Could not save response for offline use:', error));
+};
+
+// On logout the user's saved data is removed from the device; their queued requests stay until they log in again
+export const clearSavedResponses = async (userId) => {
+  try {
+    const saved = await withStore('responses', 'readonly', store => store.getAll());
+    await Promise.all(saved.filter(entry => entry.user_id === userId).map(entry => withStore('responses', 'readwrite', store => store.delete(entry.key))));
+  } catch (error) {
+    console.warn('Could not clear saved responses:', error);
+  }
+};
+
+// Requests waiting to be sent, oldest first. `key` doubles as the Idempotency-Key header.
+export const getQueuedRequests = async () => {
+  const userId = storedUserId();
+  const queued = await withStore('outbox', 'readonly', store => store.getAll());
+  return queued.filter(item => item.user_id === userId).sort((a, b) => a.created_at.localeCompare(b.created_at));
+};
+
+export const queueRequest = (key, endpoint, body) =>
+  withStore('outbox', 'readwrite', store => store.put({ key, user_id: storedUserId(), endpoint, body, created_at: new Date().toISOString(), error: null }));
+
+export const removeQueuedRequest = (key) => withStore('outbox', 'readwrite', store => store.delete(key));
+
+// Sends queued requests in the order they were made, through apiFetch with their idempotency keys, so
+// a request whose response was lost isn't applied twice. Stops at the first connection or server error
+// and tries again later; a request the server rejects stays in the outbox with its error until discarded.
+// One the server is still working on (409) is left for the next sync without holding up the rest.
+// Resolves with the number of requests sent.
+let syncPromise = null;
+
+export const syncQueuedRequests = () => {
+  if (!syncPromise) {
+    syncPromise = (async () => {
+      let sent = 0;
+      for (const item of await getQueuedRequests()) {
+        if (item.error) continue;
+        try {
+          await apiFetch(item.endpoint, {
+            method: 'POST',
+            headers: { 'Idempotency-Key': item.key },
+            body: JSON.stringify(item.body),
+          });
+          await removeQueuedRequest(item.key);
+          sent++;
+        } catch (error) {
+          // 409: an earlier attempt is still being processed
+          if (error.status === 409) continue;
+          if (!error.status || error.status >= 500) break;
+          await withStore('outbox', 'readwrite', store => store.put({ ...item, error: error.message }));
+        }
+      }
+      return sent;
+    })().finally(() => {
+      syncPromise = null;
+    });
+  }
+  return syncPromise;
+};
@@ -0,0 +1,8 @@
+// Calendar dates as 'YYYY-MM-DD' in the device's time zone, like the date inputs use
+export const todayString = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+// How often allowance and interest rules run
+export const CADENCE_LABELS = { weekly: 'Weekly', biweekly: 'Every 2 weeks', monthly: 'Monthly' };
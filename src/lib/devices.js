@@ -0,0 +1,8 @@
+// A rough, human-readable name for a device from its user agent
+export const describeDevice = (userAgent = '') => {
+    const device = ['iPad', 'iPhone', 'Android', 'Windows', 'Mac', 'Linux', 'CrOS'].find(name => userAgent.includes(name));
+    const browser = ['Edg', 'Firefox', 'Chrome', 'Safari'].find(name => userAgent.includes(name));
+    const labels = { Edg: 'Edge', CrOS: 'Chromebook' };
+    if (!device && !browser) return 'Unknown device';
+    return [labels[browser] || browser, device && `on ${labels[device] || device}`].filter(Boolean).join(' ');
+};
@@ -0,0 +1,74 @@
+import { authorizedFetch } from './api.js';
+
+// --- Live Updates ---
+// Reads the server's event stream with fetch rather than EventSource, which can't send the Authorization
+// header or refresh an expired token. The stream is reopened after any disconnect, with growing delays,
+// and resumes from the last event id so nothing is missed in between.
+const EVENT_RETRY_DELAYS_MS = [1000, 2000, 5000, 10000, 30000];
+
+const parseEventBlock = (block) => {
+  const message = { event: 'message', data: '' };
+  block.split('\n').forEach(line => {
+    if (line.startsWith(':')) return; // keep-alive comment
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+    if (field === 'data') message.data += value;
+    else if (field === 'id' || field === 'event') message[field] = value;
+  });
+  return message;
+};
+
+// Returns a function that closes the stream for good
+export function connectToEvents({ onEvent, onRemove, onResync, onConnectionChange }) {
+  let stopped = false;
+  let controller = null;
+  let lastEventId = null;
+
+  const readStream = async (response) => {
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      buffer += value.replace(/\r\n?/g, '\n');
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const message = parseEventBlock(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+        if (message.id) lastEventId = message.id;
+        if (message.event === 'transaction') onEvent(JSON.parse(message.data));
+        else if (message.event === 'removed') onRemove(JSON.parse(message.data));
+        else if (message.event === 'resync') onResync();
+      }
+    }
+  };
+
+  (async () => {
+    let attempt = 0;
+    while (!stopped) {
+      controller = new AbortController();
+      try {
+        const query = lastEventId ? `?since=${encodeURIComponent(lastEventId)}` : '';
+        const response = await authorizedFetch(`/events${query}`, { signal: controller.signal });
+        if (!response.ok) throw new Error(`Event stream failed: ${response.status}`);
+        attempt = 0;
+        onConnectionChange(true);
+        await readStream(response);
+      } catch (error) {
+        if (stopped) return;
+        console.warn('Live updates disconnected:', error.message);
+      }
+      onConnectionChange(false);
+      if (stopped) return;
+      const delay = EVENT_RETRY_DELAYS_MS[Math.min(attempt, EVENT_RETRY_DELAYS_MS.length - 1)];
+      attempt++;
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  })();
+
+  return () => {
+    stopped = true;
+    controller?.abort();
+  };
+}
@@ -0,0 +1,25 @@
+// --- Transaction History: server-side paging and filters, synced to the URL ---
+export const HISTORY_PAGE_SIZE = 7;
+export const HISTORY_FILTER_KEYS = ['child_name', 'status', 'type', 'category_id', 'tag', 'from', 'to', 'min_amount', 'max_amount', 'q'];
+
+// Filters and page live in the query string so a filtered view survives reloads and can be bookmarked
+export const readHistoryParams = () => {
+    const params = new URLSearchParams(window.location.search);
+    return {
+        filters: Object.fromEntries(HISTORY_FILTER_KEYS.map(key => [key, params.get(key) || ''])),
+        page: Math.max(parseInt(params.get('page'), 10) || 1, 1),
+    };
+};
+
+// Brings a transaction opened from a notification into view, if it is on screen
+export const scrollToTransaction = (id) => {
+    document.getElementById(`transaction-${id}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+};
+
+export const writeHistoryParams = (filters, page) => {
+    const params = new URLSearchParams(window.location.search);
+    HISTORY_FILTER_KEYS.forEach(key => (filters[key] ? params.set(key, filters[key]) : params.delete(key)));
+    if (page > 1) params.set('page', page); else params.delete('page');
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+};
@@ -0,0 +1,18 @@
+// --- Money Formatting ---
+// Balances arrive from the server as integer cents; only convert for display. The household's currency
+// and locale are set once TrackerPage has loaded them (the browser's locale is used when none is set).
+export const moneyFormat = { currency: 'USD', locale: undefined };
+
+export const setMoneyFormat = ({ currency, locale }) => {
+    moneyFormat.currency = currency;
+    moneyFormat.locale = locale || undefined;
+};
+
+export const formatCents = (cents, currency = moneyFormat.currency) =>
+    new Intl.NumberFormat(moneyFormat.locale, { style: 'currency', currency }).format(cents / 100);
+
+// For DECIMAL amounts as they come from the database, e.g. "12.50"
+export const formatAmount = (amount, currency) => formatCents(Math.round(parseFloat(amount) * 100), currency);
+
+// Offered in the currency pickers alongside the household currency and any with a rate
+export const COMMON_CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'CHF', 'JPY', 'MXN', 'INR'];
@@ -0,0 +1,13 @@
+import { formatCents, formatAmount } from './money.js';
+
+// Summary of a child's own limits, shown under their request form
+export const describePolicy = (policy) => {
+    const parts = [];
+    if (policy.max_single_expense !== null) parts.push(`up to ${formatAmount(policy.max_single_expense)} at a time`);
+    if (policy.weekly_spending_cap !== null) {
+        const leftCents = Math.max(Math.round(policy.weekly_spending_cap * 100) - policy.week_spent_cents, 0);
+        parts.push(`${formatCents(leftCents)} left to spend this week`);
+    }
+    if (policy.auto_approve_below !== null) parts.push(`under ${formatAmount(policy.auto_approve_below)} is approved straight away`);
+    return parts.length > 0 ? `Spending: ${parts.join(' • ')}` : '';
+};
@@ -0,0 +1,12 @@
+// --- Remembered Profiles ---
+// After a login the household's members are remembered on this device, so the next login
+// can start from a picker of avatars instead of typing a name.
+export const readRememberedProfiles = () => {
+  try {
+    return JSON.parse(localStorage.getItem('profiles')) || [];
+  } catch {
+    return [];
+  }
+};
+
+export const AVATAR_CHOICES = ['🦁', '🐼', '🦊', '🐸', '🐙', '🦄', '🐢', '🐝', '🚀', '⚽', '🎨', '⭐'];
@@ -0,0 +1,96 @@
+import { apiFetch } from './api.js';
+
+// --- Push Notification Subscription Logic ---
+// Set when notifications are turned off on this device, so logging in again doesn't turn them back on
+const PUSH_DISABLED_KEY = 'pushDisabled';
+// The registration in progress, so the settings panel can wait for it before reading the subscription
+export let pushRegistration = Promise.resolve(false);
+
+export const pushSupported = () => 'serviceWorker' in navigator && 'PushManager' in window;
+
+// The worker is served from the app's own path (the Vite base, /money/) and scoped to it, which is
+// also where the manifest's start_url points and the paths sw.js caches
+const SW_SCOPE = import.meta.env.BASE_URL;
+const registerWorker = () => navigator.serviceWorker.register(`${SW_SCOPE}sw.js`, { scope: SW_SCOPE });
+
+// The service worker also caches the app for offline use, so it is registered on every start, logged in or not
+export const registerServiceWorker = () => {
+  if (!('serviceWorker' in navigator)) return;
+  registerWorker().catch(error => console.error('Service worker registration failed:', error));
+};
+
+export const getPushSubscription = async () => {
+  if (!pushSupported()) return null;
+  const swRegistration = await navigator.serviceWorker.getRegistration(SW_SCOPE);
+  return swRegistration ? swRegistration.pushManager.getSubscription() : null;
+};
+
+// Subscribes this device (unless it was turned off here, or `force` is set by the settings panel)
+// and sends the subscription to the server. The server keeps one row per device, so it is sent on
+// every login to point the device at whoever is logged in now.
+export function registerForPushNotifications({ force = false } = {}) {
+  if (!pushSupported()) {
+    console.warn('Push notifications are not supported by this browser.');
+    return Promise.resolve(false);
+  }
+  if (!force && localStorage.getItem(PUSH_DISABLED_KEY)) {
+    return Promise.resolve(false);
+  }
+
+  pushRegistration = (async () => {
+    try {
+      // Register the service worker
+      const swRegistration = await registerWorker();
+
+      // Check for existing subscription
+      let subscription = await swRegistration.pushManager.getSubscription();
+
+      if (subscription === null) {
+        // No subscription found, create a new one
+        const permission = await window.Notification.requestPermission();
+        if (permission !== 'granted') {
+          console.warn('Notification permission was not granted.');
+          return false;
+        }
+
+        const { publicKey } = await apiFetch('/vapid-public-key');
+        subscription = await swRegistration.pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey: publicKey
+        });
+      }
+
+      await apiFetch('/subscribe', {
+        method: 'POST',
+        body: JSON.stringify(subscription),
+      });
+      localStorage.removeItem(PUSH_DISABLED_KEY);
+      return true;
+    } catch (error) {
+      console.error('Failed to subscribe to push notifications:', error);
+      return false;
+    }
+  })();
+  return pushRegistration;
+}
+
+// Turns notifications off on this device: the browser drops the subscription and the server forgets it
+export async function unsubscribeFromPushNotifications() {
+  localStorage.setItem(PUSH_DISABLED_KEY, 'true');
+  const subscription = await getPushSubscription();
+  if (!subscription) return;
+  await subscription.unsubscribe();
+  await apiFetch('/unsubscribe', { method: 'POST', body: JSON.stringify({ endpoint: subscription.endpoint }) });
+}
+
+// On logout the device stops receiving the user's notifications but keeps its browser subscription,
+// so the next person to log in on it is subscribed without being asked again
+export async function forgetPushDevice() {
+  try {
+    const subscription = await getPushSubscription();
+    if (!subscription) return;
+    await apiFetch('/unsubscribe', { method: 'POST', body: JSON.stringify({ endpoint: subscription.endpoint }) });
+  } catch (error) {
+    console.error('Failed to remove this device from notifications:', error);
+  }
+}
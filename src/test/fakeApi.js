@@ -0,0 +1,42 @@
+// Shared by the component tests: a fake API in place of fetch, and a clean slate around every test
+import { afterEach, beforeEach, vi } from 'vitest';
+import { cleanup } from '@testing-library/react';
+
+// --- Fake API ---
+// Routes are keyed by "METHOD /path" (path without /api/money, query included). A route is either
+// a JSON body or a function of the request body returning [status, body]. Anything else is a 404,
+// which the panels a test doesn't care about treat like any other failed load.
+export const mockApi = (routes) => {
+  const handler = vi.fn(async (url, options = {}) => {
+    const path = url.replace('/api/money', '');
+    // The live update stream stays open and silent
+    if (path.startsWith('/events')) {
+      return new Response(new ReadableStream(), { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+    }
+    const route = routes[`${options.method || 'GET'} ${path}`];
+    const [status, body] = typeof route === 'function'
+      ? route(options.body ? JSON.parse(options.body) : undefined)
+      : route === undefined ? [404, { error: 'Not found' }] : [200, route];
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+  });
+  vi.stubGlobal('fetch', handler);
+  return handler;
+};
+
+// The calls made to one route, with their parsed bodies
+export const callsTo = (fetchMock, method, path) => fetchMock.mock.calls
+  .filter(([url, options = {}]) => url === `/api/money${path}` && (options.method || 'GET') === method)
+  .map(([, options]) => (options.body ? JSON.parse(options.body) : undefined));
+
+beforeEach(() => {
+  localStorage.clear();
+  // Failed loads of unmocked routes, and the offline store jsdom doesn't have, are logged but expected
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  cleanup();
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+});
@@ -9,6 +9,12 @@ export default defineConfig({
   base: '/money/',
   plugins: [react(),tailwindcss()],
 
+  // Component tests (npm test). The API has its own suite under server/test.
+  test: {
+    environment: 'jsdom',
+    include: ['src/**/*.test.jsx'],
+  },
+
   // The 'server' block configures the Vite development server ONLY.
   // It has no effect on your production build.
   server: {